@@ -23,8 +23,29 @@ const filesToDownload = [
     destFileName: 'sin.traineddata.gz', // Final name Tesseract.js expects
     gzipped: false, // Source is not gzipped, so no decompression needed
   },
+  // Further languages are opt-in, e.g. EXTRACT2MD_OCR_LANGUAGES=deu,fra npm install.
+  // Add osd for tesseract.orientation "osd" or tesseract.language "auto".
+  ...[...new Set((process.env.EXTRACT2MD_OCR_LANGUAGES || '')
+    .split(',')
+    .map(code => code.trim())
+    .filter(code => code && !['eng', 'sin'].includes(code)))]
+    .map(tesseractDataFile),
 ];
 
+/**
+ * Describe a gzipped language data file from the @tesseract.js-data packages
+ * @param {string} code - Tesseract language code
+ * @returns {Object} Download entry
+ */
+function tesseractDataFile(code) {
+  return {
+    url: `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${code}@1.0.0/4.0.0_best_int/${code}.traineddata.gz`,
+    fileName: `${code}.traineddata.gz`,
+    destFileName: `${code}.traineddata.gz`,
+    gzipped: true,
+  };
+}
+
 async function ensureDirExists(dirPath) {
   try {
     await fs.promises.mkdir(dirPath, { recursive: true });
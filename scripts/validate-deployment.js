@@ -182,7 +182,7 @@ class DeploymentValidator {
         if (fs.existsSync(configPath)) {
             try {
                 const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-                if (config.ocr && config.webllm) {
+                if (config.tesseract && config.webllm) {
                     this.log('Example configuration is valid');
                 } else {
                     this.log('Example configuration missing required sections', 'warning');
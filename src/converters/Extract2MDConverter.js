@@ -3,12 +3,34 @@
  * Main converter class with scenario-specific methods
  */
 
-import * as pdfjsLib from 'pdfjs-dist/build/pdf.mjs';
 import Tesseract from 'tesseract.js';
 import WebLLMEngine from '../engines/WebLLMEngine.js';
 import OutputParser from '../utils/OutputParser.js';
 import SystemPrompts from '../utils/SystemPrompts.js';
 import ConfigValidator from '../utils/ConfigValidator.js';
+import InputNormalizer from '../utils/InputNormalizer.js';
+import ImageDocument from '../utils/ImageDocument.js';
+import RuntimeEnvironment from '../utils/RuntimeEnvironment.js';
+import CanvasFactory from '../utils/CanvasFactory.js';
+import PdfTextLayout from '../utils/PdfTextLayout.js';
+import HeadingDetector from '../utils/HeadingDetector.js';
+import TableDetector from '../utils/TableDetector.js';
+import ListDetector from '../utils/ListDetector.js';
+import InlineStyleFormatter from '../utils/InlineStyleFormatter.js';
+import LinkAnnotations from '../utils/LinkAnnotations.js';
+import DocumentOutline from '../utils/DocumentOutline.js';
+import FrontMatter from '../utils/FrontMatter.js';
+import ImageExtractor from '../utils/ImageExtractor.js';
+import OcrLayout from '../utils/OcrLayout.js';
+import HeaderFooterDetector from '../utils/HeaderFooterDetector.js';
+import Dehyphenator from '../utils/Dehyphenator.js';
+import PageSelection from '../utils/PageSelection.js';
+import TextLayerQuality from '../utils/TextLayerQuality.js';
+import ImagePreprocessor from '../utils/ImagePreprocessor.js';
+import OcrLanguage from '../utils/OcrLanguage.js';
+import PageOrientation from '../utils/PageOrientation.js';
+import OcrExport from '../utils/OcrExport.js';
+import SearchablePdf from '../utils/SearchablePdf.js';
 
 export class Extract2MDConverter {
     constructor(config = {}) {
@@ -19,8 +41,39 @@ export class Extract2MDConverter {
         this.webllmEngine = null;
         this.outputParser = new OutputParser();
         
-        // Setup PDF.js worker
-        this.setupPdfJsWorker();
+        // Resolve runtime; pdf.js and the canvas implementation are loaded lazily for it
+        this.runtime = RuntimeEnvironment.resolve(this.config.runtime);
+        this._pdfjsPromise = null;
+        this._canvasFactoryPromise = null;
+        
+        // Running headers/footers found in the last document (processing.headersFooters = 'metadata')
+        this.headersFooters = [];
+
+        // Heading index targeted by each internal link placeholder of the last quick extraction
+        this.linkTargets = new Map();
+
+        // Flattened outline (bookmarks) of the last document
+        this.outline = [];
+
+        // Info dictionary and XMP metadata of the last document (processing.frontMatter)
+        this.documentMetadata = {};
+
+        // Figures of the last document as PNG Buffers/Blobs with stable file names (processing.images)
+        this.images = [];
+
+        // Raw text per page, recoverable problems and phase durations of the last conversion (returnResult)
+        this.pageTexts = [];
+        this.warnings = [];
+        this.timings = {};
+        this._conversionStart = null;
+
+        // Language data and extra clockwise page rotation of the last OCR run (detected with tesseract.language 'auto')
+        this.ocrLanguage = this.config.tesseract.language;
+        this.ocrRotation = 0;
+
+        // Page images with an invisible OCR text layer of the last OCR scenario run (processing.searchablePdf)
+        this.searchablePdf = null;
+        this._searchablePages = null;
         
         // Progress callback
         this.progressCallback = this.config.progressCallback || ((progress) => {});
@@ -28,23 +81,145 @@ export class Extract2MDConverter {
 
     /**
      * Setup PDF.js worker
+     * @param {Object} pdfjsSetupLib - Loaded pdf.js library
      */
-    setupPdfJsWorker() {
-        const pdfjsSetupLib = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : 
-                              (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        
-        if (pdfjsSetupLib && pdfjsSetupLib.GlobalWorkerOptions) {
-            pdfjsSetupLib.GlobalWorkerOptions.workerSrc = this.config.pdfJsWorkerSrc;
-        } else {
+    setupPdfJsWorker(pdfjsSetupLib) {
+        if (!pdfjsSetupLib || !pdfjsSetupLib.GlobalWorkerOptions) {
             console.warn('pdfjsLib or pdfjsLib.GlobalWorkerOptions is not defined. PDF.js worker may not load correctly.');
+            return;
+        }
+
+        if (this.runtime === 'node') {
+            // The browser asset path does not exist in Node.js; pdf.js then uses its bundled worker module
+            const defaultWorkerSrc = ConfigValidator.getDefaultConfig().pdfJsWorkerSrc;
+            if (this.config.pdfJsWorkerSrc && this.config.pdfJsWorkerSrc !== defaultWorkerSrc) {
+                pdfjsSetupLib.GlobalWorkerOptions.workerSrc = this.config.pdfJsWorkerSrc;
+            }
+            return;
+        }
+
+        pdfjsSetupLib.GlobalWorkerOptions.workerSrc = this.config.pdfJsWorkerSrc;
+    }
+
+    /**
+     * Load pdf.js for the current runtime and configure its worker (once per converter)
+     * @returns {Promise<Object>} pdf.js library
+     */
+    async _getPdfJs() {
+        if (!this._pdfjsPromise) {
+            this._pdfjsPromise = RuntimeEnvironment.loadPdfJs(this.runtime).then((pdfjs) => {
+                this.setupPdfJsWorker(pdfjs);
+                return pdfjs;
+            });
+            this._pdfjsPromise.catch(() => {
+                this._pdfjsPromise = null;
+            });
+        }
+        return this._pdfjsPromise;
+    }
+
+    /**
+     * Open a PDF document with the runtime-specific pdf.js parameters
+     * @param {Object} pdfjs - Loaded pdf.js library
+     * @param {Uint8Array|ArrayBuffer} fileData - Raw PDF bytes
+     * @returns {Promise<Object>} pdf.js document proxy
+     */
+    async _loadPdfDocument(pdfjs, fileData) {
+        // pdf.js may transfer the buffer to its worker, so hand it a copy
+        return await pdfjs.getDocument({
+            data: fileData.slice(),
+            // Exposes isMonospace (from the font descriptor flags) for inline code detection
+            fontExtraProperties: this.config.processing.inlineStyles,
+            ...(await RuntimeEnvironment.getPdfJsDocumentOptions(this.runtime))
+        }).promise;
+    }
+
+    /**
+     * Open the document to recognize: PDF documents with pdf.js, images as an ImageDocument of one page per image or TIFF frame
+     * @param {Object} input - Normalized input
+     * @param {CanvasFactory} canvasFactory - Canvas factory that decodes images
+     * @returns {Promise<Object>} pdf.js document proxy or ImageDocument
+     */
+    async _loadOcrDocument(input, canvasFactory) {
+        if (input.type === 'pdf') {
+            return await this._loadPdfDocument(await this._getPdfJs(), input.data);
+        }
+
+        const imageDoc = await ImageDocument.load(input, canvasFactory, { scale: this.config.processing.pdfRenderScale });
+        this.progressCallback({
+            stage: 'image_input_loaded',
+            message: `Loaded ${input.type.toUpperCase()} image with ${imageDoc.numPages} page(s).`,
+            totalPages: imageDoc.numPages
+        });
+        return imageDoc;
+    }
+
+    /**
+     * Resolve the canvas factory used to render pages for OCR (once per converter)
+     * @returns {Promise<CanvasFactory>} Canvas factory
+     */
+    async _getCanvasFactory() {
+        if (!this._canvasFactoryPromise) {
+            this._canvasFactoryPromise = CanvasFactory.resolve(this.runtime, this.config.canvasFactory);
+            this._canvasFactoryPromise.catch(() => {
+                this._canvasFactoryPromise = null;
+            });
+        }
+        return this._canvasFactoryPromise;
+    }
+
+    /**
+     * Build the Tesseract.js worker options for the current runtime
+     * @returns {Object} Options for Tesseract.createWorker
+     */
+    _getTesseractWorkerOptions() {
+        const workerOptions = {
+            workerPath: this.config.tesseract.workerPath,
+            corePath: this.config.tesseract.corePath,
+            langPath: this.config.tesseract.langPath,
+            ...this.config.tesseract.options
+        };
+
+        if (this.runtime === 'node') {
+            // Default paths point at browser assets; let tesseract.js resolve its Node.js worker and core
+            const defaults = ConfigValidator.getDefaultConfig().tesseract;
+            for (const field of ['workerPath', 'corePath', 'langPath']) {
+                if (workerOptions[field] === defaults[field]) {
+                    delete workerOptions[field];
+                }
+            }
         }
+
+        return workerOptions;
+    }
+
+    /**
+     * Build the Tesseract parameters for recognizing a page, including its page overrides
+     * @param {number} pageNum - 1-based page number
+     * @param {number} scale - Render scale of the recognized image
+     * @returns {Object} Tesseract.js parameters; every job sets all of them, so overrides never leak into other pages
+     */
+    _getTesseractParameters(pageNum, scale) {
+        const settings = { ...this.config.tesseract };
+        for (const { pages, ...override } of this.config.tesseract.pageOverrides) {
+            if (PageSelection.includes(pages, pageNum)) Object.assign(settings, override);
+        }
+
+        return {
+            tessedit_pageseg_mode: String(settings.psm),
+            tessedit_char_whitelist: settings.whitelist,
+            tessedit_char_blacklist: settings.blacklist,
+            preserve_interword_spaces: settings.preserveInterwordSpaces ? '1' : '0',
+            // Rendered pages carry no resolution, so Tesseract is told the one they were rendered at
+            user_defined_dpi: String(settings.dpi === 'auto' || settings.dpi === null ? Math.round(72 * scale) : settings.dpi)
+        };
     }
 
     /**
      * Scenario 1: Quick convert only - returns MD output
-     * @param {File} pdfFile - PDF file to convert
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} pdfFile - PDF as a File, Blob, bytes, Node Buffer or file path
      * @param {Object} options - Optional configuration overrides
-     * @returns {Promise<string>} Markdown output
+     * @returns {Promise<string|Object>} Markdown output (a result object with returnResult)
      */
     static async quickConvertOnly(pdfFile, options = {}) {
         const converter = new Extract2MDConverter(options);
@@ -53,9 +228,9 @@ export class Extract2MDConverter {
 
     /**
      * Scenario 2: High accuracy convert only - returns MD output
-     * @param {File} pdfFile - PDF file to convert
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} pdfFile - PDF, or PNG, JPEG, TIFF (every frame a page) or WebP image, as a File, Blob, bytes, Node Buffer or file path
      * @param {Object} options - Optional configuration overrides
-     * @returns {Promise<string>} Markdown output
+     * @returns {Promise<string|Object>} Markdown output (a result object with returnResult)
      */
     static async highAccuracyConvertOnly(pdfFile, options = {}) {
         const converter = new Extract2MDConverter(options);
@@ -64,14 +239,16 @@ export class Extract2MDConverter {
 
     /**
      * Scenario 3: Quick convert + LLM rewrite - returns MD output
-     * @param {File} pdfFile - PDF file to convert
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} pdfFile - PDF as a File, Blob, bytes, Node Buffer or file path
      * @param {Object} options - Optional configuration overrides
-     * @returns {Promise<string>} LLM-rewritten markdown output
+     * @returns {Promise<string|Object>} LLM-rewritten markdown output (a result object with returnResult)
      */
     static async quickConvertWithLLM(pdfFile, options = {}) {
         const converter = new Extract2MDConverter(options);
         
         try {
+            converter._beginConversion();
+
             // Step 1: Quick extraction
             converter.progressCallback({
                 stage: 'scenario_3_start',
@@ -93,7 +270,7 @@ export class Extract2MDConverter {
                 message: 'Quick conversion with LLM rewrite completed.'
             });
             
-            return rewrittenMarkdown;
+            return converter._completeConversion(rewrittenMarkdown, 'quick-llm');
             
         } finally {
             await converter._cleanup();
@@ -102,14 +279,16 @@ export class Extract2MDConverter {
 
     /**
      * Scenario 4: High accuracy convert + LLM rewrite - returns MD output
-     * @param {File} pdfFile - PDF file to convert
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} pdfFile - PDF, or PNG, JPEG, TIFF (every frame a page) or WebP image, as a File, Blob, bytes, Node Buffer or file path
      * @param {Object} options - Optional configuration overrides
-     * @returns {Promise<string>} LLM-rewritten markdown output
+     * @returns {Promise<string|Object>} LLM-rewritten markdown output (a result object with returnResult)
      */
     static async highAccuracyConvertWithLLM(pdfFile, options = {}) {
         const converter = new Extract2MDConverter(options);
         
         try {
+            converter._beginConversion();
+
             // Step 1: High accuracy extraction
             converter.progressCallback({
                 stage: 'scenario_4_start',
@@ -131,7 +310,7 @@ export class Extract2MDConverter {
                 message: 'High accuracy conversion with LLM rewrite completed.'
             });
             
-            return rewrittenMarkdown;
+            return converter._completeConversion(rewrittenMarkdown, 'high-accuracy-llm');
             
         } finally {
             await converter._cleanup();
@@ -140,24 +319,27 @@ export class Extract2MDConverter {
 
     /**
      * Scenario 5: Combined convert + LLM rewrite - returns comprehensive MD output
-     * @param {File} pdfFile - PDF file to convert
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} pdfFile - PDF as a File, Blob, bytes, Node Buffer or file path
      * @param {Object} options - Optional configuration overrides
-     * @returns {Promise<string>} Comprehensive LLM-rewritten markdown output
+     * @returns {Promise<string|Object>} Comprehensive LLM-rewritten markdown output (a result object with returnResult)
      */
     static async combinedConvertWithLLM(pdfFile, options = {}) {
         const converter = new Extract2MDConverter(options);
         
         try {
+            converter._beginConversion();
             converter.progressCallback({
                 stage: 'scenario_5_start',
                 message: 'Starting combined conversion with LLM rewrite...'
             });
             
-            // Step 1: Parallel extraction using both methods
-            const [quickText, ocrText] = await Promise.all([
-                converter._performQuickExtraction(pdfFile),
-                converter._performHighAccuracyExtraction(pdfFile)
-            ]);
+            // Read the input once and share the bytes between both extractions
+            const input = await InputNormalizer.normalize(pdfFile);
+
+            // Step 1: Extraction using both methods, one after the other, as both
+            // record images, page texts, the outline and link targets on the converter
+            const quickText = await converter._performQuickExtraction(input);
+            const ocrText = await converter._performHighAccuracyExtraction(input);
             
             // Step 2: LLM rewrite with combined context
             await converter._initializeWebLLM();
@@ -172,41 +354,44 @@ export class Extract2MDConverter {
                 message: 'Combined conversion with LLM rewrite completed.'
             });
             
-            return rewrittenMarkdown;
+            return converter._completeConversion(rewrittenMarkdown, 'combined-llm');
             
         } finally {
             await converter._cleanup();
         }
     }
 
+    /**
+     * Scenario 6: Hybrid convert - text layer where usable, OCR only for scanned or broken pages
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} pdfFile - PDF as a File, Blob, bytes, Node Buffer or file path
+     * @param {Object} options - Optional configuration overrides
+     * @returns {Promise<string|Object>} Markdown output (a result object with returnResult)
+     */
+    static async hybridConvertOnly(pdfFile, options = {}) {
+        const converter = new Extract2MDConverter(options);
+        return await converter._performHybridConvert(pdfFile);
+    }
+
     // Internal methods for extraction and processing
 
     /**
      * Perform quick text extraction using PDF.js
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string|Object} pdfFile - PDF input or normalized descriptor
      */
     async _performQuickExtraction(pdfFile) {
-        // Enhanced input validation
-        if (!(pdfFile instanceof File)) {
-            throw new Error('Invalid input: pdfFile must be a File object.');
-        }
-        if (pdfFile.size === 0) {
-            throw new Error('Invalid input: PDF file is empty.');
-        }
-        if (pdfFile.size > 100 * 1024 * 1024) { // 100MB limit
-            throw new Error('Invalid input: PDF file is too large (max 100MB).');
-        }
-        if (!pdfFile.type || (!pdfFile.type.includes('pdf') && !pdfFile.name.toLowerCase().endsWith('.pdf'))) {
-            throw new Error('Invalid input: File must be a PDF document.');
-        }
+        // Normalize File/Blob/ArrayBuffer/Buffer/path inputs and validate the PDF header
+        const input = await InputNormalizer.normalize(pdfFile);
+        const startTime = performance.now();
 
         this.progressCallback({
             stage: 'quick_extraction_start',
             message: 'Starting quick PDF text extraction...'
         });
 
-        const arrayBuffer = await pdfFile.arrayBuffer();
-        const rawText = await this._extractTextWithPdfJs(arrayBuffer);
-        const cleanedText = this._postProcessText(rawText);
+        const rawText = await this._extractTextWithPdfJs(input.data);
+        // Internal links point at headings, whose anchors are only final after post-processing
+        const cleanedText = LinkAnnotations.resolvePlaceholders(this._postProcessText(rawText), this.linkTargets);
+        this._recordTiming('textExtraction', startTime);
         
         this.progressCallback({
             stage: 'quick_extraction_complete',
@@ -220,6 +405,7 @@ export class Extract2MDConverter {
      * Perform quick conversion (extraction + markdown formatting)
      */
     async _performQuickConvert(pdfFile) {
+        this._beginConversion();
         const extractedText = await this._performQuickExtraction(pdfFile);
         
         this.progressCallback({
@@ -234,177 +420,664 @@ export class Extract2MDConverter {
             message: 'Quick conversion completed.'
         });
         
-        return markdown;
+        return this._completeConversion(markdown, 'quick');
     }
 
     /**
      * Perform high accuracy text extraction using OCR
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string|Object} pdfFile - PDF or image input, or normalized descriptor
      */
     async _performHighAccuracyExtraction(pdfFile) {
-        // Enhanced input validation
-        if (!(pdfFile instanceof File)) {
-            throw new Error('Invalid input: pdfFile must be a File object.');
-        }
-        if (pdfFile.size === 0) {
-            throw new Error('Invalid input: PDF file is empty.');
-        }
-        if (pdfFile.size > 100 * 1024 * 1024) { // 100MB limit
-            throw new Error('Invalid input: PDF file is too large (max 100MB).');
-        }
-        if (!pdfFile.type || (!pdfFile.type.includes('pdf') && !pdfFile.name.toLowerCase().endsWith('.pdf'))) {
-            throw new Error('Invalid input: File must be a PDF document.');
-        }
+        // Normalize File/Blob/ArrayBuffer/Buffer/path inputs and validate the PDF or image header
+        const input = await InputNormalizer.normalize(pdfFile, { images: true });
+        const startTime = performance.now();
 
         this.progressCallback({
             stage: 'ocr_extraction_start',
             message: 'Starting OCR text extraction...'
         });
 
-        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : 
-                      (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        if (!pdfjs || !pdfjs.getDocument) {
-            throw new Error('pdf.js library is not loaded or not fully initialized.');
+        const canvasFactory = await this._getCanvasFactory();
+        const pdfDoc = await this._loadOcrDocument(input, canvasFactory);
+        const pageNumbers = this._getPageNumbers(pdfDoc);
+        await this._detectOcrLanguage(pdfDoc, pageNumbers, canvasFactory);
+        const scheduler = await this._createOcrScheduler();
+
+        let ocrPages;
+        this._searchablePages = this.config.processing.searchablePdf === 'none' ? null : [];
+        try {
+            ocrPages = await this._recognizePages(scheduler, pdfDoc, pageNumbers, canvasFactory);
+            await this._createSearchablePdf();
+        } finally {
+            this._searchablePages = null;
+            await this._terminateOcrScheduler(scheduler);
         }
 
+        this._reportImages();
+        await this._loadDocumentInfo(pdfDoc);
+        const cleanedText = this._postProcessText(this._renderPages(ocrPages).text);
+        this._recordTiming('ocr', startTime);
+
+        this.progressCallback({
+            stage: 'ocr_extraction_complete',
+            message: 'OCR extraction completed.'
+        });
+
+        return cleanedText;
+    }
+
+    /**
+     * Get the Tesseract.js module
+     * @returns {Object} Tesseract.js module
+     */
+    _getTesseract() {
         const Tess = (typeof Tesseract !== 'undefined' ? Tesseract : 
                      (typeof window !== 'undefined' ? window.Tesseract : null));
         if (!Tess) {
             throw new Error('Tesseract.js library is not loaded.');
         }
+        return Tess;
+    }
 
-        let worker;
-        let workerInitialized = false;
-        
+    /**
+     * Set the OCR languages and rotation for a document. With tesseract.language 'auto', Tesseract's
+     * orientation and script detection (OSD) runs on a sample page; otherwise the configured languages are used.
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @param {number[]} pageNumbers - Pages that will be recognized
+     * @param {CanvasFactory} canvasFactory - Canvas factory for rendering
+     */
+    async _detectOcrLanguage(pdfDoc, pageNumbers, canvasFactory) {
+        const { language, scriptLanguages, osdSamplePage } = this.config.tesseract;
+        this.ocrLanguage = language;
+        this.ocrRotation = 0;
+        if (!OcrLanguage.isAuto(language)) return;
+
+        const pageNum = osdSamplePage !== null && osdSamplePage <= pdfDoc.numPages ? osdSamplePage : pageNumbers[0];
+        this.progressCallback({
+            stage: 'ocr_language_detect',
+            message: `Detecting script and orientation on page ${pageNum}...`,
+            pageNumber: pageNum
+        });
+
+        let detection = null;
+        let worker = null;
+        let rendered = null;
         try {
-            // Initialize Tesseract worker with enhanced error handling
-            this.progressCallback({
-                stage: 'ocr_worker_init',
-                message: 'Initializing OCR worker...'
-            });
-            
-            try {
-                // Set timeout for worker initialization
-                const workerPromise = Tess.createWorker(
-                    this.config.tesseract.language,
-                    1,
-                    {
-                        workerPath: this.config.tesseract.workerPath,
-                        corePath: this.config.tesseract.corePath,
-                        langPath: this.config.tesseract.langPath,
-                        ...this.config.tesseract.options
-                    }
-                );
+            worker = await this._startOsdWorker();
+            const page = await pdfDoc.getPage(pageNum);
+            const scale = this.config.processing.pdfRenderScale;
+            rendered = await this._renderPageImage(page, page.getViewport({ scale }), canvasFactory);
+            detection = await this._detectOrientation(worker, rendered.image, scale);
+        } catch (detectError) {
+            this._addWarning('ocr_language_warning',
+                `Warning: Script detection failed on page ${pageNum}: ${detectError.message}. Recognizing as Latin script.`,
+                { pageNumber: pageNum });
+        } finally {
+            if (rendered) canvasFactory.destroy(rendered.canvas);
+            if (worker) await worker.terminate().catch(() => {});
+        }
 
-                // Add timeout to prevent hanging
-                const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error('Worker initialization timed out after 30 seconds')), 30000);
-                });
+        const { script, language: detectedLanguage, rotation } = OcrLanguage.resolve(detection, scriptLanguages);
+        this.ocrLanguage = detectedLanguage;
+        this.ocrRotation = rotation;
+        this.progressCallback({
+            stage: 'ocr_language_detected',
+            message: `${script ? `Detected ${script} script` : 'No script detected'} on page ${pageNum}; recognizing with ${detectedLanguage}` +
+                (rotation ? `, rotated by ${rotation}°.` : '.'),
+            pageNumber: pageNum,
+            script,
+            language: detectedLanguage,
+            rotation
+        });
+    }
 
-                worker = await Promise.race([workerPromise, timeoutPromise]);
-                workerInitialized = true;
+    /**
+     * Start a Tesseract.js worker for orientation and script detection (OSD)
+     * @returns {Promise<Object>} Worker with the osd language data
+     */
+    async _startOsdWorker() {
+        // OSD needs the legacy engine
+        return this._startTesseractWorker(this._getTesseract(), 'osd', 0, { legacyCore: true, legacyLang: true });
+    }
 
-                this.progressCallback({
-                    stage: 'ocr_worker_ready',
-                    message: 'OCR worker initialized successfully.'
-                });
+    /**
+     * Detect the orientation and script of a rendered page
+     * @param {Object} worker - Worker from _startOsdWorker()
+     * @param {*} image - Rendered page image
+     * @param {number} scale - Render scale of the image
+     * @returns {Promise<Object>} Tesseract.js detect() data; orientation and script are null when OSD finds too little text
+     */
+    async _detectOrientation(worker, image, scale) {
+        // OSD skips text it takes for noise when it has to guess the resolution
+        await worker.setParameters({ user_defined_dpi: String(Math.round(72 * scale)) });
+        return (await worker.detect(image)).data;
+    }
 
-            } catch (workerError) {
-                throw new Error(`Failed to initialize Tesseract worker: ${workerError.message}. Check if Tesseract.js files are accessible and language data is available.`);
+    /**
+     * Get the OCR languages of a page: the document languages or the last page override naming a language
+     * @param {number} pageNum - 1-based page number
+     * @returns {string} Tesseract language string
+     */
+    _getPageLanguage(pageNum) {
+        let language = this.ocrLanguage;
+        for (const override of this.config.tesseract.pageOverrides) {
+            if (override.language && PageSelection.includes(override.pages, pageNum)) language = override.language;
+        }
+        return language;
+    }
+
+    /**
+     * Get every language the document is recognized with, including page overrides
+     * @returns {string|null} Tesseract language string; null while 'auto' has not been detected
+     */
+    _getDocumentLanguage() {
+        const overrides = this.config.tesseract.pageOverrides.map(override => override.language).filter(Boolean);
+        return OcrLanguage.merge([this.ocrLanguage, ...overrides]) || null;
+    }
+
+    /**
+     * Get the viewport a page is recognized at, turned by the detected document orientation
+     * @param {Object} page - pdf.js page proxy
+     * @param {number} scale - Render scale
+     * @returns {Object} pdf.js viewport
+     */
+    _getOcrViewport(page, scale) {
+        if (this.ocrRotation === 0) return page.getViewport({ scale });
+        return page.getViewport({ scale, rotation: (page.rotate + this.ocrRotation) % 360 });
+    }
+
+    /**
+     * Create a pool of Tesseract.js workers behind a Tesseract scheduler
+     * @returns {Promise<Object>} Scheduler running recognize jobs on tesseract.workers workers
+     */
+    async _createOcrScheduler() {
+        const Tess = this._getTesseract();
+        const workerCount = this.config.tesseract.workers;
+        const workerLabel = workerCount === 1 ? 'OCR worker' : `${workerCount} OCR workers`;
+        this.progressCallback({
+            stage: 'ocr_worker_init',
+            message: `Initializing ${workerLabel}...`,
+            workers: workerCount
+        });
+
+        const scheduler = Tess.createScheduler();
+        const results = await Promise.allSettled(Array.from({ length: workerCount }, () => this._createOcrWorker(Tess)));
+        for (const result of results.filter(result => result.status === 'fulfilled')) {
+            scheduler.addWorker(result.value);
+        }
+
+        // Workers that did start must not outlive a failed pool
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            await this._terminateOcrScheduler(scheduler);
+            throw failure.reason;
+        }
+
+        this.progressCallback({
+            stage: 'ocr_worker_ready',
+            message: `${workerLabel} initialized successfully.`,
+            workers: workerCount
+        });
+
+        return scheduler;
+    }
+
+    /**
+     * Create a Tesseract.js worker for the document languages
+     * @param {Object} Tess - Tesseract.js module
+     * @returns {Promise<Object>} Initialized Tesseract worker
+     */
+    async _createOcrWorker(Tess) {
+        const { oem } = this.config.tesseract;
+        const worker = await this._startTesseractWorker(Tess, this.ocrLanguage, oem);
+        worker.language = this.ocrLanguage;
+
+        // Scheduler jobs call worker methods by name; language, parameters and recognition must run as one job on the same worker
+        worker.recognizeWithParameters = async (image, parameters, language = worker.language) => {
+            // Pages with another language override load its data; the worker keeps it until a page needs different data
+            if (language !== worker.language) {
+                await worker.reinitialize(language, oem);
+                worker.language = language;
             }
+            await worker.setParameters(parameters);
+            return worker.recognize(image);
+        };
+        return worker;
+    }
+
+    /**
+     * Start a Tesseract.js worker with a timeout
+     * @param {Object} Tess - Tesseract.js module
+     * @param {string} language - Language data to load
+     * @param {number} oem - OCR engine mode
+     * @param {Object} options - Worker options added to the configured ones
+     * @returns {Promise<Object>} Initialized Tesseract worker
+     */
+    async _startTesseractWorker(Tess, language, oem, options = {}) {
+        let timeoutId;
+        try {
+            // Set timeout for worker initialization
+            const workerPromise = Tess.createWorker(language, oem, { ...this._getTesseractWorkerOptions(), ...options });
+
+            // Add timeout to prevent hanging
+            const timeoutPromise = new Promise((_, reject) => {
+                timeoutId = setTimeout(() => reject(new Error('Worker initialization timed out after 30 seconds')), 30000);
+            });
 
-            // Process PDF
-            const arrayBuffer = await pdfFile.arrayBuffer();
-            const pdfDoc = await pdfjs.getDocument({ data: arrayBuffer }).promise;
-            let fullText = '';
-            const numPages = pdfDoc.numPages;
+            return await Promise.race([workerPromise, timeoutPromise]);
+        } catch (workerError) {
+            throw new Error(`Failed to initialize Tesseract worker: ${workerError.message}. Check if Tesseract.js files are accessible and language data is available.`);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Safely terminate a Tesseract scheduler and its workers; termination problems never fail a conversion
+     * @param {Object} scheduler - Tesseract scheduler
+     */
+    async _terminateOcrScheduler(scheduler) {
+        let timeoutId;
+        try {
+            this.progressCallback({
+                stage: 'ocr_worker_terminate',
+                message: 'Terminating OCR workers...'
+            });
+
+            await Promise.race([
+                scheduler.terminate(),
+                new Promise((_, reject) => {
+                    timeoutId = setTimeout(() => reject(new Error('Worker termination timed out')), 10000);
+                })
+            ]);
+        } catch (terminateError) {
+            console.warn('Warning: Failed to properly terminate Tesseract workers:', terminateError);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Render pages in order and recognize them concurrently on the worker pool
+     * @param {Object} scheduler - Tesseract scheduler
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @param {number[]} pageNumbers - Pages to recognize
+     * @param {CanvasFactory} canvasFactory - Canvas factory for rendering
+     * @returns {Promise<Object[]>} Recognized pages in page order; failed pages are left out
+     */
+    async _recognizePages(scheduler, pdfDoc, pageNumbers, canvasFactory) {
+        const memoryBudget = this.config.tesseract.memoryBudgetMB * 1024 * 1024;
+        const pending = new Set();
+        const jobs = [];
+        let pendingBytes = 0;
+        let reported = Promise.resolve();
+        const osdWorker = await this._startPageOsdWorker();
+
+        try {
+            for (const [index, pageNum] of pageNumbers.entries()) {
+                const page = await pdfDoc.getPage(pageNum);
+                const viewport = this._getOcrViewport(page, this.config.processing.pdfRenderScale);
+                const bytes = Math.ceil(viewport.width) * Math.ceil(viewport.height) * 4;
+
+                // Render ahead only while the canvases waiting for a worker fit the memory budget
+                while (pending.size > 0 && pendingBytes + bytes > memoryBudget) {
+                    await Promise.race(pending);
+                }
 
-            for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+                // Progress counts the selected pages; pageNumber is the page in the document
+                const pageProgress = {
+                    currentPage: index + 1,
+                    totalPages: pageNumbers.length,
+                    pageNumber: pageNum
+                };
                 this.progressCallback({
                     stage: 'ocr_page_process',
-                    message: `Processing page ${pageNum}/${numPages}...`,
-                    currentPage: pageNum,
-                    totalPages: numPages
+                    message: `Processing page ${pageNum} (${index + 1}/${pageNumbers.length})...`,
+                    ...pageProgress
                 });
 
-                const page = await pdfDoc.getPage(pageNum);
-                const viewport = page.getViewport({ scale: this.config.processing.pdfRenderScale });
-                
-                const canvas = document.createElement('canvas');
-                const context = canvas.getContext('2d');
-                canvas.height = viewport.height;
-                canvas.width = viewport.width;
-
-                try {
-                    await page.render({ canvasContext: context, viewport: viewport }).promise;
-                    
-                    // OCR recognition with error handling
-                    const recognition = await worker.recognize(canvas);
-                    const ocrPageText = recognition.data?.text || '';
-                    fullText += ocrPageText + '\n';
-                    
-                } catch (pageError) {
-                    this.progressCallback({
-                        stage: 'ocr_page_warning',
-                        message: `Warning: Failed to process page ${pageNum}: ${pageError.message}`
+                pendingBytes += bytes;
+                const rendered = await this._renderUprightOcrPage(osdWorker, page, pageNum, viewport, canvasFactory);
+                const job = (rendered ? this._recognizePage(scheduler, page, pageNum, rendered, canvasFactory) : Promise.resolve(null))
+                    .finally(() => {
+                        pendingBytes -= bytes;
+                        pending.delete(job);
                     });
-                    console.warn(`OCR processing failed for page ${pageNum}:`, pageError);
-                    // Continue with other pages instead of failing completely
-                } finally {
-                    // Clean up canvas resources
-                    canvas.width = 0;
-                    canvas.height = 0;
-                }
+                pending.add(job);
+                jobs.push(job);
+
+                // Workers finish out of order; completions are reported in page order
+                reported = Promise.all([reported, job]).then(([, ocrPage]) => this.progressCallback({
+                    stage: 'ocr_page_complete',
+                    message: `Recognized page ${pageNum} (${index + 1}/${pageNumbers.length}).`,
+                    ...pageProgress,
+                    confidence: ocrPage ? ocrPage.confidence : null
+                }));
             }
+        } finally {
+            if (osdWorker) await osdWorker.terminate().catch(() => {});
+        }
 
-            // Safely terminate worker
-            if (workerInitialized && worker) {
-                try {
-                    this.progressCallback({
-                        stage: 'ocr_worker_terminate',
-                        message: 'Terminating OCR worker...'
-                    });
-                    
-                    await Promise.race([
-                        worker.terminate(),
-                        new Promise((_, reject) => {
-                            setTimeout(() => reject(new Error('Worker termination timed out')), 10000);
-                        })
-                    ]);
-                } catch (terminateError) {
-                    console.warn('Warning: Failed to properly terminate Tesseract worker:', terminateError);
-                    // Don't throw error for termination issues
+        const ocrPages = await Promise.all(jobs);
+        await reported;
+        return ocrPages.filter(Boolean);
+    }
+
+    /**
+     * Render a page for recognition and extract its figures
+     * @param {Object} page - pdf.js page proxy
+     * @param {number} pageNum - 1-based page number
+     * @param {Object} viewport - Viewport at the OCR render scale
+     * @param {CanvasFactory} canvasFactory - Canvas factory for rendering
+     * @returns {Promise<Object|null>} { canvas, image, viewport, images }, or null when rendering failed
+     */
+    async _renderOcrPage(page, pageNum, viewport, canvasFactory) {
+        let rendered = null;
+
+        try {
+            rendered = await this._renderPageImage(page, viewport, canvasFactory);
+            // Figures are extracted here, in page order, so their numbers do not depend on worker timing
+            rendered.images = await this._extractPageImages(page, pageNum);
+            return rendered;
+        } catch (pageError) {
+            if (rendered) canvasFactory.destroy(rendered.canvas);
+            this._reportOcrPageFailure(pageNum, pageError);
+            return null;
+        }
+    }
+
+    /**
+     * Start the worker for per-page orientation detection when processing.orientation uses OSD
+     * @returns {Promise<Object|null>} Worker from _startOsdWorker(), or null when OSD is not used or unavailable
+     */
+    async _startPageOsdWorker() {
+        if (!['osd', 'auto'].includes(this.config.processing.orientation)) return null;
+
+        try {
+            return await this._startOsdWorker();
+        } catch (osdError) {
+            this._addWarning('ocr_orientation_warning',
+                `Warning: Orientation detection is unavailable: ${osdError.message}. Pages are recognized as rendered.`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the rotation that renders the text layer of a page upright
+     * @param {Object} page - pdf.js page proxy
+     * @returns {Promise<number|null>} Viewport rotation, or null when the page has too little readable text
+     */
+    async _getTextLayerRotation(page) {
+        try {
+            return PageOrientation.fromTextContent((await page.getTextContent()).items);
+        } catch (textError) {
+            // Pages whose text content cannot be read fall back to OSD
+            return null;
+        }
+    }
+
+    /**
+     * Render a page for OCR turned upright (processing.orientation): the direction of its text layer sets the
+     * rotation before rendering; otherwise OSD checks the rendering, which is rendered again when it is rotated
+     * @param {Object|null} osdWorker - Worker from _startPageOsdWorker()
+     * @param {Object} page - pdf.js page proxy
+     * @param {number} pageNum - 1-based page number
+     * @param {Object} viewport - Viewport at the OCR render scale
+     * @param {CanvasFactory} canvasFactory - Canvas factory for rendering
+     * @returns {Promise<Object|null>} Rendered page as from _renderOcrPage()
+     */
+    async _renderUprightOcrPage(osdWorker, page, pageNum, viewport, canvasFactory) {
+        const { orientation, pdfRenderScale: scale } = this.config.processing;
+        const pageRotation = viewport.rotation;
+
+        // A wrong /Rotate shows in the direction of the text layer, where there is one
+        let textRotation = null;
+        if (orientation === 'text-layer' || orientation === 'auto') {
+            textRotation = await this._getTextLayerRotation(page);
+            if (textRotation !== null && textRotation !== viewport.rotation) {
+                viewport = page.getViewport({ scale, rotation: textRotation });
+            }
+        }
+
+        let rendered = await this._renderOcrPage(page, pageNum, viewport, canvasFactory);
+        let source = textRotation === null ? 'osd' : 'text-layer';
+        if (rendered && osdWorker && textRotation === null) {
+            try {
+                const detection = await this._detectOrientation(osdWorker, rendered.image, scale);
+                let correction = PageOrientation.fromDetection(detection);
+
+                // OSD is unsure on pages with little text, whose text layer may still show the direction
+                if (!PageOrientation.isCertain(detection) && orientation === 'osd') {
+                    const direction = await this._getTextLayerRotation(page);
+                    if (direction !== null) {
+                        correction = PageOrientation.rotate(direction, -viewport.rotation);
+                        source = 'text-layer';
+                    }
+                }
+                if (correction !== 0) {
+                    const rotation = PageOrientation.rotate(viewport.rotation, correction);
+                    const upright = await this._renderPageImage(page, page.getViewport({ scale, rotation }), canvasFactory);
+                    canvasFactory.destroy(rendered.canvas);
+                    rendered = { ...upright, images: rendered.images };
                 }
+            } catch (osdError) {
+                this._addWarning('ocr_orientation_warning',
+                    `Warning: Orientation detection failed on page ${pageNum}: ${osdError.message}. The page is recognized as rendered.`,
+                    { pageNumber: pageNum });
             }
-            
-            const cleanedText = this._postProcessText(fullText);
-            
+        }
+
+        if (rendered && rendered.viewport.rotation !== pageRotation) {
             this.progressCallback({
-                stage: 'ocr_extraction_complete',
-                message: 'OCR extraction completed.'
+                stage: 'ocr_page_rotate',
+                message: `Page ${pageNum} is rotated; recognizing it at ${rendered.viewport.rotation}° instead of ${pageRotation}° (${source}).`,
+                pageNumber: pageNum,
+                rotation: rendered.viewport.rotation,
+                previousRotation: pageRotation,
+                source
             });
+        }
+        return rendered;
+    }
 
-            return cleanedText;
+    /**
+     * Render a page to a canvas, apply processing.preprocessing and convert it into an image Tesseract.js accepts
+     * @param {Object} page - pdf.js page proxy
+     * @param {Object} viewport - Viewport at the render scale
+     * @param {CanvasFactory} canvasFactory - Canvas factory for rendering
+     * @returns {Promise<Object>} { canvas, image, viewport, offsetX, offsetY, skewAngle }; the canvas is released when rendering fails
+     */
+    async _renderPageImage(page, viewport, canvasFactory) {
+        let prepared = { canvas: canvasFactory.create(viewport.width, viewport.height) };
 
-        } catch (error) {
-            // Enhanced cleanup on error
-            if (workerInitialized && worker) {
-                try {
-                    await Promise.race([
-                        worker.terminate(),
-                        new Promise((resolve) => setTimeout(resolve, 5000)) // Give up after 5 seconds
-                    ]);
-                } catch (cleanupError) {
-                    console.warn('Failed to cleanup worker after error:', cleanupError);
+        try {
+            await page.render({ canvasContext: prepared.canvas.getContext('2d'), viewport: viewport }).promise;
+            prepared = await ImagePreprocessor.apply(prepared.canvas, this.config.processing.preprocessing, canvasFactory);
+            return { ...prepared, image: await canvasFactory.toImage(prepared.canvas), viewport };
+        } catch (renderError) {
+            canvasFactory.destroy(prepared.canvas);
+            throw renderError;
+        }
+    }
+
+    /**
+     * Recognize a rendered page on the worker pool, again at a higher scale when its confidence is too low
+     * @param {Object} scheduler - Tesseract scheduler
+     * @param {Object} page - pdf.js page proxy
+     * @param {number} pageNum - 1-based page number
+     * @param {Object} rendered - Rendered page from _renderOcrPage()
+     * @param {CanvasFactory} canvasFactory - Canvas factory that created the canvas
+     * @returns {Promise<Object|null>} Page { pageNumber, layout, text, source: 'ocr', confidence }, or null when recognition failed
+     */
+    async _recognizePage(scheduler, page, pageNum, rendered, canvasFactory) {
+        const { wordThreshold, marker, pageThreshold, retryRenderScale } = this.config.processing.ocrConfidence;
+        const renderScale = this.config.processing.pdfRenderScale;
+        let recognized = { ...rendered, scale: renderScale };
+        let canvas = rendered.canvas;
+
+        try {
+            // The page image is taken before a retry replaces the rendering
+            const pageImage = this._searchablePages ? await this._getSearchablePageImage(page, pageNum, rendered, canvasFactory) : null;
+            const language = this._getPageLanguage(pageNum);
+            let recognition = await scheduler.addJob('recognizeWithParameters', rendered.image,
+                this._getTesseractParameters(pageNum, renderScale), language);
+
+            // Small or faint print often recognizes better from a larger rendering
+            if (recognition.data.confidence < pageThreshold && retryRenderScale > renderScale) {
+                this.progressCallback({
+                    stage: 'ocr_page_retry',
+                    message: `Page ${pageNum} confidence ${Math.round(recognition.data.confidence)} is below ${pageThreshold}; recognizing it again at scale ${retryRenderScale}...`,
+                    pageNumber: pageNum,
+                    confidence: recognition.data.confidence
+                });
+
+                canvasFactory.destroy(canvas);
+                canvas = null;
+                const retry = await this._renderPageImage(page,
+                    page.getViewport({ scale: retryRenderScale, rotation: rendered.viewport.rotation }), canvasFactory);
+                canvas = retry.canvas;
+
+                const retryRecognition = await scheduler.addJob('recognizeWithParameters', retry.image,
+                    this._getTesseractParameters(pageNum, retryRenderScale), language);
+                if (retryRecognition.data.confidence > recognition.data.confidence) {
+                    recognition = retryRecognition;
+                    recognized = { ...retry, scale: retryRenderScale };
                 }
             }
-            throw error;
+
+            // Boxes of cropped and deskewed pages are moved back into the rendered page
+            const placement = { scale: recognized.scale, offsetX: recognized.offsetX, offsetY: recognized.offsetY, skewAngle: recognized.skewAngle };
+
+            // Word boxes let tables be rebuilt; fall back to Tesseract's own text without them
+            const pageLayout = OcrLayout.buildPage(recognition.data, {
+                pageNumber: pageNum,
+                ...placement,
+                width: rendered.viewport.width / renderScale,
+                height: rendered.viewport.height / renderScale,
+                lowConfidence: { threshold: wordThreshold, marker }
+            });
+            if (pageLayout) {
+                pageLayout.images = rendered.images;
+            }
+
+            const text = recognition.data?.text || '';
+            const confidence = recognition.data.confidence;
+            const words = OcrLayout.getWords(recognition.data, placement)
+                .map(word => ({ ...word, lowConfidence: word.confidence < wordThreshold }));
+            const exports = this._exportOcrPage(recognition.data, pageNum, recognized, rendered.viewport, language);
+            this.pageTexts.push({ pageNumber: pageNum, source: 'ocr', text, confidence, words, ...exports });
+            if (pageImage) {
+                this._searchablePages.push({
+                    pageNumber: pageNum,
+                    width: rendered.viewport.width / renderScale,
+                    height: rendered.viewport.height / renderScale,
+                    image: pageImage,
+                    words
+                });
+            }
+            return { pageNumber: pageNum, layout: pageLayout, text, source: 'ocr', confidence };
+
+        } catch (pageError) {
+            this._reportOcrPageFailure(pageNum, pageError);
+            return null;
+        } finally {
+            // Clean up canvas resources
+            canvasFactory.destroy(canvas);
         }
     }
 
+    /**
+     * Write a recognized page in the configured OCR formats, with boxes in pixels of the page rendered at pdfRenderScale
+     * @param {Object} data - Tesseract.js recognition data
+     * @param {number} pageNum - 1-based page number
+     * @param {Object} recognized - Recognized image { scale, offsetX, offsetY, skewAngle }
+     * @param {Object} viewport - Viewport of the page rendered at pdfRenderScale
+     * @param {string} language - Tesseract language codes of the page
+     * @returns {Object} { hocr, alto } for the configured formats; empty without ocrExport
+     */
+    _exportOcrPage(data, pageNum, recognized, viewport, language) {
+        const { ocrExport, pdfRenderScale } = this.config.processing;
+        if (ocrExport.length === 0) return {};
+
+        const page = OcrExport.buildPage(data, {
+            pageNumber: pageNum,
+            width: viewport.width,
+            height: viewport.height,
+            scale: pdfRenderScale / recognized.scale,
+            offsetX: recognized.offsetX,
+            offsetY: recognized.offsetY,
+            skewAngle: recognized.skewAngle,
+            resolution: 72 * pdfRenderScale,
+            language
+        });
+        const exports = {};
+        if (ocrExport.includes('hocr')) exports.hocr = OcrExport.toHocr(page);
+        if (ocrExport.includes('alto')) exports.alto = OcrExport.toAlto(page);
+        return exports;
+    }
+
+    /**
+     * Compress the image of a page for the searchable PDF: the rendering itself, or a new rendering
+     * when preprocessing changed it
+     * @param {Object} page - pdf.js page proxy
+     * @param {number} pageNum - 1-based page number
+     * @param {Object} rendered - Rendered page from _renderOcrPage()
+     * @param {CanvasFactory} canvasFactory - Canvas factory that created the canvas
+     * @returns {Promise<Object|null>} Image from SearchablePdf.encodeImage(), or null when the page is left out
+     */
+    async _getSearchablePageImage(page, pageNum, rendered, canvasFactory) {
+        const { searchablePdf: mode, preprocessing } = this.config.processing;
+        let canvas = null;
+
+        try {
+            if (preprocessing.length === 0) {
+                return await SearchablePdf.encodeImage(rendered.canvas, mode, canvasFactory);
+            }
+            canvas = canvasFactory.create(rendered.viewport.width, rendered.viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: rendered.viewport }).promise;
+            return await SearchablePdf.encodeImage(canvas, mode, canvasFactory);
+        } catch (imageError) {
+            this._addWarning('searchable_pdf_warning',
+                `Warning: Page ${pageNum} is left out of the searchable PDF: ${imageError.message}`, { pageNumber: pageNum });
+            return null;
+        } finally {
+            canvasFactory.destroy(canvas);
+        }
+    }
+
+    /**
+     * Write the recognized pages as a searchable PDF and report it
+     */
+    async _createSearchablePdf() {
+        if (!this._searchablePages || this._searchablePages.length === 0) return;
+
+        const pages = [...this._searchablePages].sort((a, b) => a.pageNumber - b.pageNumber);
+        this.searchablePdf = await SearchablePdf.create(pages);
+        this.progressCallback({
+            stage: 'searchable_pdf_created',
+            message: `Created a searchable PDF with ${pages.length} page(s).`,
+            pdf: this.searchablePdf,
+            totalPages: pages.length
+        });
+    }
+
+    /**
+     * Report a page that could not be rendered or recognized; the conversion continues with the other pages
+     * @param {number} pageNum - 1-based page number
+     * @param {Error} pageError - Rendering or recognition error
+     */
+    _reportOcrPageFailure(pageNum, pageError) {
+        this._addWarning('ocr_page_warning', `Warning: Failed to process page ${pageNum}: ${pageError.message}`, {
+            pageNumber: pageNum
+        });
+        console.warn(`OCR processing failed for page ${pageNum}:`, pageError);
+    }
+
     /**
      * Perform high accuracy conversion (OCR + markdown formatting)
      */
     async _performHighAccuracyConvert(pdfFile) {
+        this._beginConversion();
         const extractedText = await this._performHighAccuracyExtraction(pdfFile);
         
         this.progressCallback({
@@ -419,7 +1092,96 @@ export class Extract2MDConverter {
             message: 'High accuracy conversion completed.'
         });
         
-        return markdown;
+        return this._completeConversion(markdown, 'high-accuracy');
+    }
+
+    /**
+     * Perform hybrid text extraction: the text layer where it is usable, OCR for scanned or broken pages
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string|Object} pdfFile - PDF input or normalized descriptor
+     */
+    async _performHybridExtraction(pdfFile) {
+        // Normalize File/Blob/ArrayBuffer/Buffer/path inputs and validate the PDF header
+        const input = await InputNormalizer.normalize(pdfFile);
+        let startTime = performance.now();
+
+        this.progressCallback({
+            stage: 'hybrid_extraction_start',
+            message: 'Starting hybrid extraction...'
+        });
+
+        const pdfjs = await this._getPdfJs();
+        const pdfDoc = await this._loadPdfDocument(pdfjs, input.data);
+        const { pages, destinations } = await this._extractTextLayerPages(pdfDoc, this._getPageNumbers(pdfDoc));
+        this._recordTiming('textExtraction', startTime);
+
+        // Scanned pages have no text layer; broken ones decode to garbage or lack glyph mappings
+        const scores = pages.map(page => ({ pageNumber: page.pageNumber, ...TextLayerQuality.score(page.text) }));
+        const ocrPageNumbers = scores
+            .filter(score => !TextLayerQuality.isUsable(score, this.config.processing.textLayerQuality))
+            .map(score => score.pageNumber);
+
+        this.progressCallback({
+            stage: 'hybrid_pages_scored',
+            message: `${ocrPageNumbers.length} of ${pages.length} pages need OCR.`,
+            ocrPages: ocrPageNumbers,
+            textLayerScores: scores
+        });
+
+        if (ocrPageNumbers.length > 0) {
+            startTime = performance.now();
+            const canvasFactory = await this._getCanvasFactory();
+            await this._detectOcrLanguage(pdfDoc, ocrPageNumbers, canvasFactory);
+            const scheduler = await this._createOcrScheduler();
+            try {
+                // Pages that fail to OCR keep their text layer
+                for (const ocrPage of await this._recognizePages(scheduler, pdfDoc, ocrPageNumbers, canvasFactory)) {
+                    pages[pages.findIndex(page => page.pageNumber === ocrPage.pageNumber)] = ocrPage;
+                }
+            } finally {
+                await this._terminateOcrScheduler(scheduler);
+            }
+            this._recordTiming('ocr', startTime);
+        }
+
+        // Every page reports the text it was converted from
+        const sources = new Map(pages.map(page => [page.pageNumber, page.source]));
+        this.pageTexts = this.pageTexts.filter(pageText => sources.get(pageText.pageNumber) === pageText.source);
+
+        this._reportImages();
+        await this._loadDocumentInfo(pdfDoc);
+        const { text, headings } = this._renderPages(pages);
+        this.linkTargets = new Map(destinations.map((destination, id) =>
+            [id, LinkAnnotations.findTargetHeading(headings, destination)]));
+        const cleanedText = LinkAnnotations.resolvePlaceholders(this._postProcessText(text), this.linkTargets);
+
+        this.progressCallback({
+            stage: 'hybrid_extraction_complete',
+            message: 'Hybrid extraction completed.'
+        });
+
+        return cleanedText;
+    }
+
+    /**
+     * Perform hybrid conversion (text layer + OCR for unusable pages + markdown formatting)
+     */
+    async _performHybridConvert(pdfFile) {
+        this._beginConversion();
+        const extractedText = await this._performHybridExtraction(pdfFile);
+
+        this.progressCallback({
+            stage: 'hybrid_markdown_start',
+            message: 'Converting to Markdown...'
+        });
+
+        const markdown = this._convertToMarkdown(extractedText);
+
+        this.progressCallback({
+            stage: 'hybrid_markdown_complete',
+            message: 'Hybrid conversion completed.'
+        });
+
+        return this._completeConversion(markdown, 'hybrid');
     }
 
     /**
@@ -435,8 +1197,8 @@ export class Extract2MDConverter {
         };
 
         try {
-            // Check if WebGPU is available
-            if (!navigator.gpu) {
+            // Check if WebGPU is available (Node.js has no navigator or WebGPU)
+            if (typeof navigator === 'undefined' || !navigator.gpu) {
                 result.error = 'WebGPU is not supported in this browser. Please use Chrome 113+ or Edge 113+.';
                 return result;
             }
@@ -497,10 +1259,7 @@ export class Extract2MDConverter {
         const modelRequiresF16 = this.config.webllm.model && this.config.webllm.model.includes('f16');
         if (modelRequiresF16 && !webgpuCapability.hasShaderF16) {
             const warningMessage = `Warning: Model "${this.config.webllm.model}" requires shader-f16 support, but your device doesn't support it. Performance may be reduced.`;
-            this.progressCallback({
-                stage: 'webgpu_compatibility_warning',
-                message: warningMessage
-            });
+            this._addWarning('webgpu_compatibility_warning', warningMessage);
         }
 
         if (!this.webllmEngine) {
@@ -511,11 +1270,19 @@ export class Extract2MDConverter {
             });
         }
 
-        const modelToUse = this.config.webllm.customModel ? 
-                          this.config.webllm.customModel.model_id : 
-                          this.config.webllm.model;
+        const startTime = performance.now();
+        await this.webllmEngine.initialize(this._getModelId(), this.config.webllm.options);
+        this._recordTiming('modelLoad', startTime);
+    }
 
-        await this.webllmEngine.initialize(modelToUse, this.config.webllm.options);
+    /**
+     * Model used for LLM rewrites
+     * @returns {string} Custom model id, or the configured model
+     */
+    _getModelId() {
+        return this.config.webllm.customModel ?
+            this.config.webllm.customModel.model_id :
+            this.config.webllm.model;
     }
 
     /**
@@ -528,7 +1295,9 @@ export class Extract2MDConverter {
         // For models that support thinking, we could enable it
         const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
         
+        const startTime = performance.now();
         const rawOutput = await this.webllmEngine.generate(fullPrompt, this.config.webllm.options);
+        this._recordTiming('llmRewrite', startTime);
         const cleanedOutput = this.outputParser.parse(rawOutput);
         
         return cleanedOutput;
@@ -543,7 +1312,9 @@ export class Extract2MDConverter {
         
         const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
         
+        const startTime = performance.now();
         const rawOutput = await this.webllmEngine.generate(fullPrompt, this.config.webllm.options);
+        this._recordTiming('llmRewrite', startTime);
         const cleanedOutput = this.outputParser.parse(rawOutput);
         
         return cleanedOutput;
@@ -551,74 +1322,467 @@ export class Extract2MDConverter {
 
     /**
      * Extract text using PDF.js
+     * @param {Uint8Array|ArrayBuffer} fileData - Raw PDF bytes
      */
-    async _extractTextWithPdfJs(fileArrayBuffer) {
-        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : 
-                      (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        
-        if (!pdfjs || !pdfjs.getDocument) {
-            throw new Error('pdf.js library is not loaded or not fully initialized.');
-        }
+    async _extractTextWithPdfJs(fileData) {
+        const pdfjs = await this._getPdfJs();
 
         this.progressCallback({
             stage: 'pdfjs_load',
             message: 'Loading PDF with pdf.js...'
         });
 
-        const pdfDoc = await pdfjs.getDocument({ data: fileArrayBuffer }).promise;
-        let fullText = '';
-        const numPages = pdfDoc.numPages;
+        const pdfDoc = await this._loadPdfDocument(pdfjs, fileData);
+        const { pages, destinations } = await this._extractTextLayerPages(pdfDoc, this._getPageNumbers(pdfDoc));
+
+        this._reportImages();
+        await this._loadDocumentInfo(pdfDoc);
+        const { text, headings } = this._renderPages(pages);
+        this.linkTargets = new Map(destinations.map((destination, id) =>
+            [id, LinkAnnotations.findTargetHeading(headings, destination)]));
+
+        this.progressCallback({
+            stage: 'pdfjs_extract_complete',
+            message: 'PDF.js text extraction complete.'
+        });
+
+        return text;
+    }
+
+    /**
+     * Build page layouts from the text layer of a document
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @param {number[]} pageNumbers - Pages to extract
+     * @returns {Promise<Object>} { pages: [{ pageNumber, layout, text, source: 'text-layer' }], destinations: internal link targets by placeholder id }
+     */
+    async _extractTextLayerPages(pdfDoc, pageNumbers) {
+        const { layoutHeadings, inlineStyles, links: linkExtraction } = this.config.processing;
+        const pages = [];
+        const destinations = [];
 
-        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+        for (const [index, pageNum] of pageNumbers.entries()) {
             this.progressCallback({
                 stage: 'pdfjs_page',
-                message: `Extracting text from page ${pageNum}/${numPages}...`,
-                currentPage: pageNum,
-                totalPages: numPages
+                message: `Extracting text from page ${pageNum} (${index + 1}/${pageNumbers.length})...`,
+                currentPage: index + 1,
+                totalPages: pageNumbers.length,
+                pageNumber: pageNum
             });
 
             const page = await pdfDoc.getPage(pageNum);
-            const textContent = await page.getTextContent({
-                normalizeWhitespace: false,
-                disableCombineTextItems: true
+            const textContent = await page.getTextContent();
+            // Real font names (for weights and styles) are only known once the page's fonts are loaded
+            const fonts = layoutHeadings || inlineStyles ? await PdfTextLayout.resolveFonts(page, textContent.styles) : {};
+
+            const viewport = page.getViewport({ scale: 1 });
+            const links = linkExtraction ? await LinkAnnotations.getPageLinks(page, pdfDoc, viewport) : [];
+            // Internal links get a placeholder target until the headings are rendered
+            for (const link of links.filter(link => link.destination)) {
+                link.url = LinkAnnotations.getPlaceholder(destinations.length);
+                destinations.push(link.destination);
+            }
+
+            const pageLayout = PdfTextLayout.buildPage({
+                pageNumber: pageNum,
+                textContent,
+                viewport,
+                fonts,
+                readingOrder: this.config.processing.readingOrder,
+                links
             });
+            pageLayout.images = await this._extractPageImages(page, pageNum);
 
-            let pageTextBuffer = '';
-            if (textContent.items && textContent.items.length > 0) {
-                for (let i = 0; i < textContent.items.length; i++) {
-                    const item = textContent.items[i];
-                    pageTextBuffer += item.str;
-                    
-                    if (item.hasEOL) {
-                        if (!pageTextBuffer.endsWith('\n')) pageTextBuffer += '\n';
-                    } else if (i < textContent.items.length - 1) {
-                        const nextItem = textContent.items[i + 1];
-                        if (item.str && !item.str.endsWith(' ') && 
-                            nextItem.str && !nextItem.str.startsWith(' ') && 
-                            Math.abs(item.transform[5] - nextItem.transform[5]) < (item.height * 0.5)) {
-                            
-                            const currentItemEndX = item.transform[4] + item.width;
-                            const nextItemStartX = nextItem.transform[4];
-                            if (nextItemStartX - currentItemEndX > -0.5) {
-                                pageTextBuffer += ' ';
-                            }
-                        }
-                    }
-                }
-            }
-            
-            fullText += pageTextBuffer;
-            if (pageTextBuffer.trim() !== '' && !pageTextBuffer.endsWith('\n')) {
-                fullText += '\n';
+            const text = pageLayout.lines.map(line => line.text).join('\n');
+            this.pageTexts.push({ pageNumber: pageNum, source: 'text-layer', text });
+            pages.push({ pageNumber: pageNum, layout: pageLayout, text, source: 'text-layer' });
+        }
+
+        return { pages, destinations };
+    }
+
+    /**
+     * Render text-layer and OCR pages as one document. Headers and footers are found
+     * across pages, so pages are only rendered once all of them are extracted
+     * @param {Object[]} pages - Pages { pageNumber, layout, text, source } in page order; OCR pages without word boxes have no layout
+     * @returns {Object} { text, headings: position of every emitted heading }
+     */
+    _renderPages(pages) {
+        const layouts = this._stripHeadersFooters(pages.map(page => page.layout).filter(Boolean));
+        const layoutsByPage = new Map(layouts.map(layout => [layout.pageNumber, layout]));
+
+        // Font sizes and weights only carry heading levels in the text layer
+        const textLayouts = layouts.filter(layout =>
+            pages.some(page => page.pageNumber === layout.pageNumber && page.source === 'text-layer'));
+        const fontHeadings = this.config.processing.layoutHeadings && textLayouts.length > 0
+            ? new HeadingDetector(textLayouts)
+            : null;
+        const textHeadingLevels = this._getHeadingLevels(layouts, fontHeadings);
+        const ocrHeadingLevels = fontHeadings ? this._getHeadingLevels(layouts, null) : textHeadingLevels;
+
+        const headings = [];
+        const rendered = pages.map((page) => {
+            const headingLevels = page.source === 'ocr' ? ocrHeadingLevels : textHeadingLevels;
+            return page.layout
+                ? { text: this._renderPageLayout(layoutsByPage.get(page.pageNumber), headingLevels, headings), marked: !!headingLevels }
+                : { text: page.text, marked: false };
+        });
+
+        // Marked headings switch off the line heuristics of _convertToMarkdown for the whole text,
+        // so pages rendered without heading levels (e.g. OCR pages of a hybrid document) get them here
+        if (rendered.some(page => page.marked && /^#{1,6} \S/m.test(page.text))) {
+            rendered.filter(page => !page.marked).forEach((page) => {
+                page.text = this._markHeuristicHeadings(page.text);
+            });
+        }
+
+        const text = rendered
+            .map(page => page.text)
+            .filter(pageText => pageText.trim() !== '')
+            .join('\n');
+
+        return { text, headings };
+    }
+
+    /**
+     * Mark the lines of a page that the _convertToMarkdown heuristics would take for headings
+     * @param {string} text - Page text without marked headings
+     * @returns {string} Page text with heuristic headings marked
+     */
+    _markHeuristicHeadings(text) {
+        const lines = text.split('\n');
+        let inFencedBlock = false;
+
+        return lines.map((line, index) => {
+            const trimmedLine = line.trim();
+            if (trimmedLine.startsWith('```')) inFencedBlock = !inFencedBlock;
+            // Blocks that are already Markdown are never headings
+            if (inFencedBlock || /^(```|\||#{1,6} |!\[|([-*+]|\d{1,3}[.)]) \S)/.test(trimmedLine)) return line;
+            return this._isHeuristicHeading(lines, index) ? `# ${trimmedLine}` : line;
+        }).join('\n');
+    }
+
+    /**
+     * Whether a line of unmarked text looks like a heading: a short line in capitals,
+     * or a short line without closing punctuation that ends its paragraph
+     * @param {string[]} lines - Text lines
+     * @param {number} index - Index of the line
+     * @returns {boolean} Whether the line looks like a heading
+     */
+    _isHeuristicHeading(lines, index) {
+        const trimmedLine = lines[index].trim();
+        const isShortLine = trimmedLine.length > 0 && trimmedLine.length < 80;
+        const noPunctuationEnd = isShortLine && !/[.,;:!?]$/.test(trimmedLine);
+        const isAllCapsLine = trimmedLine.length > 2 && trimmedLine.length < 80 &&
+                              /^[A-Z\s\d\W]*[A-Z][A-Z\s\d\W]*$/.test(trimmedLine) &&
+                              /[A-Z]/.test(trimmedLine) && !/^\d+$/.test(trimmedLine);
+        const nextLineIsBlankOrEndOfFile = (index + 1 === lines.length ||
+                                           lines[index + 1].trim() === '');
+
+        return isAllCapsLine || (isShortLine && noPunctuationEnd && nextLineIsBlankOrEndOfFile && trimmedLine.length > 1);
+    }
+
+    /**
+     * Pages of a document selected by processing.pages
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @returns {number[]} Page numbers to convert, in ascending order
+     */
+    _getPageNumbers(pdfDoc) {
+        const pageNumbers = PageSelection.resolve(this.config.processing.pages, pdfDoc.numPages);
+        if (pageNumbers.length === 0) {
+            throw new Error(`pages "${this.config.processing.pages}" selects none of the ${pdfDoc.numPages} pages of the document`);
+        }
+        return pageNumbers;
+    }
+
+    /**
+     * Start a scenario run: clears the figures, page texts, warnings and timings of the previous one
+     */
+    _beginConversion() {
+        this.images = [];
+        this.pageTexts = [];
+        this.warnings = [];
+        this.timings = {};
+        this.searchablePdf = null;
+        this._conversionStart = performance.now();
+    }
+
+    /**
+     * Add the time since startTime to a phase of the conversion timings
+     * @param {string} phase - Phase name ('textExtraction', 'ocr', 'modelLoad', 'llmRewrite' or 'total')
+     * @param {number} startTime - performance.now() at the start of the phase
+     */
+    _recordTiming(phase, startTime) {
+        this.timings[phase] = Math.round((this.timings[phase] || 0) + performance.now() - startTime);
+    }
+
+    /**
+     * Report a recoverable problem through the progress callback and the conversion result
+     * @param {string} stage - Progress stage
+     * @param {string} message - Warning message
+     * @param {Object} details - Additional progress fields, e.g. pageNumber for warnings about one page
+     */
+    _addWarning(stage, message, details = {}) {
+        const warning = { stage, message, ...details };
+        this.warnings.push(warning);
+        this.progressCallback(warning);
+    }
+
+    /**
+     * Finish a scenario run
+     * @param {string} markdown - Markdown produced by the scenario
+     * @param {string} scenario - 'quick', 'high-accuracy', 'hybrid', 'quick-llm', 'high-accuracy-llm' or 'combined-llm'
+     * @returns {string|Object} Final Markdown, or the conversion result when config.returnResult is set
+     */
+    _completeConversion(markdown, scenario) {
+        const output = this._finalizeMarkdown(markdown, scenario);
+        if (!this.config.returnResult) return output;
+
+        if (this._conversionStart !== null) this._recordTiming('total', this._conversionStart);
+        return {
+            markdown: output,
+            // Scenario 5 reads every page twice: text layer first, then OCR
+            pages: [...this.pageTexts].sort((a, b) =>
+                a.pageNumber - b.pageNumber || (a.source === 'ocr') - (b.source === 'ocr')),
+            warnings: this.warnings,
+            metadata: this._getConversionMetadata(scenario),
+            images: this.images,
+            searchablePdf: this.searchablePdf,
+            timings: this.timings
+        };
+    }
+
+    /**
+     * Extract the figures of a page when processing.images is enabled
+     * @param {Object} page - pdf.js page proxy
+     * @param {number} pageNumber - 1-based page number
+     * @returns {Promise<Object[]>} Images of the page, numbered as figures across the document
+     */
+    async _extractPageImages(page, pageNumber) {
+        const mode = this.config.processing.images;
+        if (mode === 'none') return [];
+
+        const pdfjs = await this._getPdfJs();
+        const images = await ImageExtractor.extractPageImages(page, {
+            pageNumber,
+            viewport: page.getViewport({ scale: 1 }),
+            OPS: pdfjs.OPS,
+            canvasFactory: await this._getCanvasFactory(),
+            onError: error => this._addWarning('image_extraction_warning',
+                `Warning: An image on page ${pageNumber} could not be extracted: ${error.message}`, { pageNumber })
+        });
+
+        // Scenario 5 extracts every page twice; both extractions share the figures
+        const pageImages = images.map((image) => {
+            const existing = this.images.find(other => other.name === image.name);
+            if (existing) return existing;
+            image.figure = this.images.length + 1;
+            this.images.push(image);
+            return image;
+        });
+
+        if (mode === 'inline') {
+            for (const image of pageImages.filter(pageImage => !pageImage.dataUri)) {
+                image.dataUri = await ImageExtractor.toDataUri(image.data, image.mimeType);
             }
         }
+        return pageImages;
+    }
+
+    /**
+     * Report the extracted figures, which the scenario methods only return as Markdown references
+     */
+    _reportImages() {
+        if (this.images.length === 0) return;
 
         this.progressCallback({
-            stage: 'pdfjs_extract_complete',
-            message: 'PDF.js text extraction complete.'
+            stage: 'images_extracted',
+            message: `Extracted ${this.images.length} images.`,
+            images: this.images
+        });
+    }
+
+    /**
+     * Read the outline and metadata of a document when the output is derived from them
+     * @param {Object} pdfDoc - pdf.js document proxy
+     */
+    async _loadDocumentInfo(pdfDoc) {
+        const { outlineHeadings, tableOfContents, frontMatter } = this.config.processing;
+        this.outline = outlineHeadings || tableOfContents ? await DocumentOutline.load(pdfDoc) : [];
+        this.documentMetadata = frontMatter || this.config.returnResult ? await FrontMatter.readMetadata(pdfDoc) : {};
+    }
+
+    /**
+     * Combine outline heading levels with the font-based heading detector
+     * @param {Object[]} pages - Page layouts to render
+     * @param {HeadingDetector|null} headingDetector - Font-based heading detector
+     * @returns {DocumentOutline|HeadingDetector|null} Source of heading levels
+     */
+    _getHeadingLevels(pages, headingDetector) {
+        if (!this.config.processing.outlineHeadings || this.outline.length === 0) return headingDetector;
+
+        // Bookmarked titles are authoritative; the font heuristics still cover everything else
+        const outline = new DocumentOutline(this.outline, pages, headingDetector);
+        return outline.hasHeadings() ? outline : headingDetector;
+    }
+
+    /**
+     * Add the document-level parts to the Markdown of a scenario: embedded images
+     * (processing.images = 'inline'), the linked table of contents (processing.tableOfContents)
+     * and YAML front matter (processing.frontMatter)
+     * @param {string} markdown - Final Markdown of a scenario
+     * @param {string} scenario - 'quick', 'high-accuracy', 'hybrid', 'quick-llm', 'high-accuracy-llm' or 'combined-llm'
+     * @returns {string} Markdown
+     */
+    _finalizeMarkdown(markdown, scenario) {
+        const { images, tableOfContents, frontMatter } = this.config.processing;
+        // Data URIs are only swapped in here, so post-processing and the LLM never see them
+        let output = images === 'inline' ? ImageExtractor.inlineImages(markdown, this.images) : markdown;
+        if (tableOfContents) {
+            output = DocumentOutline.prependTableOfContents(this.outline, output);
+        }
+
+        if (frontMatter) {
+            output = FrontMatter.prepend(output, this._getConversionMetadata(scenario));
+        }
+
+        return output;
+    }
+
+    /**
+     * Document metadata with the facts of a conversion, as used for front matter and results
+     * @param {string} scenario - Scenario name
+     * @returns {Object} Metadata fields (null when not applicable)
+     */
+    _getConversionMetadata(scenario) {
+        return {
+            ...this.documentMetadata,
+            scenario,
+            ocr_language: scenario.startsWith('quick') ? null : this._getDocumentLanguage(),
+            llm_model: scenario.endsWith('-llm') ? this._getModelId() : null
+        };
+    }
+
+    /**
+     * Strip running headers, footers and page numbers detected across pages
+     * @param {Object[]} pages - Page layouts
+     * @returns {Object[]} Page layouts to render
+     */
+    _stripHeadersFooters(pages) {
+        const mode = this.config.processing.headersFooters;
+        this.headersFooters = [];
+        if (mode === 'keep') return pages;
+
+        const detector = new HeaderFooterDetector(pages);
+        if (!detector.hasDecorations()) return pages;
+
+        if (mode === 'metadata') {
+            this.headersFooters = detector.getMetadata();
+        }
+
+        this.progressCallback({
+            stage: 'headers_footers_removed',
+            message: `Removed ${detector.decorations.size} repeated header, footer and page number lines.`,
+            ...(mode === 'metadata' && { headersFooters: this.headersFooters })
         });
 
-        return fullText;
+        return pages.map(page => detector.strip(page));
+    }
+
+    /**
+     * Render a page layout as text, marking detected headings, code blocks, tables,
+     * lists, emphasis, links and figures with Markdown syntax and separating paragraphs with blank lines
+     * @param {Object} page - Page layout from PdfTextLayout or OcrLayout
+     * @param {HeadingDetector|DocumentOutline|null} headingDetector - Source of heading levels for the document
+     * @param {Object[]|null} headings - Collects the position of every emitted heading
+     * @returns {string} Page text
+     */
+    _renderPageLayout(page, headingDetector, headings = null) {
+        const outputLines = [];
+        let heading = null;
+        const { inlineStyles, tableDetection, listDetection } = this.config.processing;
+        const blockOptions = {
+            isExcluded: line => !!headingDetector && headingDetector.getLevel(line) > 0,
+            isParagraphBreak: (line, nextLine) => nextLine.paragraphStart || PdfTextLayout.isParagraphBreak(line, nextLine)
+        };
+        const overlaps = (block, others) => others.some(other => block.start <= other.end && other.start <= block.end);
+
+        // Monospace runs are code even when aligned like a table; lists yield to both
+        const codeBlocks = inlineStyles ? InlineStyleFormatter.findCodeBlocks(page.lines, blockOptions) : [];
+        const tables = tableDetection
+            ? TableDetector.findTables(page.lines).filter(table => !overlaps(table, codeBlocks))
+            : [];
+        const lists = listDetection
+            ? ListDetector.findLists(page.lines, blockOptions).filter(list => !overlaps(list, [...codeBlocks, ...tables]))
+            : [];
+        const blockStarts = new Map([...codeBlocks, ...tables, ...lists].map(block => [block.start, block]));
+        // Figures go before the first line read after them
+        const figures = (page.images || [])
+            .map(image => ({ image, index: ImageExtractor.getInsertionIndex(page.lines, image) }))
+            .sort((a, b) => a.index - b.index);
+
+        const flushHeading = () => {
+            if (!heading) return;
+            const headingText = heading.parts.join(' ');
+            if (HeadingDetector.looksLikeHeadingText(headingText, 150)) {
+                this._addSeparatorLine(outputLines);
+                outputLines.push(`${'#'.repeat(heading.level)} ${headingText}`);
+                outputLines.push('');
+                if (headings) {
+                    headings.push({ pageNumber: page.pageNumber, y: heading.line.y, height: heading.line.height });
+                }
+            } else {
+                // Too long for a heading: keep it as body text
+                outputLines.push(...heading.parts);
+            }
+            heading = null;
+        };
+
+        const flushFigures = (index) => {
+            while (figures.length > 0 && figures[0].index <= index) {
+                flushHeading();
+                this._addSeparatorLine(outputLines);
+                outputLines.push(ImageExtractor.toMarkdown(figures.shift().image), '');
+            }
+        };
+
+        for (let i = 0; i < page.lines.length; i++) {
+            flushFigures(i);
+            const block = blockStarts.get(i);
+            if (block) {
+                flushHeading();
+                this._addSeparatorLine(outputLines);
+                outputLines.push(...block.markdown, '');
+                i = block.end;
+                continue;
+            }
+
+            const line = page.lines[i];
+            const previousLine = page.lines[i - 1];
+            const breakBefore = previousLine &&
+                (line.paragraphStart || PdfTextLayout.isParagraphBreak(previousLine, line));
+            const level = headingDetector ? headingDetector.getLevel(line) : 0;
+
+            if (level > 0) {
+                // Headings wrapped over several lines continue at the same level
+                const continuesHeading = !breakBefore ||
+                    (headingDetector instanceof DocumentOutline && headingDetector.isContinuation(line));
+                if (heading && heading.level === level && continuesHeading) {
+                    heading.parts.push(line.text);
+                } else {
+                    flushHeading();
+                    heading = { level, line, parts: [line.text] };
+                }
+                continue;
+            }
+
+            flushHeading();
+            if (breakBefore) this._addSeparatorLine(outputLines);
+            outputLines.push(InlineStyleFormatter.formatLine(line, { styles: inlineStyles }));
+        }
+        flushHeading();
+        flushFigures(Infinity);
+
+        return outputLines.join('\n').trim();
     }
 
     /**
@@ -628,6 +1792,12 @@ export class Extract2MDConverter {
         if (!text) return '';
         
         let cleanedText = text;
+
+        // Rejoin hyphenated line breaks before dashes are normalized to hyphens
+        if (this.config.processing.dehyphenate) {
+            const dehyphenator = new Dehyphenator(this._getDocumentLanguage());
+            cleanedText = this._mapOutsideCodeFences(cleanedText, part => dehyphenator.dehyphenate(part));
+        }
         
         // Apply default rules
         const defaultRules = [
@@ -640,8 +1810,16 @@ export class Extract2MDConverter {
             { find: /[\u201C\u201D]/g, replace: '"' },
             { find: /[\u2022\u2023\u25E6\u2043\u2219\u25CF\u25CB\u2981\u2619\u2765]/g, replace: '-' },
             { find: /[\u2013\u2014]/g, replace: '-' },
-            { find: /\u00AD/g, replace: '' },
-            { find: /[\s\u00A0\u2000-\u200A\u202F\u205F\u3000]+/g, replace: ' ' }
+            { find: /\u00AD/g, replace: '' }
+        ];
+
+        // Collapse horizontal whitespace only; line breaks carry the document structure.
+        // Fenced code blocks keep their spacing, since alignment is their content
+        const whitespaceRules = [
+            { find: /(\S)[^\S\r\n]+/g, replace: '$1 ' },
+            { find: /[^\S\r\n]+$/gm, replace: '' },
+            // Leading indentation only carries meaning for nested list items
+            { find: /^[^\S\r\n]+(?![^\S\r\n]|(?:[-*+]|\d{1,3}[.)]) \S)/gm, replace: '' }
         ];
 
         // Add PascalCase rules if enabled
@@ -679,10 +1857,27 @@ export class Extract2MDConverter {
             cleanedText = cleanedText.replace(rule.find, rule.replace);
         }
 
+        cleanedText = this._mapOutsideCodeFences(cleanedText, part =>
+            whitespaceRules.reduce((result, rule) => result.replace(rule.find, rule.replace), part));
+
         // Final normalization - combine line break handling with newline normalization
         return cleanedText.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
     }
 
+    /**
+     * Transform the parts of a text that lie outside fenced code blocks
+     * @param {string} text - Text that may contain fenced code blocks
+     * @param {Function} transform - Transformation for text outside code blocks
+     * @returns {string} Transformed text
+     */
+    _mapOutsideCodeFences(text, transform) {
+        // Fenced blocks are matched as whole lines so the split keeps them intact
+        return text
+            .split(/(^```[^\n]*\n[\s\S]*?^```[ \t]*$)/m)
+            .map((part, index) => (index % 2 === 1 ? part : transform(part)))
+            .join('');
+    }
+
     /**
      * Convert text to markdown with optimized newline handling
      */
@@ -691,9 +1886,17 @@ export class Extract2MDConverter {
         let markdownOutputLines = [];
         const inputLines = rawText.split(/\n/);
 
+        // Headings already marked during layout-aware extraction take precedence over the heuristics
+        const hasMarkedHeadings = /^#{1,6} \S/m.test(rawText);
+
         let currentParagraphCollector = [];
-        let inPotentialTableBlock = false;
-        let potentialTableBlockLines = [];
+        let inFencedBlock = false;
+        let inList = false;
+
+        const flushList = () => {
+            inList = false;
+            this._addSeparatorLine(markdownOutputLines);
+        };
 
         const flushCurrentParagraph = () => {
             if (currentParagraphCollector.length > 0) {
@@ -704,64 +1907,74 @@ export class Extract2MDConverter {
             }
         };
 
-        const flushPotentialTableBlock = () => {
-            if (potentialTableBlockLines.length > 0) {
-                if (potentialTableBlockLines.length >= 2) {
-                    markdownOutputLines.push('```');
-                    markdownOutputLines.push(...potentialTableBlockLines.map(l => l.trimEnd()));
-                    markdownOutputLines.push('```');
-                } else {
-                    markdownOutputLines.push(potentialTableBlockLines.join(' ').trim());
-                }
-                potentialTableBlockLines = [];
-                this._addSeparatorLine(markdownOutputLines);
-            }
-            inPotentialTableBlock = false;
-        };
-
         for (let i = 0; i < inputLines.length; i++) {
             const originalLine = inputLines[i];
             const trimmedLine = originalLine.trim();
 
+            // Fenced blocks and tables produced during extraction are already Markdown
+            if (inFencedBlock || trimmedLine.startsWith('```')) {
+                if (!inFencedBlock) {
+                    if (inList) flushList();
+                    flushCurrentParagraph();
+                }
+                markdownOutputLines.push(originalLine.trimEnd());
+                if (trimmedLine.startsWith('```')) {
+                    inFencedBlock = !inFencedBlock;
+                    if (!inFencedBlock) this._addSeparatorLine(markdownOutputLines);
+                }
+                continue;
+            }
+
+            if (/^\|.*\|$/.test(trimmedLine)) {
+                if (inList) flushList();
+                flushCurrentParagraph();
+                markdownOutputLines.push(trimmedLine);
+                if (!/^\|.*\|$/.test((inputLines[i + 1] || '').trim())) {
+                    this._addSeparatorLine(markdownOutputLines);
+                }
+                continue;
+            }
+
             if (trimmedLine === '') {
-                if (inPotentialTableBlock) flushPotentialTableBlock();
+                if (inList) flushList();
                 flushCurrentParagraph();
                 continue;
             }
+
+            // Headings and figures stand on their own
+            if (/^#{1,6} \S/.test(trimmedLine) || /^!\[[^\]]*\]\([^)\s]+\)$/.test(trimmedLine)) {
+                if (inList) flushList();
+                flushCurrentParagraph();
+                markdownOutputLines.push(trimmedLine);
+                this._addSeparatorLine(markdownOutputLines);
+                continue;
+            }
+
+            // List items start a block (keeping their nesting indentation); wrapped lines continue the item
+            if (/^([-*+]|\d{1,3}[.)]) \S/.test(trimmedLine) && (inList || currentParagraphCollector.length === 0)) {
+                markdownOutputLines.push(originalLine.trimEnd());
+                inList = true;
+                continue;
+            }
+            if (inList) {
+                markdownOutputLines[markdownOutputLines.length - 1] += ` ${trimmedLine}`;
+                continue;
+            }
             
-            const isShortLine = trimmedLine.length > 0 && trimmedLine.length < 80;
-            const noPunctuationEnd = isShortLine && !/[.,;:!?]$/.test(trimmedLine);
-            const isAllCapsLine = trimmedLine.length > 2 && trimmedLine.length < 80 && 
-                                  /^[A-Z\s\d\W]*[A-Z][A-Z\s\d\W]*$/.test(trimmedLine) && 
-                                  /[A-Z]/.test(trimmedLine) && !/^\d+$/.test(trimmedLine);
-            const nextLineIsBlankOrEndOfFile = (i + 1 === inputLines.length || 
-                                               inputLines[i + 1].trim() === '');
-
-            if (isAllCapsLine || (isShortLine && noPunctuationEnd && nextLineIsBlankOrEndOfFile && trimmedLine.length > 1)) {
-                if (inPotentialTableBlock) flushPotentialTableBlock();
+            if (!hasMarkedHeadings && this._isHeuristicHeading(inputLines, i)) {
                 flushCurrentParagraph();
                 markdownOutputLines.push(`# ${trimmedLine}`);
                 this._addSeparatorLine(markdownOutputLines);
-                if (nextLineIsBlankOrEndOfFile && inputLines[i + 1] && inputLines[i + 1].trim() === '') {
+                if (inputLines[i + 1] && inputLines[i + 1].trim() === '') {
                     i++;
                 }
                 continue;
             }
 
-            const hasMultipleSpacesBetweenWords = /\S\s{2,}\S/.test(originalLine);
-            const hasMultipleColumnsBySpaces = originalLine.split(/\s{2,}/).length > 2 && originalLine.length > 10;
-
-            if (hasMultipleSpacesBetweenWords || hasMultipleColumnsBySpaces) {
-                flushCurrentParagraph();
-                if (!inPotentialTableBlock) inPotentialTableBlock = true;
-                potentialTableBlockLines.push(originalLine);
-            } else {
-                if (inPotentialTableBlock) flushPotentialTableBlock();
-                if (trimmedLine) currentParagraphCollector.push(trimmedLine);
-            }
+            currentParagraphCollector.push(trimmedLine);
         }
 
-        if (inPotentialTableBlock) flushPotentialTableBlock();
+        if (inList) flushList();
         flushCurrentParagraph();
 
         // Optimized final cleanup - single pass to normalize excessive newlines
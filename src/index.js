@@ -9,9 +9,9 @@ import WebLLMEngine from './engines/WebLLMEngine.js';
 import OutputParser from './utils/OutputParser.js';
 import SystemPrompts from './utils/SystemPrompts.js';
 import ConfigValidator from './utils/ConfigValidator.js';
+import RuntimeEnvironment from './utils/RuntimeEnvironment.js';
 
 // Legacy imports for backwards compatibility
-import * as pdfjsLib from 'pdfjs-dist/build/pdf.mjs';
 import Tesseract from 'tesseract.js';
 import { Chat as ImportedChat, CreateMLCEngine as ImportedCreateMLCEngine } from '@mlc-ai/web-llm';
 import * as webllm from '@mlc-ai/web-llm';
@@ -27,12 +27,7 @@ const DEFAULT_LLM_MODEL_LIB_URL = 'https://raw.githubusercontent.com/mlc-ai/bina
 class LegacyExtract2MDConverter {
     constructor(options = {}) {
         this.pdfJsWorkerSrc = options.pdfJsWorkerSrc || DEFAULT_PDFJS_WORKER_SRC;
-        const pdfjsSetupLib = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        if (pdfjsSetupLib && pdfjsSetupLib.GlobalWorkerOptions) {
-            pdfjsSetupLib.GlobalWorkerOptions.workerSrc = this.pdfJsWorkerSrc;
-        } else {
-            console.warn('pdfjsLib or pdfjsLib.GlobalWorkerOptions is not defined. PDF.js worker may not load correctly if not already configured globally.');
-        }
+        this._pdfjsPromise = null; // pdf.js is loaded lazily so importing the package never touches the DOM
 
         this.tesseractOptions = { 
             workerPath: options.tesseractWorkerPath || DEFAULT_TESSERACT_WORKER_PATH,
@@ -251,11 +246,25 @@ class LegacyExtract2MDConverter {
         return finalMarkdown;
     }
 
-    async _extractTextWithPdfJs(fileArrayBuffer) {
-        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        if (!pdfjs || !pdfjs.getDocument) {
-            throw new Error('pdf.js library (pdfjsLib) is not loaded or not fully initialized.');
+    async _getPdfJs() {
+        if (!this._pdfjsPromise) {
+            this._pdfjsPromise = RuntimeEnvironment.loadPdfJs('browser').then((pdfjsSetupLib) => {
+                if (pdfjsSetupLib.GlobalWorkerOptions) {
+                    pdfjsSetupLib.GlobalWorkerOptions.workerSrc = this.pdfJsWorkerSrc;
+                } else {
+                    console.warn('pdfjsLib.GlobalWorkerOptions is not defined. PDF.js worker may not load correctly if not already configured globally.');
+                }
+                return pdfjsSetupLib;
+            });
+            this._pdfjsPromise.catch(() => {
+                this._pdfjsPromise = null;
+            });
         }
+        return this._pdfjsPromise;
+    }
+
+    async _extractTextWithPdfJs(fileArrayBuffer) {
+        const pdfjs = await this._getPdfJs();
 
         this.progressCallback({ stage: 'pdfjs_load', message: 'Loading PDF with pdf.js...' });
         const pdfDoc = await pdfjs.getDocument({ data: fileArrayBuffer }).promise;
@@ -313,8 +322,7 @@ class LegacyExtract2MDConverter {
 
     async highAccuracyConvert(pdfFile, options = {}) {
         if (!(pdfFile instanceof File)) throw new Error('Invalid input: pdfFile must be a File object.');
-        const pdfjs = (typeof pdfjsLib !== 'undefined' ? pdfjsLib : (typeof window !== 'undefined' ? window.pdfjsLib : null));
-        if (!pdfjs || !pdfjs.getDocument) throw new Error('pdf.js library (pdfjsLib) is not loaded or not fully initialized.');
+        const pdfjs = await this._getPdfJs();
         const Tess = (typeof Tesseract !== 'undefined' ? Tesseract : (typeof window !== 'undefined' ? window.Tesseract : null));
         if (!Tess) throw new Error('Tesseract.js library is not loaded.');
 
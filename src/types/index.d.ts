@@ -2,6 +2,12 @@
  * TypeScript definitions for Extract2MD
  */
 
+// Accepted document inputs (Node Buffers are Uint8Arrays; strings are file paths in Node.js)
+export type PdfInput = File | Blob | ArrayBuffer | ArrayBufferView | string;
+
+// Images are accepted by the OCR scenarios (highAccuracyConvertOnly, highAccuracyConvertWithLLM)
+export type InputType = 'pdf' | 'png' | 'jpeg' | 'tiff' | 'webp';
+
 // Core configuration interfaces
 export interface OCRConfig {
   language?: string;
@@ -32,9 +38,21 @@ export interface ProgressReport {
   message: string;
   currentPage?: number;
   totalPages?: number;
+  pageNumber?: number;
+  ocrPages?: number[];
+  workers?: number;
+  confidence?: number | null;
+  script?: string | null;
+  language?: string;
+  rotation?: number;
+  previousRotation?: number;
+  source?: 'text-layer' | 'osd';
+  textLayerScores?: Array<TextLayerScore & { pageNumber: number }>;
   progress?: number;
   usage?: any;
   error?: any;
+  headersFooters?: PageHeadersFooters[];
+  images?: ExtractedImage[];
 }
 
 export interface TesseractConfig {
@@ -42,9 +60,30 @@ export interface TesseractConfig {
   corePath?: string;
   langPath?: string;
   language?: string;
+  scriptLanguages?: Record<string, string>;
+  osdSamplePage?: number | null;
+  oem?: number;
+  psm?: number;
+  whitelist?: string;
+  blacklist?: string;
+  preserveInterwordSpaces?: boolean;
+  dpi?: number | 'auto' | null;
+  pageOverrides?: TesseractPageOverride[];
+  workers?: number;
+  memoryBudgetMB?: number;
   options?: any;
 }
 
+export interface TesseractPageOverride {
+  pages: string | number[];
+  language?: string;
+  psm?: number;
+  whitelist?: string;
+  blacklist?: string;
+  preserveInterwordSpaces?: boolean;
+  dpi?: number | 'auto' | null;
+}
+
 export interface CustomModelConfig {
   model: string;
   model_id: string;
@@ -70,11 +109,86 @@ export interface SystemPromptsConfig {
 
 export interface ProcessingConfig {
   splitPascalCase?: boolean;
+  layoutHeadings?: boolean;
+  tableDetection?: boolean;
+  listDetection?: boolean;
+  inlineStyles?: boolean;
+  links?: boolean;
+  outlineHeadings?: boolean;
+  tableOfContents?: boolean;
+  frontMatter?: boolean;
+  images?: ImageMode;
+  pages?: string | number[] | null;
+  textLayerQuality?: TextLayerThresholds;
+  readingOrder?: ReadingOrderMode;
+  headersFooters?: HeadersFootersMode;
+  dehyphenate?: boolean;
   pdfRenderScale?: number;
+  orientation?: OrientationMode;
+  preprocessing?: PreprocessingStep[];
+  ocrConfidence?: OcrConfidenceConfig;
+  ocrExport?: OcrExportFormat[];
+  searchablePdf?: SearchablePdfMode;
   postProcessRules?: PostProcessRule[];
 }
 
+export type PreprocessingOperation = 'grayscale' | 'deskew' | 'threshold' | 'despeckle' | 'crop';
+
+// Custom steps get the canvas factory of the conversion to create the canvases they return
+export interface PreprocessingContext {
+  canvasFactory: {
+    create(width: number, height: number): any;
+    destroy(canvas: any): void;
+  };
+}
+
+export type CustomPreprocessingStep = (canvas: any, context: PreprocessingContext) => any | Promise<any>;
+
+export type PreprocessingStep =
+  | PreprocessingOperation
+  | { operation: 'grayscale' }
+  | { operation: 'deskew'; maxAngle?: number; step?: number }
+  | { operation: 'threshold'; windowSize?: number | null; offset?: number }
+  | { operation: 'despeckle'; maxArea?: number }
+  | { operation: 'crop'; borderRatio?: number; padding?: number }
+  | CustomPreprocessingStep;
+
+export interface OcrConfidenceConfig {
+  wordThreshold?: number;
+  marker?: string | null;
+  pageThreshold?: number;
+  retryRenderScale?: number;
+}
+
+export type RuntimeMode = 'auto' | 'browser' | 'node';
+
+export type ReadingOrderMode = 'stream' | 'layout';
+
+export type HeadersFootersMode = 'remove' | 'metadata' | 'keep';
+
+export type OrientationMode = 'page' | 'text-layer' | 'osd' | 'auto';
+
+export type ImageMode = 'none' | 'files' | 'inline';
+
+export type OcrExportFormat = 'hocr' | 'alto';
+
+export type SearchablePdfMode = 'none' | 'jpeg' | 'lossless';
+
+export interface CanvasFactoryImplementation {
+  create(width: number, height: number): any;
+  toImage?(canvas: any): any | Promise<any>;
+  destroy?(canvas: any): void;
+  loadImage?(data: Uint8Array, mimeType: string): Promise<any>;
+}
+
+export type CanvasFactoryOption =
+  | ((width: number, height: number) => any)
+  | CanvasFactoryImplementation;
+
 export interface Extract2MDConfig {
+  runtime?: RuntimeMode;
+  canvasFactory?: CanvasFactoryOption | null;
+  returnResult?: boolean;
   pdfJsWorkerSrc?: string;
   tesseract?: TesseractConfig;
   llm?: LLMConfig;
@@ -146,6 +260,7 @@ export class SystemPrompts {
 export class ConfigValidator {
   static getDefaultConfig(): Extract2MDConfig;
   static validate(config?: any): Extract2MDConfig;
+  static validateRuntimeConfig(config: any): void;
   static validateTesseractConfig(tesseractConfig: any): void;
   static validateLLMConfig(llmConfig: any): void;
   static validateCustomModel(customModel: any): void;
@@ -158,15 +273,141 @@ export class ConfigValidator {
   static getSchema(): any;
 }
 
+export interface PageHeadersFooters {
+  pageNumber: number;
+  headers: string[];
+  footers: string[];
+}
+
+export interface LinkDestination {
+  pageNumber: number;
+  /** Top-left y-coordinate, or null for the top of the page */
+  y: number | null;
+}
+
+export interface DocumentMetadata {
+  title?: string;
+  author?: string;
+  subject?: string;
+  keywords?: string[];
+  creation_date?: string;
+  modification_date?: string;
+  creator?: string;
+  producer?: string;
+  page_count?: number;
+}
+
+export interface TextLayerThresholds {
+  minCharacters?: number;
+  maxGarbageRatio?: number;
+  maxUnmappedRatio?: number;
+}
+
+export interface TextLayerScore {
+  characters: number;
+  garbageRatio: number;
+  unmappedRatio: number;
+}
+
+export interface ExtractedImage {
+  name: string;
+  pageNumber: number;
+  figure?: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  pixelWidth: number;
+  pixelHeight: number;
+  mimeType: 'image/png';
+  data: Uint8Array | Blob;
+  dataUri?: string;
+}
+
+export interface OutlineEntry {
+  title: string;
+  level: number;
+  destination: LinkDestination | null;
+}
+
+export interface OcrWord {
+  text: string;
+  confidence: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  lowConfidence?: boolean;
+}
+
 export class Extract2MDConverter {
   constructor(config?: Extract2MDConfig);
+
+  headersFooters: PageHeadersFooters[];
+  linkTargets: Map<number, number>;
+  outline: OutlineEntry[];
+  documentMetadata: DocumentMetadata;
+  images: ExtractedImage[];
+  searchablePdf: Uint8Array | null;
+  pageTexts: PageText[];
+  warnings: ConversionWarning[];
+  timings: ConversionTimings;
+  ocrLanguage: string;
+  ocrRotation: number;
   
-  // Scenario-specific static methods
-  static quickConvertOnly(pdfFile: File, options?: Extract2MDConfig): Promise<string>;
-  static highAccuracyConvertOnly(pdfFile: File, options?: Extract2MDConfig): Promise<string>;
-  static quickConvertWithLLM(pdfFile: File, options?: Extract2MDConfig): Promise<string>;
-  static highAccuracyConvertWithLLM(pdfFile: File, options?: Extract2MDConfig): Promise<string>;
-  static combinedConvertWithLLM(pdfFile: File, options?: Extract2MDConfig): Promise<string>;
+  // Scenario-specific static methods (returnResult: true resolves to a ConversionResult)
+  static quickConvertOnly(pdfFile: PdfInput, options: Extract2MDConfig & { returnResult: true }): Promise<ConversionResult>;
+  static quickConvertOnly(pdfFile: PdfInput, options?: Extract2MDConfig): Promise<string>;
+  static highAccuracyConvertOnly(pdfFile: PdfInput, options: Extract2MDConfig & { returnResult: true }): Promise<ConversionResult>;
+  static highAccuracyConvertOnly(pdfFile: PdfInput, options?: Extract2MDConfig): Promise<string>;
+  static quickConvertWithLLM(pdfFile: PdfInput, options: Extract2MDConfig & { returnResult: true }): Promise<ConversionResult>;
+  static quickConvertWithLLM(pdfFile: PdfInput, options?: Extract2MDConfig): Promise<string>;
+  static highAccuracyConvertWithLLM(pdfFile: PdfInput, options: Extract2MDConfig & { returnResult: true }): Promise<ConversionResult>;
+  static highAccuracyConvertWithLLM(pdfFile: PdfInput, options?: Extract2MDConfig): Promise<string>;
+  static combinedConvertWithLLM(pdfFile: PdfInput, options: Extract2MDConfig & { returnResult: true }): Promise<ConversionResult>;
+  static combinedConvertWithLLM(pdfFile: PdfInput, options?: Extract2MDConfig): Promise<string>;
+  static hybridConvertOnly(pdfFile: PdfInput, options: Extract2MDConfig & { returnResult: true }): Promise<ConversionResult>;
+  static hybridConvertOnly(pdfFile: PdfInput, options?: Extract2MDConfig): Promise<string>;
+}
+
+export interface PageText {
+  pageNumber: number;
+  source: 'text-layer' | 'ocr';
+  text: string;
+  confidence?: number;
+  words?: OcrWord[];
+  hocr?: string;
+  alto?: string;
+}
+
+export interface ConversionWarning {
+  stage: string;
+  message: string;
+  pageNumber?: number;
+}
+
+export interface ConversionMetadata extends DocumentMetadata {
+  scenario: 'quick' | 'high-accuracy' | 'hybrid' | 'quick-llm' | 'high-accuracy-llm' | 'combined-llm';
+  ocr_language: string | null;
+  llm_model: string | null;
+}
+
+export interface ConversionTimings {
+  textExtraction?: number;
+  ocr?: number;
+  modelLoad?: number;
+  llmRewrite?: number;
+  total?: number;
+}
+
+export interface ConversionResult {
+  markdown: string;
+  pages: PageText[];
+  warnings: ConversionWarning[];
+  metadata: ConversionMetadata;
+  images: ExtractedImage[];
+  searchablePdf: Uint8Array | null;
+  timings: ConversionTimings;
 }
 
 // Legacy support - keeping the old interface available
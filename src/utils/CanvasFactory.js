@@ -0,0 +1,222 @@
+/**
+ * CanvasFactory.js
+ * Creates render targets for pdf.js page rendering and converts them into
+ * images Tesseract.js can recognize, in browsers, workers and Node.js
+ */
+
+const NODE_CANVAS_MODULES = ['@napi-rs/canvas', 'canvas'];
+
+export class CanvasFactory {
+    /**
+     * @param {Object} implementation - Canvas implementation
+     * @param {Function} implementation.create - (width, height) => canvas with a 2D context
+     * @param {Function} [implementation.toImage] - (canvas) => image accepted by Tesseract.js
+     * @param {Function} [implementation.destroy] - (canvas) => void, releases canvas memory
+     * @param {Function} [implementation.loadImage] - (data, mimeType) => Promise of an image drawImage() accepts, decodes image inputs
+     */
+    constructor(implementation) {
+        if (!implementation || typeof implementation.create !== 'function') {
+            throw new Error('Canvas factory must provide a create(width, height) function');
+        }
+        this.implementation = implementation;
+    }
+
+    /**
+     * Create a canvas of the given size
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     * @returns {Object} Canvas with a 2D context
+     */
+    create(width, height) {
+        const canvasWidth = Math.max(1, Math.ceil(width));
+        const canvasHeight = Math.max(1, Math.ceil(height));
+        const canvas = this.implementation.create(canvasWidth, canvasHeight);
+
+        if (!canvas || typeof canvas.getContext !== 'function') {
+            throw new Error('Canvas factory create() must return a canvas with getContext()');
+        }
+
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+        return canvas;
+    }
+
+    /**
+     * Convert a rendered canvas into an image Tesseract.js accepts
+     * @param {Object} canvas - Rendered canvas
+     * @returns {Promise<*>} Canvas, Blob or PNG Buffer
+     */
+    async toImage(canvas) {
+        if (typeof this.implementation.toImage === 'function') {
+            return await this.implementation.toImage(canvas);
+        }
+
+        // Node canvas implementations (@napi-rs/canvas, node-canvas)
+        if (typeof canvas.toBuffer === 'function') {
+            return canvas.toBuffer('image/png');
+        }
+
+        // OffscreenCanvas in workers
+        if (typeof canvas.convertToBlob === 'function') {
+            return await canvas.convertToBlob({ type: 'image/png' });
+        }
+
+        // HTMLCanvasElement is recognized directly
+        return canvas;
+    }
+
+    /**
+     * Encode a canvas as a PNG file
+     * @param {Object} canvas - Canvas to encode
+     * @returns {Promise<Buffer|Blob>} PNG Buffer (Node.js) or Blob (browsers and workers)
+     */
+    async toPng(canvas) {
+        if (typeof canvas.toBuffer === 'function') {
+            return canvas.toBuffer('image/png');
+        }
+        if (typeof canvas.convertToBlob === 'function') {
+            return await canvas.convertToBlob({ type: 'image/png' });
+        }
+        if (typeof canvas.toBlob === 'function') {
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded as PNG'))), 'image/png');
+            });
+        }
+        throw new Error('Canvas does not support PNG encoding (toBuffer, convertToBlob or toBlob)');
+    }
+
+    /**
+     * Encode a canvas as a JPEG file
+     * @param {Object} canvas - Canvas to encode
+     * @param {number} quality - JPEG quality from 0 to 1
+     * @returns {Promise<Buffer|Blob>} JPEG Buffer (Node.js) or Blob (browsers and workers)
+     */
+    async toJpeg(canvas, quality) {
+        // @napi-rs/canvas takes the quality from 0 to 100
+        if (typeof canvas.encode === 'function') {
+            return await canvas.encode('jpeg', Math.round(quality * 100));
+        }
+        // node-canvas
+        if (typeof canvas.toBuffer === 'function') {
+            return canvas.toBuffer('image/jpeg', { quality });
+        }
+        if (typeof canvas.convertToBlob === 'function') {
+            return await canvas.convertToBlob({ type: 'image/jpeg', quality });
+        }
+        if (typeof canvas.toBlob === 'function') {
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded as JPEG'))), 'image/jpeg', quality);
+            });
+        }
+        throw new Error('Canvas does not support JPEG encoding (encode, toBuffer, convertToBlob or toBlob)');
+    }
+
+    /**
+     * Decode a PNG, JPEG or WebP file into an image that can be drawn on a canvas
+     * @param {Uint8Array} data - Image file bytes
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} Image or ImageBitmap with width and height
+     */
+    async loadImage(data, mimeType) {
+        if (typeof this.implementation.loadImage === 'function') {
+            return await this.implementation.loadImage(data, mimeType);
+        }
+
+        // Browsers and workers
+        if (typeof createImageBitmap === 'function' && typeof Blob !== 'undefined') {
+            return await createImageBitmap(new Blob([data], { type: mimeType }));
+        }
+
+        throw new Error('Canvas does not support decoding images. Provide a canvasFactory with loadImage(data, mimeType) in the configuration.');
+    }
+
+    /**
+     * Release the memory held by a canvas
+     * @param {Object} canvas - Canvas to release
+     */
+    destroy(canvas) {
+        if (!canvas) return;
+
+        if (typeof this.implementation.destroy === 'function') {
+            this.implementation.destroy(canvas);
+            return;
+        }
+
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    /**
+     * Resolve the canvas factory for a runtime
+     * @param {string} runtime - Resolved runtime ('browser' or 'node')
+     * @param {Function|Object|null} customFactory - User-supplied factory function or object
+     * @returns {Promise<CanvasFactory>} Canvas factory
+     */
+    static async resolve(runtime, customFactory = null) {
+        if (customFactory) {
+            return this.fromCustom(customFactory);
+        }
+
+        if (runtime === 'browser') {
+            if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+                return new CanvasFactory({
+                    create: () => document.createElement('canvas')
+                });
+            }
+            if (typeof OffscreenCanvas !== 'undefined') {
+                return new CanvasFactory({
+                    create: (width, height) => new OffscreenCanvas(width, height)
+                });
+            }
+            throw new Error('No canvas implementation available: neither document nor OffscreenCanvas is defined. Provide a canvasFactory in the configuration.');
+        }
+
+        const canvasModule = await this.loadNodeCanvas();
+        return new CanvasFactory({
+            create: (width, height) => canvasModule.createCanvas(width, height),
+            loadImage: data => canvasModule.loadImage(Buffer.from(data.buffer, data.byteOffset, data.byteLength))
+        });
+    }
+
+    /**
+     * Wrap a user-supplied factory
+     * @param {Function|Object} customFactory - (width, height) => canvas, or an object with create()
+     * @returns {CanvasFactory} Canvas factory
+     */
+    static fromCustom(customFactory) {
+        if (customFactory instanceof CanvasFactory) {
+            return customFactory;
+        }
+        if (typeof customFactory === 'function') {
+            return new CanvasFactory({ create: customFactory });
+        }
+        return new CanvasFactory({
+            create: (width, height) => customFactory.create(width, height),
+            toImage: customFactory.toImage ? (canvas) => customFactory.toImage(canvas) : undefined,
+            destroy: customFactory.destroy ? (canvas) => customFactory.destroy(canvas) : undefined,
+            loadImage: customFactory.loadImage ? (data, mimeType) => customFactory.loadImage(data, mimeType) : undefined
+        });
+    }
+
+    /**
+     * Load a Node.js canvas implementation
+     * @returns {Promise<Object>} Module exposing createCanvas(width, height) and loadImage(buffer)
+     */
+    static async loadNodeCanvas() {
+        for (const moduleName of NODE_CANVAS_MODULES) {
+            try {
+                const canvasModule = await import(/* webpackIgnore: true */ moduleName);
+                const resolved = canvasModule.createCanvas ? canvasModule : canvasModule.default;
+                if (resolved && typeof resolved.createCanvas === 'function') {
+                    return resolved;
+                }
+            } catch (error) {
+                // Try the next implementation
+            }
+        }
+
+        throw new Error(`No canvas implementation found for Node.js. Install one of ${NODE_CANVAS_MODULES.join(', ')} or provide a canvasFactory in the configuration.`);
+    }
+}
+
+export default CanvasFactory;
@@ -0,0 +1,288 @@
+/**
+ * CcittFaxDecoder.js
+ * Decodes CCITT fax coding (ITU-T T.4 modified Huffman and Group 3, T.6 Group 4),
+ * the compression of most scanned and faxed TIFF files, into rows of black runs
+ */
+
+// Modified Huffman codes, [run length, code] per color; runs of 64 and more start with makeup codes
+const WHITE_CODES = [
+    [0, '00110101'], [1, '000111'], [2, '0111'], [3, '1000'], [4, '1011'], [5, '1100'], [6, '1110'], [7, '1111'],
+    [8, '10011'], [9, '10100'], [10, '00111'], [11, '01000'], [12, '001000'], [13, '000011'], [14, '110100'],
+    [15, '110101'], [16, '101010'], [17, '101011'], [18, '0100111'], [19, '0001100'], [20, '0001000'],
+    [21, '0010111'], [22, '0000011'], [23, '0000100'], [24, '0101000'], [25, '0101011'], [26, '0010011'],
+    [27, '0100100'], [28, '0011000'], [29, '00000010'], [30, '00000011'], [31, '00011010'], [32, '00011011'],
+    [33, '00010010'], [34, '00010011'], [35, '00010100'], [36, '00010101'], [37, '00010110'], [38, '00010111'],
+    [39, '00101000'], [40, '00101001'], [41, '00101010'], [42, '00101011'], [43, '00101100'], [44, '00101101'],
+    [45, '00000100'], [46, '00000101'], [47, '00001010'], [48, '00001011'], [49, '01010010'], [50, '01010011'],
+    [51, '01010100'], [52, '01010101'], [53, '00100100'], [54, '00100101'], [55, '01011000'], [56, '01011001'],
+    [57, '01011010'], [58, '01011011'], [59, '01001010'], [60, '01001011'], [61, '00110010'], [62, '00110011'],
+    [63, '00110100'],
+    [64, '11011'], [128, '10010'], [192, '010111'], [256, '0110111'], [320, '00110110'], [384, '00110111'],
+    [448, '01100100'], [512, '01100101'], [576, '01101000'], [640, '01100111'], [704, '011001100'],
+    [768, '011001101'], [832, '011010010'], [896, '011010011'], [960, '011010100'], [1024, '011010101'],
+    [1088, '011010110'], [1152, '011010111'], [1216, '011011000'], [1280, '011011001'], [1344, '011011010'],
+    [1408, '011011011'], [1472, '010011000'], [1536, '010011001'], [1600, '010011010'], [1664, '011000'],
+    [1728, '010011011']
+];
+const BLACK_CODES = [
+    [0, '0000110111'], [1, '010'], [2, '11'], [3, '10'], [4, '011'], [5, '0011'], [6, '0010'], [7, '00011'],
+    [8, '000101'], [9, '000100'], [10, '0000100'], [11, '0000101'], [12, '0000111'], [13, '00000100'],
+    [14, '00000111'], [15, '000011000'], [16, '0000010111'], [17, '0000011000'], [18, '0000001000'],
+    [19, '00001100111'], [20, '00001101000'], [21, '00001101100'], [22, '00000110111'], [23, '00000101000'],
+    [24, '00000010111'], [25, '00000011000'], [26, '000011001010'], [27, '000011001011'], [28, '000011001100'],
+    [29, '000011001101'], [30, '000001101000'], [31, '000001101001'], [32, '000001101010'], [33, '000001101011'],
+    [34, '000011010010'], [35, '000011010011'], [36, '000011010100'], [37, '000011010101'], [38, '000011010110'],
+    [39, '000011010111'], [40, '000001101100'], [41, '000001101101'], [42, '000011011010'], [43, '000011011011'],
+    [44, '000001010100'], [45, '000001010101'], [46, '000001010110'], [47, '000001010111'], [48, '000001100100'],
+    [49, '000001100101'], [50, '000001010010'], [51, '000001010011'], [52, '000000100100'], [53, '000000110111'],
+    [54, '000000111000'], [55, '000000100111'], [56, '000000101000'], [57, '000001011000'], [58, '000001011001'],
+    [59, '000000101011'], [60, '000000101100'], [61, '000001011010'], [62, '000001100110'], [63, '000001100111'],
+    [64, '0000001111'], [128, '000011001000'], [192, '000011001001'], [256, '000001011011'], [320, '000000110011'],
+    [384, '000000110100'], [448, '000000110101'], [512, '0000001101100'], [576, '0000001101101'],
+    [640, '0000001001010'], [704, '0000001001011'], [768, '0000001001100'], [832, '0000001001101'],
+    [896, '0000001110010'], [960, '0000001110011'], [1024, '0000001110100'], [1088, '0000001110101'],
+    [1152, '0000001110110'], [1216, '0000001110111'], [1280, '0000001010010'], [1344, '0000001010011'],
+    [1408, '0000001010100'], [1472, '0000001010101'], [1536, '0000001011010'], [1600, '0000001011011'],
+    [1664, '0000001100100'], [1728, '0000001100101']
+];
+// Makeup codes for very wide pages, shared by both colors
+const EXTENDED_MAKEUP_CODES = [
+    [1792, '00000001000'], [1856, '00000001100'], [1920, '00000001101'], [1984, '000000010010'],
+    [2048, '000000010011'], [2112, '000000010100'], [2176, '000000010101'], [2240, '000000010110'],
+    [2304, '000000010111'], [2368, '000000011100'], [2432, '000000011101'], [2496, '000000011110'],
+    [2560, '000000011111']
+];
+// Two-dimensional coding modes: pass, horizontal and vertical with the offset of a1 from b1
+const MODE_CODES = [
+    ['pass', '0001'], ['horizontal', '001'],
+    [0, '1'], [1, '011'], [2, '000011'], [3, '0000011'], [-1, '010'], [-2, '000010'], [-3, '0000010']
+];
+const EOL_ZEROS = 11; // An end-of-line code is at least 11 zero bits followed by a one
+const MAX_CODE_LENGTH = 13;
+
+/**
+ * Build a lookup table from (length, code) to value
+ * @param {Array[]} codes - [value, bit string] pairs
+ * @returns {Map<number, *>} Values keyed by length << 16 | code
+ */
+function buildTable(codes) {
+    return new Map(codes.map(([value, bits]) => [bits.length << 16 | parseInt(bits, 2), value]));
+}
+
+const WHITE_TABLE = buildTable([...WHITE_CODES, ...EXTENDED_MAKEUP_CODES]);
+const BLACK_TABLE = buildTable([...BLACK_CODES, ...EXTENDED_MAKEUP_CODES]);
+const MODE_TABLE = buildTable(MODE_CODES);
+
+export class CcittFaxDecoder {
+    /**
+     * @param {Uint8Array} data - Coded data of one strip or tile
+     * @param {Object} options - Coding options
+     * @param {number} options.width - Pixels per row
+     * @param {number} options.height - Rows to decode
+     * @param {string} options.coding - 'mh' (modified Huffman rows, TIFF compression 2), 'g3' (T.4) or 'g4' (T.6)
+     * @param {boolean} [options.twoDimensional] - T.4 rows may be coded two-dimensionally (T4Options bit 0)
+     */
+    constructor(data, { width, height, coding, twoDimensional = false }) {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+        this.coding = coding;
+        this.twoDimensional = twoDimensional;
+        this.position = 0; // Bit position
+    }
+
+    /**
+     * Decode the rows into a 1 bit per pixel bitmap, 1 marking black
+     * @returns {Object} { rows: decoded rows (damaged data ends early), bitmap: Uint8Array of ceil(width / 8) bytes per row }
+     */
+    decode() {
+        const rowBytes = Math.ceil(this.width / 8);
+        const bitmap = new Uint8Array(rowBytes * this.height);
+        let reference = []; // Changing elements of the previous row; the row above the first is white
+        let rows = 0;
+
+        try {
+            for (; rows < this.height; rows++) {
+                const changes = this.decodeRow(reference);
+                if (changes === null) break;
+                this.fillRow(bitmap, rows * rowBytes, changes);
+                reference = changes;
+            }
+        } catch (error) {
+            // Damaged data keeps the rows decoded so far
+        }
+
+        return { rows, bitmap };
+    }
+
+    /**
+     * Decode the next row
+     * @param {number[]} reference - Changing elements of the previous row
+     * @returns {number[]|null} Changing elements (positions where the color changes, starting from white), or null at the end of data
+     */
+    decodeRow(reference) {
+        if (this.coding === 'mh') {
+            // Rows of TIFF modified Huffman coding start on a byte boundary
+            this.position = Math.ceil(this.position / 8) * 8;
+            return this.hasBits() ? this.decode1D() : null;
+        }
+        if (this.coding === 'g4') {
+            return this.hasBits() ? this.decode2D(reference) : null;
+        }
+
+        // T.4 rows are separated by end-of-line codes; a tag bit selects the coding of 2D-enabled rows
+        this.skipEndOfLine();
+        if (!this.hasBits()) return null;
+        if (this.twoDimensional && this.readBit() === 0) {
+            return this.decode2D(reference);
+        }
+        return this.decode1D();
+    }
+
+    /**
+     * Decode a row of alternating white and black runs
+     * @returns {number[]} Changing elements
+     */
+    decode1D() {
+        const changes = [];
+        let position = 0;
+        let white = true;
+
+        while (position < this.width) {
+            position += this.readRun(white);
+            changes.push(Math.min(position, this.width));
+            white = !white;
+        }
+        return changes;
+    }
+
+    /**
+     * Decode a row coded relative to the previous row (T.4 2D and T.6)
+     * @param {number[]} reference - Changing elements of the previous row
+     * @returns {number[]} Changing elements
+     */
+    decode2D(reference) {
+        const changes = [];
+        let a0 = -1;
+        let white = true;
+
+        while (a0 < this.width) {
+            const b1Index = this.findB1(reference, a0, white);
+            const b1 = b1Index < reference.length ? reference[b1Index] : this.width;
+            const b2 = b1Index + 1 < reference.length ? reference[b1Index + 1] : this.width;
+            const mode = this.readCode(MODE_TABLE);
+
+            if (mode === 'pass') {
+                a0 = b2;
+            } else if (mode === 'horizontal') {
+                const start = Math.max(a0, 0);
+                const a1 = start + this.readRun(white);
+                const a2 = a1 + this.readRun(!white);
+                changes.push(Math.min(a1, this.width), Math.min(a2, this.width));
+                a0 = a2;
+            } else {
+                const a1 = b1 + mode;
+                if (a1 < 0 || a1 < a0) throw new Error('Invalid vertical mode code');
+                changes.push(Math.min(a1, this.width));
+                a0 = a1;
+                white = !white;
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Find b1: the first changing element of the reference row right of a0 that changes to the color opposite a0
+     * @param {number[]} reference - Changing elements of the reference row
+     * @param {number} a0 - Current position (-1 before the first pixel)
+     * @param {boolean} white - Color of a0
+     * @returns {number} Index into reference (reference.length when there is none)
+     */
+    findB1(reference, a0, white) {
+        // Even changing elements switch to black, odd ones back to white
+        let index = white ? 0 : 1;
+        while (index < reference.length && reference[index] <= a0) index += 2;
+        return index;
+    }
+
+    /**
+     * Read a run length: makeup codes followed by a terminating code
+     * @param {boolean} white - Color of the run
+     * @returns {number} Run length in pixels
+     */
+    readRun(white) {
+        const table = white ? WHITE_TABLE : BLACK_TABLE;
+        let length = 0;
+        let code;
+        do {
+            code = this.readCode(table);
+            length += code;
+        } while (code >= 64);
+        return length;
+    }
+
+    /**
+     * Read the next code of a table
+     * @param {Map<number, *>} table - Table from buildTable()
+     * @returns {*} Value of the code
+     */
+    readCode(table) {
+        let code = 0;
+        for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+            if (!this.hasBits()) throw new Error('Unexpected end of data');
+            code = code << 1 | this.readBit();
+            const value = table.get(length << 16 | code);
+            if (value !== undefined) return value;
+        }
+        throw new Error('Invalid code');
+    }
+
+    /**
+     * Skip fill bits and an end-of-line code when the data continues with one
+     */
+    skipEndOfLine() {
+        const start = this.position;
+        let zeros = 0;
+        while (this.hasBits() && this.peekBit() === 0) {
+            this.position++;
+            zeros++;
+        }
+        if (zeros >= EOL_ZEROS && this.hasBits()) {
+            this.position++; // The one that ends the code
+        } else {
+            this.position = start;
+        }
+    }
+
+    /**
+     * Set the black runs of a row in the bitmap
+     * @param {Uint8Array} bitmap - Bitmap
+     * @param {number} offset - Byte offset of the row
+     * @param {number[]} changes - Changing elements of the row
+     */
+    fillRow(bitmap, offset, changes) {
+        // Runs alternate from white, so each even changing element starts a black run
+        for (let i = 0; i < changes.length; i += 2) {
+            const end = i + 1 < changes.length ? changes[i + 1] : this.width;
+            for (let x = changes[i]; x < end; x++) {
+                bitmap[offset + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+
+    hasBits() {
+        return this.position < this.data.length * 8;
+    }
+
+    peekBit() {
+        return (this.data[this.position >> 3] >> (7 - (this.position & 7))) & 1;
+    }
+
+    readBit() {
+        const bit = this.peekBit();
+        this.position++;
+        return bit;
+    }
+}
+
+export default CcittFaxDecoder;
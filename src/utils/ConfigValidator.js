@@ -3,12 +3,32 @@
  * Validates and normalizes configuration objects
  */
 
+import RuntimeEnvironment from './RuntimeEnvironment.js';
+import ReadingOrder from './ReadingOrder.js';
+import HeaderFooterDetector from './HeaderFooterDetector.js';
+import ImageExtractor from './ImageExtractor.js';
+import ImagePreprocessor from './ImagePreprocessor.js';
+import PageSelection from './PageSelection.js';
+import OcrLanguage from './OcrLanguage.js';
+import PageOrientation from './PageOrientation.js';
+import OcrExport from './OcrExport.js';
+import SearchablePdf from './SearchablePdf.js';
+
 export class ConfigValidator {
     /**
      * Default configuration values
      */
     static getDefaultConfig() {
         return {
+            // Runtime: 'auto' detects Node.js vs. browser
+            runtime: 'auto',
+            
+            // Canvas factory for page rendering (null selects DOM canvas, OffscreenCanvas or a Node canvas)
+            canvasFactory: null,
+
+            // Resolve scenarios to { markdown, pages, warnings, metadata, images, timings } instead of a string
+            returnResult: false,
+            
             // PDF.js configuration
             pdfJsWorkerSrc: '../pdf.worker.min.mjs',
             
@@ -17,7 +37,18 @@ export class ConfigValidator {
                 workerPath: './tesseract-worker.min.js',
                 corePath: './tesseract-core.wasm.js',
                 langPath: './lang-data/',
-                language: 'eng',
+                language: 'eng', // Language data, e.g. 'eng+deu+fra'; 'auto' picks it and the orientation with OSD on a sample page
+                scriptLanguages: {}, // With 'auto': languages per detected script, e.g. { Latin: 'eng+deu+fra' } (Latin defaults to 'eng')
+                osdSamplePage: null, // With 'auto': page to detect on; null uses the first page to be recognized
+                oem: 1, // OCR engine mode: 0 legacy, 1 LSTM, 2 both, 3 whatever the language data supports
+                psm: 6, // Page segmentation mode 0-13; 6 reads the page as one uniform block of text
+                whitelist: '', // Only recognize these characters ('' allows all)
+                blacklist: '', // Never recognize these characters
+                preserveInterwordSpaces: false,
+                dpi: null, // Resolution hint: null and 'auto' pass the render resolution, 72 × render scale
+                pageOverrides: [], // [{ pages: '2-3', psm: 11, language: 'fra' }]: settings for some pages; later entries win
+                workers: 1, // Pages recognized in parallel; each worker holds its own language data
+                memoryBudgetMB: 128, // Rendered pages waiting for a worker may use at most this much canvas memory
                 options: {}
             },
             
@@ -39,8 +70,42 @@ export class ConfigValidator {
             
             // Processing options
             processing: {
+                pages: null,
                 splitPascalCase: false,
+                layoutHeadings: true,
+                tableDetection: true,
+                listDetection: true,
+                inlineStyles: true,
+                links: true,
+                outlineHeadings: true,
+                tableOfContents: false,
+                frontMatter: false,
+                images: 'none',
+                readingOrder: 'layout',
+                headersFooters: 'remove',
+                dehyphenate: true,
+                // Hybrid conversion OCRs pages whose text layer misses any of these
+                textLayerQuality: {
+                    minCharacters: 20,
+                    maxGarbageRatio: 0.3,
+                    maxUnmappedRatio: 0.05
+                },
                 pdfRenderScale: 2.5,
+                // How pages are turned upright before OCR: 'page' trusts /Rotate; 'text-layer', 'osd' and 'auto' detect it per page
+                orientation: 'page',
+                // Canvas operations applied to rendered pages before OCR, in order
+                preprocessing: [],
+                // OCR confidences (0-100) for marking uncertain words and retrying poor pages
+                ocrConfidence: {
+                    wordThreshold: 60,
+                    marker: null,
+                    pageThreshold: 0,
+                    retryRenderScale: 4
+                },
+                // Standard OCR formats written per recognized page into result.pages, e.g. ['hocr', 'alto']
+                ocrExport: [],
+                // OCR scenarios: 'jpeg' or 'lossless' also write the page images with an invisible text layer as a new PDF
+                searchablePdf: 'none',
                 postProcessRules: []
             },
             
@@ -59,6 +124,7 @@ export class ConfigValidator {
         const normalizedConfig = this.deepMerge(defaultConfig, config);
         
         // Validate required types and values
+        this.validateRuntimeConfig(normalizedConfig);
         this.validateTesseractConfig(normalizedConfig.tesseract);
         this.validateLLMConfig(normalizedConfig.webllm);
         this.validateProcessingConfig(normalizedConfig.processing);
@@ -67,6 +133,30 @@ export class ConfigValidator {
         return normalizedConfig;
     }
 
+    /**
+     * Validate runtime, canvas factory and result configuration
+     * @param {Object} config - Full configuration
+     */
+    static validateRuntimeConfig(config) {
+        const runtimes = RuntimeEnvironment.getSupportedRuntimes();
+        if (config.runtime !== undefined && !runtimes.includes(config.runtime)) {
+            throw new Error(`runtime must be one of: ${runtimes.join(', ')}`);
+        }
+
+        const canvasFactory = config.canvasFactory;
+        if (canvasFactory !== null && canvasFactory !== undefined) {
+            const isFunction = typeof canvasFactory === 'function';
+            const hasCreate = typeof canvasFactory === 'object' && typeof canvasFactory.create === 'function';
+            if (!isFunction && !hasCreate) {
+                throw new Error('canvasFactory must be a function or an object with a create(width, height) method');
+            }
+        }
+
+        if (config.returnResult !== undefined && typeof config.returnResult !== 'boolean') {
+            throw new Error('returnResult must be a boolean');
+        }
+    }
+
     /**
      * Validate Tesseract configuration
      * @param {Object} tesseractConfig - Tesseract configuration
@@ -80,6 +170,25 @@ export class ConfigValidator {
         if (tesseractConfig.language && typeof tesseractConfig.language !== 'string') {
             throw new Error('Tesseract language must be a string');
         }
+        if (tesseractConfig.language && !OcrLanguage.isAuto(tesseractConfig.language) && !OcrLanguage.isValid(tesseractConfig.language)) {
+            throw new Error('Tesseract language must be "auto" or language codes joined by "+", e.g. "eng+deu"');
+        }
+
+        // Validate automatic language detection
+        if (tesseractConfig.scriptLanguages !== undefined) {
+            if (!tesseractConfig.scriptLanguages || typeof tesseractConfig.scriptLanguages !== 'object' || Array.isArray(tesseractConfig.scriptLanguages)) {
+                throw new Error('Tesseract scriptLanguages must be an object');
+            }
+            for (const [script, language] of Object.entries(tesseractConfig.scriptLanguages)) {
+                if (typeof language !== 'string' || !OcrLanguage.isValid(language)) {
+                    throw new Error(`Tesseract scriptLanguages.${script} must be language codes joined by "+"`);
+                }
+            }
+        }
+        if (tesseractConfig.osdSamplePage !== undefined && tesseractConfig.osdSamplePage !== null &&
+            !(Number.isInteger(tesseractConfig.osdSamplePage) && tesseractConfig.osdSamplePage >= 1)) {
+            throw new Error('Tesseract osdSamplePage must be null or a page number');
+        }
 
         // Validate paths
         const pathFields = ['workerPath', 'corePath', 'langPath'];
@@ -89,12 +198,73 @@ export class ConfigValidator {
             }
         }
 
+        // Validate engine mode; workers are initialized with it, so pages cannot override it
+        if (tesseractConfig.oem !== undefined && !(Number.isInteger(tesseractConfig.oem) && tesseractConfig.oem >= 0 && tesseractConfig.oem <= 3)) {
+            throw new Error('Tesseract oem must be an engine mode from 0 to 3');
+        }
+
+        // Validate recognition parameters
+        this.validateTesseractParameters(tesseractConfig, 'Tesseract');
+
+        // Validate per-page overrides
+        if (tesseractConfig.pageOverrides !== undefined) {
+            if (!Array.isArray(tesseractConfig.pageOverrides)) {
+                throw new Error('Tesseract pageOverrides must be an array');
+            }
+            for (const override of tesseractConfig.pageOverrides) {
+                if (!override || typeof override !== 'object') {
+                    throw new Error('Tesseract pageOverrides entries must be objects');
+                }
+                if (override.oem !== undefined) {
+                    throw new Error('Tesseract oem cannot be overridden per page');
+                }
+                // Workers switch language data for these pages, so it has to be named
+                if (override.language !== undefined && (typeof override.language !== 'string' || !OcrLanguage.isValid(override.language))) {
+                    throw new Error('Tesseract pageOverrides language must be language codes joined by "+"');
+                }
+                PageSelection.parse(override.pages);
+                this.validateTesseractParameters(override, 'Tesseract pageOverrides');
+            }
+        }
+
+        // Validate worker pool
+        if (tesseractConfig.workers !== undefined && (!Number.isInteger(tesseractConfig.workers) || tesseractConfig.workers < 1)) {
+            throw new Error('Tesseract workers must be a positive integer');
+        }
+        if (tesseractConfig.memoryBudgetMB !== undefined &&
+            (typeof tesseractConfig.memoryBudgetMB !== 'number' || !(tesseractConfig.memoryBudgetMB > 0))) {
+            throw new Error('Tesseract memoryBudgetMB must be a positive number');
+        }
+
         // Validate options
         if (tesseractConfig.options && typeof tesseractConfig.options !== 'object') {
             throw new Error('Tesseract options must be an object');
         }
     }
 
+    /**
+     * Validate the Tesseract recognition parameters of the configuration or of a page override
+     * @param {Object} parameters - { psm, whitelist, blacklist, preserveInterwordSpaces, dpi }
+     * @param {string} prefix - Error message prefix
+     */
+    static validateTesseractParameters(parameters, prefix) {
+        if (parameters.psm !== undefined && !(Number.isInteger(parameters.psm) && parameters.psm >= 0 && parameters.psm <= 13)) {
+            throw new Error(`${prefix} psm must be a page segmentation mode from 0 to 13`);
+        }
+        for (const field of ['whitelist', 'blacklist']) {
+            if (parameters[field] !== undefined && typeof parameters[field] !== 'string') {
+                throw new Error(`${prefix} ${field} must be a string`);
+            }
+        }
+        if (parameters.preserveInterwordSpaces !== undefined && typeof parameters.preserveInterwordSpaces !== 'boolean') {
+            throw new Error(`${prefix} preserveInterwordSpaces must be a boolean`);
+        }
+        if (parameters.dpi !== undefined && parameters.dpi !== null && parameters.dpi !== 'auto' &&
+            !(typeof parameters.dpi === 'number' && parameters.dpi > 0)) {
+            throw new Error(`${prefix} dpi must be null, "auto" or a positive number`);
+        }
+    }
+
     /**
      * Validate LLM configuration
      * @param {Object} llmConfig - LLM configuration
@@ -181,6 +351,89 @@ export class ConfigValidator {
             throw new Error('splitPascalCase must be a boolean');
         }
 
+        // Validate pages (parse throws on malformed ranges)
+        if (processingConfig.pages !== undefined && processingConfig.pages !== null) {
+            PageSelection.parse(processingConfig.pages);
+        }
+
+        // Validate layoutHeadings
+        if (processingConfig.layoutHeadings !== undefined && typeof processingConfig.layoutHeadings !== 'boolean') {
+            throw new Error('layoutHeadings must be a boolean');
+        }
+
+        // Validate tableDetection
+        if (processingConfig.tableDetection !== undefined && typeof processingConfig.tableDetection !== 'boolean') {
+            throw new Error('tableDetection must be a boolean');
+        }
+
+        // Validate readingOrder
+        if (processingConfig.readingOrder !== undefined && !ReadingOrder.getSupportedModes().includes(processingConfig.readingOrder)) {
+            throw new Error(`readingOrder must be one of: ${ReadingOrder.getSupportedModes().join(', ')}`);
+        }
+
+        // Validate orientation
+        if (processingConfig.orientation !== undefined && !PageOrientation.getSupportedModes().includes(processingConfig.orientation)) {
+            throw new Error(`orientation must be one of: ${PageOrientation.getSupportedModes().join(', ')}`);
+        }
+
+        // Validate headersFooters
+        if (processingConfig.headersFooters !== undefined && !HeaderFooterDetector.getSupportedModes().includes(processingConfig.headersFooters)) {
+            throw new Error(`headersFooters must be one of: ${HeaderFooterDetector.getSupportedModes().join(', ')}`);
+        }
+
+        // Validate listDetection
+        if (processingConfig.listDetection !== undefined && typeof processingConfig.listDetection !== 'boolean') {
+            throw new Error('listDetection must be a boolean');
+        }
+
+        // Validate inlineStyles
+        if (processingConfig.inlineStyles !== undefined && typeof processingConfig.inlineStyles !== 'boolean') {
+            throw new Error('inlineStyles must be a boolean');
+        }
+
+        // Validate links
+        if (processingConfig.links !== undefined && typeof processingConfig.links !== 'boolean') {
+            throw new Error('links must be a boolean');
+        }
+
+        // Validate outline options
+        for (const option of ['outlineHeadings', 'tableOfContents']) {
+            if (processingConfig[option] !== undefined && typeof processingConfig[option] !== 'boolean') {
+                throw new Error(`${option} must be a boolean`);
+            }
+        }
+
+        // Validate frontMatter
+        if (processingConfig.frontMatter !== undefined && typeof processingConfig.frontMatter !== 'boolean') {
+            throw new Error('frontMatter must be a boolean');
+        }
+
+        // Validate images
+        if (processingConfig.images !== undefined && !ImageExtractor.getSupportedModes().includes(processingConfig.images)) {
+            throw new Error(`images must be one of: ${ImageExtractor.getSupportedModes().join(', ')}`);
+        }
+
+        // Validate dehyphenate
+        if (processingConfig.dehyphenate !== undefined && typeof processingConfig.dehyphenate !== 'boolean') {
+            throw new Error('dehyphenate must be a boolean');
+        }
+
+        // Validate textLayerQuality
+        if (processingConfig.textLayerQuality !== undefined) {
+            const thresholds = processingConfig.textLayerQuality;
+            if (!thresholds || typeof thresholds !== 'object') {
+                throw new Error('textLayerQuality must be an object');
+            }
+            if (typeof thresholds.minCharacters !== 'number' || thresholds.minCharacters < 0) {
+                throw new Error('textLayerQuality.minCharacters must be a non-negative number');
+            }
+            for (const ratio of ['maxGarbageRatio', 'maxUnmappedRatio']) {
+                if (typeof thresholds[ratio] !== 'number' || thresholds[ratio] < 0 || thresholds[ratio] > 1) {
+                    throw new Error(`textLayerQuality.${ratio} must be a number between 0 and 1`);
+                }
+            }
+        }
+
         // Validate pdfRenderScale
         if (processingConfig.pdfRenderScale !== undefined) {
             if (typeof processingConfig.pdfRenderScale !== 'number' || processingConfig.pdfRenderScale <= 0) {
@@ -188,6 +441,46 @@ export class ConfigValidator {
             }
         }
 
+        // Validate preprocessing
+        if (processingConfig.preprocessing !== undefined) {
+            if (!Array.isArray(processingConfig.preprocessing)) {
+                throw new Error('preprocessing must be an array');
+            }
+            processingConfig.preprocessing.forEach(step => ImagePreprocessor.normalizeStep(step));
+        }
+
+        // Validate ocrConfidence
+        if (processingConfig.ocrConfidence !== undefined) {
+            const confidence = processingConfig.ocrConfidence;
+            if (!confidence || typeof confidence !== 'object') {
+                throw new Error('ocrConfidence must be an object');
+            }
+            for (const threshold of ['wordThreshold', 'pageThreshold']) {
+                if (typeof confidence[threshold] !== 'number' || confidence[threshold] < 0 || confidence[threshold] > 100) {
+                    throw new Error(`ocrConfidence.${threshold} must be a number between 0 and 100`);
+                }
+            }
+            if (confidence.marker !== null && (typeof confidence.marker !== 'string' || !confidence.marker.includes('{word}'))) {
+                throw new Error('ocrConfidence.marker must be null or a string containing {word}');
+            }
+            if (typeof confidence.retryRenderScale !== 'number' || confidence.retryRenderScale <= 0) {
+                throw new Error('ocrConfidence.retryRenderScale must be a positive number');
+            }
+        }
+
+        // Validate ocrExport
+        if (processingConfig.ocrExport !== undefined) {
+            const formats = OcrExport.getSupportedFormats();
+            if (!Array.isArray(processingConfig.ocrExport) || !processingConfig.ocrExport.every(format => formats.includes(format))) {
+                throw new Error(`ocrExport must be an array of: ${formats.join(', ')}`);
+            }
+        }
+
+        // Validate searchablePdf
+        if (processingConfig.searchablePdf !== undefined && !SearchablePdf.getSupportedModes().includes(processingConfig.searchablePdf)) {
+            throw new Error(`searchablePdf must be one of: ${SearchablePdf.getSupportedModes().join(', ')}`);
+        }
+
         // Validate postProcessRules
         if (processingConfig.postProcessRules && !Array.isArray(processingConfig.postProcessRules)) {
             throw new Error('postProcessRules must be an array');
@@ -284,6 +577,18 @@ export class ConfigValidator {
         return {
             type: 'object',
             properties: {
+                runtime: {
+                    type: 'string',
+                    enum: RuntimeEnvironment.getSupportedRuntimes(),
+                    description: 'Runtime to configure pdf.js and page rendering for'
+                },
+                canvasFactory: {
+                    description: 'Function (width, height) => canvas, or object with create/toImage/destroy methods'
+                },
+                returnResult: {
+                    type: 'boolean',
+                    description: 'Resolve scenarios to a result object with per-page text, warnings, metadata, images and timings'
+                },
                 pdfJsWorkerSrc: {
                     type: 'string',
                     description: 'Path to PDF.js worker file'
@@ -294,7 +599,21 @@ export class ConfigValidator {
                         workerPath: { type: 'string', description: 'Path to Tesseract worker' },
                         corePath: { type: 'string', description: 'Path to Tesseract core WASM' },
                         langPath: { type: 'string', description: 'Path to language data directory' },
-                        language: { type: 'string', description: 'OCR language code' },
+                        language: { type: 'string', description: 'OCR language codes joined by "+", e.g. "eng+deu+fra", or "auto" to detect them and the orientation with OSD' },
+                        scriptLanguages: { type: 'object', description: 'With "auto": language codes per detected script, e.g. { "Latin": "eng+deu+fra" }' },
+                        osdSamplePage: { type: ['integer', 'null'], minimum: 1, description: 'With "auto": page to run OSD on; null uses the first page to be recognized' },
+                        oem: { type: 'integer', minimum: 0, maximum: 3, description: 'OCR engine mode: 0 legacy, 1 LSTM, 2 both, 3 default' },
+                        psm: { type: 'integer', minimum: 0, maximum: 13, description: 'Page segmentation mode' },
+                        whitelist: { type: 'string', description: 'Characters to recognize; empty allows all' },
+                        blacklist: { type: 'string', description: 'Characters never to recognize' },
+                        preserveInterwordSpaces: { type: 'boolean', description: 'Keep runs of spaces between words' },
+                        dpi: { type: ['number', 'string', 'null'], description: 'Resolution hint: a number, or null and "auto" for the render resolution (72 × render scale)' },
+                        pageOverrides: {
+                            type: 'array',
+                            description: 'Per-page settings: [{ pages: "2-3", language, psm, whitelist, blacklist, preserveInterwordSpaces, dpi }]; later entries win'
+                        },
+                        workers: { type: 'integer', minimum: 1, description: 'Number of Tesseract workers recognizing pages in parallel' },
+                        memoryBudgetMB: { type: 'number', minimum: 0, description: 'Canvas memory for pages rendered ahead of the workers, in megabytes' },
                         options: { type: 'object', description: 'Additional Tesseract options' }
                     }
                 },
@@ -332,8 +651,51 @@ export class ConfigValidator {
                 processing: {
                     type: 'object',
                     properties: {
+                        pages: { type: ['string', 'array', 'null'], description: 'Pages to convert in every scenario, e.g. "1-3,7,10-" or [1, 2, 3]; null converts all pages' },
                         splitPascalCase: { type: 'boolean', description: 'Split PascalCase words' },
+                        layoutHeadings: { type: 'boolean', description: 'Derive heading levels from font sizes and weights (quick extraction)' },
+                        tableDetection: { type: 'boolean', description: 'Rebuild tables from text positions as GitHub-flavored Markdown tables' },
+                        listDetection: { type: 'boolean', description: 'Emit bulleted and numbered lists, including nesting, as Markdown lists' },
+                        inlineStyles: { type: 'boolean', description: 'Emit bold, italic and monospace runs as Markdown emphasis, inline code and code blocks (quick extraction)' },
+                        links: { type: 'boolean', description: 'Emit link annotations as Markdown links; internal links point at the generated headings (quick extraction)' },
+                        outlineHeadings: { type: 'boolean', description: 'Use the PDF outline (bookmarks) to assign heading levels to matching lines' },
+                        tableOfContents: { type: 'boolean', description: 'Prepend a linked table of contents built from the PDF outline' },
+                        frontMatter: { type: 'boolean', description: 'Prepend YAML front matter with document metadata, page count, scenario, OCR language and LLM model' },
+                        images: { type: 'string', enum: ImageExtractor.getSupportedModes(), description: 'Embedded figures: leave out, reference as images/page-N-img-K.png files (converter.images) or embed as data URIs' },
+                        readingOrder: { type: 'string', enum: ReadingOrder.getSupportedModes(), description: 'Quick extraction text order: content stream or layout (columns and blocks)' },
+                        headersFooters: { type: 'string', enum: HeaderFooterDetector.getSupportedModes(), description: 'Running headers, footers and page numbers: remove, remove and report as metadata, or keep inline' },
+                        dehyphenate: { type: 'boolean', description: 'Rejoin words hyphenated across line and page breaks, keeping compound hyphens' },
+                        textLayerQuality: {
+                            type: 'object',
+                            description: 'Hybrid conversion: pages below these text layer thresholds are recognized with OCR',
+                            properties: {
+                                minCharacters: { type: 'number', minimum: 0, description: 'Fewest non-space characters of a usable page' },
+                                maxGarbageRatio: { type: 'number', minimum: 0, maximum: 1, description: 'Largest share of words made mostly of symbols' },
+                                maxUnmappedRatio: { type: 'number', minimum: 0, maximum: 1, description: 'Largest share of characters without a Unicode mapping' }
+                            }
+                        },
                         pdfRenderScale: { type: 'number', minimum: 0, description: 'PDF rendering scale for OCR' },
+                        orientation: { type: 'string', enum: PageOrientation.getSupportedModes(), description: 'Turning pages upright before OCR: trust /Rotate, or detect per page from the text layer direction, OSD, or both (text layer first)' },
+                        preprocessing: {
+                            type: 'array',
+                            description: `Canvas operations before OCR: ${ImagePreprocessor.getSupportedOperations().join(', ')}, { operation, ...options } or (canvas, { canvasFactory }) => canvas`
+                        },
+                        ocrConfidence: {
+                            type: 'object',
+                            description: 'OCR confidence handling (confidences are 0-100)',
+                            properties: {
+                                wordThreshold: { type: 'number', minimum: 0, maximum: 100, description: 'Words below this confidence are low-confidence' },
+                                marker: { type: ['string', 'null'], description: 'Wraps low-confidence words, e.g. "<mark>{word}</mark>"; null leaves them unmarked' },
+                                pageThreshold: { type: 'number', minimum: 0, maximum: 100, description: 'Pages below this mean confidence are recognized again; 0 disables retries' },
+                                retryRenderScale: { type: 'number', minimum: 0, description: 'Render scale for recognizing a low-confidence page again' }
+                            }
+                        },
+                        ocrExport: {
+                            type: 'array',
+                            items: { type: 'string', enum: OcrExport.getSupportedFormats() },
+                            description: 'hOCR and ALTO XML with word boxes per OCR page, in result.pages (returnResult)'
+                        },
+                        searchablePdf: { type: 'string', enum: SearchablePdf.getSupportedModes(), description: 'OCR scenarios: write the page images as JPEG or lossless with an invisible OCR text layer as a new PDF (converter.searchablePdf)' },
                         postProcessRules: {
                             type: 'array',
                             items: {
@@ -0,0 +1,128 @@
+/**
+ * Dehyphenator.js
+ * Rejoins words hyphenated at line and page breaks ("conver-\nsion") while
+ * keeping real compound hyphens ("well-\nknown") intact
+ */
+
+// Word broken at a line end: left part, hyphen (hard, Unicode or soft), right part on the next line
+const LINE_BREAK_HYPHEN_PATTERN = /([\p{L}\p{N}]+)([-\u2010\u00AD])[^\S\r\n]*\r?\n[^\S\r\n]*([\p{L}\p{N}][\p{L}\p{N}'’]*)/gu;
+const WORD_PATTERN = /\p{L}[\p{L}\p{N}'’]*(?:-\p{L}[\p{L}\p{N}'’]*)*/gu;
+
+/**
+ * Parts that form hyphenated compounds, per Tesseract language code.
+ * prefixes: first parts that keep the hyphen ("self-", "non-")
+ * suffixes: second parts that keep the hyphen ("-based", "-dire")
+ */
+const COMPOUND_LEXICONS = {
+    eng: {
+        prefixes: ['anti', 'cross', 'ex', 'half', 'multi', 'non', 'quasi', 'self', 'semi', 'user', 'well'],
+        suffixes: ['aided', 'assisted', 'aware', 'based', 'centric', 'dependent', 'driven', 'enabled', 'facing',
+            'friendly', 'grained', 'independent', 'intensive', 'level', 'oriented', 'owned', 'proof', 'related',
+            'scale', 'sized', 'specific', 'term', 'tuned', 'wide']
+    },
+    deu: {
+        prefixes: ['anti', 'ex', 'nicht', 'pro', 'vize'],
+        suffixes: ['abhängig', 'basiert', 'bezogen', 'fähig', 'gerecht', 'gestützt', 'intensiv', 'orientiert',
+            'spezifisch', 'unabhängig']
+    },
+    fra: {
+        prefixes: ['anti', 'arrière', 'après', 'avant', 'demi', 'ex', 'grand', 'non', 'semi', 'sous', 'vice'],
+        suffixes: ['ci', 'ciel', 'dire', 'elle', 'elles', 'être', 'il', 'ils', 'je', 'là', 'lui', 'même', 'mêmes',
+            'moi', 'nous', 'toi', 'vous', 'à']
+    },
+    spa: {
+        prefixes: ['anglo', 'anti', 'ex', 'franco', 'germano', 'hispano', 'ítalo', 'teórico'],
+        suffixes: ['alemán', 'americana', 'americano', 'europea', 'europeo', 'práctica', 'práctico']
+    },
+    ita: {
+        prefixes: ['anglo', 'anti', 'ex', 'franco', 'italo'],
+        suffixes: ['americana', 'americano', 'europea', 'europeo', 'pratica', 'pratico']
+    },
+    por: {
+        prefixes: ['além', 'anti', 'bem', 'ex', 'pós', 'pré', 'pró', 'recém', 'sem', 'vice'],
+        suffixes: ['chuva', 'feira', 'lhe', 'lhes']
+    },
+    nld: {
+        prefixes: ['anti', 'ex', 'niet', 'oud', 'vice'],
+        suffixes: ['achtig', 'eenheid']
+    }
+};
+
+export class Dehyphenator {
+    /**
+     * @param {string} language - Tesseract language code(s), e.g. 'eng' or 'eng+deu'
+     */
+    constructor(language = 'eng') {
+        const lexicon = Dehyphenator.getLexicon(language);
+        this.prefixes = new Set(lexicon.prefixes);
+        this.suffixes = new Set(lexicon.suffixes);
+    }
+
+    /**
+     * Get the languages that ship with a compound lexicon
+     * @returns {string[]} Tesseract language codes
+     */
+    static getSupportedLanguages() {
+        return Object.keys(COMPOUND_LEXICONS);
+    }
+
+    /**
+     * Merge the compound lexicons of all languages in a Tesseract language string
+     * @param {string} language - Tesseract language code(s)
+     * @returns {Object} Lexicon { prefixes, suffixes }
+     */
+    static getLexicon(language) {
+        const prefixes = [];
+        const suffixes = [];
+        for (const code of String(language || 'eng').split('+')) {
+            const lexicon = COMPOUND_LEXICONS[code.trim()];
+            if (lexicon) {
+                prefixes.push(...lexicon.prefixes);
+                suffixes.push(...lexicon.suffixes);
+            }
+        }
+        return { prefixes, suffixes };
+    }
+
+    /**
+     * Rejoin words hyphenated across line (and page) breaks
+     * @param {string} text - Text with one line per source line
+     * @returns {string} Text with broken words rejoined
+     */
+    dehyphenate(text) {
+        if (!text) return '';
+
+        // Words written out elsewhere in the document are the best evidence for either spelling
+        const documentWords = new Set((text.match(WORD_PATTERN) || []).map(word => word.toLowerCase()));
+
+        return text.replace(LINE_BREAK_HYPHEN_PATTERN, (match, left, hyphen, right) => {
+            if (hyphen !== '\u00AD' && this.keepsHyphen(left, right, documentWords)) {
+                return `${left}-${right}`;
+            }
+            return left + right;
+        });
+    }
+
+    /**
+     * Decide whether a line-end hyphen belongs to a compound word
+     * @param {string} left - Part before the hyphen
+     * @param {string} right - Part after the line break
+     * @param {Set<string>} documentWords - Lower-cased words of the document
+     * @returns {boolean} Whether the hyphen is kept
+     */
+    keepsHyphen(left, right, documentWords = new Set()) {
+        const hyphenated = `${left}-${right}`.toLowerCase();
+        const joined = `${left}${right}`.toLowerCase();
+
+        if (documentWords.has(hyphenated)) return true;
+        if (documentWords.has(joined)) return false;
+
+        // Numbers ("COVID-19", "3-year") and capitalized second parts ("non-European", "Software-Entwicklung")
+        if (/\p{N}/u.test(left) || /\p{N}/u.test(right)) return true;
+        if (/^\p{Lu}/u.test(right) && left !== left.toUpperCase()) return true;
+
+        return this.prefixes.has(left.toLowerCase()) || this.suffixes.has(right.toLowerCase());
+    }
+}
+
+export default Dehyphenator;
@@ -0,0 +1,207 @@
+/**
+ * DocumentOutline.js
+ * Reads the PDF outline (bookmarks), assigns its levels to the matching
+ * heading lines and renders a linked table of contents
+ */
+
+import LinkAnnotations from './LinkAnnotations.js';
+
+const MAX_HEADING_LEVEL = 6;
+const MAX_TITLE_LINES = 3; // Outline titles may wrap over a few lines on the page
+const SECTION_NUMBER_PATTERN = /^(?:\d+[.)]?)+\s+/; // "1.2 " in "1.2 Scope" when the bookmark omits it
+
+export class DocumentOutline {
+    /**
+     * @param {Object[]} entries - Outline entries from load()
+     * @param {Object[]} pages - Page layouts
+     * @param {Object|null} fallback - Heading detector for lines the outline does not cover
+     */
+    constructor(entries = [], pages = [], fallback = null) {
+        this.entries = entries;
+        this.fallback = fallback;
+        const { levels, continuations } = DocumentOutline.matchLines(entries, pages);
+        this.levels = levels;
+        this.continuations = continuations;
+    }
+
+    /**
+     * Read and flatten the outline of a document
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @returns {Promise<Object[]>} Entries { title, level, destination } in outline order
+     */
+    static async load(pdfDoc) {
+        let outline = null;
+        try {
+            outline = await pdfDoc.getOutline();
+        } catch (error) {
+            return [];
+        }
+
+        const entries = [];
+        const visit = async (items, depth) => {
+            for (const item of items || []) {
+                const title = (item.title || '').replace(/\s+/g, ' ').trim();
+                if (title) {
+                    entries.push({
+                        title,
+                        level: Math.min(depth + 1, MAX_HEADING_LEVEL),
+                        destination: item.dest ? await LinkAnnotations.resolveDestination(pdfDoc, item.dest) : null
+                    });
+                }
+                await visit(item.items, depth + 1);
+            }
+        };
+        await visit(outline, 0);
+
+        return entries;
+    }
+
+    /**
+     * Normalize text for comparing outline titles with page lines
+     * @param {string} text - Text
+     * @returns {string} Lower-case letters and digits only
+     */
+    static normalize(text) {
+        return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    }
+
+    /**
+     * Check whether text is an outline title, with or without its section number
+     * @param {string} text - Line or heading text
+     * @param {string} title - Outline title
+     * @returns {boolean} Whether the text matches
+     */
+    static matchesTitle(text, title) {
+        const normalizedTitle = this.normalize(title);
+        if (!normalizedTitle) return false;
+        return this.normalize(text) === normalizedTitle ||
+            this.normalize(text.trim().replace(SECTION_NUMBER_PATTERN, '')) === normalizedTitle;
+    }
+
+    /**
+     * Find the lines that carry each outline title
+     * @param {Object[]} entries - Outline entries
+     * @param {Object[]} pages - Page layouts
+     * @returns {Object} { levels: lines mapped to their heading level, continuations: wrapped title lines after the first }
+     */
+    static matchLines(entries, pages) {
+        const levels = new Map();
+        const continuations = new Set();
+
+        for (const entry of entries) {
+            const destination = entry.destination;
+            const searchPages = destination
+                ? pages.filter(page => page.pageNumber === destination.pageNumber)
+                : pages;
+
+            const candidates = [];
+            for (const page of searchPages) {
+                candidates.push(...this.findTitleLines(page.lines, entry.title)
+                    .filter(lines => lines.every(line => !levels.has(line))));
+            }
+            if (candidates.length === 0) continue;
+
+            // Several matches on the target page: take the one nearest to where the bookmark points
+            const targetY = destination && destination.y !== null ? destination.y : -Infinity;
+            const best = candidates.reduce((nearest, lines) =>
+                (Math.abs(lines[0].y - targetY) < Math.abs(nearest[0].y - targetY) ? lines : nearest));
+            best.forEach((line, index) => {
+                levels.set(line, entry.level);
+                if (index > 0) continuations.add(line);
+            });
+        }
+
+        return { levels, continuations };
+    }
+
+    /**
+     * Find runs of consecutive lines whose text forms a title
+     * @param {Object[]} lines - Lines of one page
+     * @param {string} title - Outline title
+     * @returns {Object[][]} Matching line runs
+     */
+    static findTitleLines(lines, title) {
+        const normalizedTitle = this.normalize(title);
+        const matches = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            let text = '';
+            for (let count = 1; count <= MAX_TITLE_LINES && i + count <= lines.length; count++) {
+                text = `${text} ${lines[i + count - 1].text}`.trim();
+                if (this.matchesTitle(text, title)) {
+                    matches.push(lines.slice(i, i + count));
+                    break;
+                }
+                // Only keep adding lines while they spell the start of the title
+                const prefixes = [this.normalize(text), this.normalize(text.replace(SECTION_NUMBER_PATTERN, ''))];
+                if (!prefixes.some(prefix => prefix && normalizedTitle.startsWith(prefix))) break;
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Whether any outline title was found on the pages
+     * @returns {boolean} Whether the outline assigns heading levels
+     */
+    hasHeadings() {
+        return this.levels.size > 0;
+    }
+
+    /**
+     * Whether a line continues an outline title wrapped over several lines
+     * @param {Object} line - Line
+     * @returns {boolean} Whether the line belongs to the heading before it
+     */
+    isContinuation(line) {
+        return this.continuations.has(line);
+    }
+
+    /**
+     * Heading level of a line: the outline level, else the fallback detector's level
+     * @param {Object} line - Line
+     * @returns {number} Level 1-6, or 0 for body text
+     */
+    getLevel(line) {
+        return this.levels.get(line) || (this.fallback ? this.fallback.getLevel(line) : 0);
+    }
+
+    /**
+     * Render outline entries as a nested Markdown list linking to the headings of a document
+     * @param {Object[]} entries - Outline entries
+     * @param {string} markdown - Markdown the table of contents is prepended to
+     * @returns {string[]} Markdown lines (empty without entries)
+     */
+    static toMarkdown(entries, markdown) {
+        if (entries.length === 0) return [];
+
+        const headings = LinkAnnotations.getHeadings(markdown);
+        const used = new Set();
+        const minLevel = Math.min(...entries.map(entry => entry.level));
+
+        const items = entries.map((entry) => {
+            const index = headings.findIndex((heading, i) => !used.has(i) && this.matchesTitle(heading.text, entry.title));
+            const indent = '  '.repeat(entry.level - minLevel);
+            if (index < 0) return `${indent}- ${entry.title}`;
+
+            used.add(index);
+            return `${indent}- ${LinkAnnotations.toMarkdown(entry.title, `#${headings[index].slug}`)}`;
+        });
+
+        return ['**Contents**', '', ...items];
+    }
+
+    /**
+     * Prepend a table of contents to a Markdown document
+     * @param {Object[]} entries - Outline entries
+     * @param {string} markdown - Markdown document
+     * @returns {string} Markdown with the table of contents first
+     */
+    static prependTableOfContents(entries, markdown) {
+        const lines = this.toMarkdown(entries, markdown);
+        return lines.length === 0 ? markdown : `${lines.join('\n')}\n\n${markdown}`;
+    }
+}
+
+export default DocumentOutline;
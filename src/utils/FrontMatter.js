@@ -0,0 +1,119 @@
+/**
+ * FrontMatter.js
+ * Collects document metadata from the PDF info dictionary and XMP packet
+ * and renders it as YAML front matter
+ */
+
+const PDF_DATE_PATTERN = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Z+-])(\d{2})?'?(\d{2})?'?)?/;
+
+// Front matter keys with their XMP property and info dictionary entry (XMP is preferred, as in pdf.js' viewer)
+const METADATA_FIELDS = [
+    { key: 'title', xmp: 'dc:title', info: 'Title' },
+    { key: 'author', xmp: 'dc:creator', info: 'Author' },
+    { key: 'subject', xmp: 'dc:description', info: 'Subject' },
+    { key: 'keywords', xmp: 'dc:subject', info: 'Keywords' },
+    { key: 'creation_date', xmp: 'xmp:createdate', info: 'CreationDate' },
+    { key: 'modification_date', xmp: 'xmp:modifydate', info: 'ModDate' },
+    { key: 'creator', xmp: 'xmp:creatortool', info: 'Creator' },
+    { key: 'producer', xmp: 'pdf:producer', info: 'Producer' }
+];
+
+export class FrontMatter {
+    /**
+     * Read the metadata of a document
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @returns {Promise<Object>} Front matter fields (missing values are left out)
+     */
+    static async readMetadata(pdfDoc) {
+        let info = {};
+        let xmp = null;
+        try {
+            const metadata = await pdfDoc.getMetadata();
+            info = metadata.info || {};
+            xmp = metadata.metadata || null;
+        } catch (error) {
+            // Damaged metadata still leaves the page count
+        }
+
+        const fields = {};
+        for (const { key, xmp: xmpName, info: infoName } of METADATA_FIELDS) {
+            const value = this.normalizeValue(key, xmp ? xmp.get(xmpName) : null) ??
+                this.normalizeValue(key, info[infoName]);
+            if (value !== null) fields[key] = value;
+        }
+        fields.page_count = pdfDoc.numPages;
+
+        return fields;
+    }
+
+    /**
+     * Clean up a metadata value
+     * @param {string} key - Front matter key
+     * @param {string|string[]|null} value - Raw value
+     * @returns {string|string[]|null} Value, or null when empty
+     */
+    static normalizeValue(key, value) {
+        if (value === null || value === undefined) return null;
+
+        if (key === 'keywords') {
+            const keywords = (Array.isArray(value) ? value : String(value).split(/[,;]/))
+                .map(keyword => String(keyword).trim())
+                .filter(Boolean);
+            return keywords.length > 0 ? keywords : null;
+        }
+
+        const text = (Array.isArray(value) ? value.join(', ') : String(value)).replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+        return key.endsWith('_date') ? this.parsePdfDate(text) : text;
+    }
+
+    /**
+     * Convert a PDF date ("D:20240131120000+01'00'") to ISO 8601; other dates are kept as they are
+     * @param {string} value - Date string
+     * @returns {string} ISO 8601 date
+     */
+    static parsePdfDate(value) {
+        const match = value.match(PDF_DATE_PATTERN);
+        if (!match) return value;
+
+        const [, year, month = '01', day = '01', hour, minute = '00', second = '00', zone, zoneHour = '00', zoneMinute = '00'] = match;
+        const date = `${year}-${month}-${day}`;
+        if (hour === undefined) return date;
+
+        const offset = zone === undefined ? '' : (zone === 'Z' ? 'Z' : `${zone}${zoneHour}:${zoneMinute}`);
+        return `${date}T${hour}:${minute}:${second}${offset}`;
+    }
+
+    /**
+     * Render fields as a YAML front matter block
+     * @param {Object} fields - Front matter fields (strings, numbers or string arrays)
+     * @returns {string[]} Lines, including the --- delimiters
+     */
+    static toYaml(fields) {
+        const lines = ['---'];
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === null || value === undefined) continue;
+
+            // JSON strings are valid double-quoted YAML scalars
+            if (Array.isArray(value)) {
+                lines.push(`${key}:`, ...value.map(item => `  - ${JSON.stringify(String(item))}`));
+            } else {
+                lines.push(`${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`);
+            }
+        }
+        lines.push('---');
+        return lines;
+    }
+
+    /**
+     * Prepend YAML front matter to a Markdown document
+     * @param {string} markdown - Markdown document
+     * @param {Object} fields - Front matter fields
+     * @returns {string} Markdown with front matter
+     */
+    static prepend(markdown, fields) {
+        return `${this.toYaml(fields).join('\n')}\n\n${markdown}`;
+    }
+}
+
+export default FrontMatter;
@@ -0,0 +1,188 @@
+/**
+ * HeaderFooterDetector.js
+ * Finds running headers, footers and page numbers by comparing the lines
+ * at the top and bottom of every page across the document
+ */
+
+import HeadingDetector from './HeadingDetector.js';
+
+const MARGIN_SHARE = 0.2;      // Candidates lie in the top or bottom 20% of the page
+const MAX_CANDIDATES = 3;      // ...and among the first or last three lines
+const MIN_PAGE_SHARE = 0.4;    // Odd and even pages often alternate running headers
+const MIN_DOCUMENT_PAGES = 3;  // Two pages sharing a line are as likely a title and its continuation
+const MIN_NUMBERED_PAGES = 3;  // Incrementing numbers need a few pages to be told apart from headings
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?[-–—]?\s*\d+\s*[-–—]?(?:\s+of\s+\d+)?$/i; // "7", "- 7 -", "Page 7", "7 of 10"
+
+export class HeaderFooterDetector {
+    /**
+     * Get supported handling modes
+     * @returns {string[]} 'remove' strips them, 'metadata' strips and reports them, 'keep' leaves them inline
+     */
+    static getSupportedModes() {
+        return ['remove', 'metadata', 'keep'];
+    }
+
+    /**
+     * @param {Object[]} pages - Page layouts from PdfTextLayout or OcrLayout
+     */
+    constructor(pages = []) {
+        this.pages = pages;
+        this.decorations = HeaderFooterDetector.detect(pages);
+    }
+
+    /**
+     * Detect repeated lines in the page margins
+     * @param {Object[]} pages - Page layouts
+     * @returns {Map<Object, string>} Detected lines mapped to 'header' or 'footer'
+     */
+    static detect(pages) {
+        const decorations = new Map();
+        if (pages.length < MIN_DOCUMENT_PAGES) return decorations;
+
+        const minPages = Math.max(2, Math.ceil(pages.length * MIN_PAGE_SHARE));
+        const headingDetector = new HeadingDetector(pages);
+        const groups = new Map();
+
+        for (const page of pages) {
+            for (const candidate of this.getCandidates(page)) {
+                const key = `${candidate.position}:${this.normalize(candidate.line.text)}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(candidate);
+            }
+        }
+
+        for (const candidates of groups.values()) {
+            const aligned = this.alignedCandidates(candidates);
+
+            // Identical text on many pages: running headers and footers
+            const byText = new Map();
+            for (const candidate of aligned) {
+                const text = candidate.line.text.trim().toLowerCase();
+                if (!byText.has(text)) byText.set(text, []);
+                byText.get(text).push(candidate);
+            }
+            for (const sameText of byText.values()) {
+                if (this.countPages(sameText) >= minPages) {
+                    sameText.forEach(candidate => decorations.set(candidate.line, candidate.position));
+                }
+            }
+
+            // Numbers that increase with the page: page numbers and "Page 3 of 10", but not numbered headings
+            const numberedCandidates = aligned.filter(candidate =>
+                PAGE_NUMBER_PATTERN.test(candidate.line.text.trim()) && headingDetector.getLevel(candidate.line) === 0);
+            for (const numbered of this.incrementingCandidates(numberedCandidates)) {
+                if (this.countPages(numbered) >= Math.max(minPages, MIN_NUMBERED_PAGES)) {
+                    numbered.forEach(candidate => decorations.set(candidate.line, candidate.position));
+                }
+            }
+        }
+
+        return decorations;
+    }
+
+    /**
+     * Lines near the top and bottom edge of a page
+     * @param {Object} page - Page layout
+     * @returns {Object[]} Candidates { page, line, position }
+     */
+    static getCandidates(page) {
+        const lines = [...page.lines].sort((a, b) => a.y - b.y);
+        const height = page.height || Math.max(...lines.map(line => line.y + line.height), 0);
+        const candidates = [];
+
+        lines.slice(0, MAX_CANDIDATES)
+            .filter(line => line.y <= height * MARGIN_SHARE)
+            .forEach(line => candidates.push({ page, line, position: 'header' }));
+        lines.slice(-MAX_CANDIDATES)
+            .filter(line => line.y + line.height >= height * (1 - MARGIN_SHARE) && !candidates.some(candidate => candidate.line === line))
+            .forEach(line => candidates.push({ page, line, position: 'footer' }));
+
+        return candidates;
+    }
+
+    /**
+     * Normalize line text so that changing numbers compare equal
+     * @param {string} text - Line text
+     * @returns {string} Normalized text
+     */
+    static normalize(text) {
+        return text.trim().toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Keep the candidates that sit at the group's typical vertical position
+     * @param {Object[]} candidates - Candidates sharing normalized text
+     * @returns {Object[]} Aligned candidates
+     */
+    static alignedCandidates(candidates) {
+        const positions = candidates.map(candidate => candidate.line.y).sort((a, b) => a - b);
+        const medianY = positions[Math.floor(positions.length / 2)];
+        return candidates.filter(candidate =>
+            Math.abs(candidate.line.y - medianY) <= Math.max(3, candidate.line.height * 0.5));
+    }
+
+    /**
+     * Candidates whose n-th number keeps a constant offset to the page number
+     * @param {Object[]} candidates - Aligned candidates sharing normalized text
+     * @returns {Object[][]} Groups of candidates with incrementing numbers
+     */
+    static incrementingCandidates(candidates) {
+        const numberCount = (this.normalize(candidates[0]?.line.text || '').match(/#/g) || []).length;
+        const groups = [];
+
+        for (let n = 0; n < numberCount; n++) {
+            const byOffset = new Map();
+            for (const candidate of candidates) {
+                const value = parseInt(candidate.line.text.match(/\d+/g)[n], 10);
+                const offset = value - candidate.page.pageNumber;
+                if (!byOffset.has(offset)) byOffset.set(offset, []);
+                byOffset.get(offset).push(candidate);
+            }
+            groups.push(...byOffset.values());
+        }
+
+        return groups;
+    }
+
+    /**
+     * Number of distinct pages among candidates
+     * @param {Object[]} candidates - Candidates
+     * @returns {number} Page count
+     */
+    static countPages(candidates) {
+        return new Set(candidates.map(candidate => candidate.page)).size;
+    }
+
+    /**
+     * Whether any header, footer or page number was detected
+     * @returns {boolean} Whether decorations were found
+     */
+    hasDecorations() {
+        return this.decorations.size > 0;
+    }
+
+    /**
+     * Remove detected lines from a page layout
+     * @param {Object} page - Page layout
+     * @returns {Object} Page layout without headers, footers and page numbers
+     */
+    strip(page) {
+        return { ...page, lines: page.lines.filter(line => !this.decorations.has(line)) };
+    }
+
+    /**
+     * Detected headers and footers per page
+     * @returns {Object[]} Entries { pageNumber, headers, footers }
+     */
+    getMetadata() {
+        return this.pages
+            .map(page => ({
+                pageNumber: page.pageNumber,
+                headers: page.lines.filter(line => this.decorations.get(line) === 'header').map(line => line.text),
+                footers: page.lines.filter(line => this.decorations.get(line) === 'footer').map(line => line.text)
+            }))
+            .filter(entry => entry.headers.length > 0 || entry.footers.length > 0);
+    }
+}
+
+export default HeaderFooterDetector;
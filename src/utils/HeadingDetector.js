@@ -0,0 +1,144 @@
+/**
+ * HeadingDetector.js
+ * Maps font sizes and weights to Markdown heading levels using a
+ * document-wide font-size histogram
+ */
+
+const MIN_HEADING_SIZE_RATIO = 1.15; // Font must be at least 15% larger than body text
+const SIZE_TOLERANCE = 0.5;          // Sizes closer than this (pt) share a level
+const MAX_HEADING_LENGTH = 150;
+const MAX_BOLD_HEADING_LENGTH = 80;
+
+export class HeadingDetector {
+    /**
+     * @param {Object[]} pages - Page layouts from PdfTextLayout.buildPage()
+     */
+    constructor(pages = []) {
+        this.histogram = HeadingDetector.buildFontHistogram(pages);
+        this.bodyFontSize = HeadingDetector.getBodyFontSize(this.histogram);
+        this.levelSizes = HeadingDetector.buildLevelSizes(pages, this.bodyFontSize);
+        this.boldLevel = Math.min(this.levelSizes.length + 1, 6);
+    }
+
+    /**
+     * Count characters per font size across the document
+     * @param {Object[]} pages - Page layouts
+     * @returns {Map<number, number>} Font size to character count
+     */
+    static buildFontHistogram(pages) {
+        const histogram = new Map();
+
+        for (const page of pages) {
+            for (const line of page.lines) {
+                for (const fragment of line.fragments) {
+                    const size = fragment.fontSize;
+                    const length = fragment.text.replace(/\s/g, '').length;
+                    if (size > 0 && length > 0) {
+                        histogram.set(size, (histogram.get(size) || 0) + length);
+                    }
+                }
+            }
+        }
+
+        return histogram;
+    }
+
+    /**
+     * The body font size is the size covering the most characters
+     * @param {Map<number, number>} histogram - Font size histogram
+     * @returns {number} Body font size (0 when unknown)
+     */
+    static getBodyFontSize(histogram) {
+        let bodySize = 0;
+        let bodyCount = -1;
+
+        for (const [size, count] of histogram) {
+            if (count > bodyCount || (count === bodyCount && size < bodySize)) {
+                bodySize = size;
+                bodyCount = count;
+            }
+        }
+
+        return bodySize;
+    }
+
+    /**
+     * Collect the distinct heading font sizes, largest first
+     * @param {Object[]} pages - Page layouts
+     * @param {number} bodyFontSize - Body font size
+     * @returns {number[]} Representative size for each heading level (max 6)
+     */
+    static buildLevelSizes(pages, bodyFontSize) {
+        if (!bodyFontSize) return [];
+
+        const candidates = [];
+        for (const page of pages) {
+            for (const line of page.lines) {
+                if (line.fontSize >= bodyFontSize * MIN_HEADING_SIZE_RATIO && this.looksLikeHeadingText(line.text, MAX_HEADING_LENGTH)) {
+                    candidates.push(line.fontSize);
+                }
+            }
+        }
+
+        const sizes = [...new Set(candidates)].sort((a, b) => b - a);
+        const levels = [];
+        for (const size of sizes) {
+            const previous = levels[levels.length - 1];
+            if (previous === undefined || previous - size > SIZE_TOLERANCE) {
+                levels.push(size);
+            }
+        }
+
+        return levels.slice(0, 6);
+    }
+
+    /**
+     * Basic shape test for heading text
+     * @param {string} text - Line text
+     * @param {number} maxLength - Maximum heading length
+     * @returns {boolean} Whether the text could be a heading
+     */
+    static looksLikeHeadingText(text, maxLength) {
+        const trimmed = (text || '').trim();
+        return trimmed.length > 1 && trimmed.length <= maxLength && /\p{L}/u.test(trimmed);
+    }
+
+    /**
+     * Whether any heading level could be derived from the document fonts
+     * @returns {boolean} Whether layout-based headings are available
+     */
+    hasLevels() {
+        return this.levelSizes.length > 0;
+    }
+
+    /**
+     * Get the heading level of a line
+     * @param {Object} line - Line from PdfTextLayout
+     * @returns {number} Heading level 1-6, or 0 for body text
+     */
+    getLevel(line) {
+        if (!this.bodyFontSize) return 0;
+
+        if (line.fontSize >= this.bodyFontSize * MIN_HEADING_SIZE_RATIO) {
+            if (!HeadingDetector.looksLikeHeadingText(line.text, MAX_HEADING_LENGTH)) return 0;
+
+            for (let i = 0; i < this.levelSizes.length; i++) {
+                if (line.fontSize >= this.levelSizes[i] - SIZE_TOLERANCE) {
+                    return i + 1;
+                }
+            }
+            return Math.min(this.levelSizes.length, 6);
+        }
+
+        // Bold lines at body size act as the lowest heading level
+        if (line.bold && Math.abs(line.fontSize - this.bodyFontSize) <= SIZE_TOLERANCE &&
+            HeadingDetector.looksLikeHeadingText(line.text, MAX_BOLD_HEADING_LENGTH) &&
+            !/[.,;]$/.test(line.text.trim())) {
+            return this.boldLevel;
+        }
+
+        return 0;
+    }
+}
+
+export default HeadingDetector;
@@ -0,0 +1,169 @@
+/**
+ * ImageDocument.js
+ * Presents PNG, JPEG, WebP and (multi-page) TIFF images as a pdf.js-like document,
+ * so image inputs go through the same rendering, OCR and Markdown pipeline as scanned PDFs
+ */
+
+import TiffDecoder from './TiffDecoder.js';
+
+const MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' }; // Types the canvas implementation decodes
+
+export class ImageDocument {
+    /**
+     * @param {Object[]} pages - Pages from createPage()
+     */
+    constructor(pages) {
+        this.pages = pages;
+        this.numPages = pages.length;
+    }
+
+    /**
+     * Get supported image types
+     * @returns {string[]} Types detected by InputNormalizer
+     */
+    static getSupportedTypes() {
+        return ['png', 'jpeg', 'tiff', 'webp'];
+    }
+
+    /**
+     * Open a normalized image input; every TIFF frame is a page
+     * @param {Object} input - Descriptor from InputNormalizer.normalize() with an image type
+     * @param {CanvasFactory} canvasFactory - Canvas factory that decodes images and draws TIFF frames
+     * @param {Object} options - Document options
+     * @param {number} options.scale - Render scale at which pages are rendered at their pixel size (processing.pdfRenderScale)
+     * @returns {Promise<ImageDocument>} Document
+     */
+    static async load(input, canvasFactory, { scale }) {
+        if (input.type === 'tiff') {
+            const frames = TiffDecoder.readFrames(input.data);
+            return new ImageDocument(frames.map((frame, index) => {
+                // Fax images have a lower vertical resolution; stretch them to square pixels
+                const aspect = frame.xResolution && frame.yResolution ? frame.xResolution / frame.yResolution : 1;
+                return this.createPage(index + 1, frame.width / scale, frame.height * aspect / scale,
+                    () => this.drawTiffFrame(input.data, frame, canvasFactory));
+            }));
+        }
+
+        if (!MIME_TYPES[input.type]) {
+            throw new Error(`Unsupported image type: ${input.type}`);
+        }
+        const image = await canvasFactory.loadImage(input.data, MIME_TYPES[input.type]);
+        return new ImageDocument([
+            this.createPage(1, image.width / scale, image.height / scale, async () => ({ source: image, release: () => {} }))
+        ]);
+    }
+
+    /**
+     * Decode a TIFF frame into a canvas
+     * @param {Uint8Array} bytes - TIFF file bytes
+     * @param {Object} frame - Frame from TiffDecoder.readFrames()
+     * @param {CanvasFactory} canvasFactory - Canvas factory
+     * @returns {Promise<Object>} { source: canvas, release() }
+     */
+    static async drawTiffFrame(bytes, frame, canvasFactory) {
+        const { width, height, data } = await TiffDecoder.decodeFrame(bytes, frame);
+        const canvas = canvasFactory.create(width, height);
+        try {
+            const context = canvas.getContext('2d');
+            const imageData = context.createImageData(width, height);
+            imageData.data.set(data);
+            context.putImageData(imageData, 0, 0);
+        } catch (error) {
+            canvasFactory.destroy(canvas);
+            throw error;
+        }
+        return { source: canvas, release: () => canvasFactory.destroy(canvas) };
+    }
+
+    /**
+     * Create a page with the parts of the pdf.js page proxy the OCR pipeline uses
+     * @param {number} pageNumber - 1-based page number
+     * @param {number} width - Page width at scale 1
+     * @param {number} height - Page height at scale 1
+     * @param {Function} loadSource - () => Promise<{ source, release() }>, the drawable image; TIFF frames are decoded per rendering
+     * @returns {Object} Page
+     */
+    static createPage(pageNumber, width, height, loadSource) {
+        return {
+            pageNumber,
+            rotate: 0,
+            getViewport: ({ scale, rotation = 0 }) => this.getViewport(width, height, scale, rotation),
+            render: ({ canvasContext, viewport }) => ({
+                promise: (async () => {
+                    const { source, release } = await loadSource();
+                    try {
+                        // Like pdf.js, pages are drawn on white, so transparent areas do not read as black
+                        canvasContext.save();
+                        canvasContext.fillStyle = '#ffffff';
+                        canvasContext.fillRect(0, 0, viewport.width, viewport.height);
+                        canvasContext.setTransform(...viewport.transform);
+                        canvasContext.drawImage(source, 0, 0, width, height);
+                        canvasContext.restore();
+                    } finally {
+                        release();
+                    }
+                })()
+            }),
+            // Images have no text layer or embedded figures
+            getTextContent: async () => ({ items: [] }),
+            getOperatorList: async () => ({ fnArray: [], argsArray: [] })
+        };
+    }
+
+    /**
+     * Create a viewport like pdf.js page.getViewport()
+     * @param {number} width - Page width at scale 1
+     * @param {number} height - Page height at scale 1
+     * @param {number} scale - Render scale
+     * @param {number} rotation - Clockwise rotation (0, 90, 180 or 270)
+     * @returns {Object} { width, height, scale, rotation, transform }; transform maps page coordinates (y down) to the canvas
+     */
+    static getViewport(width, height, scale, rotation) {
+        const angle = ((rotation % 360) + 360) % 360;
+        const transforms = {
+            0: [scale, 0, 0, scale, 0, 0],
+            90: [0, scale, -scale, 0, height * scale, 0],
+            180: [-scale, 0, 0, -scale, width * scale, height * scale],
+            270: [0, -scale, scale, 0, 0, width * scale]
+        };
+        const sideways = angle % 180 !== 0;
+
+        return {
+            width: (sideways ? height : width) * scale,
+            height: (sideways ? width : height) * scale,
+            scale,
+            rotation: angle,
+            transform: transforms[angle]
+        };
+    }
+
+    /**
+     * Get a page
+     * @param {number} pageNumber - 1-based page number
+     * @returns {Promise<Object>} Page
+     */
+    async getPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.numPages) {
+            throw new Error(`Invalid page number: ${pageNumber}`);
+        }
+        return this.pages[pageNumber - 1];
+    }
+
+    /**
+     * Images have no outline
+     * @returns {Promise<null>} No outline
+     */
+    async getOutline() {
+        return null;
+    }
+
+    /**
+     * Images have no document information
+     * @returns {Promise<Object>} Empty metadata in the shape of pdf.js getMetadata()
+     */
+    async getMetadata() {
+        return { info: {}, metadata: null };
+    }
+}
+
+export default ImageDocument;
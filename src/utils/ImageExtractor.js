@@ -0,0 +1,273 @@
+/**
+ * ImageExtractor.js
+ * Finds the images painted on a page in its operator list, encodes them as
+ * PNG files and places Markdown image references at their reading position
+ */
+
+import PdfTextLayout from './PdfTextLayout.js';
+
+const MIN_FIGURE_SIZE = 24;     // Smaller images (bullets, rules, icons) are decoration, in PDF points
+const IMAGE_TIMEOUT_MS = 10000; // pdf.js never resolves images it fails to decode
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 }; // pdf.js ImageKind
+const BASE64_CHUNK = 0x8000;    // Bytes passed to String.fromCharCode at once
+
+export class ImageExtractor {
+    /**
+     * Get supported image modes
+     * @returns {string[]} 'none' leaves images out, 'files' references them by file name, 'inline' embeds them as data URIs
+     */
+    static getSupportedModes() {
+        return ['none', 'files', 'inline'];
+    }
+
+    /**
+     * Stable file name of an image
+     * @param {number} pageNumber - 1-based page number
+     * @param {number} index - 1-based position of the image on its page
+     * @returns {string} File name, e.g. images/page-3-img-1.png
+     */
+    static getFileName(pageNumber, index) {
+        return `images/page-${pageNumber}-img-${index}.png`;
+    }
+
+    /**
+     * Extract the figures of a page
+     * @param {Object} page - pdf.js page proxy
+     * @param {Object} options - Extraction options
+     * @param {number} options.pageNumber - 1-based page number
+     * @param {Object} options.viewport - pdf.js viewport at scale 1
+     * @param {Object} options.OPS - pdf.js operator codes
+     * @param {CanvasFactory} options.canvasFactory - Canvas factory used to encode the images
+     * @param {Function} [options.onError] - (error) => void, called for every image that could not be encoded; it is left out
+     * @returns {Promise<Object[]>} Images { name, pageNumber, x, y, width, height, pixelWidth, pixelHeight, mimeType, data } in reading order
+     */
+    static async extractPageImages(page, { pageNumber, viewport, OPS, canvasFactory, onError = null }) {
+        const operatorList = await page.getOperatorList();
+        const placements = this.findPlacements(operatorList, OPS, viewport.transform);
+        const images = [];
+
+        for (const placement of placements) {
+            const image = await this.loadImage(page, placement.source);
+            // Undecodable images are left out rather than failing the page
+            if (!image || (!image.data && !image.bitmap)) continue;
+
+            const canvas = canvasFactory.create(image.width, image.height);
+            try {
+                this.drawImage(canvas, image);
+                images.push({
+                    name: this.getFileName(pageNumber, images.length + 1),
+                    pageNumber,
+                    x: placement.x,
+                    y: placement.y,
+                    width: placement.width,
+                    height: placement.height,
+                    pixelWidth: image.width,
+                    pixelHeight: image.height,
+                    mimeType: 'image/png',
+                    data: await canvasFactory.toPng(canvas)
+                });
+            } catch (error) {
+                if (onError) onError(error);
+            } finally {
+                canvasFactory.destroy(canvas);
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Find where images are painted by replaying the transforms of an operator list
+     * @param {Object} operatorList - pdf.js operator list { fnArray, argsArray }
+     * @param {Object} OPS - pdf.js operator codes
+     * @param {number[]} viewportTransform - Viewport transform to top-left page coordinates
+     * @returns {Object[]} Placements { source, x, y, width, height } sorted top to bottom; source is an object id or inline image data
+     */
+    static findPlacements(operatorList, OPS, viewportTransform) {
+        const placements = [];
+        const stack = [];
+        let transform = [1, 0, 0, 1, 0, 0];
+
+        for (let i = 0; i < operatorList.fnArray.length; i++) {
+            const fn = operatorList.fnArray[i];
+            const args = operatorList.argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push(transform);
+            } else if (fn === OPS.restore) {
+                transform = stack.pop() || transform;
+            } else if (fn === OPS.transform) {
+                transform = PdfTextLayout.multiplyTransform(transform, args);
+            } else if (fn === OPS.paintFormXObjectBegin) {
+                stack.push(transform);
+                if (args && args[0]) transform = PdfTextLayout.multiplyTransform(transform, args[0]);
+            } else if (fn === OPS.paintFormXObjectEnd) {
+                transform = stack.pop() || transform;
+            } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject) {
+                // Images fill the unit square of the current transform
+                const box = this.getBoundingBox(PdfTextLayout.multiplyTransform(viewportTransform, transform));
+                if (box.width >= MIN_FIGURE_SIZE && box.height >= MIN_FIGURE_SIZE) {
+                    placements.push({ source: args[0], ...box });
+                }
+            }
+        }
+
+        return placements.sort((a, b) => a.y - b.y || a.x - b.x);
+    }
+
+    /**
+     * Bounding box of the unit square under a transform
+     * @param {number[]} transform - Transform matrix
+     * @returns {Object} { x, y, width, height }
+     */
+    static getBoundingBox(transform) {
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [
+            transform[0] * u + transform[2] * v + transform[4],
+            transform[1] * u + transform[3] * v + transform[5]
+        ]);
+        const xs = corners.map(corner => corner[0]);
+        const ys = corners.map(corner => corner[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Load the decoded data of an image
+     * @param {Object} page - pdf.js page proxy
+     * @param {string|Object} source - Image object id, or inline image data
+     * @returns {Promise<Object|null>} Image { width, height, kind, data } or { width, height, bitmap }
+     */
+    static async loadImage(page, source) {
+        if (typeof source !== 'string') return source || null;
+
+        // Images shared between pages live in the document-wide objects
+        const objects = source.startsWith('g_') ? page.commonObjs : page.objs;
+        let timer = null;
+        try {
+            return await Promise.race([
+                new Promise(resolve => objects.get(source, resolve)),
+                new Promise((resolve) => {
+                    timer = setTimeout(() => resolve(null), IMAGE_TIMEOUT_MS);
+                })
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Draw decoded image data onto a canvas of the image's size
+     * @param {Object} canvas - Canvas
+     * @param {Object} image - Image from loadImage()
+     */
+    static drawImage(canvas, image) {
+        const context = canvas.getContext('2d');
+        if (image.bitmap) {
+            context.drawImage(image.bitmap, 0, 0);
+            return;
+        }
+
+        const imageData = context.createImageData(image.width, image.height);
+        imageData.data.set(this.toRgba(image));
+        context.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Convert pdf.js image data to RGBA pixels
+     * @param {Object} image - Image { width, height, kind, data }
+     * @returns {Uint8ClampedArray} RGBA pixels
+     */
+    static toRgba({ width, height, kind, data }) {
+        const pixelCount = width * height;
+        const rgba = new Uint8ClampedArray(pixelCount * 4);
+
+        if (kind === IMAGE_KIND.RGBA_32BPP) {
+            rgba.set(data.subarray(0, rgba.length));
+            return rgba;
+        }
+        if (kind !== IMAGE_KIND.RGB_24BPP && kind !== IMAGE_KIND.GRAYSCALE_1BPP) {
+            throw new Error(`Unsupported image kind: ${kind}`);
+        }
+
+        const rowBytes = (width + 7) >> 3;
+        for (let pixel = 0; pixel < pixelCount; pixel++) {
+            const offset = pixel * 4;
+            if (kind === IMAGE_KIND.RGB_24BPP) {
+                rgba[offset] = data[pixel * 3];
+                rgba[offset + 1] = data[pixel * 3 + 1];
+                rgba[offset + 2] = data[pixel * 3 + 2];
+            } else {
+                // Rows of 1-bit pixels are byte-aligned; set bits are white
+                const row = Math.floor(pixel / width);
+                const column = pixel % width;
+                const value = data[row * rowBytes + (column >> 3)] & (0x80 >> (column & 7)) ? 255 : 0;
+                rgba[offset] = value;
+                rgba[offset + 1] = value;
+                rgba[offset + 2] = value;
+            }
+            rgba[offset + 3] = 255;
+        }
+
+        return rgba;
+    }
+
+    /**
+     * Encode an image file as a data URI
+     * @param {Buffer|Blob} data - Encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<string>} Data URI
+     */
+    static async toDataUri(data, mimeType) {
+        if (typeof Buffer !== 'undefined' && Buffer.isBuffer(data)) {
+            return `data:${mimeType};base64,${data.toString('base64')}`;
+        }
+
+        const bytes = new Uint8Array(await data.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+        }
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Find the line an image is read before: the first line below its middle in
+     * the same column, else the first line below its middle anywhere on the page
+     * @param {Object[]} lines - Lines of the page in reading order
+     * @param {Object} image - Image with its page position
+     * @returns {number} Line index (lines.length to place the image at the end of the page)
+     */
+    static getInsertionIndex(lines, image) {
+        const middle = image.y + image.height / 2;
+        const isBelow = line => line.y + line.height / 2 > middle;
+        const sharesColumn = line => line.x < image.x + image.width && image.x < line.x + line.width;
+
+        let index = lines.findIndex(line => isBelow(line) && sharesColumn(line));
+        if (index < 0) index = lines.findIndex(isBelow);
+        return index < 0 ? lines.length : index;
+    }
+
+    /**
+     * Markdown reference to an image
+     * @param {Object} image - Image with its figure number and file name
+     * @returns {string} Markdown image
+     */
+    static toMarkdown(image) {
+        return `![Figure ${image.figure}](${image.name})`;
+    }
+
+    /**
+     * Replace image file references with the data URIs of the images
+     * @param {string} markdown - Markdown referencing images by file name
+     * @param {Object[]} images - Images with a dataUri
+     * @returns {string} Markdown with embedded images
+     */
+    static inlineImages(markdown, images) {
+        return images.reduce((result, image) =>
+            (image.dataUri ? result.split(`](${image.name})`).join(`](${image.dataUri})`) : result), markdown);
+    }
+}
+
+export default ImageExtractor;
@@ -0,0 +1,406 @@
+/**
+ * ImagePreprocessor.js
+ * Cleans up rendered pages before OCR: grayscale conversion, adaptive
+ * thresholding, deskewing, despeckling and border cropping
+ */
+
+const DARK = 128;                  // Gray values below this are ink
+const THRESHOLD_WINDOW_RATIO = 16; // Default threshold window: 1/16 of the page width
+const DESKEW_SAMPLE_WIDTH = 800;   // Skew is estimated on every n-th pixel so the page is about this wide
+const MIN_SKEW_ANGLE = 0.05;       // Smaller skew in degrees is left alone
+
+const DEFAULT_OPTIONS = {
+    grayscale: {},
+    threshold: { windowSize: null, offset: 15 },   // windowSize in pixels (null: page width / 16), offset in percent below the local mean
+    deskew: { maxAngle: 5, step: 0.1 },           // Degrees searched in both directions
+    despeckle: { maxArea: 4 },                    // Ink specks of at most this many pixels are removed
+    crop: { borderRatio: 0.5, padding: 20 }       // Edge rows/columns darker than borderRatio are scanner borders; padding in pixels
+};
+
+export class ImagePreprocessor {
+    /**
+     * Get the built-in preprocessing operations
+     * @returns {string[]} Operation names, in the order they are usually applied
+     */
+    static getSupportedOperations() {
+        return ['grayscale', 'deskew', 'threshold', 'despeckle', 'crop'];
+    }
+
+    /**
+     * Normalize a preprocessing step
+     * @param {string|Object|Function} step - Operation name, { operation, ...options }, or (canvas, { canvasFactory }) => canvas
+     * @returns {Object|Function} { operation, options } with defaults applied, or the custom function
+     */
+    static normalizeStep(step) {
+        if (typeof step === 'function') return step;
+
+        const { operation, ...options } = typeof step === 'string' ? { operation: step } : (step || {});
+        if (!this.getSupportedOperations().includes(operation)) {
+            throw new Error(`preprocessing steps must be a function or one of: ${this.getSupportedOperations().join(', ')}`);
+        }
+        return { operation, options: { ...DEFAULT_OPTIONS[operation], ...options } };
+    }
+
+    /**
+     * Apply preprocessing steps to a rendered page
+     * @param {Object} canvas - Rendered page canvas
+     * @param {Array} steps - Preprocessing steps, see normalizeStep()
+     * @param {CanvasFactory} canvasFactory - Canvas factory for resized or rotated pages
+     * @returns {Promise<Object>} { canvas, offsetX, offsetY, skewAngle }: a point of the result lies in the rendered page
+     *     at the point plus the offsets (in pixels), turned clockwise by skewAngle degrees about the top-left corner,
+     *     see toRenderedPage(). A replaced input canvas is destroyed; when a step fails, the input canvas stays with the caller
+     */
+    static async apply(canvas, steps, canvasFactory) {
+        const result = { canvas, offsetX: 0, offsetY: 0, skewAngle: 0 };
+
+        try {
+            for (const step of steps.map(entry => this.normalizeStep(entry))) {
+                const previous = result.canvas;
+
+                if (typeof step === 'function') {
+                    result.canvas = await step(previous, { canvasFactory });
+                } else if (step.operation === 'deskew') {
+                    const angle = this.findSkewAngle(this.getImageData(previous), step.options);
+                    if (Math.abs(angle) >= MIN_SKEW_ANGLE) {
+                        result.canvas = this.rotateCanvas(previous, -angle, canvasFactory);
+                        // The rotation about the canvas center becomes one about the corner of the rendered page
+                        const centerX = previous.width / 2;
+                        const centerY = previous.height / 2;
+                        const offset = this.rotatePoint(centerX + result.offsetX, centerY + result.offsetY, -angle);
+                        result.offsetX = offset.x - centerX;
+                        result.offsetY = offset.y - centerY;
+                        result.skewAngle += angle;
+                    }
+                } else if (step.operation === 'crop') {
+                    const box = this.findContentBox(this.getImageData(previous), step.options);
+                    if (box) {
+                        result.canvas = this.cropCanvas(previous, box, canvasFactory);
+                        result.offsetX += box.x;
+                        result.offsetY += box.y;
+                    }
+                } else {
+                    const imageData = this.getImageData(previous);
+                    const filters = { grayscale: 'toGrayscale', threshold: 'adaptiveThreshold', despeckle: 'despeckle' };
+                    this[filters[step.operation]](imageData, step.options);
+                    previous.getContext('2d').putImageData(imageData, 0, 0);
+                }
+
+                // Intermediate canvases are released as soon as a step replaces them
+                if (result.canvas !== previous && previous !== canvas) {
+                    canvasFactory.destroy(previous);
+                }
+            }
+        } catch (stepError) {
+            if (result.canvas !== canvas) canvasFactory.destroy(result.canvas);
+            throw stepError;
+        }
+
+        if (result.canvas !== canvas) canvasFactory.destroy(canvas);
+        return result;
+    }
+
+    /**
+     * Map a box of a preprocessed image back into the rendered page, see apply(). Boxes keep
+     * their size: a word of a deskewed page gets an upright box around its center in the page
+     * @param {Object} bbox - { x0, y0, x1, y1 } in pixels of the preprocessed image
+     * @param {Object} [placement] - { offsetX, offsetY, skewAngle } from apply()
+     * @returns {Object} { x0, y0, x1, y1 } in pixels of the rendered page
+     */
+    static toRenderedPage(bbox, { offsetX = 0, offsetY = 0, skewAngle = 0 } = {}) {
+        const box = { x0: bbox.x0 + offsetX, y0: bbox.y0 + offsetY, x1: bbox.x1 + offsetX, y1: bbox.y1 + offsetY };
+        if (!skewAngle) return box;
+
+        const centerX = (box.x0 + box.x1) / 2;
+        const centerY = (box.y0 + box.y1) / 2;
+        const center = this.rotatePoint(centerX, centerY, skewAngle);
+        const dx = center.x - centerX;
+        const dy = center.y - centerY;
+        return { x0: box.x0 + dx, y0: box.y0 + dy, x1: box.x1 + dx, y1: box.y1 + dy };
+    }
+
+    /**
+     * Turn a point about the origin, clockwise on a canvas whose y axis points down
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} degrees - Clockwise rotation in degrees
+     * @returns {Object} { x, y }
+     */
+    static rotatePoint(x, y, degrees) {
+        const radians = degrees * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        return { x: x * cos - y * sin, y: x * sin + y * cos };
+    }
+
+    /**
+     * Read the pixels of a canvas
+     * @param {Object} canvas - Canvas
+     * @returns {Object} ImageData { width, height, data } with RGBA pixels
+     */
+    static getImageData(canvas) {
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Gray value of every pixel
+     * @param {Object} imageData - RGBA image data
+     * @returns {Uint8ClampedArray} Luma per pixel
+     */
+    static getLuma({ width, height, data }) {
+        const luma = new Uint8ClampedArray(width * height);
+        for (let pixel = 0; pixel < luma.length; pixel++) {
+            const offset = pixel * 4;
+            luma[pixel] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        }
+        return luma;
+    }
+
+    /**
+     * Write gray values back into RGBA image data
+     * @param {Object} imageData - RGBA image data, changed in place
+     * @param {Uint8ClampedArray} luma - Gray value per pixel
+     */
+    static setLuma(imageData, luma) {
+        const { data } = imageData;
+        for (let pixel = 0; pixel < luma.length; pixel++) {
+            const offset = pixel * 4;
+            data[offset] = luma[pixel];
+            data[offset + 1] = luma[pixel];
+            data[offset + 2] = luma[pixel];
+            data[offset + 3] = 255;
+        }
+    }
+
+    /**
+     * Convert an image to grayscale
+     * @param {Object} imageData - RGBA image data, changed in place
+     */
+    static toGrayscale(imageData) {
+        this.setLuma(imageData, this.getLuma(imageData));
+    }
+
+    /**
+     * Binarize an image against the mean brightness of each pixel's neighborhood, which copes with shadows and uneven lighting
+     * @param {Object} imageData - RGBA image data, changed in place
+     * @param {Object} options - { windowSize, offset }
+     */
+    static adaptiveThreshold(imageData, { windowSize = null, offset = 15 } = {}) {
+        const { width, height } = imageData;
+        const luma = this.getLuma(imageData);
+        const half = Math.max(1, Math.floor((windowSize || width / THRESHOLD_WINDOW_RATIO) / 2));
+
+        // Summed-area table: the sum of any window in four lookups
+        const integral = new Float64Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += luma[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const binary = new Uint8ClampedArray(luma.length);
+        for (let y = 0; y < height; y++) {
+            const top = Math.max(0, y - half);
+            const bottom = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - half);
+                const right = Math.min(width, x + half + 1);
+                const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right] -
+                    integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+                const mean = sum / ((bottom - top) * (right - left));
+                binary[y * width + x] = luma[y * width + x] < mean * (1 - offset / 100) ? 0 : 255;
+            }
+        }
+
+        this.setLuma(imageData, binary);
+    }
+
+    /**
+     * Remove small specks of ink (scanner dust, noise) that OCR reads as punctuation
+     * @param {Object} imageData - RGBA image data, changed in place
+     * @param {Object} options - { maxArea }: largest speck in pixels
+     */
+    static despeckle(imageData, { maxArea = 4 } = {}) {
+        const { width, height } = imageData;
+        const luma = this.getLuma(imageData);
+        const visited = new Uint8Array(luma.length);
+        const component = [];
+
+        for (let start = 0; start < luma.length; start++) {
+            if (visited[start] || luma[start] >= DARK) continue;
+
+            // Collect the 8-connected ink component, stopping early once it is too large to be a speck
+            component.length = 0;
+            const stack = [start];
+            visited[start] = 1;
+            let area = 0;
+            while (stack.length > 0) {
+                const pixel = stack.pop();
+                area++;
+                if (area <= maxArea) component.push(pixel);
+
+                const x = pixel % width;
+                const y = (pixel - x) / width;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                        const neighbor = ny * width + nx;
+                        if (!visited[neighbor] && luma[neighbor] < DARK) {
+                            visited[neighbor] = 1;
+                            stack.push(neighbor);
+                        }
+                    }
+                }
+            }
+
+            if (area <= maxArea) {
+                for (const pixel of component) luma[pixel] = 255;
+            }
+        }
+
+        this.setLuma(imageData, luma);
+    }
+
+    /**
+     * Estimate the skew of the text lines with a projection profile: rows of ink are sharpest when projected along the lines
+     * @param {Object} imageData - RGBA image data
+     * @param {Object} options - { maxAngle, step } in degrees
+     * @returns {number} Skew in degrees; positive when lines descend to the right
+     */
+    static findSkewAngle(imageData, { maxAngle = 5, step = 0.1 } = {}) {
+        const { width, height } = imageData;
+        const luma = this.getLuma(imageData);
+        const stride = Math.max(1, Math.floor(width / DESKEW_SAMPLE_WIDTH));
+
+        const xs = [];
+        const ys = [];
+        for (let y = 0; y < height; y += stride) {
+            for (let x = 0; x < width; x += stride) {
+                if (luma[y * width + x] < DARK) {
+                    xs.push(x);
+                    ys.push(y);
+                }
+            }
+        }
+        if (xs.length === 0) return 0;
+
+        const margin = Math.ceil(width * Math.tan(maxAngle * Math.PI / 180));
+        const profile = new Float64Array(height + 2 * margin + 1);
+        let bestAngle = 0;
+        let bestScore = -1;
+
+        for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += step) {
+            const slope = Math.tan(angle * Math.PI / 180);
+            profile.fill(0);
+            for (let index = 0; index < xs.length; index++) {
+                profile[Math.round(ys[index] - xs[index] * slope) + margin]++;
+            }
+
+            let score = 0;
+            for (let row = 1; row < profile.length; row++) {
+                const difference = profile[row] - profile[row - 1];
+                score += difference * difference;
+            }
+            // Prefer the smallest correction among equally sharp profiles
+            if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+                bestScore = score;
+                bestAngle = angle;
+            }
+        }
+
+        return Math.round(bestAngle * 100) / 100;
+    }
+
+    /**
+     * Find the part of a page worth recognizing: without dark scanner borders and empty margins
+     * @param {Object} imageData - RGBA image data
+     * @param {Object} options - { borderRatio, padding }
+     * @returns {Object|null} Box { x, y, width, height } in pixels, or null when the page has no ink or nothing to crop
+     */
+    static findContentBox(imageData, { borderRatio = 0.5, padding = 20 } = {}) {
+        const { width, height } = imageData;
+        const luma = this.getLuma(imageData);
+        const inkShare = (x0, y0, x1, y1) => {
+            let ink = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    if (luma[y * width + x] < DARK) ink++;
+                }
+            }
+            return ink / Math.max(1, (x1 - x0) * (y1 - y0));
+        };
+
+        // Scanner borders: edge rows and columns that are mostly ink
+        let top = 0;
+        let bottom = height;
+        let left = 0;
+        let right = width;
+        while (top < bottom && inkShare(left, top, right, top + 1) > borderRatio) top++;
+        while (bottom > top && inkShare(left, bottom - 1, right, bottom) > borderRatio) bottom--;
+        while (left < right && inkShare(left, top, left + 1, bottom) > borderRatio) left++;
+        while (right > left && inkShare(right - 1, top, right, bottom) > borderRatio) right--;
+
+        // Empty margins around the remaining ink
+        let minX = right;
+        let minY = bottom;
+        let maxX = left - 1;
+        let maxY = top - 1;
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                if (luma[y * width + x] < DARK) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < minX) return null;
+
+        const box = {
+            x: Math.max(left, minX - padding),
+            y: Math.max(top, minY - padding),
+            width: 0,
+            height: 0
+        };
+        box.width = Math.min(right, maxX + padding + 1) - box.x;
+        box.height = Math.min(bottom, maxY + padding + 1) - box.y;
+        return box.width === width && box.height === height ? null : box;
+    }
+
+    /**
+     * Rotate a canvas about its center, filling uncovered corners with white
+     * @param {Object} canvas - Source canvas
+     * @param {number} degrees - Clockwise rotation in degrees
+     * @param {CanvasFactory} canvasFactory - Canvas factory
+     * @returns {Object} New canvas of the same size
+     */
+    static rotateCanvas(canvas, degrees, canvasFactory) {
+        const rotated = canvasFactory.create(canvas.width, canvas.height);
+        const context = rotated.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, rotated.width, rotated.height);
+        context.translate(rotated.width / 2, rotated.height / 2);
+        context.rotate(degrees * Math.PI / 180);
+        context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return rotated;
+    }
+
+    /**
+     * Copy part of a canvas
+     * @param {Object} canvas - Source canvas
+     * @param {Object} box - { x, y, width, height } in pixels
+     * @param {CanvasFactory} canvasFactory - Canvas factory
+     * @returns {Object} New canvas with the box contents
+     */
+    static cropCanvas(canvas, box, canvasFactory) {
+        const cropped = canvasFactory.create(box.width, box.height);
+        cropped.getContext('2d').drawImage(canvas, box.x, box.y, box.width, box.height, 0, 0, box.width, box.height);
+        return cropped;
+    }
+}
+
+export default ImagePreprocessor;
@@ -0,0 +1,163 @@
+/**
+ * InlineStyleFormatter.js
+ * Turns the font styles and links of positioned text runs into Markdown
+ * emphasis, inline code, links and fenced code blocks
+ */
+
+import PdfTextLayout from './PdfTextLayout.js';
+import TableDetector from './TableDetector.js';
+import LinkAnnotations from './LinkAnnotations.js';
+
+const MIN_CODE_BLOCK_LINES = 2; // A single monospace line stays inline code
+
+export class InlineStyleFormatter {
+    /**
+     * Classify the style of a fragment
+     * @param {Object} fragment - Fragment with font info
+     * @returns {string} 'code', 'bold-italic', 'bold', 'italic' or 'plain'
+     */
+    static getStyle(fragment) {
+        const font = fragment.font || {};
+        if (font.monospace) return 'code';
+        if (font.bold && font.italic) return 'bold-italic';
+        if (font.bold) return 'bold';
+        if (font.italic) return 'italic';
+        return 'plain';
+    }
+
+    /**
+     * Render a line with Markdown markup for its styled and linked runs
+     * @param {Object} line - Line with fragments
+     * @param {Object} options - Options
+     * @param {boolean} options.styles - Whether font styles become emphasis and inline code
+     * @returns {string} Line text with links, emphasis and inline code
+     */
+    static formatLine(line, { styles = true } = {}) {
+        const fragments = (line.fragments || []).filter(fragment => fragment.text !== '');
+        const getStyle = fragment => (styles ? this.getStyle(fragment) : 'plain');
+        if (!fragments.some(fragment => fragment.link || getStyle(fragment) !== 'plain')) {
+            return line.text;
+        }
+
+        // Links are grouped first so that a link keeps its differently styled runs together
+        return this.joinRuns(this.groupFragments(fragments, fragment => fragment.link || null), (linkRun) => {
+            const text = this.joinRuns(this.groupFragments(linkRun.fragments, getStyle),
+                styleRun => this.wrap(PdfTextLayout.joinFragments(styleRun.fragments), styleRun.key));
+            return linkRun.key && linkRun.key.url ? LinkAnnotations.toMarkdown(text, linkRun.key.url) : text;
+        });
+    }
+
+    /**
+     * Group consecutive fragments that share a key; spaces join the run before them
+     * @param {Object[]} fragments - Fragments of one line
+     * @param {Function} getKey - Key accessor
+     * @returns {Object[]} Runs { key, fragments }
+     */
+    static groupFragments(fragments, getKey) {
+        const runs = [];
+        for (const fragment of fragments) {
+            const run = runs[runs.length - 1];
+            const key = run && fragment.text.trim() === '' ? run.key : getKey(fragment);
+            if (run && run.key === key) {
+                run.fragments.push(fragment);
+            } else {
+                runs.push({ key, fragments: [fragment] });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Render runs and join them, keeping the spaces between the original fragments
+     * @param {Object[]} runs - Runs from groupFragments()
+     * @param {Function} render - Renders one run
+     * @returns {string} Joined text
+     */
+    static joinRuns(runs, render) {
+        let text = '';
+        runs.forEach((run, index) => {
+            const previous = runs[index - 1];
+            if (previous) {
+                const last = previous.fragments[previous.fragments.length - 1];
+                const first = run.fragments[0];
+                if (/\s$/.test(last.text) || /^\s/.test(first.text) || PdfTextLayout.needsSpace(last, first)) {
+                    text += ' ';
+                }
+            }
+            text += render(run);
+        });
+        return text.trim();
+    }
+
+    /**
+     * Wrap text in the Markdown markup of a style
+     * @param {string} text - Run text
+     * @param {string} style - Style from getStyle()
+     * @returns {string} Marked-up text
+     */
+    static wrap(text, style) {
+        // Bullets, dashes and other punctuation-only runs are not worth emphasizing
+        if (style === 'plain' || !/[\p{L}\p{N}]/u.test(text)) return text;
+
+        if (style === 'code') {
+            const longestTicks = Math.max(0, ...(text.match(/`+/g) || []).map(ticks => ticks.length));
+            const fence = '`'.repeat(longestTicks + 1);
+            const padding = longestTicks > 0 ? ' ' : '';
+            return `${fence}${padding}${text}${padding}${fence}`;
+        }
+
+        const marker = { 'bold-italic': '***', bold: '**', italic: '*' }[style];
+        return `${marker}${text}${marker}`;
+    }
+
+    /**
+     * Find runs of monospace lines to render as fenced code blocks
+     * @param {Object[]} lines - Lines of one page, in reading order
+     * @param {Object} options - Options
+     * @param {Function} options.isExcluded - Lines that cannot belong to a code block (e.g. headings)
+     * @param {Function} options.isParagraphBreak - Whether a vertical gap separates two lines
+     * @returns {Object[]} Regions { start, end, markdown: string[] } (end inclusive)
+     */
+    static findCodeBlocks(lines, { isExcluded = () => false, isParagraphBreak = () => false } = {}) {
+        const regions = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            let end = i;
+            while (end < lines.length && lines[end].monospace && !isExcluded(lines[end])) {
+                end++;
+            }
+
+            if (end - i >= MIN_CODE_BLOCK_LINES) {
+                const blockLines = lines.slice(i, end);
+                regions.push({ start: i, end: end - 1, markdown: this.toCodeBlock(blockLines, isParagraphBreak) });
+            }
+            i = Math.max(end, i + 1);
+        }
+
+        return regions;
+    }
+
+    /**
+     * Render monospace lines as a fenced code block, keeping indentation and blank lines
+     * @param {Object[]} lines - Monospace lines
+     * @param {Function} isParagraphBreak - Whether a vertical gap separates two lines
+     * @returns {string[]} Markdown lines
+     */
+    static toCodeBlock(lines, isParagraphBreak) {
+        const codeLines = TableDetector.toCodeBlock(lines.map(line => TableDetector.segmentLine(line))).slice(1, -1);
+        const markdown = ['```'];
+
+        codeLines.forEach((text, index) => {
+            if (index > 0 && isParagraphBreak(lines[index - 1], lines[index])) {
+                markdown.push('');
+            }
+            markdown.push(text);
+        });
+        markdown.push('```');
+
+        return markdown;
+    }
+}
+
+export default InlineStyleFormatter;
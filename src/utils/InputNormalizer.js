@@ -0,0 +1,209 @@
+/**
+ * InputNormalizer.js
+ * Normalizes the supported input types (File, Blob, ArrayBuffer, typed arrays,
+ * Node Buffers and file paths) into a single byte-based descriptor
+ */
+
+import TiffDecoder from './TiffDecoder.js';
+
+const MAX_INPUT_SIZE = 100 * 1024 * 1024; // 100MB limit
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46, 0x2D]; // "%PDF-"
+const PDF_HEADER_SEARCH_LIMIT = 1024; // Readers tolerate leading junk before the header
+const PNG_MAGIC = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const JPEG_MAGIC = [0xFF, 0xD8, 0xFF];
+const RIFF_MAGIC = [0x52, 0x49, 0x46, 0x46]; // "RIFF", followed by the size and "WEBP"
+const WEBP_MAGIC = [0x57, 0x45, 0x42, 0x50];
+
+export class InputNormalizer {
+    /**
+     * Normalize any supported input into a descriptor with its raw bytes
+     * @param {File|Blob|ArrayBuffer|ArrayBufferView|string|Object} input - Input document or an already normalized descriptor
+     * @param {Object} [options] - Normalization options
+     * @param {boolean} [options.images=false] - Accept PNG, JPEG, TIFF and WebP images besides PDF documents (OCR scenarios)
+     * @returns {Promise<Object>} Descriptor with data (Uint8Array), name, size and type ('pdf', 'png', 'jpeg', 'tiff' or 'webp')
+     */
+    static async normalize(input, { images = false } = {}) {
+        if (this.isNormalized(input)) {
+            this.checkType(input.type, images);
+            return input;
+        }
+
+        const file = images ? 'PDF or image file' : 'PDF file';
+        if (input === null || input === undefined) {
+            throw new Error(`Invalid input: ${file} is required.`);
+        }
+
+        const { data, name } = await this.readBytes(input);
+
+        if (data.byteLength === 0) {
+            throw new Error(`Invalid input: ${file} is empty.`);
+        }
+        if (data.byteLength > MAX_INPUT_SIZE) {
+            throw new Error(`Invalid input: ${file} is too large (max 100MB).`);
+        }
+
+        const type = this.detectType(data);
+        this.checkType(type, images);
+
+        return {
+            data,
+            name,
+            size: data.byteLength,
+            type,
+            normalized: true
+        };
+    }
+
+    /**
+     * Check that a detected type is accepted
+     * @param {string|null} type - Type from detectType()
+     * @param {boolean} images - Whether images are accepted
+     */
+    static checkType(type, images) {
+        if (type === 'pdf') return;
+
+        if (type === null) {
+            throw new Error(images
+                ? 'Invalid input: File must be a PDF document or a PNG, JPEG, TIFF or WebP image.'
+                : 'Invalid input: File must be a PDF document.');
+        }
+        if (!images) {
+            throw new Error(`Invalid input: File must be a PDF document; ${type.toUpperCase()} images are only supported by highAccuracyConvertOnly and highAccuracyConvertWithLLM.`);
+        }
+    }
+
+    /**
+     * Check whether a value is a descriptor returned by normalize()
+     * @param {*} input - Value to check
+     * @returns {boolean} Whether the value is already normalized
+     */
+    static isNormalized(input) {
+        return !!input && input.normalized === true && input.data instanceof Uint8Array;
+    }
+
+    /**
+     * Read the raw bytes of a supported input
+     * @param {File|Blob|ArrayBuffer|ArrayBufferView|string} input - Input to read
+     * @returns {Promise<Object>} Object with data (Uint8Array) and name (string or null)
+     */
+    static async readBytes(input) {
+        if (typeof input === 'string') {
+            return await this.readFilePath(input);
+        }
+
+        if (input instanceof ArrayBuffer) {
+            return { data: new Uint8Array(input), name: null };
+        }
+
+        // Covers Uint8Array, Node Buffer, DataView and other typed arrays
+        if (ArrayBuffer.isView(input)) {
+            return {
+                data: new Uint8Array(input.buffer, input.byteOffset, input.byteLength),
+                name: null
+            };
+        }
+
+        // Covers File and Blob, including Blob implementations without a shared global
+        if (typeof input === 'object' && typeof input.arrayBuffer === 'function') {
+            const arrayBuffer = await input.arrayBuffer();
+            return {
+                data: new Uint8Array(arrayBuffer),
+                name: typeof input.name === 'string' ? input.name : null
+            };
+        }
+
+        throw new Error('Invalid input: expected a File, Blob, ArrayBuffer, Uint8Array, Buffer or file path.');
+    }
+
+    /**
+     * Read a document from the local file system (Node.js only)
+     * @param {string} filePath - Path to the document
+     * @returns {Promise<Object>} Object with data (Uint8Array) and name
+     */
+    static async readFilePath(filePath) {
+        if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+            throw new Error('Invalid input: file paths are only supported in Node.js.');
+        }
+
+        let fs;
+        try {
+            fs = await import(/* webpackIgnore: true */ 'fs/promises');
+        } catch (error) {
+            throw new Error(`Invalid input: unable to access the file system: ${error.message}`);
+        }
+
+        let buffer;
+        try {
+            buffer = await fs.readFile(filePath);
+        } catch (error) {
+            throw new Error(`Invalid input: unable to read file "${filePath}": ${error.message}`);
+        }
+
+        return {
+            data: new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength),
+            name: filePath.split(/[\\/]/).pop() || null
+        };
+    }
+
+    /**
+     * Detect the document type from its magic bytes
+     * @param {Uint8Array} bytes - Document bytes
+     * @returns {string|null} Detected type or null when unknown
+     */
+    static detectType(bytes) {
+        // Images start with their signature; the PDF header may follow leading junk, so it is checked last
+        if (this.indexOfSequence(bytes, PNG_MAGIC) === 0) {
+            return 'png';
+        }
+        if (this.indexOfSequence(bytes, JPEG_MAGIC) === 0) {
+            return 'jpeg';
+        }
+        if (TiffDecoder.isTiff(bytes)) {
+            return 'tiff';
+        }
+        if (this.indexOfSequence(bytes, RIFF_MAGIC) === 0 && this.indexOfSequence(bytes.subarray(8), WEBP_MAGIC) === 0) {
+            return 'webp';
+        }
+        if (this.isPdf(bytes)) {
+            return 'pdf';
+        }
+        return null;
+    }
+
+    /**
+     * Check for the "%PDF-" header within the first kilobyte
+     * @param {Uint8Array} bytes - Document bytes
+     * @returns {boolean} Whether the bytes look like a PDF document
+     */
+    static isPdf(bytes) {
+        return this.indexOfSequence(bytes, PDF_MAGIC, PDF_HEADER_SEARCH_LIMIT) !== -1;
+    }
+
+    /**
+     * Find a byte sequence within the leading bytes of a buffer
+     * @param {Uint8Array} bytes - Bytes to search
+     * @param {number[]} sequence - Sequence to find
+     * @param {number} limit - Maximum offset at which the sequence may start
+     * @returns {number} Offset of the sequence or -1
+     */
+    static indexOfSequence(bytes, sequence, limit = 0) {
+        const lastStart = Math.min(limit, bytes.length - sequence.length);
+
+        for (let offset = 0; offset <= lastStart; offset++) {
+            let matches = true;
+            for (let i = 0; i < sequence.length; i++) {
+                if (bytes[offset + i] !== sequence[i]) {
+                    matches = false;
+                    break;
+                }
+            }
+            if (matches) {
+                return offset;
+            }
+        }
+
+        return -1;
+    }
+}
+
+export default InputNormalizer;
@@ -0,0 +1,271 @@
+/**
+ * LinkAnnotations.js
+ * Reads link annotations from pdf.js pages, attaches them to the text runs
+ * under their rectangles and resolves internal destinations to headings
+ */
+
+const MIN_VERTICAL_OVERLAP = 0.5; // Share of a run's height that must lie inside the link rectangle
+const TRAILING_PUNCTUATION_PATTERN = /[.,;:!?]+$/;
+const DESTINATION_PREFIX = 'pdf-dest-'; // Placeholder anchors until headings are known
+
+export class LinkAnnotations {
+    /**
+     * Read the link annotations of a page
+     * @param {Object} page - pdf.js page proxy
+     * @param {Object} pdfDoc - pdf.js document proxy, used to resolve internal destinations
+     * @param {Object} viewport - pdf.js viewport at scale 1
+     * @returns {Promise<Object[]>} Links { x0, y0, x1, y1, url } or { x0, y0, x1, y1, destination: { pageNumber, y } }
+     */
+    static async getPageLinks(page, pdfDoc, viewport) {
+        let annotations = [];
+        try {
+            annotations = await page.getAnnotations();
+        } catch (error) {
+            return [];
+        }
+
+        const links = [];
+        for (const annotation of annotations) {
+            if (annotation.subtype !== 'Link' || !annotation.rect) continue;
+
+            const [left, top, right, bottom] = viewport.convertToViewportRectangle(annotation.rect);
+            const bounds = {
+                x0: Math.min(left, right),
+                y0: Math.min(top, bottom),
+                x1: Math.max(left, right),
+                y1: Math.max(top, bottom)
+            };
+
+            // pdf.js only sets url for safe protocols (http, https, mailto, ...)
+            if (annotation.url) {
+                links.push({ ...bounds, url: annotation.url });
+            } else if (annotation.dest) {
+                const destination = await this.resolveDestination(pdfDoc, annotation.dest);
+                if (destination) links.push({ ...bounds, destination });
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Resolve a named or explicit destination to a page position
+     * @param {Object} pdfDoc - pdf.js document proxy
+     * @param {string|Array} dest - Destination name or explicit destination array
+     * @returns {Promise<Object|null>} Position { pageNumber, y } in top-left coordinates (y is null for the page top)
+     */
+    static async resolveDestination(pdfDoc, dest) {
+        try {
+            const explicit = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+            if (!Array.isArray(explicit) || !explicit[0]) return null;
+
+            const pageIndex = typeof explicit[0] === 'object'
+                ? await pdfDoc.getPageIndex(explicit[0])
+                : explicit[0];
+            const pageNumber = pageIndex + 1;
+            const top = this.getDestinationTop(explicit);
+            if (top === null) return { pageNumber, y: null };
+
+            const targetPage = await pdfDoc.getPage(pageNumber);
+            const [, y] = targetPage.getViewport({ scale: 1 }).convertToViewportPoint(0, top);
+            return { pageNumber, y };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Vertical position an explicit destination scrolls to
+     * @param {Array} explicit - Explicit destination [page, { name }, ...arguments]
+     * @returns {number|null} Top in PDF user space, or null when the destination shows the whole page
+     */
+    static getDestinationTop(explicit) {
+        const mode = explicit[1] && explicit[1].name;
+        const value = { XYZ: explicit[3], FitH: explicit[2], FitBH: explicit[2], FitR: explicit[5] }[mode];
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Attach links to the fragments under their rectangles, splitting fragments
+     * that are only partly covered at word boundaries
+     * @param {Object[]} fragments - Positioned fragments in top-left coordinates
+     * @param {Object[]} links - Links from getPageLinks()
+     * @returns {Object[]} Fragments, linked ones carrying a link property
+     */
+    static applyLinks(fragments, links) {
+        if (!links || links.length === 0) return fragments;
+
+        const result = [];
+        for (const fragment of fragments) {
+            const covering = fragment.text.trim() === ''
+                ? []
+                : links.filter(link => this.covers(link, fragment)).sort((a, b) => a.x0 - b.x0);
+
+            let rest = fragment;
+            for (const link of covering) {
+                const [before, linked, after] = this.splitFragment(rest, link);
+                if (before) result.push(before);
+                if (linked) result.push({ ...linked, link });
+                rest = after;
+                if (!rest) break;
+            }
+            if (rest) result.push(rest);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check whether a link rectangle lies over a fragment
+     * @param {Object} link - Link bounds
+     * @param {Object} fragment - Fragment
+     * @returns {boolean} Whether the link covers part of the fragment
+     */
+    static covers(link, fragment) {
+        const overlap = Math.min(link.y1, fragment.y + fragment.height) - Math.max(link.y0, fragment.y);
+        return overlap >= fragment.height * MIN_VERTICAL_OVERLAP &&
+            link.x0 < fragment.x + fragment.width && link.x1 > fragment.x;
+    }
+
+    /**
+     * Split a fragment into the parts before, under and after a link rectangle
+     * @param {Object} fragment - Fragment
+     * @param {Object} link - Link bounds
+     * @returns {Array<Object|null>} [before, linked, after]
+     */
+    static splitFragment(fragment, link) {
+        const text = fragment.text;
+        const charWidth = fragment.width / Math.max(text.length, 1);
+
+        // Glyph widths are only estimated, so words belong to the link when their middle lies inside it
+        const words = [...text.matchAll(/\S+/g)].filter((word) => {
+            const center = fragment.x + (word.index + word[0].length / 2) * charWidth;
+            return center >= link.x0 && center <= link.x1;
+        });
+        if (words.length === 0) return [null, null, fragment];
+
+        const last = words[words.length - 1];
+        const start = words[0].index;
+        const end = start + text.slice(start, last.index + last[0].length).replace(TRAILING_PUNCTUATION_PATTERN, '').length;
+        if (start >= end) return [null, null, fragment];
+
+        // Later parts continue the same string and must not be separated by a space
+        const part = (from, to) => (from >= to ? null : {
+            ...fragment,
+            text: text.slice(from, to),
+            x: fragment.x + from * charWidth,
+            width: (to - from) * charWidth,
+            attached: from > 0 || !!fragment.attached
+        });
+
+        return [part(0, start), part(start, end), part(end, text.length)];
+    }
+
+    /**
+     * Placeholder anchor for an internal link until the target heading is known
+     * @param {number} id - Destination number
+     * @returns {string} Anchor href
+     */
+    static getPlaceholder(id) {
+        return `#${DESTINATION_PREFIX}${id}`;
+    }
+
+    /**
+     * Find the heading an internal destination points at
+     * @param {Object[]} headings - Emitted headings { pageNumber, y, height } in document order
+     * @param {Object} destination - Position { pageNumber, y }
+     * @returns {number} Index of the heading, or -1
+     */
+    static findTargetHeading(headings, destination) {
+        const top = destination.y === null ? -Infinity : destination.y;
+
+        // The first heading at or below the destination on its page...
+        const below = headings.findIndex(heading =>
+            heading.pageNumber === destination.pageNumber && heading.y + heading.height >= top);
+        if (below >= 0) return below;
+
+        // ...or the section the destination lies in
+        let index = -1;
+        headings.forEach((heading, i) => {
+            if (heading.pageNumber < destination.pageNumber ||
+                (heading.pageNumber === destination.pageNumber && heading.y < top)) {
+                index = i;
+            }
+        });
+        return index;
+    }
+
+    /**
+     * Build GitHub-style anchors for the ATX headings of a Markdown text
+     * @param {string} markdown - Markdown text
+     * @returns {string[]} Anchor slugs in heading order, made unique with -1, -2, ...
+     */
+    static getHeadingSlugs(markdown) {
+        return this.getHeadings(markdown).map(heading => heading.slug);
+    }
+
+    /**
+     * List the ATX headings of a Markdown text with their anchors
+     * @param {string} markdown - Markdown text
+     * @returns {Object[]} Headings { text, slug } in document order
+     */
+    static getHeadings(markdown) {
+        const headings = [];
+        const counts = new Map();
+        let inFencedBlock = false;
+
+        for (const line of markdown.split('\n')) {
+            if (line.trim().startsWith('```')) inFencedBlock = !inFencedBlock;
+            const heading = !inFencedBlock && line.match(/^#{1,6} (.+)$/);
+            if (!heading) continue;
+
+            const slug = this.slugify(heading[1]);
+            const count = counts.get(slug) || 0;
+            counts.set(slug, count + 1);
+            headings.push({ text: heading[1], slug: count === 0 ? slug : `${slug}-${count}` });
+        }
+
+        return headings;
+    }
+
+    /**
+     * Convert heading text to a GitHub-style anchor
+     * @param {string} text - Heading text
+     * @returns {string} Slug
+     */
+    static slugify(text) {
+        return text.trim().toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .replace(/\s/g, '-');
+    }
+
+    /**
+     * Replace internal link placeholders with anchors to the generated headings
+     * @param {string} markdown - Markdown with placeholder links
+     * @param {Map<number, number>} targets - Destination number mapped to heading index
+     * @returns {string} Markdown; links without a target heading become plain text
+     */
+    static resolvePlaceholders(markdown, targets) {
+        const slugs = this.getHeadingSlugs(markdown);
+        const pattern = new RegExp(`\\[((?:\\\\.|[^\\]\\\\])*)\\]\\(#${DESTINATION_PREFIX}(\\d+)\\)`, 'g');
+
+        return markdown.replace(pattern, (match, text, id) => {
+            const slug = slugs[targets.get(Number(id))];
+            return slug ? `[${text}](#${slug})` : text.replace(/\\]/g, ']');
+        });
+    }
+
+    /**
+     * Render link text and target as a Markdown link
+     * @param {string} text - Link text (may contain inline markup)
+     * @param {string} href - Link target
+     * @returns {string} Markdown link
+     */
+    static toMarkdown(text, href) {
+        const escapedText = text.replace(/]/g, '\\]');
+        const escapedHref = href.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+        return `[${escapedText}](${escapedHref})`;
+    }
+}
+
+export default LinkAnnotations;
@@ -0,0 +1,216 @@
+/**
+ * ListDetector.js
+ * Recognizes bulleted and numbered lists in positioned lines and renders
+ * them as nested Markdown lists
+ */
+
+const GLYPH_BULLET_PATTERN = /^([•‣◦⁃∙●○▪■□➢►✓✔])\s*(\S.*)$/u;
+const DASH_BULLET_PATTERN = /^([-–—*·])\s+(\S.*)$/u;
+const ORDERED_PATTERN = /^(\()?(\d{1,3}|[a-zA-Z]|[ivxlcdm]{2,6}|[IVXLCDM]{2,6})([.)])\s+(\S.*)$/u;
+const ROMAN_PATTERN = /^[ivxlcdm]+$/i;
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+const INDENT_TOLERANCE = 0.5; // Font sizes within which markers and text count as aligned
+
+export class ListDetector {
+    /**
+     * Parse a list marker at the start of a line
+     * @param {string} text - Line text
+     * @param {string|null} previousStyle - Style of the previous sibling item, used to read "i)" after "h)" as a letter
+     * @returns {Object|null} Marker { style, ordinal, marker, content } or null
+     */
+    static parseMarker(text, previousStyle = null) {
+        const trimmed = (text || '').trim();
+
+        const glyph = trimmed.match(GLYPH_BULLET_PATTERN);
+        if (glyph) {
+            return { style: 'bullet', glyph: true, ordinal: 0, marker: glyph[1], content: glyph[2] };
+        }
+
+        const dash = trimmed.match(DASH_BULLET_PATTERN);
+        if (dash) {
+            return { style: 'bullet', glyph: false, ordinal: 0, marker: dash[1], content: dash[2] };
+        }
+
+        const ordered = trimmed.match(ORDERED_PATTERN);
+        if (!ordered || (ordered[1] && ordered[3] !== ')')) {
+            return null;
+        }
+
+        const label = ordered[2];
+        const marker = `${ordered[1] || ''}${label}${ordered[3]}`;
+        if (/^\d+$/.test(label)) {
+            return { style: 'decimal', glyph: false, ordinal: parseInt(label, 10), marker, content: ordered[4] };
+        }
+        // A single i, v or x is a roman numeral unless it continues a lettered list
+        if (ROMAN_PATTERN.test(label) && (label.length > 1 || (/^[ivx]$/i.test(label) && previousStyle !== 'alpha'))) {
+            return { style: 'roman', glyph: false, ordinal: this.romanToNumber(label), marker, content: ordered[4] };
+        }
+        if (label.length === 1) {
+            return { style: 'alpha', glyph: false, ordinal: label.toLowerCase().charCodeAt(0) - 96, marker, content: ordered[4] };
+        }
+        return null;
+    }
+
+    /**
+     * Convert a roman numeral to a number
+     * @param {string} numeral - Roman numeral
+     * @returns {number} Value
+     */
+    static romanToNumber(numeral) {
+        const digits = numeral.toLowerCase().split('').map(character => ROMAN_VALUES[character]);
+        return digits.reduce((sum, value, index) =>
+            (value < (digits[index + 1] || 0) ? sum - value : sum + value), 0);
+    }
+
+    /**
+     * Find list regions in a sequence of lines
+     * @param {Object[]} lines - Lines of one page, in reading order
+     * @param {Object} options - Options
+     * @param {Function} options.isExcluded - Lines that cannot belong to a list (e.g. headings)
+     * @param {Function} options.isParagraphBreak - Whether a vertical gap separates two lines
+     * @returns {Object[]} Regions { start, end, markdown: string[] } (end inclusive)
+     */
+    static findLists(lines, { isExcluded = () => false, isParagraphBreak = () => false } = {}) {
+        const regions = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const first = !isExcluded(lines[i]) && this.parseMarker(lines[i].text);
+            if (!first) {
+                i++;
+                continue;
+            }
+
+            const items = [];
+            const levels = [];      // Marker x-position of each open nesting level
+            const openItems = [];   // Latest item at each level
+            let end = i;
+
+            for (let j = i; j < lines.length; j++) {
+                const line = lines[j];
+                if (isExcluded(line)) break;
+
+                const tolerance = (line.fontSize || line.height || 10) * INDENT_TOLERANCE;
+                const previousSibling = this.findSibling(openItems, levels, line.x, tolerance);
+                const marker = this.parseMarker(line.text, previousSibling ? previousSibling.style : null);
+                const isItem = marker && (j === i || line.x >= levels[0] - tolerance);
+
+                if (isItem) {
+                    while (levels.length > 0 && line.x < levels[levels.length - 1] - tolerance) {
+                        levels.pop();
+                        openItems.pop();
+                    }
+                    if (levels.length === 0 || line.x > levels[levels.length - 1] + tolerance) {
+                        levels.push(line.x);
+                        openItems.push(null);
+                    }
+
+                    const item = {
+                        ...marker,
+                        level: levels.length - 1,
+                        markerX: line.x,
+                        contentX: this.getContentX(line, marker),
+                        parts: [marker.content]
+                    };
+                    openItems[item.level] = item;
+                    items.push(item);
+                    end = j;
+                    continue;
+                }
+
+                // Continuation: join to the deepest open item whose text column the line reaches
+                const breakBefore = isParagraphBreak(lines[j - 1], line);
+                let owner = null;
+                for (let level = openItems.length - 1; level >= 0; level--) {
+                    if (openItems[level] && line.x >= openItems[level].contentX - tolerance) {
+                        owner = openItems[level];
+                        break;
+                    }
+                }
+                // Unindented lines only continue an item when no paragraph break separates them
+                if (!owner && !breakBefore && line.x >= levels[0] - tolerance) {
+                    owner = openItems[openItems.length - 1];
+                }
+                if (!owner) break;
+
+                owner.parts.push(line.text.trim());
+                end = j;
+            }
+
+            // Dashes and numbers also start ordinary lines; only glyph bullets stand alone
+            if (items.length >= 2 || (items.length === 1 && items[0].glyph)) {
+                regions.push({ start: i, end, markdown: this.toMarkdown(items) });
+                i = end + 1;
+            } else {
+                i++;
+            }
+        }
+
+        return regions;
+    }
+
+    /**
+     * Find the open item at the same nesting level as a marker position
+     * @param {Object[]} openItems - Latest item at each level
+     * @param {number[]} levels - Marker x-position of each level
+     * @param {number} x - Marker x-position
+     * @param {number} tolerance - Alignment tolerance
+     * @returns {Object|null} Sibling item
+     */
+    static findSibling(openItems, levels, x, tolerance) {
+        const level = levels.findIndex(levelX => Math.abs(levelX - x) <= tolerance);
+        return level >= 0 ? openItems[level] : null;
+    }
+
+    /**
+     * Estimate where the item text starts after the marker
+     * @param {Object} line - Line with fragments
+     * @param {Object} marker - Parsed marker
+     * @returns {number} X-position of the item text
+     */
+    static getContentX(line, marker) {
+        const fragments = line.fragments || [];
+        const firstFragment = fragments[0];
+        if (!firstFragment) return line.x;
+
+        // Marker drawn as its own text run
+        if (firstFragment.text.trim() === marker.marker && fragments[1]) {
+            return fragments[1].x;
+        }
+
+        // Marker inside the first run: estimate from its share of the characters
+        const text = firstFragment.text.trimStart();
+        const offset = text.indexOf(marker.content.slice(0, Math.min(marker.content.length, 8)));
+        if (offset > 0 && text.length > 0) {
+            return firstFragment.x + firstFragment.width * (offset / text.length);
+        }
+        return line.x;
+    }
+
+    /**
+     * Render list items as nested Markdown
+     * @param {Object[]} items - Items with level, style, ordinal and text parts
+     * @returns {string[]} Markdown lines
+     */
+    static toMarkdown(items) {
+        const indents = [0];
+        const markers = [];
+
+        return items.map((item) => {
+            const marker = item.style === 'bullet' ? '-' : `${item.ordinal}.`;
+            indents.length = item.level + 1;
+            for (let level = 1; level <= item.level; level++) {
+                if (indents[level] === undefined) {
+                    // Nested items are indented to the text of their parent item
+                    indents[level] = indents[level - 1] + (markers[level - 1] || '-').length + 1;
+                }
+            }
+            markers[item.level] = marker;
+            markers.length = item.level + 1;
+
+            return `${' '.repeat(indents[item.level])}${marker} ${item.parts.join(' ')}`;
+        });
+    }
+}
+
+export default ListDetector;
@@ -0,0 +1,205 @@
+/**
+ * OcrExport.js
+ * Writes recognized pages as hOCR and ALTO XML, the standard OCR formats that document
+ * viewers use to highlight words on page images and that archives store
+ */
+
+import ImagePreprocessor from './ImagePreprocessor.js';
+
+const SOFTWARE_NAME = 'Extract2MD (Tesseract.js)';
+const HOCR_CAPABILITIES = 'ocr_page ocr_carea ocr_par ocr_line ocrx_word';
+const ALTO_NAMESPACE = 'http://www.loc.gov/standards/alto/ns-v4#';
+const ALTO_SCHEMA = 'http://www.loc.gov/standards/alto/v4/alto-4-2.xsd';
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export class OcrExport {
+    /**
+     * Get supported export formats
+     * @returns {string[]} 'hocr' (hOCR 1.2 XHTML) and 'alto' (ALTO 4 XML)
+     */
+    static getSupportedFormats() {
+        return ['hocr', 'alto'];
+    }
+
+    /**
+     * Collect the blocks, paragraphs, lines and words of a recognized page, with boxes in page pixels
+     * @param {Object} data - Tesseract.js recognition data (blocks → paragraphs → lines → words)
+     * @param {Object} params - Page data
+     * @param {number} params.pageNumber - 1-based page number
+     * @param {number} params.width - Page width in pixels
+     * @param {number} params.height - Page height in pixels
+     * @param {number} [params.scale] - Page pixels per pixel of the recognized image (pages recognized again at another scale)
+     * @param {number} [params.offsetX] - Position of the recognized image in the rendered page, in its pixels (cropped pages)
+     * @param {number} [params.offsetY] - Position of the recognized image in the rendered page, in its pixels
+     * @param {number} [params.skewAngle] - Degrees the recognized image was turned back by deskewing, see ImagePreprocessor.apply()
+     * @param {number} [params.resolution] - Resolution of the page pixels in dots per inch
+     * @param {string} [params.language] - Tesseract language codes of the page, for paragraphs without a word language
+     * @returns {Object} Page { pageNumber, width, height, resolution, blocks }
+     */
+    static buildPage(data, { pageNumber, width, height, scale = 1, offsetX = 0, offsetY = 0, skewAngle = 0, resolution = null, language = null }) {
+        const toBox = (bbox) => {
+            const box = ImagePreprocessor.toRenderedPage(bbox, { offsetX, offsetY, skewAngle });
+            return {
+                x0: Math.round(box.x0 * scale),
+                y0: Math.round(box.y0 * scale),
+                x1: Math.round(box.x1 * scale),
+                y1: Math.round(box.y1 * scale)
+            };
+        };
+        const fallbackLanguage = language ? language.split('+')[0] : null;
+        const blocks = [];
+
+        for (const block of (data && data.blocks) || []) {
+            const paragraphs = [];
+            for (const paragraph of block.paragraphs || []) {
+                const lines = [];
+                for (const line of paragraph.lines || []) {
+                    const words = (line.words || [])
+                        .filter(word => word.text && word.text.trim() !== '')
+                        .map(word => ({ text: word.text.trim(), bbox: toBox(word.bbox), confidence: word.confidence, language: word.language }));
+                    if (words.length === 0) continue;
+
+                    const bbox = toBox(line.bbox);
+                    lines.push({ bbox, baseline: this.getBaseline(line.baseline, bbox, toBox), words });
+                }
+                if (lines.length === 0) continue;
+
+                paragraphs.push({ bbox: toBox(paragraph.bbox), language: lines[0].words[0].language || fallbackLanguage, lines });
+            }
+            if (paragraphs.length > 0) {
+                blocks.push({ bbox: toBox(block.bbox), paragraphs });
+            }
+        }
+
+        return { pageNumber, width: Math.round(width), height: Math.round(height), resolution, blocks };
+    }
+
+    /**
+     * Express a Tesseract baseline like hOCR: slope and offset from the bottom-left corner of the line
+     * @param {Object|null} baseline - { x0, y0, x1, y1, has_baseline } in recognized image pixels
+     * @param {Object} bbox - Line box in page pixels
+     * @param {Function} toBox - Converts recognized image boxes into page pixels
+     * @returns {Object|null} { slope, offset }, or null without a baseline
+     */
+    static getBaseline(baseline, bbox, toBox) {
+        if (!baseline || baseline.has_baseline === false || baseline.x1 === baseline.x0) return null;
+
+        const { x0, y0, x1, y1 } = toBox(baseline);
+        const slope = x1 === x0 ? 0 : (y1 - y0) / (x1 - x0);
+        return {
+            slope: Math.round(slope * 1000) / 1000,
+            offset: Math.round(y0 + slope * (bbox.x0 - x0) - bbox.y1)
+        };
+    }
+
+    /**
+     * Write a page as an hOCR document
+     * @param {Object} page - Page from buildPage()
+     * @returns {string} XHTML document
+     */
+    static toHocr(page) {
+        const id = (kind, index) => `${kind}_${page.pageNumber}_${index}`;
+        const title = (bbox, ...properties) => [`bbox ${bbox.x0} ${bbox.y0} ${bbox.x1} ${bbox.y1}`, ...properties].join('; ');
+        const pageProperties = [`ppageno ${page.pageNumber - 1}`];
+        if (page.resolution) pageProperties.push(`scan_res ${Math.round(page.resolution)} ${Math.round(page.resolution)}`);
+
+        const output = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+            '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+            ' <head>',
+            '  <title></title>',
+            '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+            `  <meta name="ocr-system" content="${SOFTWARE_NAME}"/>`,
+            `  <meta name="ocr-capabilities" content="${HOCR_CAPABILITIES}"/>`,
+            ' </head>',
+            ' <body>',
+            `  <div class="ocr_page" id="page_${page.pageNumber}" title="${title({ x0: 0, y0: 0, x1: page.width, y1: page.height }, ...pageProperties)}">`
+        ];
+
+        const counts = { block: 0, par: 0, line: 0, word: 0 };
+        for (const block of page.blocks) {
+            output.push(`   <div class="ocr_carea" id="${id('block', ++counts.block)}" title="${title(block.bbox)}">`);
+            for (const paragraph of block.paragraphs) {
+                const lang = paragraph.language ? ` lang="${this.escapeXml(paragraph.language)}"` : '';
+                output.push(`    <p class="ocr_par" id="${id('par', ++counts.par)}"${lang} title="${title(paragraph.bbox)}">`);
+                for (const line of paragraph.lines) {
+                    const baseline = line.baseline ? [`baseline ${line.baseline.slope} ${line.baseline.offset}`] : [];
+                    output.push(`     <span class="ocr_line" id="${id('line', ++counts.line)}" title="${title(line.bbox, ...baseline)}">`);
+                    for (const word of line.words) {
+                        output.push(`      <span class="ocrx_word" id="${id('word', ++counts.word)}" title="${title(word.bbox, `x_wconf ${Math.round(word.confidence)}`)}">${this.escapeXml(word.text)}</span>`);
+                    }
+                    output.push('     </span>');
+                }
+                output.push('    </p>');
+            }
+            output.push('   </div>');
+        }
+
+        output.push('  </div>', ' </body>', '</html>');
+        return output.join('\n') + '\n';
+    }
+
+    /**
+     * Write a page as an ALTO document; Tesseract paragraphs become text blocks
+     * @param {Object} page - Page from buildPage()
+     * @returns {string} ALTO XML document
+     */
+    static toAlto(page) {
+        const id = (kind, index) => `${kind}_${page.pageNumber}_${index}`;
+        const position = bbox => `HPOS="${bbox.x0}" VPOS="${bbox.y0}" WIDTH="${bbox.x1 - bbox.x0}" HEIGHT="${bbox.y1 - bbox.y0}"`;
+
+        const output = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<alto xmlns="${ALTO_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${ALTO_NAMESPACE} ${ALTO_SCHEMA}">`,
+            '  <Description>',
+            '    <MeasurementUnit>pixel</MeasurementUnit>',
+            '    <OCRProcessing ID="OCR_0">',
+            '      <ocrProcessingStep>',
+            '        <processingSoftware>',
+            `          <softwareName>${SOFTWARE_NAME}</softwareName>`,
+            '        </processingSoftware>',
+            '      </ocrProcessingStep>',
+            '    </OCRProcessing>',
+            '  </Description>',
+            '  <Layout>',
+            `    <Page ID="page_${page.pageNumber}" PHYSICAL_IMG_NR="${page.pageNumber}" HEIGHT="${page.height}" WIDTH="${page.width}">`,
+            `      <PrintSpace HPOS="0" VPOS="0" WIDTH="${page.width}" HEIGHT="${page.height}">`
+        ];
+
+        const counts = { block: 0, line: 0, word: 0 };
+        for (const paragraph of page.blocks.flatMap(block => block.paragraphs)) {
+            const lang = paragraph.language ? ` LANG="${this.escapeXml(paragraph.language)}"` : '';
+            output.push(`        <TextBlock ID="${id('block', ++counts.block)}" ${position(paragraph.bbox)}${lang}>`);
+            for (const line of paragraph.lines) {
+                const baseline = line.baseline ? ` BASELINE="${line.bbox.y1 + line.baseline.offset}"` : '';
+                output.push(`          <TextLine ID="${id('line', ++counts.line)}" ${position(line.bbox)}${baseline}>`);
+                line.words.forEach((word, index) => {
+                    // Spaces between words are marked with their gap
+                    if (index > 0) {
+                        const previous = line.words[index - 1].bbox;
+                        output.push(`            <SP WIDTH="${Math.max(0, word.bbox.x0 - previous.x1)}" HPOS="${previous.x1}" VPOS="${previous.y0}"/>`);
+                    }
+                    const confidence = Math.round(Math.max(0, Math.min(100, word.confidence))) / 100;
+                    output.push(`            <String ID="${id('string', ++counts.word)}" ${position(word.bbox)} WC="${confidence}" CONTENT="${this.escapeXml(word.text)}"/>`);
+                });
+                output.push('          </TextLine>');
+            }
+            output.push('        </TextBlock>');
+        }
+
+        output.push('      </PrintSpace>', '    </Page>', '  </Layout>', '</alto>');
+        return output.join('\n') + '\n';
+    }
+
+    /**
+     * Escape text for XML content and attribute values
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, character => XML_ESCAPES[character]);
+    }
+}
+
+export default OcrExport;
@@ -0,0 +1,114 @@
+/**
+ * OcrLanguage.js
+ * Tesseract language strings such as "eng+deu+fra", and the automatic mode that picks the
+ * languages and page orientation from Tesseract's orientation and script detection (OSD)
+ */
+
+import PageOrientation from './PageOrientation.js';
+
+export const AUTO_LANGUAGE = 'auto';
+const LANGUAGE_CODE_PATTERN = /^[a-z]{3}(_[a-z]+)?$/i; // eng, chi_sim, deu_latf
+
+// Language data used for each script OSD reports; tesseract.scriptLanguages adds to or replaces these
+const SCRIPT_LANGUAGES = {
+    Latin: 'eng',
+    Fraktur: 'frk',
+    Cyrillic: 'rus',
+    Greek: 'ell',
+    Arabic: 'ara',
+    Hebrew: 'heb',
+    Han: 'chi_sim',
+    HanS: 'chi_sim',
+    HanT: 'chi_tra',
+    Japanese: 'jpn',
+    Katakana: 'jpn',
+    Hiragana: 'jpn',
+    Hangul: 'kor',
+    Korean: 'kor',
+    Devanagari: 'hin',
+    Bengali: 'ben',
+    Gujarati: 'guj',
+    Gurmukhi: 'pan',
+    Oriya: 'ori',
+    Tamil: 'tam',
+    Telugu: 'tel',
+    Kannada: 'kan',
+    Malayalam: 'mal',
+    Sinhala: 'sin',
+    Thai: 'tha',
+    Lao: 'lao',
+    Khmer: 'khm',
+    Myanmar: 'mya',
+    Tibetan: 'bod',
+    Georgian: 'kat',
+    Armenian: 'hye',
+    Ethiopic: 'amh'
+};
+
+export class OcrLanguage {
+    /**
+     * Split a Tesseract language string into language codes
+     * @param {string} language - Language codes joined by "+", e.g. 'eng+deu'
+     * @returns {string[]} Language codes
+     */
+    static getCodes(language) {
+        return String(language || '').split('+').map(code => code.trim()).filter(Boolean);
+    }
+
+    /**
+     * Check whether a string names Tesseract language data, e.g. 'eng' or 'eng+deu+fra'
+     * @param {string} language - Language string
+     * @returns {boolean} Whether every part is a language code
+     */
+    static isValid(language) {
+        const parts = String(language).split('+');
+        return parts.every(code => LANGUAGE_CODE_PATTERN.test(code));
+    }
+
+    /**
+     * Check whether a language string asks for automatic detection
+     * @param {string} language - Language string
+     * @returns {boolean} Whether the language is 'auto'
+     */
+    static isAuto(language) {
+        return language === AUTO_LANGUAGE;
+    }
+
+    /**
+     * Join language strings without repeating codes
+     * @param {string[]} languages - Language strings; 'auto' and empty entries are skipped
+     * @returns {string} Combined language string ('' when none is left)
+     */
+    static merge(languages) {
+        const codes = languages.filter(language => !this.isAuto(language)).flatMap(language => this.getCodes(language));
+        return [...new Set(codes)].join('+');
+    }
+
+    /**
+     * Get the language data for each script, with configured additions
+     * @param {Object} scriptLanguages - Script name → language string, e.g. { Latin: 'eng+deu+fra' }
+     * @returns {Object} Script name → language string
+     */
+    static getScriptLanguages(scriptLanguages = {}) {
+        return { ...SCRIPT_LANGUAGES, ...scriptLanguages };
+    }
+
+    /**
+     * Pick the OCR languages and rotation from a Tesseract.js detect() result
+     * @param {Object|null} detection - { script, script_confidence, orientation_degrees, orientation_confidence }; null when OSD found too little text
+     * @param {Object} scriptLanguages - Script name → language string additions
+     * @returns {Object} { script, language, rotation }: undetected and unmapped scripts are read as Latin; rotation in degrees clockwise
+     */
+    static resolve(detection, scriptLanguages = {}) {
+        const languages = this.getScriptLanguages(scriptLanguages);
+        const script = detection && detection.script ? detection.script : null;
+
+        return {
+            script,
+            language: languages[script] || languages.Latin,
+            rotation: PageOrientation.fromDetection(detection)
+        };
+    }
+}
+
+export default OcrLanguage;
@@ -0,0 +1,154 @@
+/**
+ * OcrLayout.js
+ * Builds a positioned line layout from Tesseract.js recognition blocks,
+ * matching the page layout produced by PdfTextLayout for the text layer
+ */
+
+import ImagePreprocessor from './ImagePreprocessor.js';
+
+const NO_FONT = { name: '', family: '', ascent: 0.8, bold: false, italic: false, monospace: false };
+const WORD_PLACEHOLDER = '{word}'; // Position of the word in a low-confidence marker
+
+export class OcrLayout {
+    /**
+     * Build the layout of a single OCR page
+     * @param {Object} data - Tesseract.js recognition data (blocks → paragraphs → lines → words)
+     * @param {Object} params - Page data
+     * @param {number} params.pageNumber - 1-based page number
+     * @param {number} params.scale - Render scale of the recognized image (pixels per PDF point)
+     * @param {number} params.width - Page width in PDF points
+     * @param {number} params.height - Page height in PDF points
+     * @param {number} [params.offsetX] - Position of the recognized image in the rendered page, in pixels (cropped pages)
+     * @param {number} [params.offsetY] - Position of the recognized image in the rendered page, in pixels
+     * @param {number} [params.skewAngle] - Degrees the recognized image was turned back by deskewing, see ImagePreprocessor.apply()
+     * @param {Object} [params.lowConfidence] - { threshold, marker }: words below threshold are wrapped in marker
+     * @returns {Object|null} Page layout in PDF points, or null when no blocks are available
+     */
+    static buildPage(data, { pageNumber, scale = 1, width = 0, height = 0, offsetX = 0, offsetY = 0, skewAngle = 0, lowConfidence = null }) {
+        if (!data || !Array.isArray(data.blocks)) {
+            return null;
+        }
+
+        const fragments = [];
+        const lines = [];
+
+        for (const block of data.blocks) {
+            for (const paragraph of block.paragraphs || []) {
+                let paragraphStart = true;
+
+                for (const ocrLine of paragraph.lines || []) {
+                    const words = (ocrLine.words || [])
+                        .filter(word => word.text && word.text.trim() !== '')
+                        .map(word => this.createFragment(word, fragments.length, { scale, offsetX, offsetY, skewAngle, lowConfidence }));
+                    if (words.length === 0) continue;
+
+                    fragments.push(...words);
+                    lines.push(this.createLine(words, paragraphStart));
+                    paragraphStart = false;
+                }
+            }
+        }
+
+        return { pageNumber, width, height, fragments, lines };
+    }
+
+    /**
+     * List the recognized words of a page with their confidence
+     * @param {Object} data - Tesseract.js recognition data
+     * @param {Object} [params] - { scale, offsetX, offsetY, skewAngle } of the recognized image, as for buildPage()
+     * @returns {Object[]} Words { text, confidence, x, y, width, height } in PDF points, in reading order
+     */
+    static getWords(data, { scale = 1, offsetX = 0, offsetY = 0, skewAngle = 0 } = {}) {
+        if (!data || !Array.isArray(data.blocks)) {
+            return [];
+        }
+
+        return data.blocks
+            .flatMap(block => block.paragraphs || [])
+            .flatMap(paragraph => paragraph.lines || [])
+            .flatMap(ocrLine => ocrLine.words || [])
+            .filter(word => word.text && word.text.trim() !== '')
+            .map((word) => {
+                const bbox = ImagePreprocessor.toRenderedPage(word.bbox, { offsetX, offsetY, skewAngle });
+                return {
+                    text: word.text,
+                    confidence: word.confidence,
+                    x: bbox.x0 / scale,
+                    y: bbox.y0 / scale,
+                    width: (bbox.x1 - bbox.x0) / scale,
+                    height: (bbox.y1 - bbox.y0) / scale
+                };
+            });
+    }
+
+    /**
+     * Wrap a word in a low-confidence marker
+     * @param {string} text - Word text
+     * @param {string} marker - Marker containing {word}, e.g. "<mark>{word}</mark>"
+     * @returns {string} Marked word
+     */
+    static markWord(text, marker) {
+        return marker.split(WORD_PLACEHOLDER).join(text);
+    }
+
+    /**
+     * Convert an OCR word into a layout fragment
+     * @param {Object} word - Tesseract.js word with bbox {x0, y0, x1, y1}
+     * @param {number} index - Fragment index on the page
+     * @param {Object} params - { scale, offsetX, offsetY, skewAngle, lowConfidence }, see buildPage()
+     * @returns {Object} Fragment
+     */
+    static createFragment(word, index, { scale = 1, offsetX = 0, offsetY = 0, skewAngle = 0, lowConfidence = null } = {}) {
+        const bbox = ImagePreprocessor.toRenderedPage(word.bbox, { offsetX, offsetY, skewAngle });
+        const x = bbox.x0 / scale;
+        const y = bbox.y0 / scale;
+        const height = (bbox.y1 - bbox.y0) / scale;
+
+        const uncertain = Boolean(lowConfidence?.marker) && word.confidence < lowConfidence.threshold;
+
+        return {
+            index,
+            text: uncertain ? this.markWord(word.text, lowConfidence.marker) : word.text,
+            x,
+            y,
+            baseline: y + height,
+            width: (bbox.x1 - bbox.x0) / scale,
+            height,
+            fontSize: Math.round(height * 10) / 10,
+            fontName: '',
+            font: NO_FONT,
+            confidence: word.confidence,
+            hasEOL: false
+        };
+    }
+
+    /**
+     * Create a line from its words
+     * @param {Object[]} words - Fragments of one OCR line
+     * @param {boolean} paragraphStart - Whether the line starts a Tesseract paragraph
+     * @returns {Object} Line
+     */
+    static createLine(words, paragraphStart) {
+        const x = Math.min(...words.map(word => word.x));
+        const y = Math.min(...words.map(word => word.y));
+        const right = Math.max(...words.map(word => word.x + word.width));
+        const bottom = Math.max(...words.map(word => word.y + word.height));
+
+        return {
+            fragments: words,
+            text: words.map(word => word.text).join(' '),
+            x,
+            y,
+            width: right - x,
+            height: bottom - y,
+            // The line box spans ascenders and descenders, which approximates the font size
+            fontSize: Math.round((bottom - y) * 10) / 10,
+            bold: false,
+            italic: false,
+            monospace: false,
+            paragraphStart
+        };
+    }
+}
+
+export default OcrLayout;
@@ -0,0 +1,76 @@
+/**
+ * PageOrientation.js
+ * Finds the rotation that renders a page upright for OCR, from the direction of its
+ * text layer or from Tesseract's orientation detection (OSD) on a rendering
+ */
+
+const MIN_TEXT_CHARACTERS = 20; // Fewer text layer characters do not show a direction
+const MIN_ORIENTATION_CONFIDENCE = 7; // Tesseract's min_orientation_margin: less certain orientations keep the page as rendered
+
+export class PageOrientation {
+    /**
+     * Get supported orientation modes
+     * @returns {string[]} 'page' trusts /Rotate, 'text-layer' and 'osd' detect per page, 'auto' uses the text layer where there is one and OSD elsewhere
+     */
+    static getSupportedModes() {
+        return ['page', 'text-layer', 'osd', 'auto'];
+    }
+
+    /**
+     * Find the viewport rotation that turns the text of a page upright
+     * @param {Object[]} items - pdf.js text content items with str and transform
+     * @returns {number|null} Clockwise rotation (0, 90, 180 or 270) to render the page with, or null without enough text
+     */
+    static fromTextContent(items) {
+        // Characters per text direction, rounded to quarter turns counterclockwise in PDF space
+        const characters = new Map();
+        for (const item of items) {
+            const count = item.str ? item.str.replace(/\s/g, '').length : 0;
+            if (count === 0 || !item.transform) continue;
+
+            const [a, b] = item.transform;
+            const direction = (Math.round(Math.atan2(b, a) / (Math.PI / 2)) * 90 + 360) % 360;
+            characters.set(direction, (characters.get(direction) || 0) + count);
+        }
+
+        let total = 0;
+        let best = null;
+        for (const [direction, count] of characters) {
+            total += count;
+            if (best === null || count > characters.get(best)) best = direction;
+        }
+
+        // Turning the page clockwise by the text direction lays the text horizontal
+        return total < MIN_TEXT_CHARACTERS ? null : best;
+    }
+
+    /**
+     * Get the rotation a Tesseract.js detect() result asks for
+     * @param {Object|null} detection - { orientation_degrees, orientation_confidence }
+     * @returns {number} Clockwise rotation to add to the rendering (0 when OSD is unsure)
+     */
+    static fromDetection(detection) {
+        return this.isCertain(detection) ? detection.orientation_degrees : 0;
+    }
+
+    /**
+     * Whether a Tesseract.js detect() result is certain enough to rotate a page
+     * @param {Object|null} detection - { orientation_degrees, orientation_confidence }
+     * @returns {boolean} Whether the orientation margin is reached
+     */
+    static isCertain(detection) {
+        return Boolean(detection) && detection.orientation_confidence >= MIN_ORIENTATION_CONFIDENCE;
+    }
+
+    /**
+     * Add a rotation to a viewport rotation
+     * @param {number} rotation - Clockwise rotation in degrees
+     * @param {number} correction - Clockwise rotation to add
+     * @returns {number} Rotation from 0 to 270
+     */
+    static rotate(rotation, correction) {
+        return ((rotation + correction) % 360 + 360) % 360;
+    }
+}
+
+export default PageOrientation;
@@ -0,0 +1,68 @@
+/**
+ * PageSelection.js
+ * Parses page selections such as "1-3,7,10-" into the page numbers to convert
+ */
+
+const RANGE_PATTERN = /^(\d*)\s*(-?)\s*(\d*)$/; // "7", "1-3", "10-" (to the end) or "-3" (from the start)
+
+export class PageSelection {
+    /**
+     * Parse a page selection
+     * @param {string|number[]} selection - Ranges like "1-3,7,10-", or page numbers
+     * @returns {Object[]} Ranges { from, to } with to = null for open-ended ranges
+     */
+    static parse(selection) {
+        if (Array.isArray(selection)) {
+            if (selection.length === 0 || !selection.every(page => Number.isInteger(page) && page > 0)) {
+                throw new Error('pages must contain positive integer page numbers');
+            }
+            return selection.map(page => ({ from: page, to: page }));
+        }
+        if (typeof selection !== 'string' || selection.trim() === '') {
+            throw new Error('pages must be a string like "1-3,7,10-" or an array of page numbers');
+        }
+
+        return selection.split(',').map((part) => {
+            const match = part.trim().match(RANGE_PATTERN);
+            const from = match && match[1] ? Number(match[1]) : 1;
+            const to = match && match[3] ? Number(match[3]) : null;
+            const isRange = match && match[2] === '-';
+            if (!match || (!match[1] && !match[3]) || (!isRange && !match[1]) || from < 1 || (to !== null && to < from)) {
+                throw new Error(`pages contains an invalid range: "${part.trim()}"`);
+            }
+            return { from, to: isRange ? to : from };
+        });
+    }
+
+    /**
+     * Resolve a page selection against a document
+     * @param {string|number[]|null} selection - Page selection, or null for every page
+     * @param {number} pageCount - Number of pages in the document
+     * @returns {number[]} Selected page numbers in ascending order; pages beyond the document are ignored
+     */
+    static resolve(selection, pageCount) {
+        if (selection === null || selection === undefined) {
+            return Array.from({ length: pageCount }, (_, index) => index + 1);
+        }
+
+        const pages = new Set();
+        for (const { from, to } of this.parse(selection)) {
+            for (let page = from; page <= Math.min(to === null ? pageCount : to, pageCount); page++) {
+                pages.add(page);
+            }
+        }
+        return [...pages].sort((a, b) => a - b);
+    }
+
+    /**
+     * Check whether a page selection contains a page
+     * @param {string|number[]} selection - Ranges like "1-3,7,10-", or page numbers
+     * @param {number} pageNumber - 1-based page number
+     * @returns {boolean} Whether the page is selected
+     */
+    static includes(selection, pageNumber) {
+        return this.parse(selection).some(({ from, to }) => pageNumber >= from && (to === null || pageNumber <= to));
+    }
+}
+
+export default PageSelection;
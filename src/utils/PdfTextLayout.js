@@ -0,0 +1,292 @@
+/**
+ * PdfTextLayout.js
+ * Builds a positioned line layout from pdf.js text content so that later
+ * stages can reason about font sizes, weights and geometry
+ */
+
+import ReadingOrder from './ReadingOrder.js';
+import LinkAnnotations from './LinkAnnotations.js';
+
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+const ITALIC_FONT_PATTERN = /italic|oblique|slanted/i;
+const MONOSPACE_FONT_PATTERN = /mono|courier|consolas|menlo|inconsolata|typewriter|code/i;
+
+export class PdfTextLayout {
+    /**
+     * Resolve font information for the fonts used on a page
+     * Font objects are only available after the operator list has been loaded
+     * @param {Object} page - pdf.js page proxy
+     * @param {Object} styles - textContent.styles map
+     * @returns {Promise<Object>} Map of pdf.js font id to font info
+     */
+    static async resolveFonts(page, styles = {}) {
+        const fonts = {};
+
+        try {
+            await page.getOperatorList();
+        } catch (error) {
+            // Fall back to the style information only
+        }
+
+        for (const fontId of Object.keys(styles)) {
+            let fontObject = null;
+            try {
+                if (page.commonObjs && page.commonObjs.has(fontId)) {
+                    fontObject = page.commonObjs.get(fontId);
+                }
+            } catch (error) {
+                fontObject = null;
+            }
+            fonts[fontId] = this.describeFont(fontObject, styles[fontId]);
+        }
+
+        return fonts;
+    }
+
+    /**
+     * Describe a font by name and style
+     * @param {Object|null} fontObject - pdf.js font object
+     * @param {Object} style - pdf.js text style (fontFamily, ascent, descent)
+     * @returns {Object} Font info with name, bold, italic and monospace flags
+     */
+    static describeFont(fontObject, style = {}) {
+        // Strip the subset prefix, e.g. "ABCDEF+Arial-BoldMT"
+        const name = ((fontObject && fontObject.name) || '').replace(/^[A-Z]{6}\+/, '');
+        const family = (style && style.fontFamily) || (fontObject && fontObject.fallbackName) || '';
+
+        return {
+            name,
+            family,
+            // pdf.js reports NaN for standard fonts it has no metrics for (e.g. Courier)
+            ascent: style && Number.isFinite(style.ascent) ? style.ascent : 0.8,
+            bold: BOLD_FONT_PATTERN.test(name) || !!(fontObject && (fontObject.bold || fontObject.black)),
+            italic: ITALIC_FONT_PATTERN.test(name) || !!(fontObject && fontObject.italic),
+            monospace: MONOSPACE_FONT_PATTERN.test(name) || family === 'monospace' ||
+                       !!(fontObject && fontObject.isMonospace)
+        };
+    }
+
+    /**
+     * Build the layout of a single page
+     * @param {Object} params - Page data
+     * @param {number} params.pageNumber - 1-based page number
+     * @param {Object} params.textContent - pdf.js text content
+     * @param {Object} params.viewport - pdf.js viewport at scale 1
+     * @param {Object} params.fonts - Font info map from resolveFonts()
+     * @param {string} params.readingOrder - 'stream' (content stream order) or 'layout' (columns and blocks)
+     * @param {Object[]} params.links - Link annotations from LinkAnnotations.getPageLinks()
+     * @returns {Object} Page layout with fragments and lines in top-left coordinates
+     */
+    static buildPage({ pageNumber, textContent, viewport, fonts = {}, readingOrder = 'stream', links = [] }) {
+        let fragments = [];
+        const items = (textContent && textContent.items) || [];
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (typeof item.str !== 'string') continue; // Marked content markers
+
+            const tx = this.multiplyTransform(viewport.transform, item.transform);
+            const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 0;
+            const height = Math.hypot(tx[2], tx[3]) || fontSize;
+            const font = fonts[item.fontName] || this.describeFont(null, textContent.styles && textContent.styles[item.fontName]);
+
+            fragments.push({
+                index: i,
+                text: item.str,
+                x: tx[4],
+                y: tx[5] - height * font.ascent,
+                baseline: tx[5],
+                width: item.width * (viewport.scale || 1),
+                height,
+                fontSize: Math.round(fontSize * 10) / 10,
+                fontName: item.fontName,
+                font,
+                hasEOL: !!item.hasEOL
+            });
+        }
+
+        // Runs under a link rectangle carry the link (and are split where only partly covered)
+        fragments = LinkAnnotations.applyLinks(fragments, links);
+
+        return {
+            pageNumber,
+            width: viewport.width,
+            height: viewport.height,
+            fragments,
+            lines: readingOrder === 'layout'
+                ? ReadingOrder.orderLines(fragments).map(lineFragments => this.createLine(lineFragments))
+                : this.groupLines(fragments)
+        };
+    }
+
+    /**
+     * Group fragments (in content stream order) into lines
+     * @param {Object[]} fragments - Positioned fragments
+     * @returns {Object[]} Lines with text, bounds and dominant font
+     */
+    static groupLines(fragments) {
+        const lines = [];
+        let current = [];
+
+        const flush = () => {
+            const visible = current.filter(fragment => fragment.text.trim() !== '');
+            if (visible.length > 0) {
+                lines.push(this.createLine(current));
+            }
+            current = [];
+        };
+
+        for (let i = 0; i < fragments.length; i++) {
+            const fragment = fragments[i];
+            const previous = current[current.length - 1];
+
+            if (previous && previous.text !== '' && fragment.text !== '' &&
+                Math.abs(previous.baseline - fragment.baseline) >= Math.max(previous.height, fragment.height) * 0.5) {
+                flush();
+            }
+
+            current.push(fragment);
+
+            if (fragment.hasEOL) {
+                flush();
+            }
+        }
+        flush();
+
+        return lines;
+    }
+
+    /**
+     * Create a line from its fragments
+     * @param {Object[]} fragments - Fragments on the same baseline
+     * @returns {Object} Line
+     */
+    static createLine(fragments) {
+        const visible = fragments.filter(fragment => fragment.text !== '');
+        const x = Math.min(...visible.map(fragment => fragment.x));
+        const y = Math.min(...visible.map(fragment => fragment.y));
+        const right = Math.max(...visible.map(fragment => fragment.x + fragment.width));
+        const bottom = Math.max(...visible.map(fragment => fragment.y + fragment.height));
+        const text = this.joinFragments(visible);
+
+        return {
+            fragments: visible,
+            text,
+            x,
+            y,
+            width: right - x,
+            height: bottom - y,
+            fontSize: this.dominantValue(visible, fragment => fragment.fontSize),
+            bold: this.characterShare(visible, fragment => fragment.font.bold) > 0.5,
+            italic: this.characterShare(visible, fragment => fragment.font.italic) > 0.5,
+            monospace: this.characterShare(visible, fragment => fragment.font.monospace) > 0.5
+        };
+    }
+
+    /**
+     * Join fragments into text, inserting spaces between separated runs
+     * @param {Object[]} fragments - Fragments of one line
+     * @returns {string} Line text
+     */
+    static joinFragments(fragments) {
+        let text = '';
+
+        for (let i = 0; i < fragments.length; i++) {
+            const fragment = fragments[i];
+            text += fragment.text;
+
+            const next = fragments[i + 1];
+            if (next && this.needsSpace(fragment, next)) {
+                text += ' ';
+            }
+        }
+
+        return text.trim();
+    }
+
+    /**
+     * Check whether a space separates two neighbouring runs that carry no space themselves
+     * @param {Object} fragment - Fragment
+     * @param {Object} next - Following fragment on the same line
+     * @returns {boolean} Whether a space has to be inserted
+     */
+    static needsSpace(fragment, next) {
+        if (!fragment.text || fragment.text.endsWith(' ') || !next.text || next.text.startsWith(' ') || next.attached) {
+            return false;
+        }
+        return next.x - (fragment.x + fragment.width) > -0.5;
+    }
+
+    /**
+     * Find the value that covers the most characters
+     * @param {Object[]} fragments - Fragments
+     * @param {Function} getValue - Value accessor
+     * @returns {*} Dominant value
+     */
+    static dominantValue(fragments, getValue) {
+        const counts = new Map();
+        for (const fragment of fragments) {
+            const value = getValue(fragment);
+            counts.set(value, (counts.get(value) || 0) + fragment.text.trim().length);
+        }
+
+        let best = null;
+        let bestCount = -1;
+        for (const [value, count] of counts) {
+            if (count > bestCount) {
+                best = value;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Share of non-space characters for which a predicate holds
+     * @param {Object[]} fragments - Fragments
+     * @param {Function} predicate - Fragment predicate
+     * @returns {number} Share between 0 and 1
+     */
+    static characterShare(fragments, predicate) {
+        let total = 0;
+        let matching = 0;
+        for (const fragment of fragments) {
+            const length = fragment.text.replace(/\s/g, '').length;
+            total += length;
+            if (predicate(fragment)) matching += length;
+        }
+        return total === 0 ? 0 : matching / total;
+    }
+
+    /**
+     * Check whether a vertical gap between two lines separates paragraphs
+     * @param {Object} line - Upper line
+     * @param {Object} nextLine - Lower line
+     * @returns {boolean} Whether a paragraph break should be inserted
+     */
+    static isParagraphBreak(line, nextLine) {
+        const gap = nextLine.y - (line.y + line.height);
+        const lineHeight = Math.max(line.height, nextLine.height);
+        // A lower line that starts above the current one belongs to another column or block
+        return gap > lineHeight * 0.6 || nextLine.y + nextLine.height < line.y;
+    }
+
+    /**
+     * Multiply two pdf.js transform matrices
+     * @param {number[]} m1 - First matrix
+     * @param {number[]} m2 - Second matrix
+     * @returns {number[]} Product
+     */
+    static multiplyTransform(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+}
+
+export default PdfTextLayout;
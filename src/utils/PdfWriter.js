@@ -0,0 +1,145 @@
+/**
+ * PdfWriter.js
+ * Serializes numbered PDF objects and streams into a document with a
+ * cross-reference table and trailer
+ */
+
+const PDF_HEADER = '%PDF-1.7\n%\u00E2\u00E3\u00CF\u00D3\n'; // The comment of high bytes marks the file as binary
+
+export class PdfWriter {
+    constructor() {
+        // Serialized objects, indexed by object number - 1; reserved objects are null until written
+        this.objects = [];
+    }
+
+    /**
+     * Reserve an object number, so that objects can refer to objects written later
+     * @returns {number} Object number
+     */
+    reserve() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * Write an object
+     * @param {string} body - Object body, e.g. a dictionary
+     * @param {number} [id] - Reserved object number; a new number by default
+     * @returns {number} Object number
+     */
+    addObject(body, id = this.reserve()) {
+        this.objects[id - 1] = PdfWriter.encode(`${id} 0 obj\n${body}\nendobj\n`);
+        return id;
+    }
+
+    /**
+     * Write a stream object; its Length is added to the dictionary
+     * @param {string} entries - Stream dictionary entries, without the angle brackets
+     * @param {Uint8Array|string} data - Stream data, already encoded with the filters named in the entries
+     * @param {number} [id] - Reserved object number; a new number by default
+     * @returns {number} Object number
+     */
+    addStream(entries, data, id = this.reserve()) {
+        const bytes = typeof data === 'string' ? PdfWriter.encode(data) : data;
+        const dictionary = `<< ${entries ? entries + ' ' : ''}/Length ${bytes.length} >>`;
+        this.objects[id - 1] = PdfWriter.concat([
+            PdfWriter.encode(`${id} 0 obj\n${dictionary}\nstream\n`),
+            bytes,
+            PdfWriter.encode('\nendstream\nendobj\n')
+        ]);
+        return id;
+    }
+
+    /**
+     * Serialize the document
+     * @param {number} rootId - Object number of the catalog
+     * @param {number|null} [infoId] - Object number of the document information dictionary
+     * @returns {Uint8Array} PDF file
+     */
+    toBytes(rootId, infoId = null) {
+        const chunks = [PdfWriter.encode(PDF_HEADER)];
+        const offsets = [];
+        let offset = chunks[0].length;
+
+        this.objects.forEach((object, index) => {
+            if (!object) {
+                throw new Error(`PDF object ${index + 1} was reserved but never written`);
+            }
+            offsets.push(offset);
+            chunks.push(object);
+            offset += object.length;
+        });
+
+        const entries = offsets.map(objectOffset => `${String(objectOffset).padStart(10, '0')} 00000 n \n`).join('');
+        const info = infoId ? ` /Info ${infoId} 0 R` : '';
+        chunks.push(PdfWriter.encode(
+            `xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n${entries}` +
+            `trailer\n<< /Size ${offsets.length + 1} /Root ${rootId} 0 R${info} >>\nstartxref\n${offset}\n%%EOF\n`
+        ));
+        return PdfWriter.concat(chunks);
+    }
+
+    /**
+     * Format a number for content streams and dictionaries: at most three decimals, never an exponent
+     * @param {number} value - Number
+     * @returns {string} PDF number
+     */
+    static number(value) {
+        return String(Number(value.toFixed(3)));
+    }
+
+    /**
+     * Write text as a PDF string: a literal for ASCII, UTF-16BE hex with a byte order mark otherwise
+     * @param {string} text - Text
+     * @returns {string} PDF string
+     */
+    static string(text) {
+        if (/^[\x20-\x7E]*$/.test(text)) {
+            return `(${text.replace(/[\\()]/g, character => `\\${character}`)})`;
+        }
+        return `<FEFF${this.utf16Hex(text)}>`;
+    }
+
+    /**
+     * Hex digits of the UTF-16BE code units of a text
+     * @param {string} text - Text
+     * @returns {string} Four hex digits per code unit
+     */
+    static utf16Hex(text) {
+        let hex = '';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+        }
+        return hex;
+    }
+
+    /**
+     * Encode text of single-byte characters, as PDF syntax is
+     * @param {string} text - Text with character codes below 256
+     * @returns {Uint8Array} Bytes
+     */
+    static encode(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Join byte arrays
+     * @param {Uint8Array[]} chunks - Byte arrays
+     * @returns {Uint8Array} Joined bytes
+     */
+    static concat(chunks) {
+        const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return bytes;
+    }
+}
+
+export default PdfWriter;
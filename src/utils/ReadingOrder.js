@@ -0,0 +1,166 @@
+/**
+ * ReadingOrder.js
+ * Reconstructs the reading order of a page from fragment geometry with a
+ * recursive XY-cut, so multi-column layouts are read column by column
+ */
+
+const MIN_GUTTER_RATIO = 1.0;  // Column gutters are at least one font size wide
+const MIN_COLUMN_WORDS = 4;    // Average words per line for each side of a gutter to count as a text column
+const MIN_ROW_GAP = 0.1;       // Vertical gaps (pt) below this do not separate blocks
+
+export class ReadingOrder {
+    /**
+     * Get supported reading order modes
+     * @returns {string[]} Supported modes
+     */
+    static getSupportedModes() {
+        return ['stream', 'layout'];
+    }
+
+    /**
+     * Group fragments into lines, ordered block by block and column by column
+     * @param {Object[]} fragments - Positioned fragments (top-left coordinates)
+     * @returns {Object[][]} Fragments of each line, in reading order
+     */
+    static orderLines(fragments) {
+        const blocks = [];
+        this.cut(fragments.filter(fragment => fragment.text.trim() !== ''), blocks);
+        return blocks.flatMap(block => this.groupLines(block));
+    }
+
+    /**
+     * Recursively split a region at its widest whitespace gap
+     * Horizontal gaps order blocks top to bottom; column gutters order them left to right
+     * @param {Object[]} fragments - Fragments of the region
+     * @param {Object[][]} blocks - Output list of leaf blocks
+     */
+    static cut(fragments, blocks) {
+        if (fragments.length === 0) return;
+
+        const rowGap = this.findWidestGap(fragments, fragment => fragment.y, fragment => fragment.y + fragment.height, MIN_ROW_GAP);
+        const columnGap = this.findGutter(fragments);
+
+        if (columnGap && (!rowGap || columnGap.size >= rowGap.size)) {
+            this.cut(fragments.filter(fragment => fragment.x < columnGap.position), blocks);
+            this.cut(fragments.filter(fragment => fragment.x >= columnGap.position), blocks);
+        } else if (rowGap) {
+            this.cut(fragments.filter(fragment => fragment.y < rowGap.position), blocks);
+            this.cut(fragments.filter(fragment => fragment.y >= rowGap.position), blocks);
+        } else {
+            blocks.push(fragments);
+        }
+    }
+
+    /**
+     * Find the widest gap in the projection of fragments onto one axis
+     * @param {Object[]} fragments - Fragments
+     * @param {Function} getStart - Interval start accessor
+     * @param {Function} getEnd - Interval end accessor
+     * @param {number} minSize - Smallest gap to consider
+     * @returns {Object|null} Gap { position, size } where position is the gap's far edge
+     */
+    static findWidestGap(fragments, getStart, getEnd, minSize) {
+        return this.findGaps(fragments, getStart, getEnd, minSize)
+            .reduce((widest, gap) => (!widest || gap.size > widest.size ? gap : widest), null);
+    }
+
+    /**
+     * Find all gaps in the projection of fragments onto one axis
+     * @param {Object[]} fragments - Fragments
+     * @param {Function} getStart - Interval start accessor
+     * @param {Function} getEnd - Interval end accessor
+     * @param {number} minSize - Smallest gap to consider
+     * @returns {Object[]} Gaps { position, size }
+     */
+    static findGaps(fragments, getStart, getEnd, minSize) {
+        const intervals = fragments
+            .map(fragment => [getStart(fragment), getEnd(fragment)])
+            .sort((a, b) => a[0] - b[0]);
+        const gaps = [];
+        let coveredEnd = -Infinity;
+
+        for (const [start, end] of intervals) {
+            if (coveredEnd !== -Infinity && start - coveredEnd > minSize) {
+                gaps.push({ position: start, size: start - coveredEnd });
+            }
+            coveredEnd = Math.max(coveredEnd, end);
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Find the widest vertical gutter that separates two text columns
+     * Gaps between table columns or list markers are rejected because their
+     * sides hold only a few words per line
+     * @param {Object[]} fragments - Fragments of the region
+     * @returns {Object|null} Gutter { position, size }
+     */
+    static findGutter(fragments) {
+        const fontSizes = fragments.map(fragment => fragment.fontSize || fragment.height).sort((a, b) => a - b);
+        const fontSize = fontSizes[Math.floor(fontSizes.length / 2)] || 10;
+        const gaps = this.findGaps(fragments, fragment => fragment.x, fragment => fragment.x + fragment.width, fontSize * MIN_GUTTER_RATIO)
+            .sort((a, b) => b.size - a.size);
+
+        for (const gap of gaps) {
+            const left = fragments.filter(fragment => fragment.x < gap.position);
+            const right = fragments.filter(fragment => fragment.x >= gap.position);
+            if (this.averageWordsPerLine(left) >= MIN_COLUMN_WORDS && this.averageWordsPerLine(right) >= MIN_COLUMN_WORDS) {
+                return gap;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Average number of words per line in a group of fragments
+     * @param {Object[]} fragments - Fragments
+     * @returns {number} Words per line
+     */
+    static averageWordsPerLine(fragments) {
+        const lines = this.groupLines(fragments);
+        if (lines.length === 0) return 0;
+
+        const words = lines.reduce((sum, line) =>
+            sum + line.reduce((count, fragment) => count + fragment.text.trim().split(/\s+/).filter(Boolean).length, 0), 0);
+        return words / lines.length;
+    }
+
+    /**
+     * Group the fragments of one block into lines by vertical overlap
+     * @param {Object[]} fragments - Fragments of a block
+     * @returns {Object[][]} Fragments of each line, left to right
+     */
+    static groupLines(fragments) {
+        const sorted = [...fragments].sort((a, b) => a.y - b.y || a.x - b.x);
+        const lines = [];
+
+        for (const fragment of sorted) {
+            const line = lines[lines.length - 1];
+            // Raised or lowered runs (superscripts, mixed sizes) stay on the line they overlap
+            if (line && this.verticalOverlap(line, fragment) >= Math.min(line.height, fragment.height) * 0.5) {
+                line.fragments.push(fragment);
+                line.top = Math.min(line.top, fragment.y);
+                line.bottom = Math.max(line.bottom, fragment.y + fragment.height);
+                line.height = line.bottom - line.top;
+                continue;
+            }
+            lines.push({ fragments: [fragment], top: fragment.y, bottom: fragment.y + fragment.height, height: fragment.height });
+        }
+
+        return lines.map(line => line.fragments.sort((a, b) => a.x - b.x));
+    }
+
+    /**
+     * Vertical overlap between a line band and a fragment
+     * @param {Object} line - Line band with top and bottom
+     * @param {Object} fragment - Fragment
+     * @returns {number} Overlap in points
+     */
+    static verticalOverlap(line, fragment) {
+        return Math.min(line.bottom, fragment.y + fragment.height) - Math.max(line.top, fragment.y);
+    }
+}
+
+export default ReadingOrder;
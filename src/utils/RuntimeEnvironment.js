@@ -0,0 +1,117 @@
+/**
+ * RuntimeEnvironment.js
+ * Detects the JavaScript runtime and loads the matching pdf.js build
+ */
+
+const SUPPORTED_RUNTIMES = ['auto', 'browser', 'node'];
+
+export class RuntimeEnvironment {
+    /**
+     * Runtime identifiers accepted by the `runtime` configuration option
+     * @returns {string[]} Supported runtime identifiers
+     */
+    static getSupportedRuntimes() {
+        return [...SUPPORTED_RUNTIMES];
+    }
+
+    /**
+     * Check whether the code runs in Node.js without a DOM
+     * @returns {boolean} Whether the current runtime is Node.js
+     */
+    static isNode() {
+        return typeof process !== 'undefined' &&
+               !!(process.versions && process.versions.node) &&
+               typeof window === 'undefined';
+    }
+
+    /**
+     * Resolve the configured runtime to a concrete one
+     * @param {string} runtime - 'auto', 'browser' or 'node'
+     * @returns {string} 'browser' or 'node'
+     */
+    static resolve(runtime = 'auto') {
+        if (runtime === 'auto' || !runtime) {
+            return this.isNode() ? 'node' : 'browser';
+        }
+        return runtime;
+    }
+
+    /**
+     * Load pdf.js for the given runtime
+     * Node.js needs the legacy build, which polyfills the DOM APIs pdf.js relies on
+     * @param {string} runtime - Resolved runtime ('browser' or 'node')
+     * @returns {Promise<Object>} pdf.js library
+     */
+    static async loadPdfJs(runtime) {
+        let pdfjs = null;
+
+        try {
+            if (runtime === 'node') {
+                pdfjs = await import(/* webpackIgnore: true */ 'pdfjs-dist/legacy/build/pdf.mjs');
+            } else {
+                pdfjs = await import(/* webpackMode: "eager" */ 'pdfjs-dist/build/pdf.mjs');
+            }
+        } catch (error) {
+            // Fall back to a globally loaded copy (e.g. a <script> tag)
+            if (typeof window === 'undefined' || !window.pdfjsLib) {
+                throw new Error(`pdf.js library could not be loaded for the ${runtime} runtime: ${error.message}`);
+            }
+        }
+
+        if (!pdfjs && typeof window !== 'undefined') {
+            pdfjs = window.pdfjsLib;
+        }
+
+        if (!pdfjs || !pdfjs.getDocument) {
+            throw new Error('pdf.js library is not loaded or not fully initialized.');
+        }
+
+        return pdfjs;
+    }
+
+    /**
+     * Extra pdf.js getDocument() parameters for the runtime
+     * In Node.js, pdf.js reads standard fonts, CMaps and wasm decoders from disk,
+     * so point it at the pdfjs-dist package resolved from this module, or else
+     * from the working directory or the entry script's directory
+     * @param {string} runtime - Resolved runtime ('browser' or 'node')
+     * @returns {Promise<Object>} Additional getDocument() parameters
+     */
+    static async getPdfJsDocumentOptions(runtime) {
+        if (runtime !== 'node') {
+            return {};
+        }
+
+        try {
+            const path = await import(/* webpackIgnore: true */ 'path');
+            const { createRequire } = await import(/* webpackIgnore: true */ 'module');
+            const searchBases = [import.meta.url, path.join(process.cwd(), 'index.js')];
+            if (process.argv && process.argv[1]) {
+                searchBases.push(path.resolve(process.argv[1]));
+            }
+
+            for (const base of searchBases) {
+                let pdfjsRoot;
+                try {
+                    pdfjsRoot = path.dirname(createRequire(base).resolve('pdfjs-dist/package.json'));
+                } catch (error) {
+                    continue; // Not installed next to this base, try the next one
+                }
+
+                return {
+                    standardFontDataUrl: path.join(pdfjsRoot, 'standard_fonts') + path.sep,
+                    cMapUrl: path.join(pdfjsRoot, 'cmaps') + path.sep,
+                    cMapPacked: true,
+                    wasmUrl: path.join(pdfjsRoot, 'wasm') + path.sep
+                };
+            }
+        } catch (error) {
+            // The path and module built-ins are unavailable
+        }
+
+        // pdf.js still works without these; it only warns about missing font data
+        return {};
+    }
+}
+
+export default RuntimeEnvironment;
@@ -0,0 +1,308 @@
+/**
+ * SearchablePdf.js
+ * Writes recognized pages as a new PDF of their page images with an invisible
+ * text layer placed on the OCR word boxes, so scans can be searched, selected and copied
+ */
+
+import PdfWriter from './PdfWriter.js';
+
+const JPEG_QUALITY = 0.85;
+const GLYPH_WIDTH = 500;        // Advance of every character in the glyphless font, in 1000ths of the font size
+const SPACE_WIDTH = 250;        // Advance of the space: pdf.js takes fonts whose characters all have one width for monospaced
+const FONT_NAME = 'GlyphLessFont';
+const BFRANGE_BLOCK_SIZE = 100; // CMaps allow at most 100 ranges per beginbfrange block
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+export class SearchablePdf {
+    /**
+     * Get supported modes
+     * @returns {string[]} 'none' writes no PDF; 'jpeg' and 'lossless' (Deflate) set how the page images are compressed
+     */
+    static getSupportedModes() {
+        return ['none', 'jpeg', 'lossless'];
+    }
+
+    /**
+     * Compress a rendered page as a PDF image
+     * @param {Object} canvas - Rendered page
+     * @param {string} mode - 'jpeg' or 'lossless'
+     * @param {CanvasFactory} canvasFactory - Canvas factory that encodes JPEG images
+     * @returns {Promise<Object>} Image { width, height, colorSpace, filter, decodeParms, data }
+     */
+    static async encodeImage(canvas, mode, canvasFactory) {
+        if (mode === 'jpeg') {
+            const data = await this.toBytes(await canvasFactory.toJpeg(canvas, JPEG_QUALITY));
+            const { width, height, components } = this.readJpegSize(data);
+            return { width, height, colorSpace: components === 1 ? 'DeviceGray' : 'DeviceRGB', filter: 'DCTDecode', decodeParms: null, data };
+        }
+
+        const { width, height } = canvas;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        let gray = true;
+        for (let i = 0; i < pixels.length && gray; i += 4) {
+            gray = pixels[i] === pixels[i + 1] && pixels[i] === pixels[i + 2];
+        }
+
+        // Rows are stored as differences to the row above (PNG Up filter), which scans compress well with
+        const channels = gray ? 1 : 3;
+        const rowLength = width * channels + 1;
+        const rows = new Uint8Array(rowLength * height);
+        for (let y = 0; y < height; y++) {
+            rows[y * rowLength] = 2;
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < channels; c++) {
+                    const index = (y * width + x) * 4 + c;
+                    const above = y > 0 ? pixels[index - width * 4] : 0;
+                    rows[y * rowLength + 1 + x * channels + c] = (pixels[index] - above) & 0xFF;
+                }
+            }
+        }
+
+        return {
+            width,
+            height,
+            colorSpace: gray ? 'DeviceGray' : 'DeviceRGB',
+            filter: 'FlateDecode',
+            decodeParms: `<< /Predictor 15 /Colors ${channels} /BitsPerComponent 8 /Columns ${width} >>`,
+            data: await this.deflate(rows)
+        };
+    }
+
+    /**
+     * Write a PDF with one page per recognized page
+     * @param {Object[]} pages - Pages { width, height, image, words } in page order: size in PDF points, an image
+     *   from encodeImage() covering the page and OCR words { text, x, y, width, height } in points from the top left
+     * @returns {Promise<Uint8Array>} PDF file
+     */
+    static async create(pages) {
+        const writer = new PdfWriter();
+        const catalogId = writer.reserve();
+        const pagesId = writer.reserve();
+        const fontId = await this.addFont(writer);
+
+        const pageIds = [];
+        for (const page of pages) {
+            const { image } = page;
+            const imageId = writer.addStream([
+                '/Type /XObject /Subtype /Image',
+                `/Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace} /BitsPerComponent 8`,
+                `/Filter /${image.filter}`,
+                ...(image.decodeParms ? [`/DecodeParms ${image.decodeParms}`] : [])
+            ].join(' '), image.data);
+
+            const width = PdfWriter.number(page.width);
+            const height = PdfWriter.number(page.height);
+            const content = `q\n${width} 0 0 ${height} 0 0 cm\n/Im0 Do\nQ\n${this.getTextOperators(page.words, page.height)}`;
+            const contentId = writer.addStream('/Filter /FlateDecode', await this.deflate(PdfWriter.encode(content)));
+
+            pageIds.push(writer.addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${imageId} 0 R >> /Font << /F0 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`));
+        }
+
+        writer.addObject(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`, pagesId);
+        writer.addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, catalogId);
+        const infoId = writer.addObject(`<< /Producer ${PdfWriter.string('Extract2MD (Tesseract.js)')} >>`);
+        return writer.toBytes(catalogId, infoId);
+    }
+
+    /**
+     * Write the invisible text of a page: each word in text render mode 3, sized to its box
+     * @param {Object[]} words - OCR words { text, x, y, width, height } in points from the top left of the page
+     * @param {number} pageHeight - Page height in points
+     * @returns {string} Content stream operators
+     */
+    static getTextOperators(words, pageHeight) {
+        const operators = [];
+        const visible = words.filter(word => word.text && word.width > 0 && word.height > 0);
+        visible.forEach((word, index) => {
+            // The font has no descent, so the box bottom is the baseline and the font size its height
+            const fontSize = word.height;
+            const scale = 100 * word.width / (word.text.length * fontSize * GLYPH_WIDTH / 1000);
+            const x = PdfWriter.number(word.x);
+            const y = PdfWriter.number(pageHeight - word.y - word.height);
+
+            // A space after words followed on the same line keeps them apart in text extraction
+            const next = visible[index + 1];
+            const text = next && next.x > word.x && next.y < word.y + word.height && next.y + next.height > word.y ? `${word.text} ` : word.text;
+            operators.push(`/F0 ${PdfWriter.number(fontSize)} Tf ${PdfWriter.number(scale)} Tz 1 0 0 1 ${x} ${y} Tm <${PdfWriter.utf16Hex(text)}> Tj`);
+        });
+        return operators.length > 0 ? `BT\n3 Tr\n${operators.join('\n')}\nET\n` : '';
+    }
+
+    /**
+     * Add the text layer font: an embedded TrueType font whose only glyph is empty, with character codes
+     * that are UTF-16 code units and map back to Unicode for search and copy
+     * @param {PdfWriter} writer - Document writer
+     * @returns {Promise<number>} Object number of the Type 0 font
+     */
+    static async addFont(writer) {
+        const font = this.createGlyphlessFont();
+        const fontFileId = writer.addStream(`/Length1 ${font.length} /Filter /FlateDecode`, await this.deflate(font));
+
+        // Every character code is drawn with glyph 1
+        const cidToGid = new Uint8Array(0x20000);
+        for (let i = 1; i < cidToGid.length; i += 2) cidToGid[i] = 1;
+        const cidToGidId = writer.addStream('/Filter /FlateDecode', await this.deflate(cidToGid));
+
+        const ranges = Array.from({ length: 256 }, (_, high) => {
+            const hex = high.toString(16).toUpperCase().padStart(2, '0');
+            return `<${hex}00> <${hex}FF> <${hex}00>`;
+        });
+        const blocks = [];
+        for (let i = 0; i < ranges.length; i += BFRANGE_BLOCK_SIZE) {
+            const block = ranges.slice(i, i + BFRANGE_BLOCK_SIZE);
+            blocks.push(`${block.length} beginbfrange\n${block.join('\n')}\nendbfrange`);
+        }
+        const toUnicode = [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<0000> <FFFF>',
+            'endcodespacerange',
+            ...blocks,
+            'endcmap',
+            'CMapName currentdict /CMap defineresource pop',
+            'end',
+            'end'
+        ].join('\n');
+        const toUnicodeId = writer.addStream('/Filter /FlateDecode', await this.deflate(PdfWriter.encode(toUnicode)));
+
+        const descriptorId = writer.addObject(`<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 4 ` +
+            `/FontBBox [0 0 ${GLYPH_WIDTH} 1000] /ItalicAngle 0 /Ascent 1000 /Descent 0 /CapHeight 1000 /StemV 80 /FontFile2 ${fontFileId} 0 R >>`);
+        const cidFontId = writer.addObject(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${FONT_NAME} ` +
+            `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R ` +
+            `/DW ${GLYPH_WIDTH} /W [32 [${SPACE_WIDTH}]] /CIDToGIDMap ${cidToGidId} 0 R >>`);
+        return writer.addObject(`<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME} /Encoding /Identity-H ` +
+            `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`);
+    }
+
+    /**
+     * Build a TrueType font of two empty glyphs (.notdef and the glyph every character is drawn with)
+     * @returns {Uint8Array} Font file
+     */
+    static createGlyphlessFont() {
+        const table = (values) => {
+            const bytes = [];
+            for (const [size, value] of values) {
+                for (let i = size - 1; i >= 0; i--) bytes.push((value >>> (8 * i)) & 0xFF);
+            }
+            return new Uint8Array(bytes);
+        };
+        const u16 = value => [2, value];
+        const u32 = value => [4, value];
+
+        const tables = {
+            head: table([u32(0x00010000), u32(0x00010000), u32(0), u32(0x5F0F3CF5), u16(0x000B), u16(1000),
+                u32(0), u32(0), u32(0), u32(0), u16(0), u16(0), u16(GLYPH_WIDTH), u16(1000),
+                u16(0), u16(8), u16(2), u16(0), u16(0)]),
+            hhea: table([u32(0x00010000), u16(1000), u16(0), u16(0), u16(GLYPH_WIDTH), u16(0), u16(0), u16(GLYPH_WIDTH),
+                u16(1), u16(0), u16(0), u16(0), u16(0), u16(0), u16(0), u16(0), u16(2)]),
+            maxp: table([u32(0x00010000), u16(2), u16(0), u16(0), u16(0), u16(0), u16(2), u16(0), u16(0), u16(0),
+                u16(0), u16(0), u16(0), u16(0), u16(0)]),
+            hmtx: table([u16(GLYPH_WIDTH), u16(0), u16(GLYPH_WIDTH), u16(0)]),
+            loca: table([u16(0), u16(0), u16(0)]),
+            glyf: new Uint8Array(4),
+            post: table([u32(0x00030000), u32(0), u16(-100 & 0xFFFF), u16(50), u32(1), u32(0), u32(0), u32(0), u32(0)])
+        };
+
+        // Table directory, then the tables in tag order, each padded to four bytes
+        const tags = Object.keys(tables).sort();
+        const entrySelector = Math.floor(Math.log2(tags.length));
+        const directory = [u32(0x00010000), u16(tags.length), u16(16 << entrySelector), u16(entrySelector),
+            u16(tags.length * 16 - (16 << entrySelector))];
+        let offset = 12 + tags.length * 16;
+        for (const tag of tags) {
+            const length = tables[tag].length;
+            directory.push(u32(tag.split('').reduce((code, character) => code * 256 + character.charCodeAt(0), 0)),
+                u32(this.getTableChecksum(tables[tag])), u32(offset), u32(length));
+            offset += Math.ceil(length / 4) * 4;
+        }
+
+        const font = new Uint8Array(offset);
+        font.set(table(directory), 0);
+        offset = 12 + tags.length * 16;
+        for (const tag of tags) {
+            font.set(tables[tag], offset);
+            offset += Math.ceil(tables[tag].length / 4) * 4;
+        }
+
+        // checkSumAdjustment makes the checksum of the whole font 0xB1B0AFBA
+        const headOffset = 12 + tags.length * 16 + tags.slice(0, tags.indexOf('head')).reduce((sum, tag) => sum + Math.ceil(tables[tag].length / 4) * 4, 0);
+        font.set(table([u32((0xB1B0AFBA - this.getTableChecksum(font)) >>> 0)]), headOffset + 8);
+        return font;
+    }
+
+    /**
+     * TrueType checksum: the sum of the data as big-endian 32-bit integers
+     * @param {Uint8Array} data - Table or font data
+     * @returns {number} Checksum
+     */
+    static getTableChecksum(data) {
+        let sum = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            sum = (sum + ((data[i] << 24) | ((data[i + 1] || 0) << 16) | ((data[i + 2] || 0) << 8) | (data[i + 3] || 0))) >>> 0;
+        }
+        return sum;
+    }
+
+    /**
+     * Read the size and number of color components from a JPEG frame header
+     * @param {Uint8Array} data - JPEG file
+     * @returns {Object} { width, height, components }
+     */
+    static readJpegSize(data) {
+        let offset = 2;
+        while (offset + 9 < data.length) {
+            if (data[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+            const marker = data[offset + 1];
+            if (JPEG_SOF_MARKERS.includes(marker)) {
+                return {
+                    height: (data[offset + 5] << 8) | data[offset + 6],
+                    width: (data[offset + 7] << 8) | data[offset + 8],
+                    components: data[offset + 9]
+                };
+            }
+            // Fill bytes and markers without a length are skipped
+            if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                offset += marker === 0xFF ? 1 : 2;
+                continue;
+            }
+            offset += 2 + ((data[offset + 2] << 8) | data[offset + 3]);
+        }
+        throw new Error('Invalid JPEG image: missing frame header');
+    }
+
+    /**
+     * Read an encoded image into bytes
+     * @param {Uint8Array|ArrayBuffer|Blob} encoded - Buffer, bytes or Blob
+     * @returns {Promise<Uint8Array>} Bytes
+     */
+    static async toBytes(encoded) {
+        if (encoded instanceof Uint8Array) return encoded;
+        if (encoded instanceof ArrayBuffer) return new Uint8Array(encoded);
+        return new Uint8Array(await encoded.arrayBuffer());
+    }
+
+    /**
+     * Compress data with zlib-wrapped Deflate (FlateDecode)
+     * @param {Uint8Array} data - Data
+     * @returns {Promise<Uint8Array>} Compressed bytes
+     */
+    static async deflate(data) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('Searchable PDF output needs CompressionStream support');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+export default SearchablePdf;
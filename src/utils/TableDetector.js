@@ -0,0 +1,343 @@
+/**
+ * TableDetector.js
+ * Reconstructs tables from positioned lines (pdf.js text items or OCR word
+ * boxes) and renders them as GitHub-flavored Markdown tables
+ */
+
+const COLUMN_GAP_RATIO = 1.0;   // Horizontal gap (in font sizes) that separates cells
+const ROW_GAP_RATIO = 2.5;      // Vertical gap (in line heights) that ends a table
+const MIN_ROWS = 2;
+const MIN_PROSE_WORDS = 4;      // Columns that all average this many words are prose laid out side by side
+const MIN_GRID_ROW_SHARE = 0.5;
+
+export class TableDetector {
+    /**
+     * Split a line into cells at large horizontal gaps
+     * @param {Object} line - Line with fragments ({ text, x, width })
+     * @param {number} gapRatio - Gap size, relative to the font size, that separates cells
+     * @returns {Object[]} Segments with text, x0, x1 and bold flag
+     */
+    static segmentLine(line, gapRatio = COLUMN_GAP_RATIO) {
+        const fontSize = line.fontSize || line.height || 10;
+        const boxes = line.fragments
+            .filter(fragment => fragment.text.trim() !== '')
+            .sort((a, b) => a.x - b.x);
+        const segments = [];
+        let current = null;
+
+        for (const box of boxes) {
+            if (current && box.x - current.x1 <= fontSize * gapRatio) {
+                const separator = box.x - current.x1 > fontSize * 0.1 && !current.text.endsWith(' ') ? ' ' : '';
+                current.text += separator + box.text;
+                current.x1 = Math.max(current.x1, box.x + box.width);
+                current.boxes.push(box);
+                continue;
+            }
+            current = { text: box.text, x0: box.x, x1: box.x + box.width, boxes: [box] };
+            segments.push(current);
+        }
+
+        return segments.map(segment => ({
+            text: segment.text.trim(),
+            x0: segment.x0,
+            x1: segment.x1,
+            bold: segment.boxes.every(box => box.font && box.font.bold),
+            charWidth: (segment.x1 - segment.x0) / Math.max(segment.text.length, 1)
+        }));
+    }
+
+    /**
+     * Find table regions in a sequence of lines
+     * @param {Object[]} lines - Lines of one page, in reading order
+     * @returns {Object[]} Regions { start, end, markdown: string[] } (end inclusive)
+     */
+    static findTables(lines) {
+        const regions = [];
+        const segmented = lines.map(line => this.segmentLine(line));
+
+        let i = 0;
+        while (i < lines.length) {
+            if (segmented[i].length < 2) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const tableStartX = segmented[i][0].x0;
+            let columns = segmented[i];
+            const rows = [segmented[i]];
+            let end = i;
+            for (let j = i + 1; j < lines.length; j++) {
+                const gap = lines[j].y - (lines[j - 1].y + lines[j - 1].height);
+                if (gap > Math.max(lines[j].height, lines[j - 1].height) * ROW_GAP_RATIO) break;
+                // A line above the previous one starts another column or block
+                if (lines[j].y < lines[j - 1].y) break;
+                if (segmented[j].length === 0) break;
+
+                // The table ends where the column count or the column alignment changes
+                const fontSize = lines[j].fontSize || lines[j].height || 10;
+                if (segmented[j].length >= 2) {
+                    const continued = this.continueColumns(columns, rows, segmented[j], segmented[j + 1], fontSize);
+                    if (!continued) break;
+                    columns = continued;
+                    rows.push(segmented[j]);
+                } else {
+                    const isIndentedContinuation = segmented[j][0].x0 > tableStartX + fontSize &&
+                        this.fitsColumns(segmented[j], columns, fontSize);
+                    const nextIsRow = j + 1 < lines.length && segmented[j + 1].length >= 2 &&
+                        this.continueColumns(columns, rows, segmented[j + 1], null, fontSize) !== null;
+                    if (!isIndentedContinuation && !nextIsRow) break;
+                }
+                end = j;
+            }
+
+            const rowCount = segmented.slice(start, end + 1).filter(segments => segments.length >= 2).length;
+            if (rowCount >= MIN_ROWS) {
+                const grid = this.buildGrid(segmented.slice(start, end + 1));
+                if (!grid.isProse) {
+                    regions.push({
+                        start,
+                        end,
+                        markdown: grid.ambiguous
+                            ? this.toCodeBlock(segmented.slice(start, end + 1))
+                            : this.toMarkdown(grid)
+                    });
+                }
+            }
+
+            i = end + 1;
+        }
+
+        return regions;
+    }
+
+    /**
+     * Columns of a table after adding a row: the row's cells must each line up with a column. A row
+     * with more cells, or the row after it, takes over when the rows so far fit under its cells
+     * (spanning header cells)
+     * @param {Object[]} columns - Cells of the row that defines the columns
+     * @param {Object[][]} rows - Rows of the table so far
+     * @param {Object[]} segments - Cells of the row to add
+     * @param {Object[]|undefined|null} nextSegments - Cells of the following line
+     * @param {number} tolerance - Distance (pt) within which cell edges line up
+     * @returns {Object[]|null} Columns including the row, or null when the row does not belong to the table
+     */
+    static continueColumns(columns, rows, segments, nextSegments, tolerance) {
+        if (segments.length <= columns.length && this.fitsColumns(segments, columns, tolerance)) {
+            return columns;
+        }
+        for (const candidate of [segments, nextSegments]) {
+            if (candidate && candidate.length > columns.length &&
+                [...rows, segments].every(row => this.fitsColumns(row, candidate, tolerance))) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether cells line up, in order, with distinct columns by their left edge, right edge or center
+     * @param {Object[]} segments - Cells with x0/x1
+     * @param {Object[]} columns - Columns with x0/x1
+     * @param {number} tolerance - Distance (pt) within which cell edges line up
+     * @returns {boolean} Whether every cell has a column
+     */
+    static fitsColumns(segments, columns, tolerance) {
+        const center = box => (box.x0 + box.x1) / 2;
+        let c = 0;
+        for (const segment of segments) {
+            while (c < columns.length &&
+                Math.abs(segment.x0 - columns[c].x0) > tolerance &&
+                Math.abs(segment.x1 - columns[c].x1) > tolerance &&
+                Math.abs(center(segment) - center(columns[c])) > tolerance) {
+                c++;
+            }
+            if (c === columns.length) return false;
+            c++;
+        }
+        return true;
+    }
+
+    /**
+     * Infer columns, rows, header rows and cell spans
+     * @param {Object[][]} segmentedLines - Segments per line
+     * @returns {Object} Grid { columns, header, rows, alignments } or { ambiguous: true }
+     */
+    static buildGrid(segmentedLines) {
+        const columnCount = this.mostCommonCount(segmentedLines.filter(segments => segments.length >= 2));
+        const gridRows = segmentedLines.filter(segments => segments.length === columnCount);
+
+        // Tables have at least one column of short cells (labels, numbers)
+        const countWords = text => text.split(/\s+/).filter(Boolean).length;
+        const isProse = gridRows.length > 0 && Array.from({ length: columnCount }, (_, c) =>
+            gridRows.reduce((sum, segments) => sum + countWords(segments[c].text), 0) / gridRows.length
+        ).every(meanWords => meanWords >= MIN_PROSE_WORDS);
+        if (isProse) {
+            return { isProse: true };
+        }
+
+        if (gridRows.length / segmentedLines.length < MIN_GRID_ROW_SHARE) {
+            return { ambiguous: true };
+        }
+
+        // Column intervals from the rows that fill every column
+        const columns = [];
+        for (let c = 0; c < columnCount; c++) {
+            columns.push({
+                x0: Math.min(...gridRows.map(segments => segments[c].x0)),
+                x1: Math.max(...gridRows.map(segments => segments[c].x1))
+            });
+        }
+        for (let c = 1; c < columns.length; c++) {
+            if (columns[c].x0 <= columns[c - 1].x1) {
+                return { ambiguous: true };
+            }
+        }
+
+        const rows = [];
+        const rowIsBold = [];
+        for (const segments of segmentedLines) {
+            const row = new Array(columnCount).fill('');
+            const used = new Array(columnCount).fill(false);
+
+            for (const segment of segments) {
+                const spanned = this.columnsForSegment(segment, columns);
+                const first = spanned[0];
+                if (used[first]) {
+                    return { ambiguous: true };
+                }
+                // A spanning cell keeps its text in the first column; the rest stay empty
+                for (const c of spanned) used[c] = true;
+                row[first] = segment.text;
+            }
+
+            // A single indented segment continues the wrapped cell above it
+            const filled = row.filter(cell => cell !== '').length;
+            const continuationColumn = row.findIndex(cell => cell !== '');
+            if (filled === 1 && continuationColumn > 0 && rows.length > 0 && segments.length === 1) {
+                const previous = rows[rows.length - 1];
+                previous[continuationColumn] = `${previous[continuationColumn]} ${row[continuationColumn]}`.trim();
+                continue;
+            }
+
+            rows.push(row);
+            rowIsBold.push(segments.length > 0 && segments.every(segment => segment.bold));
+        }
+
+        if (rows.length < MIN_ROWS) {
+            return { ambiguous: true };
+        }
+
+        // Leading bold rows followed by regular rows form a (multi-line) header
+        let headerRowCount = 1;
+        if (rowIsBold[0]) {
+            while (headerRowCount < rows.length - 1 && rowIsBold[headerRowCount]) {
+                headerRowCount++;
+            }
+            if (headerRowCount === rows.length) headerRowCount = 1;
+        }
+
+        const header = new Array(columnCount).fill('');
+        for (let r = 0; r < headerRowCount; r++) {
+            rows[r].forEach((cell, c) => {
+                header[c] = `${header[c]} ${cell}`.trim();
+            });
+        }
+        const bodyRows = rows.slice(headerRowCount);
+
+        const alignments = header.map((_, c) => {
+            const values = bodyRows.map(row => row[c]).filter(value => value !== '');
+            return values.length > 0 && values.every(value => /^[-+(]?[$€£¥]?\d[\d.,\s]*%?\)?$/.test(value)) ? 'right' : 'left';
+        });
+
+        return { columns, header, rows: bodyRows, alignments };
+    }
+
+    /**
+     * Columns overlapped by a segment (nearest column when it overlaps none)
+     * @param {Object} segment - Segment with x0/x1
+     * @param {Object[]} columns - Column intervals
+     * @returns {number[]} Column indices, in order
+     */
+    static columnsForSegment(segment, columns) {
+        const overlapping = [];
+        columns.forEach((column, index) => {
+            if (segment.x0 < column.x1 && segment.x1 > column.x0) {
+                overlapping.push(index);
+            }
+        });
+        if (overlapping.length > 0) return overlapping;
+
+        const center = (segment.x0 + segment.x1) / 2;
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        columns.forEach((column, index) => {
+            const distance = center < column.x0 ? column.x0 - center : Math.max(0, center - column.x1);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return [nearest];
+    }
+
+    /**
+     * Most common segment count among rows
+     * @param {Object[][]} segmentedLines - Segments per line
+     * @returns {number} Column count
+     */
+    static mostCommonCount(segmentedLines) {
+        const counts = new Map();
+        for (const segments of segmentedLines) {
+            counts.set(segments.length, (counts.get(segments.length) || 0) + 1);
+        }
+        let best = 0;
+        let bestCount = 0;
+        for (const [count, occurrences] of counts) {
+            if (occurrences > bestCount || (occurrences === bestCount && count > best)) {
+                best = count;
+                bestCount = occurrences;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Render a grid as a GitHub-flavored Markdown table
+     * @param {Object} grid - Grid from buildGrid()
+     * @returns {string[]} Markdown lines
+     */
+    static toMarkdown(grid) {
+        const escapeCell = (cell) => cell.replace(/\|/g, '\\|');
+        const formatRow = (row) => `| ${row.map(escapeCell).join(' | ')} |`;
+        const separator = `| ${grid.alignments.map(alignment => (alignment === 'right' ? '---:' : '---')).join(' | ')} |`;
+
+        return [formatRow(grid.header), separator, ...grid.rows.map(formatRow)];
+    }
+
+    /**
+     * Render lines as a fenced code block, keeping their horizontal positions
+     * @param {Object[][]} segmentedLines - Segments per line
+     * @returns {string[]} Markdown lines
+     */
+    static toCodeBlock(segmentedLines) {
+        const segments = segmentedLines.flat();
+        const minX = Math.min(...segments.map(segment => segment.x0));
+        const charWidths = segments.map(segment => segment.charWidth).filter(width => width > 0).sort((a, b) => a - b);
+        const charWidth = charWidths[Math.floor(charWidths.length / 2)] || 5;
+
+        const textLines = segmentedLines.map((lineSegments) => {
+            let text = '';
+            for (const segment of lineSegments) {
+                const column = Math.round((segment.x0 - minX) / charWidth);
+                const padding = Math.max(text.length > 0 ? 2 : 0, column - text.length);
+                text += ' '.repeat(padding) + segment.text;
+            }
+            return text;
+        });
+
+        return ['```', ...textLines, '```'];
+    }
+}
+
+export default TableDetector;
@@ -0,0 +1,58 @@
+/**
+ * TextLayerQuality.js
+ * Scores the text layer of a page to decide whether it can be used as is
+ * or the page has to be recognized with OCR
+ */
+
+// Replacement, private use and control characters: glyphs without a Unicode mapping
+const UNMAPPED_PATTERN = /[\uFFFD\uE000-\uF8FF\u0000-\u0008\u000E-\u001F]/g;
+const EDGE_PUNCTUATION_PATTERN = /^\p{P}+|\p{P}+$/gu; // Quotes, brackets and full stops around words are normal
+const MIN_ALPHANUMERIC_SHARE = 0.5; // Words with fewer letters and digits than this are garbage
+const MAX_STANDALONE_PUNCTUATION = 3; // "-", "..." and "?!" are text; longer punctuation runs are garbage
+
+export class TextLayerQuality {
+    /**
+     * Score the text layer of a page
+     * @param {string} text - Text of the page
+     * @returns {Object} { characters: non-space characters, garbageRatio: share of garbage words, unmappedRatio: share of unmapped characters }
+     */
+    static score(text) {
+        const characters = (text.match(/\S/g) || []).length;
+        const unmapped = (text.match(UNMAPPED_PATTERN) || []).length;
+        const words = text.match(/\S+/g) || [];
+        const garbageWords = words.filter(word => this.isGarbageWord(word)).length;
+
+        return {
+            characters,
+            garbageRatio: words.length === 0 ? 0 : garbageWords / words.length,
+            unmappedRatio: characters === 0 ? 0 : unmapped / characters
+        };
+    }
+
+    /**
+     * Check whether a word looks mis-decoded: mostly symbols instead of letters and digits
+     * @param {string} word - Word without whitespace
+     * @returns {boolean} Whether the word is garbage
+     */
+    static isGarbageWord(word) {
+        const core = [...word.replace(EDGE_PUNCTUATION_PATTERN, '')];
+        if (core.length === 0) return [...word].length > MAX_STANDALONE_PUNCTUATION;
+
+        const alphanumeric = core.filter(character => /[\p{L}\p{N}]/u.test(character)).length;
+        return alphanumeric / core.length < MIN_ALPHANUMERIC_SHARE;
+    }
+
+    /**
+     * Check whether a text layer score is good enough to skip OCR
+     * @param {Object} score - Score from score()
+     * @param {Object} thresholds - { minCharacters, maxGarbageRatio, maxUnmappedRatio }
+     * @returns {boolean} Whether the text layer is usable
+     */
+    static isUsable(score, { minCharacters, maxGarbageRatio, maxUnmappedRatio }) {
+        return score.characters >= minCharacters &&
+            score.garbageRatio <= maxGarbageRatio &&
+            score.unmappedRatio <= maxUnmappedRatio;
+    }
+}
+
+export default TextLayerQuality;
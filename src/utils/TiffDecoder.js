@@ -0,0 +1,496 @@
+/**
+ * TiffDecoder.js
+ * Reads the pages of (multi-page) TIFF files and decodes them into RGBA pixels,
+ * since neither browsers nor Node canvas implementations decode TIFF
+ */
+
+import CcittFaxDecoder from './CcittFaxDecoder.js';
+
+const TAGS = {
+    NEW_SUBFILE_TYPE: 254, IMAGE_WIDTH: 256, IMAGE_LENGTH: 257, BITS_PER_SAMPLE: 258, COMPRESSION: 259,
+    PHOTOMETRIC: 262, FILL_ORDER: 266, STRIP_OFFSETS: 273, SAMPLES_PER_PIXEL: 277, ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279, X_RESOLUTION: 282, Y_RESOLUTION: 283, PLANAR_CONFIGURATION: 284, T4_OPTIONS: 292,
+    RESOLUTION_UNIT: 296, PREDICTOR: 317, COLOR_MAP: 320, TILE_WIDTH: 322, TILE_LENGTH: 323, TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325
+};
+const FIELD_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 }; // Bytes per value of each field type
+const COMPRESSION = { NONE: 1, CCITT_RLE: 2, CCITT_T4: 3, CCITT_T6: 4, LZW: 5, DEFLATE: 8, PACKBITS: 32773, ADOBE_DEFLATE: 32946 };
+const PHOTOMETRIC = { WHITE_IS_ZERO: 0, BLACK_IS_ZERO: 1, RGB: 2, PALETTE: 3, CMYK: 5 };
+const REDUCED_RESOLUTION = 1; // NewSubfileType bit of thumbnails, which are not pages
+const MAX_FRAMES = 10000;     // Guards against IFD chains that loop
+const MAX_PIXELS = 268435456; // 2^28, the largest canvas area browsers allow; guards against corrupt image sizes
+const LZW_CLEAR = 256;
+const LZW_END = 257;
+
+export class TiffDecoder {
+    /**
+     * Check for a TIFF header
+     * @param {Uint8Array} bytes - File bytes
+     * @returns {boolean} Whether the bytes start with a little ("II*\0") or big ("MM\0*") endian TIFF header
+     */
+    static isTiff(bytes) {
+        return bytes.length >= 8 && (
+            (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2A && bytes[3] === 0x00) ||
+            (bytes[0] === 0x4D && bytes[1] === 0x4D && bytes[2] === 0x00 && bytes[3] === 0x2A)
+        );
+    }
+
+    /**
+     * Read the pages of a TIFF file without decoding their pixels
+     * @param {Uint8Array} bytes - TIFF file bytes
+     * @returns {Object[]} Frames { width, height, xResolution, yResolution, littleEndian, tags }; resolutions are in dots per inch or null
+     */
+    static readFrames(bytes) {
+        if (!this.isTiff(bytes)) {
+            throw new Error('Invalid TIFF file: missing TIFF header');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const littleEndian = bytes[0] === 0x49;
+        const frames = [];
+        const visited = new Set();
+        let offset = view.getUint32(4, littleEndian);
+
+        while (offset !== 0 && !visited.has(offset) && visited.size < MAX_FRAMES) {
+            if (offset + 2 > bytes.length) break;
+            visited.add(offset);
+
+            const tags = this.readDirectory(view, offset, littleEndian);
+            const entries = view.getUint16(offset, littleEndian);
+            const next = offset + 2 + entries * 12;
+            offset = next + 4 <= bytes.length ? view.getUint32(next, littleEndian) : 0;
+
+            if ((this.getTag(tags, TAGS.NEW_SUBFILE_TYPE, 0) & REDUCED_RESOLUTION) !== 0) continue;
+
+            const width = this.getTag(tags, TAGS.IMAGE_WIDTH, 0);
+            const height = this.getTag(tags, TAGS.IMAGE_LENGTH, 0);
+            if (width === 0 || height === 0) continue;
+            if (width * height > MAX_PIXELS) {
+                throw new Error(`Invalid TIFF file: image of ${width} x ${height} pixels exceeds the limit of ${MAX_PIXELS} pixels`);
+            }
+
+            // Resolution unit 3 is centimeters
+            const toDpi = this.getTag(tags, TAGS.RESOLUTION_UNIT, 2) === 3 ? 2.54 : 1;
+            const xResolution = this.getTag(tags, TAGS.X_RESOLUTION, 0) * toDpi;
+            const yResolution = this.getTag(tags, TAGS.Y_RESOLUTION, 0) * toDpi;
+
+            frames.push({
+                width,
+                height,
+                xResolution: xResolution > 0 ? xResolution : null,
+                yResolution: yResolution > 0 ? yResolution : null,
+                littleEndian,
+                tags
+            });
+        }
+
+        if (frames.length === 0) {
+            throw new Error('Invalid TIFF file: no images found');
+        }
+        return frames;
+    }
+
+    /**
+     * Read the entries of an image file directory
+     * @param {DataView} view - File view
+     * @param {number} offset - Offset of the directory
+     * @param {boolean} littleEndian - Byte order of the file
+     * @returns {Map<number, number[]>} Values per tag; rationals are read as numbers
+     */
+    static readDirectory(view, offset, littleEndian) {
+        const tags = new Map();
+        const entries = view.getUint16(offset, littleEndian);
+
+        for (let i = 0; i < entries; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const count = view.getUint32(entry + 4, littleEndian);
+            const size = FIELD_SIZES[type];
+            if (!size) continue;
+
+            // Values that fit into four bytes are stored in the entry itself
+            const valueOffset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+            if (valueOffset + size * count > view.byteLength) continue;
+
+            const values = new Array(count);
+            for (let j = 0; j < count; j++) {
+                values[j] = this.readValue(view, valueOffset + j * size, type, littleEndian);
+            }
+            tags.set(tag, values);
+        }
+
+        return tags;
+    }
+
+    /**
+     * Read one value of a directory entry
+     * @param {DataView} view - File view
+     * @param {number} offset - Offset of the value
+     * @param {number} type - TIFF field type
+     * @param {boolean} littleEndian - Byte order of the file
+     * @returns {number} Value
+     */
+    static readValue(view, offset, type, littleEndian) {
+        switch (type) {
+            case 3: return view.getUint16(offset, littleEndian);
+            case 4: return view.getUint32(offset, littleEndian);
+            case 5: return view.getUint32(offset, littleEndian) / (view.getUint32(offset + 4, littleEndian) || 1);
+            case 6: return view.getInt8(offset);
+            case 8: return view.getInt16(offset, littleEndian);
+            case 9: return view.getInt32(offset, littleEndian);
+            case 10: return view.getInt32(offset, littleEndian) / (view.getInt32(offset + 4, littleEndian) || 1);
+            case 11: return view.getFloat32(offset, littleEndian);
+            case 12: return view.getFloat64(offset, littleEndian);
+            default: return view.getUint8(offset);
+        }
+    }
+
+    /**
+     * Get the first value of a tag
+     * @param {Map<number, number[]>} tags - Directory values
+     * @param {number} tag - Tag number
+     * @param {number} fallback - Value when the tag is missing
+     * @returns {number} Value
+     */
+    static getTag(tags, tag, fallback) {
+        const values = tags.get(tag);
+        return values && values.length > 0 ? values[0] : fallback;
+    }
+
+    /**
+     * Decode the pixels of a frame
+     * @param {Uint8Array} bytes - TIFF file bytes
+     * @param {Object} frame - Frame from readFrames()
+     * @returns {Promise<Object>} { width, height, data: RGBA Uint8ClampedArray }
+     */
+    static async decodeFrame(bytes, frame) {
+        const { width, height, tags } = frame;
+        const compression = this.getTag(tags, TAGS.COMPRESSION, COMPRESSION.NONE);
+        const samplesPerPixel = this.getTag(tags, TAGS.SAMPLES_PER_PIXEL, 1);
+        const bitsPerSample = this.getTag(tags, TAGS.BITS_PER_SAMPLE, 1);
+        const photometric = this.getTag(tags, TAGS.PHOTOMETRIC, PHOTOMETRIC.BLACK_IS_ZERO);
+
+        if (samplesPerPixel > 1 && this.getTag(tags, TAGS.PLANAR_CONFIGURATION, 1) !== 1) {
+            throw new Error('TIFF images with separate color planes are not supported');
+        }
+        if (![1, 2, 4, 8, 16].includes(bitsPerSample)) {
+            throw new Error(`TIFF images with ${bitsPerSample} bits per sample are not supported`);
+        }
+        if (!Object.values(PHOTOMETRIC).includes(photometric)) {
+            throw new Error(`TIFF photometric interpretation ${photometric} is not supported`);
+        }
+
+        // Images are stored in strips of full rows or in tiles
+        const tiled = tags.has(TAGS.TILE_OFFSETS);
+        const segmentWidth = tiled ? this.getTag(tags, TAGS.TILE_WIDTH, width) : width;
+        const segmentHeight = tiled
+            ? this.getTag(tags, TAGS.TILE_LENGTH, height)
+            : Math.min(this.getTag(tags, TAGS.ROWS_PER_STRIP, height), height);
+        const offsets = tags.get(tiled ? TAGS.TILE_OFFSETS : TAGS.STRIP_OFFSETS) || [];
+        const byteCounts = tags.get(tiled ? TAGS.TILE_BYTE_COUNTS : TAGS.STRIP_BYTE_COUNTS) || [];
+        if (segmentWidth * segmentHeight > MAX_PIXELS) {
+            throw new Error(`Invalid TIFF file: tile of ${segmentWidth} x ${segmentHeight} pixels exceeds the limit of ${MAX_PIXELS} pixels`);
+        }
+        const segmentsAcross = Math.ceil(width / segmentWidth);
+
+        const pixels = new Uint8ClampedArray(width * height * 4).fill(255);
+        const format = { width, height, samplesPerPixel, bitsPerSample, photometric, compression, frame };
+
+        for (let index = 0; index < offsets.length; index++) {
+            const left = (index % segmentsAcross) * segmentWidth;
+            const top = Math.floor(index / segmentsAcross) * segmentHeight;
+            if (top >= height) break;
+
+            // Strips end at the image, tiles are always complete
+            const rows = tiled ? segmentHeight : Math.min(segmentHeight, height - top);
+            const end = byteCounts[index] !== undefined ? offsets[index] + byteCounts[index] : bytes.length;
+            const samples = await this.decodeSegment(bytes.subarray(offsets[index], Math.min(end, bytes.length)), segmentWidth, rows, format);
+            this.writePixels(pixels, samples, { left, top, segmentWidth, rows }, format);
+        }
+
+        return { width, height, data: pixels };
+    }
+
+    /**
+     * Decompress one strip or tile into rows of samples
+     * @param {Uint8Array} data - Compressed segment
+     * @param {number} segmentWidth - Pixels per row
+     * @param {number} rows - Rows in the segment
+     * @param {Object} format - Frame format
+     * @returns {Promise<Uint8Array>} Samples, each row starting on a byte boundary
+     */
+    static async decodeSegment(data, segmentWidth, rows, format) {
+        const { samplesPerPixel, bitsPerSample, compression, frame } = format;
+        const rowBytes = Math.ceil(segmentWidth * samplesPerPixel * bitsPerSample / 8);
+
+        if (this.getTag(frame.tags, TAGS.FILL_ORDER, 1) === 2) {
+            data = this.reverseBits(data);
+        }
+
+        let samples;
+        switch (compression) {
+            case COMPRESSION.NONE:
+                samples = data;
+                break;
+            case COMPRESSION.CCITT_RLE:
+            case COMPRESSION.CCITT_T4:
+            case COMPRESSION.CCITT_T6: {
+                const t4Options = this.getTag(frame.tags, TAGS.T4_OPTIONS, 0);
+                const coding = compression === COMPRESSION.CCITT_RLE ? 'mh' : compression === COMPRESSION.CCITT_T4 ? 'g3' : 'g4';
+                samples = new CcittFaxDecoder(data, { width: segmentWidth, height: rows, coding, twoDimensional: (t4Options & 1) !== 0 })
+                    .decode().bitmap;
+                break;
+            }
+            case COMPRESSION.LZW:
+                samples = this.decodeLzw(data, rowBytes * rows);
+                break;
+            case COMPRESSION.DEFLATE:
+            case COMPRESSION.ADOBE_DEFLATE:
+                samples = await this.inflate(data);
+                break;
+            case COMPRESSION.PACKBITS:
+                samples = this.decodePackBits(data, rowBytes * rows);
+                break;
+            default:
+                throw new Error(`TIFF compression ${compression} is not supported`);
+        }
+
+        if (this.getTag(frame.tags, TAGS.PREDICTOR, 1) === 2) {
+            samples = this.undoPredictor(samples, rowBytes, rows, format);
+        }
+        return samples;
+    }
+
+    /**
+     * Copy decoded samples into the RGBA image
+     * @param {Uint8ClampedArray} pixels - RGBA image
+     * @param {Uint8Array} samples - Decoded samples of a segment
+     * @param {Object} segment - { left, top, segmentWidth, rows }
+     * @param {Object} format - Frame format
+     */
+    static writePixels(pixels, samples, { left, top, segmentWidth, rows }, format) {
+        const { width, height, samplesPerPixel, bitsPerSample, photometric, frame } = format;
+        const rowBits = Math.ceil(segmentWidth * samplesPerPixel * bitsPerSample / 8) * 8;
+        const max = 2 ** bitsPerSample - 1;
+        const palette = photometric === PHOTOMETRIC.PALETTE ? frame.tags.get(TAGS.COLOR_MAP) || [] : null;
+        const sample = bitIndex => this.readSample(samples, bitIndex, bitsPerSample, frame.littleEndian);
+
+        for (let y = 0; y < rows && top + y < height; y++) {
+            for (let x = 0; x < segmentWidth && left + x < width; x++) {
+                const bit = y * rowBits + x * samplesPerPixel * bitsPerSample;
+                if (bit + samplesPerPixel * bitsPerSample > samples.length * 8) return;
+
+                const target = ((top + y) * width + left + x) * 4;
+                const value = sample(bit);
+                let red;
+                let green;
+                let blue;
+
+                if (photometric === PHOTOMETRIC.RGB && samplesPerPixel >= 3) {
+                    red = value * 255 / max;
+                    green = sample(bit + bitsPerSample) * 255 / max;
+                    blue = sample(bit + 2 * bitsPerSample) * 255 / max;
+                } else if (photometric === PHOTOMETRIC.CMYK && samplesPerPixel >= 4) {
+                    const black = 1 - sample(bit + 3 * bitsPerSample) / max;
+                    red = 255 * (1 - value / max) * black;
+                    green = 255 * (1 - sample(bit + bitsPerSample) / max) * black;
+                    blue = 255 * (1 - sample(bit + 2 * bitsPerSample) / max) * black;
+                } else if (palette) {
+                    // Color maps hold 16-bit red, green and blue tables of 2^bitsPerSample entries each
+                    const entries = max + 1;
+                    red = (palette[value] || 0) >> 8;
+                    green = (palette[entries + value] || 0) >> 8;
+                    blue = (palette[2 * entries + value] || 0) >> 8;
+                } else {
+                    const gray = value * 255 / max;
+                    red = green = blue = photometric === PHOTOMETRIC.WHITE_IS_ZERO ? 255 - gray : gray;
+                }
+
+                pixels[target] = red;
+                pixels[target + 1] = green;
+                pixels[target + 2] = blue;
+            }
+        }
+    }
+
+    /**
+     * Read a sample at a bit position
+     * @param {Uint8Array} samples - Decoded samples
+     * @param {number} bitIndex - Bit position of the sample
+     * @param {number} bitsPerSample - Sample size
+     * @param {boolean} littleEndian - Byte order of 16-bit samples
+     * @returns {number} Sample value
+     */
+    static readSample(samples, bitIndex, bitsPerSample, littleEndian) {
+        const byte = bitIndex >> 3;
+        if (bitsPerSample === 16) {
+            return littleEndian ? samples[byte] | samples[byte + 1] << 8 : samples[byte] << 8 | samples[byte + 1];
+        }
+        if (bitsPerSample === 8) {
+            return samples[byte];
+        }
+        return (samples[byte] >> (8 - bitsPerSample - (bitIndex & 7))) & (2 ** bitsPerSample - 1);
+    }
+
+    /**
+     * Decode TIFF LZW data (MSB-first codes of 9 to 12 bits, widening one code early)
+     * @param {Uint8Array} data - Compressed data
+     * @param {number} expectedLength - Decoded size of the segment
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static decodeLzw(data, expectedLength) {
+        const output = new Uint8Array(expectedLength);
+        const table = [];
+        let length = 0;
+        let codeWidth = 9;
+        let previous = null;
+        let position = 0;
+
+        const resetTable = () => {
+            table.length = 0;
+            for (let i = 0; i < 258; i++) table.push(i < 256 ? Uint8Array.of(i) : null);
+            codeWidth = 9;
+            previous = null;
+        };
+        const append = (entry, byte) => {
+            const combined = new Uint8Array(entry.length + 1);
+            combined.set(entry);
+            combined[entry.length] = byte;
+            return combined;
+        };
+
+        resetTable();
+        while (position + codeWidth <= data.length * 8 && length < expectedLength) {
+            let code = 0;
+            for (let i = 0; i < codeWidth; i++, position++) {
+                code = code << 1 | ((data[position >> 3] >> (7 - (position & 7))) & 1);
+            }
+
+            if (code === LZW_END) break;
+            if (code === LZW_CLEAR) {
+                resetTable();
+                continue;
+            }
+
+            let entry;
+            if (code < table.length && table[code]) {
+                entry = table[code];
+                if (previous) table.push(append(previous, entry[0]));
+            } else if (code === table.length && previous) {
+                entry = append(previous, previous[0]);
+                table.push(entry);
+            } else {
+                break; // Damaged data keeps what was decoded
+            }
+
+            output.set(entry.subarray(0, expectedLength - length), length);
+            length += entry.length;
+            previous = entry;
+
+            if (table.length + 1 >= 1 << codeWidth && codeWidth < 12) {
+                codeWidth++;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode PackBits run-length data
+     * @param {Uint8Array} data - Compressed data
+     * @param {number} expectedLength - Decoded size of the segment
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static decodePackBits(data, expectedLength) {
+        const output = new Uint8Array(expectedLength);
+        let length = 0;
+        let position = 0;
+
+        while (position < data.length && length < expectedLength) {
+            const header = data[position] > 127 ? data[position] - 256 : data[position];
+            position++;
+
+            if (header >= 0) {
+                // Copy the next header + 1 bytes literally
+                const count = Math.min(header + 1, data.length - position, expectedLength - length);
+                output.set(data.subarray(position, position + count), length);
+                position += header + 1;
+                length += count;
+            } else if (header !== -128) {
+                // Repeat the next byte 1 - header times
+                const count = Math.min(1 - header, expectedLength - length);
+                output.fill(data[position], length, length + count);
+                position++;
+                length += count;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Inflate zlib-wrapped Deflate data
+     * @param {Uint8Array} data - Compressed data
+     * @returns {Promise<Uint8Array>} Decoded bytes
+     */
+    static async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Deflate-compressed TIFF images need DecompressionStream support');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Undo horizontal differencing (TIFF predictor 2)
+     * @param {Uint8Array} samples - Decoded samples
+     * @param {number} rowBytes - Bytes per row
+     * @param {number} rows - Rows in the segment
+     * @param {Object} format - Frame format
+     * @returns {Uint8Array} Samples with absolute values
+     */
+    static undoPredictor(samples, rowBytes, rows, format) {
+        const { samplesPerPixel, bitsPerSample, frame } = format;
+        const result = new Uint8Array(samples);
+        const view = new DataView(result.buffer);
+
+        for (let y = 0; y < rows; y++) {
+            const start = y * rowBytes;
+            if (bitsPerSample === 8) {
+                for (let i = start + samplesPerPixel; i < Math.min(start + rowBytes, result.length); i++) {
+                    result[i] = result[i] + result[i - samplesPerPixel];
+                }
+            } else if (bitsPerSample === 16) {
+                const step = samplesPerPixel * 2;
+                for (let i = start + step; i + 1 < Math.min(start + rowBytes, result.length); i += 2) {
+                    const value = view.getUint16(i, frame.littleEndian) + view.getUint16(i - step, frame.littleEndian);
+                    view.setUint16(i, value & 0xFFFF, frame.littleEndian);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Reverse the bit order of every byte (FillOrder 2)
+     * @param {Uint8Array} data - Data with the lowest bit first
+     * @returns {Uint8Array} Data with the highest bit first
+     */
+    static reverseBits(data) {
+        const result = new Uint8Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            let byte = data[i];
+            byte = (byte & 0xF0) >> 4 | (byte & 0x0F) << 4;
+            byte = (byte & 0xCC) >> 2 | (byte & 0x33) << 2;
+            result[i] = (byte & 0xAA) >> 1 | (byte & 0x55) << 1;
+        }
+        return result;
+    }
+}
+
+export default TiffDecoder;
@@ -0,0 +1,50 @@
+/**
+ * Test the structured conversion result returned with returnResult
+ * Run with: node test/conversion-result.test.js
+ */
+
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+const reports = [];
+const converter = new Extract2MDConverter({ returnResult: true, progressCallback: report => reports.push(report) });
+converter._beginConversion();
+converter.documentMetadata = { title: 'Report', page_count: 2 };
+converter.pageTexts.push(
+    { pageNumber: 2, source: 'ocr', text: 'Second' },
+    { pageNumber: 1, source: 'ocr', text: 'First (OCR)' },
+    { pageNumber: 1, source: 'text-layer', text: 'First' }
+);
+converter._addWarning('ocr_page_warning', 'Warning: Failed to process page 3: boom', { pageNumber: 3 });
+converter._recordTiming('ocr', performance.now() - 5);
+
+const result = converter._completeConversion('# Report', 'combined-llm');
+check(result.markdown === '# Report', 'The result carries the final Markdown');
+check(result.pages.map(page => `${page.pageNumber}:${page.source}`).join(',') === '1:text-layer,1:ocr,2:ocr',
+    'Pages are in page order, text layer before OCR');
+check(result.warnings.length === 1 && result.warnings[0].pageNumber === 3, 'Dropped pages are reported as warnings');
+check(reports.some(report => report.stage === 'ocr_page_warning'), 'Warnings are still sent to the progress callback');
+check(result.metadata.title === 'Report' && result.metadata.scenario === 'combined-llm' &&
+    result.metadata.ocr_language === 'eng' && result.metadata.llm_model === converter._getModelId(),
+    'Metadata includes the document fields and the conversion facts');
+check(result.timings.ocr >= 5 && typeof result.timings.total === 'number', 'Phase and total timings are in milliseconds');
+check(Array.isArray(result.images), 'Extracted images are included');
+
+converter._beginConversion();
+check(converter.warnings.length === 0 && converter.pageTexts.length === 0 && Object.keys(converter.timings).length === 0,
+    'Every conversion starts with fresh warnings, pages and timings');
+
+const plain = new Extract2MDConverter();
+plain._beginConversion();
+check(plain._completeConversion('# Report', 'quick') === '# Report', 'Scenarios return a string by default');
+
+check(ConfigValidator.validate({}).returnResult === false, 'Result objects are opt-in');
+try {
+    ConfigValidator.validate({ returnResult: 'yes' });
+    check(false, 'Non-boolean returnResult is rejected');
+} catch (error) {
+    check(error.message === 'returnResult must be a boolean', 'Non-boolean returnResult is rejected');
+}
+
+finish();
@@ -0,0 +1,39 @@
+/**
+ * Test rejoining of words hyphenated across line and page breaks
+ * Run with: node test/dehyphenator.test.js
+ */
+
+import Dehyphenator from '../src/utils/Dehyphenator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+const english = new Dehyphenator('eng');
+
+check(english.dehyphenate('the conver-\nsion of data') === 'the conversion of data', 'Broken words are rejoined');
+check(english.dehyphenate('a well-\nknown result') === 'a well-known result', 'Compound prefixes keep their hyphen');
+check(english.dehyphenate('a rule-\nbased parser') === 'a rule-based parser', 'Compound suffixes keep their hyphen');
+check(english.dehyphenate('non-\nEuropean and COVID-\n19') === 'non-European and COVID-19', 'Capitalized and numeric parts keep the hyphen');
+check(english.dehyphenate('CONVER-\nSION') === 'CONVERSION', 'Upper-case text is rejoined');
+check(english.dehyphenate('soft\u00AD\nhyphen') === 'softhyphen', 'Soft hyphens always rejoin');
+check(english.dehyphenate('a long-\nterm plan') === 'a long-term plan', 'Known second parts keep the hyphen');
+
+check(english.dehyphenate('an e-mail and another e-\nmail') === 'an e-mail and another e-mail',
+    'Hyphenated spellings used elsewhere in the document are kept');
+check(english.dehyphenate('the database, the data-\nbase') === 'the database, the database',
+    'Closed spellings used elsewhere in the document are rejoined');
+check(english.dehyphenate('end of list -\nnext item') === 'end of list -\nnext item', 'Spaced dashes are not hyphenation');
+
+const french = new Dehyphenator('fra');
+check(french.dehyphenate('peut-\nêtre dit-\nil') === 'peut-être dit-il', 'French compounds use the French lexicon');
+check(english.dehyphenate('dit-\nil') === 'ditil', 'Lexicons are language specific');
+check(new Dehyphenator('eng+fra').dehyphenate('dit-\nil') === 'dit-il', 'Multi-language strings merge lexicons');
+
+// Page texts are joined line by line, so breaks across pages are repaired by the converter as well
+const converter = new Extract2MDConverter();
+check(converter._postProcessText('last line of page one ends with conver-\nsion continues') ===
+    'last line of page one ends with conversion continues', 'Post-processing dehyphenates text');
+check(converter._postProcessText('```\nx = a -\nb\n```') === '```\nx = a -\nb\n```', 'Code blocks are left untouched');
+const disabled = new Extract2MDConverter({ processing: { dehyphenate: false } });
+check(disabled._postProcessText('conver-\nsion') === 'conver-\nsion', 'Dehyphenation can be disabled');
+
+finish();
@@ -0,0 +1,65 @@
+/**
+ * Test heading levels and the table of contents derived from the PDF outline
+ * Run with: node test/document-outline.test.js
+ */
+
+import DocumentOutline from '../src/utils/DocumentOutline.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+function line(y, text) {
+    return { text, x: 72, y, height: 11, fontSize: 11, fragments: [] };
+}
+
+const firstPage = {
+    pageNumber: 1,
+    lines: [
+        line(40, 'INTRODUCTION'),
+        line(60, 'The introduction mentions the scope of the work in passing.'),
+        line(80, '1.1 Scope'),
+        line(100, 'A title the author wrapped'),
+        line(114, 'over two lines'),
+        line(140, 'Scope')
+    ]
+};
+const secondPage = { pageNumber: 2, lines: [line(40, 'Methods'), line(60, 'Body text.')] };
+
+const entries = [
+    { title: 'Introduction', level: 1, destination: { pageNumber: 1, y: null } },
+    { title: 'Scope', level: 2, destination: { pageNumber: 1, y: 75 } },
+    { title: 'A title the author wrapped over two lines', level: 2, destination: { pageNumber: 1, y: 95 } },
+    { title: 'Methods', level: 1, destination: null },
+    { title: 'Appendix', level: 1, destination: { pageNumber: 2, y: null } }
+];
+
+const fallback = { getLevel: current => (current.text === 'Body text.' ? 4 : 0) };
+const outline = new DocumentOutline(entries, [firstPage, secondPage], fallback);
+
+check(outline.getLevel(firstPage.lines[0]) === 1, 'Titles match regardless of case');
+check(outline.getLevel(firstPage.lines[2]) === 2 && outline.getLevel(firstPage.lines[5]) === 0,
+    'Section numbers are ignored and the match nearest the destination wins');
+check(outline.getLevel(firstPage.lines[3]) === 2 && outline.isContinuation(firstPage.lines[4]),
+    'Wrapped titles cover all their lines');
+check(outline.getLevel(secondPage.lines[0]) === 1, 'Entries without a destination are searched on every page');
+check(outline.getLevel(firstPage.lines[1]) === 0 && outline.getLevel(secondPage.lines[1]) === 4,
+    'Other lines use the fallback heading detector');
+check(outline.hasHeadings(), 'Matched titles are reported');
+
+const markdown = '# INTRODUCTION\n\nText.\n\n## 1.1 Scope\n\n# Methods\n\n# Methods';
+const toc = DocumentOutline.toMarkdown(entries, markdown);
+check(toc[0] === '**Contents**' && toc[2] === '- [Introduction](#introduction)', 'Entries link to the generated headings');
+check(toc[3] === '  - [Scope](#11-scope)', 'Nested entries are indented by outline level');
+check(toc[5] === '- [Methods](#methods)' && toc[6] === '- Appendix', 'Entries without a heading are plain text');
+check(DocumentOutline.prependTableOfContents([], markdown) === markdown, 'Documents without an outline are unchanged');
+
+const defaults = ConfigValidator.validate({}).processing;
+check(defaults.outlineHeadings === true && defaults.tableOfContents === false,
+    'Outline headings are on and the table of contents is opt-in by default');
+try {
+    ConfigValidator.validate({ processing: { tableOfContents: 'yes' } });
+    check(false, 'Non-boolean tableOfContents is rejected');
+} catch (error) {
+    check(error.message === 'tableOfContents must be a boolean', 'Non-boolean tableOfContents is rejected');
+}
+
+finish();
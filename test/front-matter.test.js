@@ -0,0 +1,43 @@
+/**
+ * Test YAML front matter built from PDF metadata and conversion facts
+ * Run with: node test/front-matter.test.js
+ */
+
+import FrontMatter from '../src/utils/FrontMatter.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+check(FrontMatter.parsePdfDate("D:20240131120500+01'00'") === '2024-01-31T12:05:00+01:00', 'PDF dates become ISO 8601');
+check(FrontMatter.parsePdfDate('D:20240131') === '2024-01-31', 'Dates without a time keep only the day');
+check(FrontMatter.parsePdfDate('D:20240131120500Z') === '2024-01-31T12:05:00Z', 'UTC dates keep their zone');
+check(FrontMatter.parsePdfDate('2024-01-31T12:05:00Z') === '2024-01-31T12:05:00Z', 'XMP dates are kept');
+
+// Shaped like the result of pdf.js getMetadata(): XMP values win over the info dictionary
+const xmp = new Map([['dc:title', 'XMP Title'], ['dc:subject', ['pdf', 'yaml']]]);
+const pdfDoc = {
+    numPages: 3,
+    getMetadata: async () => ({
+        info: { Title: 'Info Title', Author: 'Jane Doe', Keywords: 'ignored', CreationDate: "D:20240101000000Z", Producer: '  ' },
+        metadata: { get: name => xmp.get(name) ?? null }
+    })
+};
+const fields = await FrontMatter.readMetadata(pdfDoc);
+check(fields.title === 'XMP Title' && fields.author === 'Jane Doe', 'XMP metadata is preferred, the info dictionary fills gaps');
+check(JSON.stringify(fields.keywords) === '["pdf","yaml"]', 'XMP subjects become keywords');
+check(fields.creation_date === '2024-01-01T00:00:00Z' && !('producer' in fields), 'Dates are converted and empty values left out');
+check(fields.page_count === 3, 'Page count is included');
+
+const yaml = FrontMatter.toYaml({ title: 'A "quoted": title', keywords: ['a', 'b'], page_count: 3, llm_model: null });
+check(yaml.join('\n') === '---\ntitle: "A \\"quoted\\": title"\nkeywords:\n  - "a"\n  - "b"\npage_count: 3\n---',
+    'Values are rendered as quoted YAML scalars and lists');
+
+const converter = new Extract2MDConverter({ processing: { frontMatter: true }, tesseract: { language: 'deu' } });
+converter.documentMetadata = { title: 'Report', page_count: 2 };
+const quick = converter._finalizeMarkdown('# Report', 'quick');
+check(quick.startsWith('---\ntitle: "Report"\npage_count: 2\nscenario: "quick"\n---\n\n# Report'), 'Quick output records the scenario only');
+const ocr = converter._finalizeMarkdown('# Report', 'combined-llm');
+check(ocr.includes('ocr_language: "deu"') && ocr.includes(`llm_model: "${converter.config.webllm.model}"`),
+    'OCR and LLM scenarios record the language and model');
+check(new Extract2MDConverter()._finalizeMarkdown('# Report', 'quick') === '# Report', 'Front matter is opt-in');
+
+finish();
@@ -0,0 +1,78 @@
+/**
+ * Test detection of running headers, footers and page numbers across pages
+ * Run with: node test/header-footer-detector.test.js
+ */
+
+import HeaderFooterDetector from '../src/utils/HeaderFooterDetector.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+function line(y, text, fontSize = 10) {
+    return { text, y, height: fontSize, x: 72, width: text.length * 5, fontSize, fragments: [{ text, fontSize }] };
+}
+
+// Page layouts in top-left coordinates on a 792pt page
+function buildPage(pageNumber, { header, footer, headerSize }) {
+    const lines = [];
+    if (header) lines.push(line(30, header, headerSize));
+    for (let i = 0; i < 30; i++) {
+        lines.push(line(80 + i * 20, `Body line ${i} on page ${pageNumber} with ordinary content.`));
+    }
+    if (footer) lines.push(line(760, footer));
+    return { pageNumber, width: 612, height: 792, lines };
+}
+
+const pages = [
+    buildPage(1, { footer: '1' }),
+    buildPage(2, { header: 'Annual Report 2024', footer: '2' }),
+    buildPage(3, { header: 'Annual Report 2024', footer: '3' }),
+    buildPage(4, { header: 'Annual Report 2024', footer: '4' }),
+    buildPage(5, { header: 'Annual Report 2024', footer: '5' })
+];
+
+const detector = new HeaderFooterDetector(pages);
+const stripped = pages.map(page => detector.strip(page));
+
+check(stripped.every(page => !page.lines.some(l => l.text === 'Annual Report 2024')), 'Running header is removed from every page');
+check(stripped.every(page => !page.lines.some(l => /^\d+$/.test(l.text))), 'Incrementing page numbers are removed');
+check(stripped.every(page => page.lines.length === 30), 'Body lines are kept');
+
+const metadata = detector.getMetadata();
+check(metadata.length === 5 && metadata[1].headers[0] === 'Annual Report 2024' && metadata[1].footers[0] === '2',
+    'Metadata lists headers and footers per page');
+
+const offset = new HeaderFooterDetector([
+    buildPage(1, { footer: 'Page iv' }),
+    buildPage(2, { footer: 'Page 12 of 40' }),
+    buildPage(3, { footer: 'Page 13 of 40' }),
+    buildPage(4, { footer: 'Page 14 of 40' })
+]);
+check(offset.decorations.size === 3, 'Page numbers offset from the physical page are detected');
+
+const headings = new HeaderFooterDetector([
+    buildPage(1, { header: 'Chapter 1' }),
+    buildPage(2, { header: 'Chapter 2' })
+]);
+check(!headings.hasDecorations(), 'Two numbered headings are not mistaken for page numbers');
+
+const chapters = [1, 2, 3].map(number => buildPage(number, { header: `Chapter ${number} Overview`, headerSize: 18 }));
+chapters.forEach(page => page.lines.splice(1, 0, line(60, `Step ${page.pageNumber} of the procedure`)));
+check(!new HeaderFooterDetector(chapters).hasDecorations(), 'Numbered headings and body lines are not mistaken for page numbers');
+
+check(!new HeaderFooterDetector([buildPage(1, { header: 'Title' })]).hasDecorations(), 'Single pages have no running elements');
+
+const twoPages = new HeaderFooterDetector([
+    buildPage(1, { header: 'Quarterly Summary', footer: 'Confidential' }),
+    buildPage(2, { header: 'Quarterly Summary', footer: 'Confidential' })
+]);
+check(!twoPages.hasDecorations() && twoPages.strip(twoPages.pages[1]).lines.length === 32, 'Lines repeated on both pages of a two-page document are kept');
+
+check(ConfigValidator.validate({}).processing.headersFooters === 'remove', 'Headers and footers are removed by default');
+try {
+    ConfigValidator.validate({ processing: { headersFooters: 'drop' } });
+    check(false, 'Unknown header/footer mode is rejected');
+} catch (error) {
+    check(error.message.includes('headersFooters must be one of'), 'Unknown header/footer mode is rejected');
+}
+
+finish();
@@ -0,0 +1,75 @@
+/**
+ * Test font-size based heading detection on synthetic page layouts
+ * Run with: node test/heading-detector.test.js
+ */
+
+import PdfTextLayout from '../src/utils/PdfTextLayout.js';
+import HeadingDetector from '../src/utils/HeadingDetector.js';
+import OcrLayout from '../src/utils/OcrLayout.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+// Build a page layout the way pdf.js text content would describe it
+function buildPage(runs, pageNumber = 1) {
+    const fonts = {
+        regular: PdfTextLayout.describeFont({ name: 'ABCDEF+Helvetica' }, { fontFamily: 'sans-serif', ascent: 0.8 }),
+        bold: PdfTextLayout.describeFont({ name: 'ABCDEF+Helvetica-Bold' }, { fontFamily: 'sans-serif', ascent: 0.8 })
+    };
+    const items = runs.map(([y, font, size, str]) => ({
+        str,
+        width: str.length * size * 0.5,
+        height: size,
+        transform: [size, 0, 0, size, 72, y],
+        fontName: font,
+        hasEOL: true
+    }));
+    const viewport = { width: 612, height: 792, scale: 1, transform: [1, 0, 0, -1, 0, 792] };
+    return PdfTextLayout.buildPage({ pageNumber, textContent: { items, styles: {} }, viewport, fonts });
+}
+
+const body = 'Body text that is long enough to dominate the font size histogram.';
+const page = buildPage([
+    [740, 'bold', 24, 'Document Title'],
+    [700, 'bold', 16, 'Chapter One'],
+    [680, 'regular', 11, body],
+    [666, 'regular', 11, body],
+    [640, 'bold', 13, 'Section 1.1'],
+    [620, 'regular', 11, body],
+    [600, 'bold', 11, 'Run-in bold heading'],
+    [586, 'regular', 11, body],
+    [560, 'bold', 16.2, 'Chapter Two']
+]);
+
+const detector = new HeadingDetector([page]);
+const levelOf = (text) => detector.getLevel(page.lines.find(line => line.text === text));
+
+check(detector.bodyFontSize === 11, 'Body font size is the most frequent size');
+check(levelOf('Document Title') === 1, 'Largest font maps to H1');
+check(levelOf('Chapter One') === 2, 'Second largest font maps to H2');
+check(levelOf('Chapter Two') === 2, 'Nearly equal sizes share a level');
+check(levelOf('Section 1.1') === 3, 'Third largest font maps to H3');
+check(levelOf('Run-in bold heading') === 4, 'Bold body-size line maps to the next level');
+check(levelOf(body) === 0, 'Body text is not a heading');
+
+check(PdfTextLayout.describeFont({ name: 'XYZABC+Courier-Oblique' }).monospace, 'Courier is detected as monospace');
+check(PdfTextLayout.describeFont({ name: 'Arial-BoldItalicMT' }).italic, 'Italic is detected from the font name');
+
+const flat = buildPage([[700, 'regular', 11, body], [680, 'regular', 11, body]]);
+check(!new HeadingDetector([flat]).hasLevels(), 'Uniform documents yield no heading levels');
+
+// Hybrid documents: headings of the text layer do not switch off the heuristics for scanned pages
+const ocrLine = (y, text) => ({ words: text.split(' ').map((word, i) => ({ text: word, confidence: 90, bbox: { x0: 72 + i * 60, y0: y, x1: 122 + i * 60, y1: y + 11 } })) });
+const scanned = OcrLayout.buildPage({ blocks: [
+    { paragraphs: [{ lines: [ocrLine(60, 'SCANNED APPENDIX')] }] },
+    { paragraphs: [{ lines: [ocrLine(100, 'The scanned page has body text that ends with a full stop.')] }] }
+] }, { pageNumber: 2, width: 612, height: 792 });
+const hybrid = new Extract2MDConverter();
+const hybridMarkdown = hybrid._convertToMarkdown(hybrid._renderPages([
+    { pageNumber: 1, source: 'text-layer', layout: buildPage([[740, 'bold', 24, 'Document Title'], [700, 'regular', 11, body], [686, 'regular', 11, body]], 1) },
+    { pageNumber: 2, source: 'ocr', layout: scanned }
+]).text);
+check(hybridMarkdown.includes('# Document Title\n') && hybridMarkdown.includes('# SCANNED APPENDIX\n'),
+    'Text-layer and scanned pages of a hybrid document both keep their headings');
+check(!hybridMarkdown.includes('# The scanned page'), 'Body text of scanned pages stays a paragraph');
+
+finish();
@@ -0,0 +1,44 @@
+/**
+ * Checks shared by the test scripts: each check prints its result, and finish()
+ * prints the summary and exits with a failing status when any check failed
+ */
+
+let failures = 0;
+
+/**
+ * Record a check
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} message - What was checked
+ */
+export function check(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+    } else {
+        console.log(`❌ ${message}`);
+        failures++;
+    }
+}
+
+/**
+ * Check that a promise rejects with a message containing the expected text
+ * @param {Promise} promise - Promise that should reject
+ * @param {string} expectedMessage - Text the error message contains
+ * @param {string} message - What was checked
+ */
+export async function expectRejection(promise, expectedMessage, message) {
+    try {
+        await promise;
+        check(false, message);
+    } catch (error) {
+        check(error.message.includes(expectedMessage), `${message} (${error.message})`);
+    }
+}
+
+/**
+ * Print the summary and exit
+ */
+export function finish() {
+    console.log('\n' + '='.repeat(50));
+    console.log(failures === 0 ? '✅ All tests passed' : `❌ ${failures} test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
@@ -0,0 +1,82 @@
+/**
+ * Test figure extraction from operator lists and its placement in the Markdown
+ * Run with: node test/image-extractor.test.js
+ */
+
+import ImageExtractor from '../src/utils/ImageExtractor.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+// A subset of pdf.js OPS and a US Letter viewport at scale 1 (flips y to top-left coordinates)
+const OPS = { save: 10, restore: 11, transform: 12, paintFormXObjectBegin: 74, paintFormXObjectEnd: 75, paintImageXObject: 85, paintInlineImageXObject: 86 };
+const viewportTransform = [1, 0, 0, -1, 0, 792];
+
+const operatorList = {
+    fnArray: [
+        OPS.save, OPS.transform, OPS.paintImageXObject, OPS.restore,
+        OPS.save, OPS.transform, OPS.paintImageXObject, OPS.restore,
+        OPS.paintFormXObjectBegin, OPS.transform, OPS.paintInlineImageXObject, OPS.paintFormXObjectEnd
+    ],
+    argsArray: [
+        null, [200, 0, 0, 150, 72, 500], ['img_p0_1', 40, 30], null,
+        null, [4, 0, 0, 4, 500, 700], ['img_p0_2', 2, 2], null,
+        [[1, 0, 0, 1, 300, 100], [0, 0, 100, 100]], [100, 0, 0, 50, 0, 0], [{ width: 10, height: 5 }], null
+    ]
+};
+const placements = ImageExtractor.findPlacements(operatorList, OPS, viewportTransform);
+check(placements.length === 2, 'Images smaller than a figure are skipped');
+check(placements[0].source === 'img_p0_1' && placements[0].x === 72 && placements[0].y === 142 &&
+    placements[0].width === 200 && placements[0].height === 150, 'Placements are in top-left page coordinates');
+check(placements[1].source.width === 10 && placements[1].x === 300 && placements[1].y === 642,
+    'Inline images inside form XObjects include the form matrix');
+check(ImageExtractor.getFileName(3, 1) === 'images/page-3-img-1.png', 'File names are stable per page and position');
+
+const rgb = ImageExtractor.toRgba({ width: 2, height: 1, kind: 2, data: new Uint8Array([255, 0, 0, 0, 0, 255]) });
+check(Array.from(rgb).join(',') === '255,0,0,255,0,0,255,255', 'RGB pixels gain an opaque alpha channel');
+const mono = ImageExtractor.toRgba({ width: 9, height: 1, kind: 1, data: new Uint8Array([0b10000000, 0b10000000]) });
+check(mono[0] === 255 && mono[4] === 0 && mono[32] === 255, '1-bit rows are unpacked with set bits as white');
+
+const dataUri = await ImageExtractor.toDataUri(Buffer.from('png'), 'image/png');
+check(dataUri === 'data:image/png;base64,cG5n', 'Buffers become data URIs');
+
+function line(x, y, text) {
+    return { text, x, y, width: 200, height: 11, fontSize: 11, fragments: [] };
+}
+
+// Two columns: the figure sits in the right column between its first and second line
+const lines = [line(72, 100, 'Left one.'), line(72, 400, 'Left two.'), line(320, 100, 'Right one.'), line(320, 400, 'Right two.')];
+const figure = { x: 320, y: 150, width: 200, height: 200, figure: 2, name: 'images/page-1-img-1.png' };
+check(ImageExtractor.getInsertionIndex(lines, figure) === 3, 'Figures are read before the next line of their column');
+check(ImageExtractor.getInsertionIndex(lines, { ...figure, y: 600 }) === 4, 'Figures below all text end the page');
+check(ImageExtractor.toMarkdown(figure) === '![Figure 2](images/page-1-img-1.png)', 'Figures are referenced by number and file name');
+
+const converter = new Extract2MDConverter({ processing: { images: 'inline' } });
+const pageText = converter._renderPageLayout({ pageNumber: 1, lines, images: [figure] }, null);
+check(pageText.includes('Right one.\n\n![Figure 2](images/page-1-img-1.png)\n\nRight two.'), 'Figures are rendered at their reading position');
+check(converter._convertToMarkdown('Some text\n![Figure 2](images/page-1-img-1.png)\nMore text.').includes('\n\n![Figure 2](images/page-1-img-1.png)\n\n'),
+    'Figures stay on their own line');
+converter.images = [{ ...figure, dataUri }];
+check(converter._finalizeMarkdown('![Figure 2](images/page-1-img-1.png)', 'quick') === `![Figure 2](${dataUri})`,
+    'Inline mode embeds the data URIs');
+
+// Images the canvas cannot encode are left out with a warning
+const unencodable = new Extract2MDConverter({ processing: { images: 'files' }, canvasFactory: () => ({ getContext: () => ({ drawImage: () => {} }) }) });
+unencodable._beginConversion();
+const page = {
+    getViewport: () => ({ transform: [100, 0, 0, -100, 0, 792] }),
+    getOperatorList: async () => ({ fnArray: [OPS.paintImageXObject], argsArray: [[{ width: 2, height: 2, bitmap: {} }]] })
+};
+const extracted = await unencodable._extractPageImages(page, 4);
+check(extracted.length === 0 && unencodable.warnings.some(warning => warning.stage === 'image_extraction_warning' && warning.pageNumber === 4 &&
+    warning.message.includes('does not support PNG encoding')), 'Images that cannot be encoded are reported as warnings');
+
+check(ConfigValidator.validate({}).processing.images === 'none', 'Image extraction is opt-in');
+try {
+    ConfigValidator.validate({ processing: { images: 'base64' } });
+    check(false, 'Unknown image modes are rejected');
+} catch (error) {
+    check(error.message === 'images must be one of: none, files, inline', 'Unknown image modes are rejected');
+}
+
+finish();
@@ -0,0 +1,168 @@
+/**
+ * Test image inputs: type detection, TIFF decoding and the pdf.js-like image document used for OCR
+ * Run with: node test/image-input.test.js
+ */
+
+import InputNormalizer from '../src/utils/InputNormalizer.js';
+import TiffDecoder from '../src/utils/TiffDecoder.js';
+import ImageDocument from '../src/utils/ImageDocument.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, expectRejection, finish } from './helpers.js';
+
+/**
+ * Build a little-endian TIFF file
+ * @param {Object[]} frames - { data, tags: [[tag, type, values]] }; strip offsets (273) are filled in
+ */
+function buildTiff(frames) {
+    const bytes = [0x49, 0x49, 0x2A, 0x00, 0, 0, 0, 0];
+    const writeUint = (offset, value, size) => {
+        for (let i = 0; i < size; i++) bytes[offset + i] = (value >> (8 * i)) & 0xFF;
+    };
+    let previousLink = 4;
+
+    for (const frame of frames) {
+        const stripOffset = bytes.length;
+        bytes.push(...frame.data);
+        const tags = [...frame.tags, [273, 4, [stripOffset]], [279, 4, [frame.data.length]]].sort((a, b) => a[0] - b[0]);
+
+        // Values that do not fit into an entry go before the directory; rationals are stored as value/1
+        const valueOffsets = tags.map(([, type, values]) => {
+            const size = { 3: 2, 4: 4, 5: 8 }[type] * values.length;
+            if (size <= 4) return null;
+            const offset = bytes.length;
+            values.forEach((value, i) => (type === 5 ? (writeUint(offset + i * 8, value, 4), writeUint(offset + i * 8 + 4, 1, 4))
+                : writeUint(offset + i * size / values.length, value, size / values.length)));
+            return offset;
+        });
+
+        const directory = bytes.length;
+        writeUint(previousLink, directory, 4);
+        writeUint(directory, tags.length, 2);
+        tags.forEach(([tag, type, values], i) => {
+            const entry = directory + 2 + i * 12;
+            writeUint(entry, tag, 2);
+            writeUint(entry + 2, type, 2);
+            writeUint(entry + 4, values.length, 4);
+            if (valueOffsets[i] !== null) writeUint(entry + 8, valueOffsets[i], 4);
+            else values.forEach((value, j) => writeUint(entry + 8 + j * (type === 3 ? 2 : 4), value, type === 3 ? 2 : 4));
+        });
+        previousLink = directory + 2 + tags.length * 12;
+        writeUint(previousLink, 0, 4);
+    }
+
+    return new Uint8Array(bytes);
+}
+
+// Page 1: 4x2 uncompressed grayscale; page 2: 8x2 Group 4 fax at 204x98 dpi with pixels 2-5 black in both rows;
+// page 3: 4x1 PackBits palette image
+const tiff = buildTiff([
+    { data: [0, 85, 170, 255, 255, 170, 85, 0], tags: [[256, 3, [4]], [257, 3, [2]], [258, 3, [8]], [259, 3, [1]], [262, 3, [1]]] },
+    {
+        data: [0x2E, 0xFC],
+        tags: [[256, 3, [8]], [257, 3, [2]], [258, 3, [1]], [259, 3, [4]], [262, 3, [0]], [282, 5, [204]], [283, 5, [98]]]
+    },
+    {
+        data: [0x00, 0xF0], // One literal byte: four pixels of palette entry 1
+        tags: [[256, 3, [4]], [257, 3, [1]], [258, 3, [1]], [259, 3, [32773]], [262, 3, [3]], [320, 3, [0, 0xFFFF, 0, 0x8000, 0, 0]]]
+    }
+]);
+
+// Signatures
+const png = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0]);
+const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10]);
+const webp = new TextEncoder().encode('RIFF\u0000\u0000\u0000\u0000WEBPVP8 ');
+check(InputNormalizer.detectType(png) === 'png' && InputNormalizer.detectType(jpeg) === 'jpeg' &&
+    InputNormalizer.detectType(tiff) === 'tiff' && InputNormalizer.detectType(webp) === 'webp', 'Image types are detected from their signatures');
+check(InputNormalizer.detectType(new Uint8Array([0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8])) === 'tiff', 'Big-endian TIFF files are detected');
+
+const image = await InputNormalizer.normalize(png, { images: true });
+check(image.type === 'png', 'OCR scenarios accept images');
+await expectRejection(InputNormalizer.normalize(png), 'PNG images are only supported by highAccuracyConvertOnly',
+    'Text-layer scenarios explain that images need OCR');
+await expectRejection(InputNormalizer.normalize(image), 'only supported by', 'Normalized images are checked as well');
+await expectRejection(InputNormalizer.normalize(new TextEncoder().encode('Just some text'), { images: true }),
+    'PDF document or a PNG, JPEG, TIFF or WebP image', 'Unknown files are rejected with the accepted types');
+
+// TIFF decoding
+const frames = TiffDecoder.readFrames(tiff);
+check(frames.length === 3 && frames[1].xResolution === 204 && frames[1].yResolution === 98, 'Every TIFF frame is read with its resolution');
+
+const grayscale = await TiffDecoder.decodeFrame(tiff, frames[0]);
+check([0, 4, 8, 12].map(i => grayscale.data[i]).join(',') === '0,85,170,255' && grayscale.data[3] === 255,
+    'Uncompressed grayscale is decoded to opaque RGBA');
+
+const fax = await TiffDecoder.decodeFrame(tiff, frames[1]);
+const faxRows = [0, 1].map(y => Array.from({ length: 8 }, (_, x) => (fax.data[(y * 8 + x) * 4] === 0 ? '#' : '.')).join(''));
+check(faxRows.join('|') === '..####..|..####..', 'Group 4 fax rows are decoded, black on white');
+
+const palette = await TiffDecoder.decodeFrame(tiff, frames[2]);
+check(palette.data[0] === 255 && palette.data[1] === 128 && palette.data[2] === 0 && palette.data[12] === 255,
+    'PackBits palette images use their color map');
+
+check(Array.from(TiffDecoder.decodePackBits(new Uint8Array([0x02, 1, 2, 3, 0xFE, 9, 0x80]), 6)).join(',') === '1,2,3,9,9,9',
+    'PackBits literal and repeated runs are decoded');
+check(TiffDecoder.reverseBits(new Uint8Array([0x01, 0xF0]))[0] === 0x80 && TiffDecoder.reverseBits(new Uint8Array([0xF0]))[0] === 0x0F,
+    'Fill order 2 is reversed per byte');
+try {
+    TiffDecoder.readFrames(png);
+    check(false, 'Other files are not read as TIFF');
+} catch (error) {
+    check(error.message === 'Invalid TIFF file: missing TIFF header', 'Other files are not read as TIFF');
+}
+
+// Corrupt headers must not allocate images of their stated size
+try {
+    TiffDecoder.readFrames(buildTiff([{ data: [0], tags: [[256, 4, [100000]], [257, 4, [100000]], [258, 3, [8]], [262, 3, [1]]] }]));
+    check(false, 'Images larger than the pixel limit are rejected');
+} catch (error) {
+    check(error.message === 'Invalid TIFF file: image of 100000 x 100000 pixels exceeds the limit of 268435456 pixels',
+        'Images larger than the pixel limit are rejected');
+}
+const hugeTiles = buildTiff([{ data: [0], tags: [[256, 3, [1]], [257, 3, [1]], [258, 3, [8]], [262, 3, [1]], [322, 4, [100000]], [323, 4, [100000]], [324, 4, [8]]] }]);
+await expectRejection(TiffDecoder.decodeFrame(hugeTiles, TiffDecoder.readFrames(hugeTiles)[0]),
+    'Invalid TIFF file: tile of 100000 x 100000 pixels exceeds the limit of 268435456 pixels', 'Tiles larger than the pixel limit are rejected');
+
+// Image documents: pages are rendered at their pixel size at the configured render scale
+const draws = [];
+const canvasFactory = new CanvasFactory({
+    create: (width, height) => ({
+        width,
+        height,
+        getContext: () => ({
+            createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+            putImageData: () => {},
+            save: () => {},
+            restore: () => {},
+            fillRect: () => {},
+            setTransform: (...transform) => draws.push({ transform }),
+            drawImage: (source, x, y, w, h) => Object.assign(draws[draws.length - 1], { source, w, h })
+        })
+    }),
+    loadImage: async (data, mimeType) => ({ width: 500, height: 250, mimeType })
+});
+
+const photo = await ImageDocument.load(image, canvasFactory, { scale: 2.5 });
+const page = await photo.getPage(1);
+const viewport = page.getViewport({ scale: 2.5 });
+check(photo.numPages === 1 && viewport.width === 500 && viewport.height === 250, 'Images are rendered at their own size');
+check(page.getViewport({ scale: 2.5, rotation: 90 }).width === 250, 'Rotated viewports swap width and height');
+
+await page.render({ canvasContext: canvasFactory.create(500, 250).getContext('2d'), viewport: page.getViewport({ scale: 2.5, rotation: 90 }) }).promise;
+check(draws[0].source.mimeType === 'image/png' && draws[0].transform.join(',') === '0,2.5,-2.5,0,250,0' && draws[0].w === 200,
+    'Pages draw the image turned by the viewport rotation');
+check((await page.getTextContent()).items.length === 0 && (await photo.getOutline()) === null, 'Images have no text layer or outline');
+
+const scan = await ImageDocument.load({ type: 'tiff', data: tiff }, canvasFactory, { scale: 1 });
+const faxPage = await scan.getPage(2);
+check(scan.numPages === 3 && faxPage.getViewport({ scale: 1 }).height > 4, 'Fax pages are stretched to square pixels');
+
+// The OCR scenarios open images instead of PDF documents
+const reports = [];
+const converter = new Extract2MDConverter({ progressCallback: report => reports.push(report) });
+converter._beginConversion();
+const ocrDoc = await converter._loadOcrDocument({ type: 'tiff', data: tiff }, canvasFactory);
+check(ocrDoc.numPages === 3 && converter._getPageNumbers(ocrDoc).join(',') === '1,2,3', 'Every TIFF frame is a page to recognize');
+check(reports.some(report => report.stage === 'image_input_loaded' && report.totalPages === 3), 'Loading an image is reported');
+
+finish();
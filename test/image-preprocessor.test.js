@@ -0,0 +1,118 @@
+/**
+ * Test page preprocessing before OCR on synthetic images
+ * Run with: node test/image-preprocessor.test.js
+ */
+
+import ImagePreprocessor from '../src/utils/ImagePreprocessor.js';
+import OcrLayout from '../src/utils/OcrLayout.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+// White RGBA image with helpers to paint gray pixels
+function createImage(width, height, gray = 255) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4).fill(gray) };
+}
+
+function paint(image, x, y, gray = 0) {
+    const offset = (y * image.width + x) * 4;
+    image.data[offset] = gray;
+    image.data[offset + 1] = gray;
+    image.data[offset + 2] = gray;
+}
+
+function grayAt(image, x, y) {
+    return image.data[(y * image.width + x) * 4];
+}
+
+const colored = createImage(1, 1);
+colored.data.set([255, 0, 0, 255]);
+ImagePreprocessor.toGrayscale(colored);
+check(colored.data[0] === 76 && colored.data[1] === 76 && colored.data[2] === 76, 'Grayscale uses luma weights');
+
+// Dark text on a background that fades from light to mid gray, like a shadowed scan
+const shaded = createImage(200, 20);
+for (let x = 0; x < 200; x++) {
+    for (let y = 0; y < 20; y++) paint(shaded, x, y, 240 - x / 2);
+}
+for (const x of [20, 180]) {
+    for (let y = 8; y < 12; y++) paint(shaded, x, y, 30);
+}
+ImagePreprocessor.adaptiveThreshold(shaded, { windowSize: 15 });
+check(grayAt(shaded, 20, 10) === 0 && grayAt(shaded, 180, 10) === 0, 'Text stays black across uneven lighting');
+check(grayAt(shaded, 100, 2) === 255 && grayAt(shaded, 195, 2) === 255, 'The shaded background becomes white');
+
+const noisy = createImage(30, 30);
+paint(noisy, 3, 3);
+for (let x = 10; x < 20; x++) paint(noisy, x, 15);
+ImagePreprocessor.despeckle(noisy, { maxArea: 4 });
+check(grayAt(noisy, 3, 3) === 255, 'Isolated specks are removed');
+check(grayAt(noisy, 10, 15) === 0 && grayAt(noisy, 19, 15) === 0, 'Strokes larger than a speck are kept');
+
+// Text lines that descend by 2 degrees to the right
+const skewed = createImage(400, 200);
+const slope = Math.tan(2 * Math.PI / 180);
+for (const lineY of [30, 70, 110, 150]) {
+    for (let x = 20; x < 380; x++) {
+        if (x % 8 < 5) paint(skewed, x, Math.round(lineY + x * slope));
+    }
+}
+check(Math.abs(ImagePreprocessor.findSkewAngle(skewed) - 2) <= 0.1, 'Skew is found from the projection profile');
+check(ImagePreprocessor.findSkewAngle(createImage(50, 50)) === 0, 'Blank pages are not rotated');
+
+// A black scanner border along the left edge and text in the middle
+const scanned = createImage(100, 80);
+for (let y = 0; y < 80; y++) {
+    for (let x = 0; x < 6; x++) paint(scanned, x, y);
+}
+for (let x = 40; x < 60; x++) paint(scanned, x, 30);
+const box = ImagePreprocessor.findContentBox(scanned, { padding: 5 });
+check(box && box.x === 35 && box.y === 25 && box.width === 30 && box.height === 11, 'Cropping drops the scanner border and empty margins');
+check(ImagePreprocessor.findContentBox(createImage(10, 10)) === null, 'Pages without ink are not cropped');
+
+// A canvas stand-in backed by image data
+function createCanvas(image) {
+    const canvas = {
+        width: image.width,
+        height: image.height,
+        image,
+        getContext: () => ({
+            getImageData: () => canvas.image,
+            putImageData: (data) => { canvas.image = data; },
+            drawImage: (source, sx, sy, sw, sh) => {
+                canvas.source = { sx, sy, sw, sh };
+            }
+        })
+    };
+    return canvas;
+}
+
+const destroyed = [];
+const canvasFactory = {
+    create: (width, height) => createCanvas(createImage(width, height)),
+    destroy: canvas => destroyed.push(canvas)
+};
+const page = createCanvas(scanned);
+const custom = (canvas) => {
+    canvas.custom = true;
+    return canvas;
+};
+const result = await ImagePreprocessor.apply(page, ['grayscale', { operation: 'crop', padding: 5 }, custom], canvasFactory);
+check(result.canvas.width === 30 && result.canvas.source.sx === 35 && result.offsetX === 35 && result.offsetY === 25,
+    'Steps run in order and report the crop offset');
+check(result.canvas.custom === true, 'Custom steps receive the canvas');
+check(destroyed.length === 1 && destroyed[0] === page, 'The replaced page canvas is released');
+
+const fragment = OcrLayout.createFragment({ text: 'Total', confidence: 90, bbox: { x0: 5, y0: 5, x1: 25, y1: 15 } }, 0,
+    { scale: 2, offsetX: result.offsetX, offsetY: result.offsetY });
+check(fragment.x === 20 && fragment.y === 15, 'Word boxes of cropped pages map back to the page');
+
+check(ConfigValidator.validate({}).processing.preprocessing.length === 0, 'Preprocessing is opt-in');
+try {
+    ConfigValidator.validate({ processing: { preprocessing: ['sharpen'] } });
+    check(false, 'Unknown operations are rejected');
+} catch (error) {
+    check(error.message === 'preprocessing steps must be a function or one of: grayscale, deskew, threshold, despeckle, crop',
+        'Unknown operations are rejected');
+}
+
+finish();
@@ -0,0 +1,70 @@
+/**
+ * Test Markdown emphasis, inline code and code blocks derived from font styles
+ * Run with: node test/inline-style-formatter.test.js
+ */
+
+import InlineStyleFormatter from '../src/utils/InlineStyleFormatter.js';
+import PdfTextLayout from '../src/utils/PdfTextLayout.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+const PLAIN = { bold: false, italic: false, monospace: false };
+
+function fragment(x, text, style = {}) {
+    return { text, x, y: 100, width: text.length * 5, height: 10, fontSize: 10, font: { ...PLAIN, ...style } };
+}
+
+function line(fragments) {
+    return PdfTextLayout.createLine(fragments);
+}
+
+const mixed = line([
+    fragment(72, 'Call'),
+    fragment(97, 'convert()', { monospace: true }),
+    fragment(147, 'with an'),
+    fragment(187, 'input file', { italic: true }),
+    fragment(242, 'and'),
+    fragment(262, 'check', { bold: true, italic: true })
+]);
+check(InlineStyleFormatter.formatLine(mixed) === 'Call `convert()` with an *input file* and ***check***',
+    'Styled runs are wrapped in Markdown markup');
+
+const label = line([fragment(72, 'Note: ', { bold: true }), fragment(102, 'the output is ready.')]);
+check(InlineStyleFormatter.formatLine(label) === '**Note:** the output is ready.', 'Spaces stay outside the markup');
+
+const bullet = line([fragment(72, '•', { bold: true }), fragment(86, 'Item')]);
+check(InlineStyleFormatter.formatLine(bullet) === '• Item', 'Punctuation-only runs are not emphasized');
+
+const plain = line([fragment(72, 'Plain text only')]);
+check(InlineStyleFormatter.formatLine(plain) === 'Plain text only', 'Unstyled lines keep their text');
+
+check(InlineStyleFormatter.wrap('a `tick`', 'code') === '`` a `tick` ``', 'Inline code containing backticks uses a longer fence');
+
+function codeLine(x, y, text) {
+    return PdfTextLayout.createLine([{ ...fragment(x, text, { monospace: true }), y }]);
+}
+
+const lines = [
+    PdfTextLayout.createLine([{ ...fragment(72, 'Example program:'), y: 80 }]),
+    codeLine(72, 100, 'if (ready) {'),
+    codeLine(92, 112, 'run();'),
+    codeLine(72, 124, '}'),
+    codeLine(72, 150, 'done();'),
+    PdfTextLayout.createLine([{ ...fragment(72, 'After the code.'), y: 170 }])
+];
+const blocks = InlineStyleFormatter.findCodeBlocks(lines, { isParagraphBreak: PdfTextLayout.isParagraphBreak });
+check(blocks.length === 1 && blocks[0].start === 1 && blocks[0].end === 4, 'Consecutive monospace lines form a code block');
+check(JSON.stringify(blocks[0].markdown) === JSON.stringify(['```', 'if (ready) {', '    run();', '}', '', 'done();', '```']),
+    'Code blocks keep indentation and blank lines');
+check(InlineStyleFormatter.findCodeBlocks([codeLine(72, 100, 'single()')]).length === 0, 'A single monospace line stays inline');
+
+check(PdfTextLayout.describeFont(null, { ascent: NaN }).ascent === 0.8, 'Missing font metrics fall back to the default ascent');
+check(ConfigValidator.validate({}).processing.inlineStyles === true, 'Inline styles are enabled by default');
+try {
+    ConfigValidator.validate({ processing: { inlineStyles: 'yes' } });
+    check(false, 'Non-boolean inlineStyles is rejected');
+} catch (error) {
+    check(error.message === 'inlineStyles must be a boolean', 'Non-boolean inlineStyles is rejected');
+}
+
+finish();
@@ -0,0 +1,64 @@
+/**
+ * Test input normalization for the supported input types
+ * Run with: node test/input-normalizer.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import InputNormalizer from '../src/utils/InputNormalizer.js';
+import { check, expectRejection, finish } from './helpers.js';
+
+const pdfBytes = new TextEncoder().encode('%PDF-1.7\n%âã\n1 0 obj\n<<>>\nendobj\n%%EOF\n');
+
+async function runTests() {
+    console.log('Testing InputNormalizer...\n');
+
+    const fromUint8 = await InputNormalizer.normalize(pdfBytes);
+    check(fromUint8.type === 'pdf' && fromUint8.size === pdfBytes.byteLength, 'Uint8Array input is accepted');
+
+    const fromArrayBuffer = await InputNormalizer.normalize(pdfBytes.slice().buffer);
+    check(fromArrayBuffer.data instanceof Uint8Array, 'ArrayBuffer input is accepted');
+
+    const fromBuffer = await InputNormalizer.normalize(Buffer.from(pdfBytes));
+    check(fromBuffer.size === pdfBytes.byteLength, 'Node Buffer input is accepted');
+
+    const fromBlob = await InputNormalizer.normalize(new Blob([pdfBytes]));
+    check(fromBlob.type === 'pdf', 'Blob input is accepted');
+
+    // Padded view: only the viewed bytes must be used
+    const padded = new Uint8Array(pdfBytes.byteLength + 8);
+    padded.set(pdfBytes, 4);
+    const fromView = await InputNormalizer.normalize(padded.subarray(4, 4 + pdfBytes.byteLength));
+    check(fromView.size === pdfBytes.byteLength && fromView.data[0] === 0x25, 'Typed array views respect their offset');
+
+    const junkPrefixed = new Uint8Array([0x0A, 0x0A, ...pdfBytes]);
+    check(InputNormalizer.isPdf(junkPrefixed), 'PDF header is found after leading junk bytes');
+
+    const tmpFile = path.join(os.tmpdir(), `extract2md-input-${process.pid}.bin`);
+    fs.writeFileSync(tmpFile, pdfBytes);
+    try {
+        const fromPath = await InputNormalizer.normalize(tmpFile);
+        check(fromPath.name === path.basename(tmpFile), 'File path input is read without relying on the extension');
+    } finally {
+        fs.unlinkSync(tmpFile);
+    }
+
+    check(await InputNormalizer.normalize(fromUint8) === fromUint8, 'Normalized descriptors are passed through');
+
+    await expectRejection(InputNormalizer.normalize(null), 'PDF file is required', 'Missing input is rejected');
+    await expectRejection(InputNormalizer.normalize(new Uint8Array(0)), 'empty', 'Empty input is rejected');
+    await expectRejection(
+        InputNormalizer.normalize(new TextEncoder().encode('Just some text')),
+        'must be a PDF',
+        'Non-PDF bytes are rejected'
+    );
+    await expectRejection(InputNormalizer.normalize(42), 'expected a File', 'Unsupported input types are rejected');
+}
+
+runTests()
+    .then(finish)
+    .catch((error) => {
+        console.error('❌ Test run failed:', error);
+        process.exit(1);
+    });
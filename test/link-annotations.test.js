@@ -0,0 +1,58 @@
+/**
+ * Test link annotations becoming Markdown links and heading anchors
+ * Run with: node test/link-annotations.test.js
+ */
+
+import LinkAnnotations from '../src/utils/LinkAnnotations.js';
+import InlineStyleFormatter from '../src/utils/InlineStyleFormatter.js';
+import PdfTextLayout from '../src/utils/PdfTextLayout.js';
+import { check, finish } from './helpers.js';
+
+const PLAIN = { bold: false, italic: false, monospace: false };
+
+function fragment(x, text) {
+    return { text, x, y: 100, width: text.length * 5, height: 10, fontSize: 10, font: PLAIN };
+}
+
+// "Visit example.org today." with a link rectangle over "example.org" (characters 6-16)
+const sentence = fragment(72, 'Visit example.org, today.');
+const site = { x0: 72 + 6 * 5 - 2, y0: 98, x1: 72 + 17 * 5 + 3, y1: 112, url: 'https://example.org/' };
+const linked = LinkAnnotations.applyLinks([sentence], [site]);
+check(linked.length === 3 && linked[1].text === 'example.org' && linked[1].link === site,
+    'Partly covered runs are split at word boundaries without trailing punctuation');
+check(InlineStyleFormatter.formatLine(PdfTextLayout.createLine(linked)) === 'Visit [example.org](https://example.org/), today.',
+    'Linked runs become Markdown links');
+
+const offLine = { x0: 72, y0: 130, x1: 200, y1: 142, url: 'https://example.org/' };
+check(LinkAnnotations.applyLinks([sentence], [offLine])[0] === sentence, 'Links on other lines are ignored');
+
+const styled = PdfTextLayout.createLine([
+    { ...fragment(72, 'Read'), font: { ...PLAIN, bold: true }, link: site },
+    { ...fragment(97, 'this'), link: site }
+]);
+check(InlineStyleFormatter.formatLine(styled, { styles: true }) === '[**Read** this](https://example.org/)',
+    'Styled runs stay inside one link');
+check(InlineStyleFormatter.formatLine(styled, { styles: false }) === '[Read this](https://example.org/)',
+    'Links are kept when inline styles are disabled');
+check(LinkAnnotations.toMarkdown('a [b]', 'https://x.org/a (1)') === '[a [b\\]](https://x.org/a%20%281%29)',
+    'Link text and targets are escaped');
+
+check(LinkAnnotations.getDestinationTop([{ num: 1, gen: 0 }, { name: 'XYZ' }, 0, 700, 0]) === 700, 'XYZ destinations scroll to their top');
+check(LinkAnnotations.getDestinationTop([{ num: 1, gen: 0 }, { name: 'Fit' }]) === null, 'Fit destinations show the whole page');
+
+const headings = [
+    { pageNumber: 1, y: 40, height: 18 },
+    { pageNumber: 1, y: 300, height: 14 },
+    { pageNumber: 3, y: 60, height: 14 }
+];
+check(LinkAnnotations.findTargetHeading(headings, { pageNumber: 1, y: 295 }) === 1, 'Destinations point at the heading below them');
+check(LinkAnnotations.findTargetHeading(headings, { pageNumber: 3, y: null }) === 2, 'Page destinations point at the first heading');
+check(LinkAnnotations.findTargetHeading(headings, { pageNumber: 2, y: 400 }) === 1, 'Destinations without a heading point at their section');
+
+const markdown = '# Intro\n\nSee [setup](#pdf-dest-0), [again](#pdf-dest-1) and [nowhere](#pdf-dest-2).\n\n## Set-up & Install\n\n```\n# not a heading\n```\n\n## Set-up & Install';
+check(JSON.stringify(LinkAnnotations.getHeadingSlugs(markdown)) === JSON.stringify(['intro', 'set-up--install', 'set-up--install-1']),
+    'Heading anchors follow GitHub slugs and skip code blocks');
+check(LinkAnnotations.resolvePlaceholders(markdown, new Map([[0, 1], [1, 2], [2, -1]])).includes(
+    'See [setup](#set-up--install), [again](#set-up--install-1) and nowhere.'), 'Internal links are resolved to heading anchors');
+
+finish();
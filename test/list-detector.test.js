@@ -0,0 +1,60 @@
+/**
+ * Test recognition of bulleted and numbered lists from positioned lines
+ * Run with: node test/list-detector.test.js
+ */
+
+import ListDetector from '../src/utils/ListDetector.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+function line(x, y, text) {
+    return { text, x, y, height: 10, fontSize: 10, width: text.length * 5, fragments: [{ text, x, y, width: text.length * 5, height: 10 }] };
+}
+
+check(ListDetector.parseMarker('• Apples').style === 'bullet', 'Glyph bullets are recognized');
+check(ListDetector.parseMarker('3) Third').ordinal === 3, 'Numbered markers keep their number');
+check(ListDetector.parseMarker('b. Second').style === 'alpha', 'Lettered markers are recognized');
+check(ListDetector.parseMarker('(iv) Fourth').ordinal === 4, 'Roman numerals are converted');
+check(ListDetector.parseMarker('i) Ninth', 'alpha').style === 'alpha', 'A letter after lettered items stays a letter');
+check(ListDetector.parseMarker('2024. A year to remember') === null, 'Long numbers are not markers');
+
+const nested = [
+    line(72, 100, '• Fruit'),
+    line(90, 112, 'a) Apples that are'),
+    line(102, 124, 'green and sour'),
+    line(90, 136, 'b) Pears'),
+    line(72, 148, '• Vegetables'),
+    line(72, 172, 'Ordinary paragraph text after the list.')
+];
+const regions = ListDetector.findLists(nested, { isParagraphBreak: (previous, current) => current.y - previous.y > 18 });
+check(regions.length === 1 && regions[0].start === 0 && regions[0].end === 4, 'List ends at the paragraph break');
+check(JSON.stringify(regions[0].markdown) === JSON.stringify([
+    '- Fruit',
+    '  1. Apples that are green and sour',
+    '  2. Pears',
+    '- Vegetables'
+]), 'Nesting follows indentation and wrapped lines join their item');
+
+const numbered = ListDetector.findLists([
+    line(72, 100, '1. First step'),
+    line(72, 112, '2. Second step'),
+    line(72, 124, 'continues here'),
+    line(72, 136, '10. Tenth step')
+]);
+check(numbered.length === 1 && numbered[0].markdown[1] === '2. Second step continues here', 'Unindented wrapped lines continue the item');
+check(numbered[0].markdown[2] === '10. Tenth step', 'Source numbering is preserved');
+
+check(ListDetector.findLists([line(72, 100, '2. As shown above, the method works.')]).length === 0,
+    'A single numbered sentence is not a list');
+check(ListDetector.findLists([line(72, 100, '• Single bullet')]).length === 1, 'A single glyph bullet is a list');
+
+// Rendered list blocks survive post-processing and Markdown conversion
+const converter = new Extract2MDConverter();
+const processed = converter._postProcessText('The basket holds the following items.\n\n- Fruit\n  1. Apples\n  2. Pears\n- Vegetables\n\nThat is everything we bought.');
+check(processed.includes('\n  1. Apples\n'), 'Post-processing keeps nested list indentation');
+const markdown = converter._convertToMarkdown(processed);
+check(markdown === 'The basket holds the following items.\n\n- Fruit\n  1. Apples\n  2. Pears\n- Vegetables\n\nThat is everything we bought.', 'Markdown conversion passes lists through');
+check(converter._convertToMarkdown('- First item\nwrapped line\n- Second item') === '- First item wrapped line\n- Second item',
+    'Wrapped text lines join the previous list item');
+
+finish();
@@ -0,0 +1,78 @@
+/**
+ * Test OCR confidence reporting, low-confidence markers and re-recognition of poor pages
+ * Run with: node test/ocr-confidence.test.js
+ */
+
+import OcrLayout from '../src/utils/OcrLayout.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+// Tesseract.js recognition data for one line "Total revenue 1,2OO" rendered at the given scale
+function recognitionData(scale, confidence, lastWordConfidence) {
+    const word = (text, x, wordConfidence) => ({
+        text,
+        confidence: wordConfidence,
+        bbox: { x0: x * scale, y0: 100 * scale, x1: (x + 40) * scale, y1: 111 * scale }
+    });
+    const words = [word('Total', 72, 96), word('revenue', 120, 93), word('1,2OO', 170, lastWordConfidence)];
+    return {
+        text: 'Total revenue 1,2OO\n',
+        confidence,
+        blocks: [{ paragraphs: [{ lines: [{ words }] }] }]
+    };
+}
+
+const data = recognitionData(2, 80, 41);
+const words = OcrLayout.getWords(data, { scale: 2 });
+check(words.length === 3 && words[2].confidence === 41 && words[2].x === 170 && words[2].height === 11,
+    'Words carry their confidence and a box in PDF points');
+
+const marked = OcrLayout.buildPage(data, { pageNumber: 1, scale: 2, lowConfidence: { threshold: 60, marker: '<mark>{word}</mark>' } });
+check(marked.lines[0].text === 'Total revenue <mark>1,2OO</mark>', 'Words below the threshold are wrapped in the marker');
+const unmarked = OcrLayout.buildPage(data, { pageNumber: 1, scale: 2, lowConfidence: { threshold: 60, marker: null } });
+check(unmarked.lines[0].text === 'Total revenue 1,2OO', 'Without a marker the text is unchanged');
+
+const page = {
+    getViewport: ({ scale }) => ({ width: 612 * scale, height: 792 * scale }),
+    render: () => ({ promise: Promise.resolve() })
+};
+const canvasFactory = new CanvasFactory({ create: () => ({ getContext: () => ({}) }), toImage: canvas => canvas });
+
+// The first recognition is poor; the larger rendering recognizes better
+const scales = [];
+const scheduler = {
+    addJob: async (action, image) => {
+        scales.push(image.width / 612);
+        return { data: scales.length === 1 ? recognitionData(2.5, 45, 20) : recognitionData(4, 88, 75) };
+    }
+};
+
+const reports = [];
+const converter = new Extract2MDConverter({
+    processing: { ocrConfidence: { wordThreshold: 60, marker: null, pageThreshold: 70, retryRenderScale: 4 } },
+    progressCallback: report => reports.push(report)
+});
+converter._beginConversion();
+const rendered = await converter._renderOcrPage(page, 1, page.getViewport({ scale: 2.5 }), canvasFactory);
+const ocrPage = await converter._recognizePage(scheduler, page, 1, rendered, canvasFactory);
+check(scales.join(',') === '2.5,4', 'Pages below the page threshold are recognized again at the retry scale');
+check(reports.some(report => report.stage === 'ocr_page_retry' && report.confidence === 45), 'Retries are reported');
+check(ocrPage.confidence === 88, 'The better recognition is kept');
+check(ocrPage.layout.lines[0].x === 72 && ocrPage.layout.width === 612, 'The layout is scaled from the retry rendering');
+
+const pageText = converter.pageTexts[0];
+check(pageText.confidence === 88 && pageText.words.length === 3 && pageText.words.every(word => !word.lowConfidence),
+    'Page texts include the page confidence and flagged words');
+
+const defaults = ConfigValidator.validate({}).processing.ocrConfidence;
+check(defaults.marker === null && defaults.pageThreshold === 0, 'Markers and retries are opt-in');
+try {
+    ConfigValidator.validate({ processing: { ocrConfidence: { ...defaults, marker: '**' } } });
+    check(false, 'Markers without {word} are rejected');
+} catch (error) {
+    check(error.message === 'ocrConfidence.marker must be null or a string containing {word}', 'Markers without {word} are rejected');
+}
+
+finish();
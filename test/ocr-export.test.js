@@ -0,0 +1,139 @@
+/**
+ * Test hOCR and ALTO export of recognized pages
+ * Run with: node test/ocr-export.test.js
+ */
+
+import OcrExport from '../src/utils/OcrExport.js';
+import OcrLayout from '../src/utils/OcrLayout.js';
+import ImagePreprocessor from '../src/utils/ImagePreprocessor.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+const box = (x0, y0, x1, y1) => ({ x0, y0, x1, y1 });
+const word = (text, bbox, confidence, language = 'eng') => ({ text, bbox, confidence, language });
+
+// Tesseract.js data of a recognized image: one block with a paragraph of one line, and an empty block
+const data = {
+    blocks: [
+        {
+            bbox: box(10, 20, 210, 60),
+            paragraphs: [{
+                bbox: box(10, 20, 210, 60),
+                lines: [{
+                    bbox: box(10, 20, 210, 60),
+                    baseline: { x0: 10, y0: 50, x1: 210, y1: 52, has_baseline: true },
+                    words: [word('R&D', box(10, 20, 90, 60), 91.4), word(' ', box(95, 20, 100, 60), 0), word('"costs"', box(120, 22, 210, 58), 47.6)]
+                }]
+            }]
+        },
+        { bbox: box(0, 0, 5, 5), paragraphs: [{ bbox: box(0, 0, 5, 5), lines: [{ bbox: box(0, 0, 5, 5), words: [] }] }] }
+    ]
+};
+
+// The image was recognized at twice the export scale, 100 pixels into the page
+const page = OcrExport.buildPage(data, { pageNumber: 3, width: 1000.4, height: 1400, scale: 0.5, offsetX: 100, offsetY: 40, resolution: 180, language: 'eng+deu' });
+check(page.blocks.length === 1 && page.blocks[0].paragraphs[0].lines[0].words.length === 2, 'Blocks and words without text are left out');
+check(JSON.stringify(page.blocks[0].paragraphs[0].lines[0].words[1].bbox) === JSON.stringify(box(110, 31, 155, 49)),
+    'Boxes are moved into the page and scaled to its pixels');
+check(page.width === 1000 && page.blocks[0].paragraphs[0].language === 'eng', 'Page size is rounded and paragraphs take the language of their words');
+const baseline = page.blocks[0].paragraphs[0].lines[0].baseline;
+check(baseline.slope === 0.01 && baseline.offset === -5, 'Baselines are a slope and an offset from the bottom-left corner of the line');
+
+const fallback = OcrExport.buildPage({ blocks: [{ ...data.blocks[0], paragraphs: [{ ...data.blocks[0].paragraphs[0],
+    lines: [{ bbox: box(0, 0, 10, 10), words: [word('x', box(0, 0, 10, 10), 80, '')] }] }] }] },
+{ pageNumber: 1, width: 10, height: 10, language: 'fra+eng' });
+check(fallback.blocks[0].paragraphs[0].language === 'fra' && fallback.blocks[0].paragraphs[0].lines[0].baseline === null,
+    'Paragraphs fall back to the first page language; lines without a baseline have none');
+
+// hOCR
+const hocr = OcrExport.toHocr(page);
+check(hocr.includes('<meta name="ocr-system" content="Extract2MD (Tesseract.js)"/>') && hocr.includes('ocr-capabilities'),
+    'hOCR documents name the OCR system and its capabilities');
+check(hocr.includes('class="ocr_page" id="page_3" title="bbox 0 0 1000 1400; ppageno 2; scan_res 180 180"'),
+    'The hOCR page has its size, number and resolution');
+check(hocr.includes('<p class="ocr_par" id="par_3_1" lang="eng"') && hocr.includes('title="bbox 55 30 155 50; baseline 0.01 -5"'),
+    'hOCR paragraphs carry their language and lines their baseline');
+check(hocr.includes('id="word_3_1" title="bbox 55 30 95 50; x_wconf 91">R&amp;D</span>') && hocr.includes('>&quot;costs&quot;</span>'),
+    'hOCR words carry their box and confidence, with text escaped');
+check(hocr.split('<span').length - 1 === 3 && hocr.trimEnd().endsWith('</html>'), 'hOCR markup is complete');
+
+// ALTO
+const alto = OcrExport.toAlto(page);
+check(alto.includes('xmlns="http://www.loc.gov/standards/alto/ns-v4#"') && alto.includes('<MeasurementUnit>pixel</MeasurementUnit>'),
+    'ALTO documents use version 4 and pixel units');
+check(alto.includes('<Page ID="page_3" PHYSICAL_IMG_NR="3" HEIGHT="1400" WIDTH="1000">'), 'The ALTO page has its number and size');
+check(alto.includes('<TextBlock ID="block_3_1" HPOS="55" VPOS="30" WIDTH="100" HEIGHT="20" LANG="eng">') && alto.includes('BASELINE="45"'),
+    'ALTO text blocks carry their language and lines their baseline');
+check(alto.includes('CONTENT="R&amp;D"') && alto.includes('WC="0.91"') && alto.includes('WC="0.48" CONTENT="&quot;costs&quot;"'),
+    'ALTO strings carry escaped content and confidences from 0 to 1');
+check(alto.includes('<SP WIDTH="15" HPOS="95" VPOS="30"/>'), 'Spaces between words are marked');
+
+// Configuration
+check(JSON.stringify(ConfigValidator.validate({}).processing.ocrExport) === '[]', 'Nothing is exported by default');
+for (const invalid of ['hocr', ['pdf']]) {
+    try {
+        ConfigValidator.validate({ processing: { ocrExport: invalid } });
+        check(false, `ocrExport ${JSON.stringify(invalid)} is rejected`);
+    } catch (error) {
+        check(error.message === 'ocrExport must be an array of: hocr, alto', `ocrExport ${JSON.stringify(invalid)} is rejected`);
+    }
+}
+
+// The converter writes the configured formats in pixels of the page at pdfRenderScale
+const converter = new Extract2MDConverter({ processing: { ocrExport: ['alto'], pdfRenderScale: 2 } });
+const exported = converter._exportOcrPage(data, 1, { scale: 4, offsetX: 0, offsetY: 0 }, { width: 1224, height: 1584 }, 'eng');
+check(Object.keys(exported).join(',') === 'alto' && exported.alto.includes('HPOS="5" VPOS="10" WIDTH="40" HEIGHT="20"'),
+    'Pages recognized at a retry scale are exported at the render scale');
+check(Object.keys(new Extract2MDConverter()._exportOcrPage(data, 1, { scale: 2.5 }, { width: 1, height: 1 }, 'eng')).length === 0,
+    'Pages are not exported without ocrExport');
+
+// A page scanned 2 degrees askew: dark text lines and a red word, deskewed and cropped before recognition
+const canvasFactory = await CanvasFactory.resolve('node');
+const scan = canvasFactory.create(600, 400);
+const context = scan.getContext('2d');
+context.fillStyle = '#ffffff';
+context.fillRect(0, 0, 600, 400);
+context.translate(300, 200);
+context.rotate(2 * Math.PI / 180);
+context.translate(-300, -200);
+context.fillStyle = '#000000';
+for (let y = 80; y <= 320; y += 40) {
+    for (let x = 60; x < 540; x += 50) context.fillRect(x, y, 40, 12);
+}
+context.fillStyle = '#ff0000';
+context.fillRect(160, 180, 80, 12);
+const skewedCenter = ImagePreprocessor.rotatePoint(200 - 300, 186 - 200, 2);
+const expectedCenter = { x: skewedCenter.x + 300, y: skewedCenter.y + 200 };
+
+const prepared = await ImagePreprocessor.apply(scan, ['deskew', { operation: 'crop', padding: 10 }], canvasFactory);
+const pixels = ImagePreprocessor.getImageData(prepared.canvas);
+const red = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+for (let i = 0; i < pixels.width * pixels.height; i++) {
+    const [r, g] = [pixels.data[i * 4], pixels.data[i * 4 + 1]];
+    if (r > 200 && g < 60) {
+        const [x, y] = [i % pixels.width, Math.floor(i / pixels.width)];
+        Object.assign(red, { x0: Math.min(red.x0, x), y0: Math.min(red.y0, y), x1: Math.max(red.x1, x + 1), y1: Math.max(red.y1, y + 1) });
+    }
+}
+check(Math.abs(prepared.skewAngle - 2) < 0.15 && prepared.offsetX > 0 && red.y1 - red.y0 <= 14, 'The fixture is deskewed and cropped');
+
+const deskewedData = { blocks: [{ bbox: red, paragraphs: [{ bbox: red, lines: [{ bbox: red, words: [word('Rotated', red, 90)] }] }] }] };
+const near = (box, scale = 1) => Math.abs((box.x0 + box.x1) / 2 - expectedCenter.x * scale) <= 2 * scale &&
+    Math.abs((box.y0 + box.y1) / 2 - expectedCenter.y * scale) <= 2 * scale;
+const skewedExport = OcrExport.buildPage(deskewedData, { pageNumber: 1, width: 600, height: 400, ...prepared });
+const exportedBox = skewedExport.blocks[0].paragraphs[0].lines[0].words[0].bbox;
+check(near(exportedBox) && Math.abs(exportedBox.x1 - exportedBox.x0 - 80) <= 2,
+    'Boxes of deskewed pages are exported where the word is on the scanned page');
+const [layoutWord] = OcrLayout.getWords(deskewedData, { scale: 2, ...prepared });
+check(near({ x0: layoutWord.x, y0: layoutWord.y, x1: layoutWord.x + layoutWord.width, y1: layoutWord.y + layoutWord.height }, 0.5),
+    'Words of deskewed pages are placed on the scanned page');
+const deskewedAlto = converter._exportOcrPage(deskewedData, 1, { scale: 2, ...prepared }, { width: 1200, height: 800 }, 'eng').alto;
+const [, hpos, vpos] = deskewedAlto.match(/<String ID="[^"]+" HPOS="(\d+)" VPOS="(\d+)"/);
+// Recognized at pdfRenderScale, so the page pixels are those of the recognized image
+check(Math.abs(Number(hpos) + 40 - expectedCenter.x) <= 3 && Math.abs(Number(vpos) + 6 - expectedCenter.y) <= 3,
+    'The converter exports deskewed pages with their skew');
+canvasFactory.destroy(prepared.canvas);
+
+finish();
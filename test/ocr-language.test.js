@@ -0,0 +1,117 @@
+/**
+ * Test multi-language OCR, automatic script and orientation detection and per-page languages
+ * Run with: node test/ocr-language.test.js
+ */
+
+import OcrLanguage from '../src/utils/OcrLanguage.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+function rejects(tesseract, expectedMessage, message) {
+    try {
+        ConfigValidator.validate({ tesseract });
+        check(false, message);
+    } catch (error) {
+        check(error.message === expectedMessage, message);
+    }
+}
+
+check(OcrLanguage.getCodes('eng+deu+fra').join(',') === 'eng,deu,fra', 'Language strings split into codes');
+check(OcrLanguage.isValid('eng+chi_sim') && !OcrLanguage.isValid('eng+') && !OcrLanguage.isValid('english'),
+    'Only language codes joined by "+" are valid');
+check(OcrLanguage.merge(['eng+deu', 'auto', 'fra', 'deu']) === 'eng+deu+fra', 'Merged languages keep each code once');
+
+// Tesseract.js detect() results
+const cyrillic = OcrLanguage.resolve({ script: 'Cyrillic', orientation_degrees: 0, orientation_confidence: 20 });
+check(cyrillic.script === 'Cyrillic' && cyrillic.language === 'rus', 'Detected scripts pick their language data');
+const latin = OcrLanguage.resolve({ script: 'Latin', orientation_degrees: 270, orientation_confidence: 33 }, { Latin: 'eng+deu+fra' });
+check(latin.language === 'eng+deu+fra' && latin.rotation === 270, 'Configured script languages and confident orientations are used');
+check(OcrLanguage.resolve({ script: 'Latin', orientation_degrees: 90, orientation_confidence: 2 }).rotation === 0,
+    'Uncertain orientations leave the page as rendered');
+const undetected = OcrLanguage.resolve({ script: null, orientation_degrees: null, orientation_confidence: null });
+check(undetected.script === null && undetected.language === 'eng' && undetected.rotation === 0, 'Undetected scripts are read as Latin');
+
+// A page rendered sideways: OSD reports the rotation that turns it upright
+const page = {
+    rotate: 90,
+    getViewport: ({ scale, rotation = 90 }) => ({ width: (rotation % 180 ? 792 : 612) * scale, height: (rotation % 180 ? 612 : 792) * scale, rotation }),
+    render: () => ({ promise: Promise.resolve() })
+};
+const pdfDoc = { numPages: 3, getPage: async () => page };
+const canvasFactory = new CanvasFactory({ create: () => ({ getContext: () => ({}) }), toImage: canvas => canvas });
+
+const reports = [];
+const calls = [];
+const converter = new Extract2MDConverter({
+    tesseract: {
+        language: 'auto',
+        scriptLanguages: { Latin: 'eng+deu' },
+        pageOverrides: [{ pages: '3', language: 'fra' }, { pages: '3', psm: 11 }]
+    },
+    progressCallback: report => reports.push(report)
+});
+converter._beginConversion();
+converter._startTesseractWorker = async (Tess, language, oem, options) => {
+    calls.push(`start ${language} ${oem} ${options.legacyCore}`);
+    return {
+        setParameters: async () => {},
+        detect: async () => ({ data: { script: 'Latin', orientation_degrees: 270, orientation_confidence: 30 } }),
+        terminate: async () => calls.push('terminate')
+    };
+};
+await converter._detectOcrLanguage(pdfDoc, [2, 3], canvasFactory);
+check(calls.join(', ') === 'start osd 0 true, terminate', 'OSD runs once on a legacy-engine worker');
+check(converter.ocrLanguage === 'eng+deu' && converter.ocrRotation === 270, 'The sample page sets the document languages and rotation');
+const detected = reports.find(report => report.stage === 'ocr_language_detected');
+check(detected && detected.pageNumber === 2 && detected.script === 'Latin' && detected.rotation === 270,
+    'Detection is reported for the first page to be recognized');
+check(converter._getOcrViewport(page, 2).rotation === 0 && converter._getOcrViewport(page, 2).width === 1224,
+    'Pages are rendered turned by the detected rotation');
+
+check(converter._getPageLanguage(2) === 'eng+deu' && converter._getPageLanguage(3) === 'fra', 'Pages can override the language');
+check(converter._getDocumentLanguage() === 'eng+deu+fra', 'The document language lists every language used');
+
+// Detection failures fall back to Latin script without rotation
+const failing = new Extract2MDConverter({ tesseract: { language: 'auto', osdSamplePage: 3 }, progressCallback: () => {} });
+failing._beginConversion();
+failing._startTesseractWorker = async () => {
+    throw new Error('osd.traineddata not found');
+};
+await failing._detectOcrLanguage(pdfDoc, [1], canvasFactory);
+check(failing.ocrLanguage === 'eng' && failing.ocrRotation === 0, 'Failed detection recognizes as Latin script');
+check(failing.warnings.length === 1 && failing.warnings[0].pageNumber === 3, 'Failed detection is a warning on the sample page');
+
+const fixed = new Extract2MDConverter({ tesseract: { language: 'eng+deu' } });
+await fixed._detectOcrLanguage(pdfDoc, [1], canvasFactory);
+check(fixed.ocrLanguage === 'eng+deu' && fixed.ocrRotation === 0, 'Configured languages skip detection');
+
+// Workers switch language data only for pages that need other languages
+const workerCalls = [];
+const Tess = {
+    createWorker: async (language, oem) => {
+        workerCalls.push(`create ${language}`);
+        return {
+            reinitialize: async language => workerCalls.push(`reinitialize ${language}`),
+            setParameters: async () => {},
+            recognize: async () => ({ data: { text: '' } })
+        };
+    }
+};
+const worker = await fixed._createOcrWorker(Tess);
+await worker.recognizeWithParameters('image', {}, 'eng+deu');
+await worker.recognizeWithParameters('image', {}, 'fra');
+await worker.recognizeWithParameters('image', {}, 'fra');
+await worker.recognizeWithParameters('image', {}, 'eng+deu');
+check(workerCalls.join(', ') === 'create eng+deu, reinitialize fra, reinitialize eng+deu', 'Workers reload language data only when it changes');
+
+rejects({ language: 'english' }, 'Tesseract language must be "auto" or language codes joined by "+", e.g. "eng+deu"',
+    'Language names are rejected');
+rejects({ scriptLanguages: { Latin: 'auto' } }, 'Tesseract scriptLanguages.Latin must be language codes joined by "+"',
+    'Script languages must be language codes');
+rejects({ osdSamplePage: 0 }, 'Tesseract osdSamplePage must be null or a page number', 'Sample pages are page numbers');
+rejects({ pageOverrides: [{ pages: '1', language: 'auto' }] }, 'Tesseract pageOverrides language must be language codes joined by "+"',
+    'Pages cannot detect their own language');
+
+finish();
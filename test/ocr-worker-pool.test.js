@@ -0,0 +1,69 @@
+/**
+ * Test parallel OCR on a worker pool: page order, ordered progress and the memory budget
+ * Run with: node test/ocr-worker-pool.test.js
+ */
+
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+// 100x100 pages need 40,000 bytes of canvas each; 0.1 MB fits two of them
+const pdfDoc = {
+    getPage: async pageNumber => ({
+        pageNumber,
+        getViewport: () => ({ width: 100, height: 100 }),
+        render: () => ({ promise: Promise.resolve() })
+    })
+};
+
+let liveCanvases = 0;
+let maxLiveCanvases = 0;
+const canvasFactory = new CanvasFactory({
+    create: () => {
+        liveCanvases++;
+        maxLiveCanvases = Math.max(maxLiveCanvases, liveCanvases);
+        return { getContext: () => ({}) };
+    },
+    toImage: canvas => canvas,
+    destroy: () => { liveCanvases--; }
+});
+
+// Earlier pages take longer, so workers finish out of order; page 3 fails
+let recognized = 0;
+const scheduler = {
+    addJob: async () => {
+        const page = ++recognized;
+        await new Promise(resolve => setTimeout(resolve, (6 - page) * 10));
+        if (page === 3) throw new Error('recognition failed');
+        return { data: { text: `Page ${page} text` } };
+    }
+};
+
+const reports = [];
+const converter = new Extract2MDConverter({
+    tesseract: { workers: 2, memoryBudgetMB: 0.1 },
+    progressCallback: report => reports.push(report)
+});
+converter._beginConversion();
+
+const pages = await converter._recognizePages(scheduler, pdfDoc, [1, 2, 3, 4, 5], canvasFactory);
+check(pages.map(page => page.pageNumber).join(',') === '1,2,4,5', 'Recognized pages are returned in page order without failed pages');
+check(pages[0].text === 'Page 1 text' && pages[0].source === 'ocr', 'Each page keeps its own text');
+check(maxLiveCanvases === 2, 'Pages are only rendered ahead while they fit the memory budget');
+check(liveCanvases === 0, 'Every canvas is released');
+
+const completed = reports.filter(report => report.stage === 'ocr_page_complete').map(report => report.pageNumber);
+check(completed.join(',') === '1,2,3,4,5', 'Completion progress is reported in page order');
+check(reports.some(report => report.stage === 'ocr_page_warning' && report.pageNumber === 3), 'Failed pages are reported as warnings');
+
+const defaults = ConfigValidator.validate({}).tesseract;
+check(defaults.workers === 1 && defaults.memoryBudgetMB === 128, 'One worker and a 128 MB render budget by default');
+try {
+    ConfigValidator.validate({ tesseract: { workers: 0 } });
+    check(false, 'Empty worker pools are rejected');
+} catch (error) {
+    check(error.message === 'Tesseract workers must be a positive integer', 'Empty worker pools are rejected');
+}
+
+finish();
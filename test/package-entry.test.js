@@ -0,0 +1,56 @@
+/**
+ * Test the package entry Node.js resolves: the sources, not the browser bundle
+ * Run with: node test/package-entry.test.js
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PdfWriter from '../src/utils/PdfWriter.js';
+import { check, finish } from './helpers.js';
+
+const packageRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// A one-page PDF with a line of text in a standard font
+function createTextPdf(text) {
+    const writer = new PdfWriter();
+    const pagesId = writer.reserve();
+    const fontId = writer.addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    const contentId = writer.addStream('', `BT /F1 12 Tf 72 700 Td ${PdfWriter.string(text)} Tj ET`);
+    const pageId = writer.addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    writer.addObject(`<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`, pagesId);
+    return writer.toBytes(writer.addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`));
+}
+
+async function runTests() {
+    console.log('Testing the package entry...\n');
+
+    // The package imports itself by name, through the exports of package.json
+    const extract2md = await import('extract2md');
+    if (typeof import.meta.resolve === 'function') {
+        check(fileURLToPath(await import.meta.resolve('extract2md')) === path.join(packageRoot, 'src', 'index.js'),
+            'Node.js resolves the package to its sources');
+    }
+    check(typeof extract2md.Extract2MDConverter === 'function' && extract2md.default === extract2md.Extract2MDConverter,
+        'The package exports the converters');
+    check(Object.keys(extract2md).sort().join(',') ===
+        'ConfigValidator,Extract2MDConverter,Extract2MDConverter_Legacy,LegacyExtract2MDConverter,OutputParser,SystemPrompts,WebLLMEngine,default',
+        'Internal helpers are not part of the public API');
+
+    // Started from another directory, pdf.js still finds its font data next to the package
+    const workingDirectory = process.cwd();
+    process.chdir(path.parse(packageRoot).root);
+    try {
+        const markdown = await extract2md.Extract2MDConverter.quickConvertOnly(createTextPdf('Converted through the package entry'));
+        check(markdown.includes('Converted through the package entry'), 'PDF documents are converted in Node.js');
+    } finally {
+        process.chdir(workingDirectory);
+    }
+}
+
+runTests()
+    .then(finish)
+    .catch((error) => {
+        console.error('❌ Test run failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,113 @@
+/**
+ * Test per-page orientation detection and upright rendering before OCR
+ * Run with: node test/page-orientation.test.js
+ */
+
+import PageOrientation from '../src/utils/PageOrientation.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+// pdf.js text items drawn in one direction: [a, b] of the transform is the text direction
+function textItems(a, b, str = 'The quick brown fox jumps over the lazy dog') {
+    return [{ str, transform: [a, b, -b, a, 72, 700] }];
+}
+
+check(PageOrientation.fromTextContent(textItems(12, 0)) === 0, 'Upright text needs no rotation');
+check(PageOrientation.fromTextContent(textItems(0, 12)) === 90, 'Text running upwards is turned clockwise');
+check(PageOrientation.fromTextContent(textItems(-12, 0)) === 180, 'Upside-down text is turned around');
+check(PageOrientation.fromTextContent(textItems(0, -12)) === 270, 'Text running downwards is turned counterclockwise');
+check(PageOrientation.fromTextContent([...textItems(0, 12), ...textItems(12, 0, 'Page 1')]) === 90,
+    'The direction of most characters wins over stray labels');
+check(PageOrientation.fromTextContent(textItems(0, 12, 'Fig. 2')) === null, 'Too little text shows no direction');
+
+check(PageOrientation.fromDetection({ orientation_degrees: 180, orientation_confidence: 20 }) === 180 &&
+    PageOrientation.isCertain({ orientation_degrees: 180, orientation_confidence: 20 }), 'Confident OSD results rotate');
+check(PageOrientation.fromDetection({ orientation_degrees: 180, orientation_confidence: 1 }) === 0 &&
+    PageOrientation.fromDetection({ orientation_degrees: null, orientation_confidence: null }) === 0, 'Uncertain OSD results do not');
+check(PageOrientation.rotate(90, 270) === 0 && PageOrientation.rotate(270, 180) === 90, 'Rotations add up modulo a full turn');
+
+// A page whose /Rotate is 90, rendered at the default OCR scale; the viewport reports its rotation
+function createPage(items) {
+    return {
+        rotate: 90,
+        getViewport: ({ scale, rotation = 90 }) => ({
+            width: (rotation % 180 ? 792 : 612) * scale,
+            height: (rotation % 180 ? 612 : 792) * scale,
+            rotation
+        }),
+        render: () => ({ promise: Promise.resolve() }),
+        getTextContent: async () => ({ items })
+    };
+}
+
+const destroyed = [];
+const canvasFactory = new CanvasFactory({
+    create: (width, height) => ({ width, height, getContext: () => ({}) }),
+    toImage: canvas => canvas,
+    destroy: canvas => destroyed.push(canvas)
+});
+
+function createConverter(orientation, reports) {
+    const converter = new Extract2MDConverter({ processing: { orientation }, progressCallback: report => reports.push(report) });
+    converter._beginConversion();
+    return converter;
+}
+
+// The text layer shows that /Rotate is wrong: the page is rendered upright without asking OSD
+let reports = [];
+const wrongRotate = createPage(textItems(12, 0));
+const textLayer = await createConverter('text-layer', reports)._renderUprightOcrPage(null, wrongRotate, 3, wrongRotate.getViewport({ scale: 2.5 }), canvasFactory);
+check(textLayer.viewport.rotation === 0 && textLayer.canvas.width === 1530, 'Pages are rendered in the direction of their text layer');
+const rotated = reports.find(report => report.stage === 'ocr_page_rotate');
+check(rotated && rotated.pageNumber === 3 && rotated.rotation === 0 && rotated.previousRotation === 90 && rotated.source === 'text-layer',
+    'Corrections are reported with their source');
+
+// A scan without a text layer: OSD finds it upside down and the page is rendered again
+reports = [];
+const detections = [];
+const osdWorker = {
+    setParameters: async () => {},
+    detect: async image => {
+        detections.push(image.width);
+        return { data: { script: 'Latin', orientation_degrees: 180, orientation_confidence: 25 } };
+    }
+};
+const scan = createPage([]);
+destroyed.length = 0;
+const upright = await createConverter('auto', reports)._renderUprightOcrPage(osdWorker, scan, 1, scan.getViewport({ scale: 2.5 }), canvasFactory);
+check(detections.length === 1 && upright.viewport.rotation === 270, 'Pages without a text layer are turned by OSD');
+check(destroyed.length === 1 && destroyed[0] !== upright.canvas && Array.isArray(upright.images), 'The rotated rendering is released and figures are kept');
+check(reports.some(report => report.stage === 'ocr_page_rotate' && report.source === 'osd'), 'OSD corrections are reported');
+
+// Pages that are already upright are rendered once and not reported
+reports = [];
+const straight = { ...osdWorker, detect: async () => ({ data: { orientation_degrees: 0, orientation_confidence: 30 } }) };
+const unchanged = await createConverter('osd', reports)._renderUprightOcrPage(straight, scan, 1, scan.getViewport({ scale: 2.5 }), canvasFactory);
+check(unchanged.viewport.rotation === 90 && !reports.some(report => report.stage === 'ocr_page_rotate'), 'Upright pages stay as rendered');
+
+// OSD is unsure on a short page whose text layer shows the direction: the text layer decides
+reports = [];
+const unsure = { ...osdWorker, detect: async () => ({ data: { orientation_degrees: 0, orientation_confidence: 6.7 } }) };
+const shortPage = await createConverter('osd', reports)._renderUprightOcrPage(unsure, wrongRotate, 2, wrongRotate.getViewport({ scale: 2.5 }), canvasFactory);
+check(shortPage.viewport.rotation === 0 && reports.some(report => report.stage === 'ocr_page_rotate' && report.source === 'text-layer'),
+    'Uncertain OSD results fall back to the text layer');
+const blank = await createConverter('osd', [])._renderUprightOcrPage(unsure, scan, 1, scan.getViewport({ scale: 2.5 }), canvasFactory);
+check(blank.viewport.rotation === 90, 'Uncertain OSD results keep scans without a text layer as rendered');
+
+// Trusting /Rotate skips detection
+reports = [];
+const trusted = await createConverter('page', reports)._renderUprightOcrPage(null, wrongRotate, 1, wrongRotate.getViewport({ scale: 2.5 }), canvasFactory);
+check(trusted.viewport.rotation === 90 && reports.length === 0, 'The default trusts the page rotation');
+check(await createConverter('page', [])._startPageOsdWorker() === null, 'No OSD worker is started unless OSD is used');
+
+check(ConfigValidator.validate({}).processing.orientation === 'page', 'Orientation detection is opt-in');
+try {
+    ConfigValidator.validate({ processing: { orientation: 'landscape' } });
+    check(false, 'Unknown orientation modes are rejected');
+} catch (error) {
+    check(error.message === 'orientation must be one of: page, text-layer, osd, auto', 'Unknown orientation modes are rejected');
+}
+
+finish();
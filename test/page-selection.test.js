@@ -0,0 +1,47 @@
+/**
+ * Test page selections like "1-3,7,10-" for all scenarios
+ * Run with: node test/page-selection.test.js
+ */
+
+import PageSelection from '../src/utils/PageSelection.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+function rejects(selection, expectedMessage, message) {
+    try {
+        PageSelection.parse(selection);
+        check(false, message);
+    } catch (error) {
+        check(error.message === expectedMessage, message);
+    }
+}
+
+check(PageSelection.resolve('1-3,7,10-', 12).join(',') === '1,2,3,7,10,11,12', 'Ranges, single pages and open ranges are combined');
+check(PageSelection.resolve('-2, 4', 5).join(',') === '1,2,4', 'Ranges may start at the first page');
+check(PageSelection.resolve('3,1-3', 5).join(',') === '1,2,3', 'Pages are unique and in document order');
+check(PageSelection.resolve([4, 2, 9], 5).join(',') === '2,4', 'Arrays select pages, ignoring pages beyond the document');
+check(PageSelection.resolve(null, 3).join(',') === '1,2,3', 'No selection converts every page');
+
+rejects('5-3', 'pages contains an invalid range: "5-3"', 'Descending ranges are rejected');
+rejects('1,,2', 'pages contains an invalid range: ""', 'Empty parts are rejected');
+rejects('0', 'pages contains an invalid range: "0"', 'Page numbers start at 1');
+rejects([1, 1.5], 'pages must contain positive integer page numbers', 'Arrays must hold page numbers');
+
+check(ConfigValidator.validate({}).processing.pages === null, 'Every page is converted by default');
+try {
+    ConfigValidator.validate({ processing: { pages: 'first' } });
+    check(false, 'Malformed selections are rejected by the configuration');
+} catch (error) {
+    check(error.message === 'pages contains an invalid range: "first"', 'Malformed selections are rejected by the configuration');
+}
+
+const converter = new Extract2MDConverter({ processing: { pages: '9-' } });
+try {
+    converter._getPageNumbers({ numPages: 5 });
+    check(false, 'Selections outside the document fail');
+} catch (error) {
+    check(error.message === 'pages "9-" selects none of the 5 pages of the document', 'Selections outside the document fail');
+}
+
+finish();
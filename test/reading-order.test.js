@@ -0,0 +1,54 @@
+/**
+ * Test layout reading order on synthetic multi-column pages
+ * Run with: node test/reading-order.test.js
+ */
+
+import ReadingOrder from '../src/utils/ReadingOrder.js';
+import PdfTextLayout from '../src/utils/PdfTextLayout.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+// Fragments in top-left coordinates, listed row by row as many PDF producers write them
+function fragment(x, y, text, size = 10) {
+    return { text, x, y, width: text.length * size * 0.45, height: size, fontSize: size, font: {} };
+}
+
+const left = ['Left column starts here with some words', 'and continues on the next line of the', 'left column until the paragraph ends.'];
+const right = ['Right column begins at the top and', 'keeps going with more words per line', 'until the right column is done too.'];
+const fragments = [fragment(72, 40, 'A title that spans both of the columns below it', 18)];
+left.forEach((text, i) => {
+    fragments.push(fragment(72, 100 + i * 12, text));
+    fragments.push(fragment(320, 100 + i * 12, right[i]));
+});
+
+const lines = ReadingOrder.orderLines(fragments).map(lineFragments => PdfTextLayout.createLine(lineFragments));
+check(lines.map(line => line.text).join('|') === [fragments[0].text, ...left, ...right].join('|'),
+    'Two-column text is read title first, then left column, then right column');
+
+const table = ReadingOrder.orderLines([
+    fragment(72, 100, 'Region'), fragment(220, 100, 'Q1'), fragment(320, 100, 'Q2'),
+    fragment(72, 112, 'North'), fragment(220, 112, '1,200'), fragment(320, 112, '1,350')
+]);
+check(table.length === 2 && table[0].length === 3, 'Table columns are not mistaken for text columns');
+
+const list = ReadingOrder.orderLines([
+    fragment(72, 100, '1.'), fragment(90, 100, 'First item with quite a few words in it'),
+    fragment(72, 112, '2.'), fragment(90, 112, 'Second item with quite a few words too')
+]);
+check(list.length === 2 && list[0][0].text === '1.', 'Hanging list markers stay on their lines');
+
+const superscript = ReadingOrder.orderLines([
+    fragment(72, 100, 'Footnote reference'), fragment(155, 97, '1', 6), fragment(160, 100, 'continues')
+]);
+check(superscript.length === 1 && superscript[0].map(f => f.text).join(' ') === 'Footnote reference 1 continues',
+    'Superscripts stay on the line they overlap');
+
+check(ConfigValidator.validate({}).processing.readingOrder === 'layout', 'Layout order is the default');
+try {
+    ConfigValidator.validate({ processing: { readingOrder: 'columns' } });
+    check(false, 'Unknown reading order is rejected');
+} catch (error) {
+    check(error.message.includes('readingOrder must be one of'), 'Unknown reading order is rejected');
+}
+
+finish();
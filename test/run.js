@@ -0,0 +1,31 @@
+/**
+ * Runs every test script in this directory, each in its own Node.js process
+ * Run with: npm test
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The package structure test runs first, the others in alphabetical order
+const testFiles = ['simple.test.js', ...fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js') && file !== 'simple.test.js')
+    .sort()];
+
+const failed = [];
+for (const file of testFiles) {
+    console.log(`\n▶ ${file}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    if (result.status !== 0) {
+        failed.push(file);
+    }
+}
+
+console.log('\n' + '='.repeat(50));
+console.log(failed.length === 0
+    ? `✅ All ${testFiles.length} test files passed`
+    : `❌ ${failed.length} of ${testFiles.length} test files failed: ${failed.join(', ')}`);
+process.exit(failed.length === 0 ? 0 : 1);
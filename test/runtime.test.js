@@ -0,0 +1,76 @@
+/**
+ * Test runtime detection and canvas factory resolution for headless Node.js use
+ * Run with: node test/runtime.test.js
+ */
+
+import path from 'path';
+import RuntimeEnvironment from '../src/utils/RuntimeEnvironment.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+async function runTests() {
+    console.log('Testing RuntimeEnvironment and CanvasFactory...\n');
+
+    check(RuntimeEnvironment.resolve('auto') === 'node', 'Auto runtime resolves to node without a DOM');
+    check(RuntimeEnvironment.resolve('browser') === 'browser', 'Explicit runtime is kept');
+
+    const pdfjs = await RuntimeEnvironment.loadPdfJs('node');
+    check(typeof pdfjs.getDocument === 'function', 'pdf.js legacy build loads in Node.js');
+
+    const documentOptions = await RuntimeEnvironment.getPdfJsDocumentOptions('node');
+    check(documentOptions.standardFontDataUrl.endsWith(`pdfjs-dist${path.sep}standard_fonts${path.sep}`) && documentOptions.cMapPacked === true,
+        'Standard fonts and CMaps are read from the pdfjs-dist package next to this module');
+    check(Object.keys(await RuntimeEnvironment.getPdfJsDocumentOptions('browser')).length === 0,
+        'Browser runtime needs no extra document options');
+
+    // Custom factory: creation, conversion and destruction go through the supplied hooks
+    const calls = [];
+    const customFactory = CanvasFactory.fromCustom({
+        create: (width, height) => {
+            calls.push(`create:${width}x${height}`);
+            return { getContext: () => ({}) };
+        },
+        toImage: () => 'custom-image',
+        destroy: () => calls.push('destroy')
+    });
+    const canvas = customFactory.create(10.2, 20.7);
+    check(canvas.width === 11 && canvas.height === 21, 'Canvas sizes are rounded up to whole pixels');
+    check(await customFactory.toImage(canvas) === 'custom-image', 'Custom toImage is used');
+    customFactory.destroy(canvas);
+    check(calls.join(',') === 'create:11x21,destroy', 'Custom create and destroy are used');
+
+    const functionFactory = CanvasFactory.fromCustom(() => ({ getContext: () => ({}), toBuffer: () => 'png' }));
+    check(await functionFactory.toImage(functionFactory.create(1, 1)) === 'png', 'Node canvases are converted with toBuffer');
+
+    try {
+        const nodeFactory = await CanvasFactory.resolve('node');
+        const nodeCanvas = nodeFactory.create(4, 4);
+        const image = await nodeFactory.toImage(nodeCanvas);
+        check(image && image.length > 0, 'Node canvas implementation renders to a PNG buffer');
+        nodeFactory.destroy(nodeCanvas);
+    } catch (error) {
+        console.log(`⚠️  Skipping Node canvas check: ${error.message}`);
+    }
+
+    try {
+        ConfigValidator.validate({ runtime: 'deno' });
+        check(false, 'Unknown runtime is rejected');
+    } catch (error) {
+        check(error.message.includes('runtime must be one of'), 'Unknown runtime is rejected');
+    }
+
+    try {
+        ConfigValidator.validate({ canvasFactory: { make: () => null } });
+        check(false, 'Canvas factory without create() is rejected');
+    } catch (error) {
+        check(error.message.includes('canvasFactory'), 'Canvas factory without create() is rejected');
+    }
+}
+
+runTests()
+    .then(finish)
+    .catch((error) => {
+        console.error('❌ Test run failed:', error);
+        process.exit(1);
+    });
@@ -41,7 +41,8 @@ class Extract2MDTests {
             'highAccuracyConvertOnly',
             'quickConvertWithLLM',
             'highAccuracyConvertWithLLM',
-            'combinedConvertWithLLM'
+            'combinedConvertWithLLM',
+            'hybridConvertOnly'
         ];
 
         for (const method of requiredMethods) {
@@ -0,0 +1,141 @@
+/**
+ * Test searchable PDF output: page images with an invisible OCR text layer
+ * Run with: node test/searchable-pdf.test.js
+ */
+
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import SearchablePdf from '../src/utils/SearchablePdf.js';
+import PdfWriter from '../src/utils/PdfWriter.js';
+import TiffDecoder from '../src/utils/TiffDecoder.js';
+import CanvasFactory from '../src/utils/CanvasFactory.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+// Canvases whose pixels come from a function, and that encode a JPEG of just its frame header
+const createCanvas = (width, height, pixel) => ({
+    width,
+    height,
+    getContext: () => ({
+        getImageData: () => {
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let i = 0; i < width * height; i++) data.set([...pixel(i % width, Math.floor(i / width)), 255], i * 4);
+            return { width, height, data };
+        }
+    }),
+    encode: async (format, quality) => new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x4A, 0x46,
+        0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, height, 0x00, width, 0x03, quality, format.length])
+});
+const canvasFactory = new CanvasFactory({ create: (width, height) => createCanvas(width, height, () => [255, 255, 255]) });
+
+// Page images
+const grayPage = await SearchablePdf.encodeImage(createCanvas(3, 2, x => [x * 100, x * 100, x * 100]), 'lossless', canvasFactory);
+const rows = await TiffDecoder.inflate(grayPage.data);
+check(grayPage.colorSpace === 'DeviceGray' && grayPage.filter === 'FlateDecode' && grayPage.decodeParms.includes('/Colors 1 /BitsPerComponent 8 /Columns 3'),
+    'Gray pages are stored losslessly with one channel');
+check(Array.from(rows).join(',') === '2,0,100,200,2,0,0,0', 'Rows are stored as differences to the row above');
+
+const colorPage = await SearchablePdf.encodeImage(createCanvas(2, 1, () => [255, 0, 0]), 'lossless', canvasFactory);
+check(colorPage.colorSpace === 'DeviceRGB' && (await TiffDecoder.inflate(colorPage.data)).length === 7, 'Color pages keep three channels');
+
+const jpegPage = await SearchablePdf.encodeImage(createCanvas(40, 30, () => [0, 0, 0]), 'jpeg', canvasFactory);
+check(jpegPage.filter === 'DCTDecode' && jpegPage.width === 40 && jpegPage.height === 30 && jpegPage.colorSpace === 'DeviceRGB' &&
+    jpegPage.data[18] === 85, 'JPEG pages are encoded by the canvas and sized from their frame header');
+try {
+    SearchablePdf.readJpegSize(new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]));
+    check(false, 'Files without a JPEG frame header are rejected');
+} catch (error) {
+    check(error.message === 'Invalid JPEG image: missing frame header', 'Files without a JPEG frame header are rejected');
+}
+
+// Text layer
+const words = [
+    { text: 'Invoice', x: 72, y: 100, width: 70, height: 20 },
+    { text: 'Überweisung', x: 150, y: 100, width: 110, height: 20 },
+    { text: '', x: 0, y: 0, width: 10, height: 10 }
+];
+const operators = SearchablePdf.getTextOperators(words, 792);
+check(operators.startsWith('BT\n3 Tr\n') && operators.includes('/F0 20 Tf 100 Tz 1 0 0 1 72 672 Tm <0049006E0076006F0069006300650020> Tj'),
+    'Words are invisible text on their box bottom, stretched to their box width and followed by a space');
+check(operators.includes('0067> Tj'), 'The last word of a line has no space');
+check(operators.includes('<00DC') && operators.trim().split('\n').length === 5, 'Text is written as UTF-16 code units; empty words are left out');
+check(SearchablePdf.getTextOperators([], 792) === '', 'Pages without words have no text');
+
+// Font
+const font = SearchablePdf.createGlyphlessFont();
+check(SearchablePdf.getTableChecksum(font) === 0xB1B0AFBA && new DataView(font.buffer).getUint16(4) === 7,
+    'The glyphless font has a valid checksum adjustment and seven tables');
+
+// Documents read back by pdf.js
+const pdf = await SearchablePdf.create([
+    { width: 612, height: 792, image: grayPage, words },
+    { width: 300, height: 200.5, image: colorPage, words: [{ text: 'Привет', x: 10, y: 20, width: 60, height: 12 }] }
+]);
+check(new TextDecoder().decode(pdf.subarray(0, 8)) === '%PDF-1.7' && new TextDecoder().decode(pdf.subarray(-6)) === '%%EOF\n',
+    'The PDF has a header and a trailer');
+const doc = await pdfjs.getDocument({ data: pdf.slice(), verbosity: 0 }).promise;
+const [first, second] = [await doc.getPage(1), await doc.getPage(2)];
+const firstText = await first.getTextContent();
+check(doc.numPages === 2 && first.view.join(',') === '0,0,612,792' && second.view.join(',') === '0,0,300,200.5', 'Every page keeps its size');
+check(firstText.items.map(item => item.str).join('') === 'Invoice Überweisung' && (await second.getTextContent()).items[0].str === 'Привет',
+    'The text layer maps back to Unicode');
+const invoice = firstText.items[0];
+check(Math.round(invoice.transform[4]) === 72 && Math.round(invoice.transform[5]) === 672 && Math.round(invoice.transform[3]) === 20,
+    'Text sits on the word boxes');
+const operatorList = await first.getOperatorList();
+check(operatorList.fnArray.includes(pdfjs.OPS.paintImageXObject) && operatorList.fnArray.includes(pdfjs.OPS.setTextRenderingMode),
+    'Pages paint their image and invisible text');
+check((await doc.getMetadata()).info.Producer === 'Extract2MD (Tesseract.js)', 'The producer is recorded');
+
+// Searchable PDFs convert back to Markdown as prose, not as code in a monospaced font
+const line = (y, text) => text.split(' ').map((text, i) => ({ text, x: 72 + i * 60, y, width: 55, height: 12 }));
+const roundTrip = await SearchablePdf.create([{ width: 612, height: 792, image: grayPage,
+    words: [...line(100, 'The scanned letter confirms the order'), ...line(116, 'of twelve boxes for the spring season.')] }]);
+for (const scenario of ['quickConvertOnly', 'hybridConvertOnly']) {
+    const markdown = await Extract2MDConverter[scenario](roundTrip.slice());
+    check(markdown.includes('The scanned letter confirms the order of twelve boxes for the spring season.') && !markdown.includes('```'),
+        `${scenario} reads the text layer back as a paragraph`);
+}
+
+// PDF syntax
+check(PdfWriter.string('a (b) \\c') === '(a \\(b\\) \\\\c)' && PdfWriter.string('é') === '<FEFF00E9>', 'Strings are escaped or written as UTF-16');
+check(PdfWriter.number(1 / 3) === '0.333' && PdfWriter.number(1e-7) === '0' && PdfWriter.number(-0.0001) === '0', 'Numbers never use exponents');
+const writer = new PdfWriter();
+writer.reserve();
+try {
+    writer.toBytes(1);
+    check(false, 'Reserved objects must be written');
+} catch (error) {
+    check(error.message === 'PDF object 1 was reserved but never written', 'Reserved objects must be written');
+}
+
+// Configuration
+check(ConfigValidator.validate({}).processing.searchablePdf === 'none', 'No searchable PDF is written by default');
+try {
+    ConfigValidator.validate({ processing: { searchablePdf: true } });
+    check(false, 'Unknown searchable PDF modes are rejected');
+} catch (error) {
+    check(error.message === 'searchablePdf must be one of: none, jpeg, lossless', 'Unknown searchable PDF modes are rejected');
+}
+
+// The converter writes the pages collected during recognition in page order and reports the PDF
+const reports = [];
+const converter = new Extract2MDConverter({ processing: { searchablePdf: 'lossless' }, progressCallback: report => reports.push(report) });
+converter._beginConversion();
+converter._searchablePages = [
+    { pageNumber: 4, width: 100, height: 100, image: colorPage, words: [] },
+    { pageNumber: 2, width: 100, height: 100, image: grayPage, words: [{ text: 'Two', x: 10, y: 10, width: 30, height: 10 }] }
+];
+await converter._createSearchablePdf();
+const written = await pdfjs.getDocument({ data: converter.searchablePdf.slice(), verbosity: 0 }).promise;
+check(written.numPages === 2 && (await (await written.getPage(1)).getTextContent()).items[0].str === 'Two', 'Pages are written in page order');
+check(reports.some(report => report.stage === 'searchable_pdf_created' && report.pdf === converter.searchablePdf && report.totalPages === 2),
+    'The searchable PDF is reported');
+
+const image = await converter._getSearchablePageImage({}, 1, { canvas: createCanvas(2, 2, () => [9, 9, 9]) }, canvasFactory);
+check(image.colorSpace === 'DeviceGray', 'Renderings without preprocessing are used as they are');
+const failing = await converter._getSearchablePageImage({}, 3, { canvas: { width: 1, height: 1, getContext: () => ({}) } }, canvasFactory);
+check(failing === null && converter.warnings.some(warning => warning.stage === 'searchable_pdf_warning' && warning.pageNumber === 3),
+    'Pages whose image cannot be encoded are left out with a warning');
+
+finish();
@@ -33,9 +33,36 @@ if (fs.existsSync(configPath)) {
 const coreFiles = [
     '../src/converters/Extract2MDConverter.js',
     '../src/engines/WebLLMEngine.js',
+    '../src/utils/CanvasFactory.js',
+    '../src/utils/CcittFaxDecoder.js',
     '../src/utils/ConfigValidator.js',
+    '../src/utils/Dehyphenator.js',
+    '../src/utils/DocumentOutline.js',
+    '../src/utils/FrontMatter.js',
+    '../src/utils/HeaderFooterDetector.js',
+    '../src/utils/HeadingDetector.js',
+    '../src/utils/ImageDocument.js',
+    '../src/utils/ImageExtractor.js',
+    '../src/utils/ImagePreprocessor.js',
+    '../src/utils/InlineStyleFormatter.js',
+    '../src/utils/InputNormalizer.js',
+    '../src/utils/LinkAnnotations.js',
+    '../src/utils/ListDetector.js',
+    '../src/utils/OcrExport.js',
+    '../src/utils/OcrLanguage.js',
+    '../src/utils/OcrLayout.js',
     '../src/utils/OutputParser.js',
-    '../src/utils/SystemPrompts.js'
+    '../src/utils/PageOrientation.js',
+    '../src/utils/PageSelection.js',
+    '../src/utils/PdfTextLayout.js',
+    '../src/utils/PdfWriter.js',
+    '../src/utils/ReadingOrder.js',
+    '../src/utils/RuntimeEnvironment.js',
+    '../src/utils/SearchablePdf.js',
+    '../src/utils/SystemPrompts.js',
+    '../src/utils/TableDetector.js',
+    '../src/utils/TextLayerQuality.js',
+    '../src/utils/TiffDecoder.js'
 ];
 
 for (const file of coreFiles) {
@@ -0,0 +1,83 @@
+/**
+ * Test table reconstruction from positioned lines
+ * Run with: node test/table-detector.test.js
+ */
+
+import TableDetector from '../src/utils/TableDetector.js';
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import { check, finish } from './helpers.js';
+
+// Build a line from [x, text] cells the way PdfTextLayout or OcrLayout would describe it
+function buildLine(y, cells, bold = false) {
+    const fragments = cells.map(([x, text]) => ({
+        text,
+        x,
+        width: text.length * 5.5,
+        font: { bold }
+    }));
+    return { fragments, text: cells.map(([, text]) => text).join(' '), y, height: 11, fontSize: 11 };
+}
+
+const lines = [
+    buildLine(40, [[72, 'Quarterly revenue by region']]),
+    buildLine(80, [[72, 'Region'], [220, 'Revenue (thousands)']], true),
+    buildLine(94, [[220, 'Q1'], [320, 'Q2']], true),
+    buildLine(108, [[72, 'North'], [220, '1,200'], [320, '1,350']]),
+    buildLine(122, [[72, 'South | East'], [220, '980'], [320, '1,010']]),
+    buildLine(136, [[72, 'West'], [220, '700'], [320, '820']]),
+    buildLine(170, [[72, 'Closing prose after the table.']])
+];
+
+const tables = TableDetector.findTables(lines);
+check(tables.length === 1, 'One table region is found');
+check(tables[0].start === 1 && tables[0].end === 5, 'The region covers the table rows only');
+check(tables[0].markdown[0] === '| Region | Revenue (thousands) Q1 | Q2 |', 'Bold leading rows merge into one header and spans keep the first column');
+check(tables[0].markdown[1] === '| --- | ---: | ---: |', 'Numeric columns are right-aligned');
+check(tables[0].markdown[3] === '| South \\| East | 980 | 1,010 |', 'Pipes inside cells are escaped');
+
+const wrapped = TableDetector.findTables([
+    buildLine(80, [[72, 'Name'], [220, 'Notes']]),
+    buildLine(94, [[72, 'Alpha'], [220, 'Wraps onto']]),
+    buildLine(108, [[220, 'a second line']]),
+    buildLine(122, [[72, 'Beta'], [220, 'Short']])
+]);
+check(wrapped.length === 1 && wrapped[0].markdown[2] === '| Alpha | Wraps onto a second line |',
+    'Indented continuation lines join the cell above');
+
+const ambiguous = TableDetector.findTables([
+    buildLine(80, [[72, 'A'], [150, 'B'], [300, 'C']]),
+    buildLine(94, [[72, 'D'], [300, 'E']]),
+    buildLine(108, [[150, 'F'], [300, 'G']]),
+    buildLine(122, [[72, 'H'], [150, 'I']])
+]);
+check(ambiguous.length === 1 && ambiguous[0].markdown[0] === '```', 'Ambiguous grids fall back to a code block');
+
+const followed = TableDetector.findTables([
+    buildLine(80, [[72, 'Name'], [200, 'Role'], [330, 'Team']], true),
+    buildLine(94, [[72, 'Ada'], [200, 'Engineer'], [330, 'Core']]),
+    buildLine(108, [[72, 'Grace'], [200, 'Manager'], [330, 'Tools']]),
+    buildLine(122, [[72, 'for (const row of rows)'], [250, '// every member']]),
+    buildLine(136, [[90, 'print(row.name)']]),
+    buildLine(150, [[72, 'The listing above prints the team.']]),
+    buildLine(164, [[72, 'count = 3'], [180, 'total = 12']])
+]);
+check(followed.length === 1 && followed[0].end === 2 && followed[0].markdown.join('\n') ===
+    '| Name | Role | Team |\n| --- | --- | --- |\n| Ada | Engineer | Core |\n| Grace | Manager | Tools |',
+    'Tables end where the column structure changes, before the following code and prose');
+
+const prose = TableDetector.findTables([
+    buildLine(80, [[72, 'Left column prose that runs on for quite a while here'], [320, 'Right column prose that also runs on for a while']]),
+    buildLine(94, [[72, 'and continues with more words on the following line'], [320, 'while this column does the same thing as well']])
+]);
+check(prose.length === 0, 'Side-by-side prose is not mistaken for a table');
+
+// Tables and code blocks emitted during extraction survive post-processing and Markdown conversion
+const converter = new Extract2MDConverter();
+const extracted = converter._postProcessText('Intro   text\n\n```\nA    B\nCC   D\n```\n\n| Region | Q1 |\n| --- | ---: |\n| North | 1 |');
+check(extracted.includes('```\nA    B\nCC   D\n```') && extracted.startsWith('Intro text'),
+    'Post-processing keeps the spacing inside fenced code blocks only');
+const markdown = converter._convertToMarkdown(extracted);
+check(markdown.includes('\n\n| Region | Q1 |\n| --- | ---: |\n| North | 1 |') && markdown.includes('```\nA    B\nCC   D\n```'),
+    'Markdown conversion passes tables and code blocks through');
+
+finish();
@@ -0,0 +1,74 @@
+/**
+ * Test Tesseract engine mode, page segmentation mode and parameters, including per-page overrides
+ * Run with: node test/tesseract-parameters.test.js
+ */
+
+import { Extract2MDConverter } from '../src/converters/Extract2MDConverter.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import PageSelection from '../src/utils/PageSelection.js';
+import { check, finish } from './helpers.js';
+
+function rejects(tesseract, expectedMessage, message) {
+    try {
+        ConfigValidator.validate({ tesseract });
+        check(false, message);
+    } catch (error) {
+        check(error.message === expectedMessage, message);
+    }
+}
+
+const converter = new Extract2MDConverter({
+    tesseract: {
+        psm: 3,
+        preserveInterwordSpaces: true,
+        dpi: 'auto',
+        pageOverrides: [
+            { pages: '2-3', psm: 11, whitelist: '0123456789.,' },
+            { pages: [3], psm: 7 }
+        ]
+    }
+});
+
+const first = converter._getTesseractParameters(1, 2.5);
+check(first.tessedit_pageseg_mode === '3' && first.tessedit_char_whitelist === '' && first.preserve_interword_spaces === '1',
+    'The configured parameters apply to every page');
+check(first.user_defined_dpi === '180', 'Automatic DPI follows the render scale');
+check(converter._getTesseractParameters(1, 4).user_defined_dpi === '288', 'Re-rendered pages report their own DPI');
+
+const second = converter._getTesseractParameters(2, 2.5);
+check(second.tessedit_pageseg_mode === '11' && second.tessedit_char_whitelist === '0123456789.,', 'Page overrides apply to their pages');
+check(converter._getTesseractParameters(3, 2.5).tessedit_pageseg_mode === '7', 'Later overrides win');
+check(converter._getTesseractParameters(4, 2.5).tessedit_char_whitelist === '', 'Overrides are reset for other pages');
+
+const defaults = new Extract2MDConverter()._getTesseractParameters(1, 2.5);
+check(defaults.tessedit_pageseg_mode === '6' && defaults.preserve_interword_spaces === '0', 'Defaults match Tesseract.js: a single block');
+check(defaults.user_defined_dpi === '180', 'Pages are recognized at their render resolution by default');
+
+// Workers are created with the engine mode and recognize with the page parameters in one scheduler job
+const calls = [];
+const Tess = {
+    createWorker: async (language, oem) => {
+        calls.push(`create ${language} ${oem}`);
+        return {
+            setParameters: async parameters => calls.push(`set ${parameters.tessedit_pageseg_mode}`),
+            recognize: async () => {
+                calls.push('recognize');
+                return { data: { text: '' } };
+            }
+        };
+    }
+};
+const worker = await new Extract2MDConverter({ tesseract: { oem: 3 } })._createOcrWorker(Tess);
+await worker.recognizeWithParameters('image', { tessedit_pageseg_mode: '11' });
+check(calls.join(', ') === 'create eng 3, set 11, recognize', 'The engine mode reaches the worker and parameters precede recognition');
+
+check(PageSelection.includes('2-3', 3) && !PageSelection.includes('2-3', 4) && PageSelection.includes('5-', 9),
+    'Page selections can be tested for a page');
+
+rejects({ psm: 14 }, 'Tesseract psm must be a page segmentation mode from 0 to 13', 'Unknown page segmentation modes are rejected');
+rejects({ oem: 4 }, 'Tesseract oem must be an engine mode from 0 to 3', 'Unknown engine modes are rejected');
+rejects({ dpi: 'high' }, 'Tesseract dpi must be null, "auto" or a positive number', 'DPI hints must be numbers or "auto"');
+rejects({ pageOverrides: [{ pages: '1', oem: 0 }] }, 'Tesseract oem cannot be overridden per page', 'Engine modes cannot change per page');
+rejects({ pageOverrides: [{ pages: '1', whitelist: 5 }] }, 'Tesseract pageOverrides whitelist must be a string', 'Overrides are validated');
+
+finish();
@@ -0,0 +1,37 @@
+/**
+ * Test text layer scoring for hybrid conversion
+ * Run with: node test/text-layer-quality.test.js
+ */
+
+import TextLayerQuality from '../src/utils/TextLayerQuality.js';
+import ConfigValidator from '../src/utils/ConfigValidator.js';
+import { check, finish } from './helpers.js';
+
+const thresholds = ConfigValidator.validate({}).processing.textLayerQuality;
+check(thresholds.minCharacters === 20 && thresholds.maxGarbageRatio === 0.3 && thresholds.maxUnmappedRatio === 0.05,
+    'Default thresholds are set');
+
+const good = TextLayerQuality.score('The quarterly report (2024) shows "steady" growth - see page 3.');
+check(good.garbageRatio === 0 && good.unmappedRatio === 0, 'Ordinary prose with punctuation scores clean');
+check(TextLayerQuality.isUsable(good, thresholds), 'Clean text layers are used as is');
+
+const empty = TextLayerQuality.score('  \n ');
+check(empty.characters === 0 && !TextLayerQuality.isUsable(empty, thresholds), 'Pages without text need OCR');
+
+const garbage = TextLayerQuality.score('#$%& @@!* ~^|} the }{;: report');
+check(garbage.garbageRatio > 0.5 && !TextLayerQuality.isUsable(garbage, thresholds), 'Symbol soup from broken font encodings needs OCR');
+
+const unmapped = TextLayerQuality.score('Th� qurterly rport sh�ws growth');
+check(unmapped.unmappedRatio > 0.05 && !TextLayerQuality.isUsable(unmapped, thresholds), 'Unmapped glyphs are detected');
+
+check(!TextLayerQuality.isGarbageWord('...') && !TextLayerQuality.isGarbageWord('"Hello,"'), 'Punctuation around words is not garbage');
+check(TextLayerQuality.isGarbageWord('#$%a') && !TextLayerQuality.isGarbageWord('e-mail'), 'Words must be mostly letters and digits');
+
+try {
+    ConfigValidator.validate({ processing: { textLayerQuality: { minCharacters: 20, maxGarbageRatio: 2, maxUnmappedRatio: 0 } } });
+    check(false, 'Ratios above 1 are rejected');
+} catch (error) {
+    check(error.message === 'textLayerQuality.maxGarbageRatio must be a number between 0 and 1', 'Ratios above 1 are rejected');
+}
+
+finish();